@@ -1,6 +1,10 @@
 var express = require('express');
 var app = express();
 
+// Heroku sits in front of the app, so trust its X-Forwarded-For header when
+// working out the client IP for login throttling
+app.set('trust proxy', 1);
+
 if (process.env.NODE_ENV === 'test') {
   process.env.MONGOLAB_URI = process.env.TEST_DB;
 }
@@ -54,23 +58,45 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 app.use(cookieParser());
-app.use(csrf({cookie: true}));
+app.use('/api', middleware.token);
+var csrfProtection = csrf({cookie: true});
+app.use(function(req, res, next) {
+  // Requests made with an API token don't use the session cookie, so there
+  // is nothing for CSRF protection to guard
+  if (req.apiToken) {
+    return next();
+  }
+  csrfProtection(req, res, next);
+});
+app.use(middleware.session);
 // compress all responses
 app.use(compression({ threshold: 0 }))
 
 app.use('/docs', express.static(path.join(__dirname + '/docs')));
 app.use('/', require('./routes/index'));
 app.use('/reset', require('./routes/reset'));
+app.use('/calendar', require('./routes/calendar'));
+app.use('/api', middleware.twoFactor);
+app.use('/api', middleware.impersonation);
+app.use('/api/two-factor', middleware.auth, require('./routes/two-factor'));
+app.use('/api/tokens', middleware.auth, require('./routes/tokens'));
 app.use('/api/users', middleware.auth, require('./routes/users'));
 app.use('/api/terms', middleware.auth, require('./routes/terms'));
 app.use('/api/courses', middleware.auth, require('./routes/courses'));
 app.use('/api/charges', middleware.auth, require('./routes/charges'));
 app.use('/api/locations', middleware.auth, require('./routes/locations'));
-app.use('/api/import', middleware.admin, require('./routes/import'));
-app.use('/api/report', middleware.admin, require('./routes/report'));
+app.use('/api/import', middleware.auth, require('./routes/import'));
+app.use('/api/report', middleware.auth, require('./routes/report'));
 app.use('/api/grades', middleware.auth, require('./routes/grades'));
-app.use('/api/textbooks', middleware.admin, require('./routes/textbooks'));
+app.use('/api/textbooks', middleware.auth, require('./routes/textbooks'));
 app.use('/api/registrations', middleware.auth, require('./routes/registrations'));
+app.use('/api/invites', middleware.auth, require('./routes/invites'));
+app.use('/api/impersonation', middleware.auth, require('./routes/impersonation'));
+app.use('/api/roles', middleware.auth, require('./routes/roles'));
+app.use('/api/organization', middleware.auth, require('./routes/organization'));
+app.use('/api/search', middleware.auth, require('./routes/search'));
+app.use('/api/audit', middleware.auth, require('./routes/audit'));
+app.use('/api/closures', middleware.auth, require('./routes/closures'));
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
@@ -3,23 +3,65 @@ var LocalStrategy = require('passport-local').Strategy;
 var OAuth2Strategy = require('passport-google-oauth').OAuth2Strategy;
 var bcrypt = require('bcrypt');
 var User = require('../models/UserModel');
+var LoginAttemptModel = require('../models/LoginAttemptModel');
+var audit = require('../lib/audit');
 
-passport.use(new LocalStrategy(
-  function(username, password, done) {
-    User.findOne({ username : username.toLowerCase() }, function(err, user) {
-      if (!user) {
-        return done(null, false, { message: 'Incorrect username.' });
+// Same message whether the username or the password was wrong, so the
+// login form can't be used to find out which accounts exist
+var INVALID_MESSAGE = 'Incorrect username or password.';
+var LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later or reset your password.';
+
+// Checked against when there's no such account, so a wrong username takes as
+// long as a wrong password
+var DUMMY_HASH = bcrypt.hashSync('no such account', 10);
+
+passport.use(new LocalStrategy({ passReqToCallback: true },
+  function(req, username, password, done) {
+    username = username.toLowerCase();
+    LoginAttemptModel.check(username, req.ip, function(err, status) {
+      if (err) {
+        return done(err);
       }
 
-      bcrypt.compare(password, user.password, function(err, match) {
-        if (!match) {
-          return done(null, false, { message: 'Incorrect password.' });
-        }
+      if (status.locked) {
+        return done(null, false, { message: LOCKED_MESSAGE });
+      }
 
-        return done(null, user);
-      });
+      setTimeout(function() {
+        User.findOne({ username : username }).anyTenant().exec(function(err, user) {
+          if (err) {
+            return done(err);
+          }
 
+          if (!user || !user.password) {
+            return bcrypt.compare(password, DUMMY_HASH, function() {
+              return fail();
+            });
+          }
+
+          bcrypt.compare(password, user.password, function(err, match) {
+            if (!match) {
+              // Only known accounts have an organization to log against
+              audit.record(req, 'login.failed', { actor: user });
+              return fail();
+            }
+
+            // Attempts are cleared once the whole login, two-factor code and
+            // all, has gone through
+            return done(null, user);
+          });
+        });
+      }, status.delay);
     });
+
+    function fail() {
+      LoginAttemptModel.recordFailure(username, req.ip, function(err) {
+        if (err) {
+          return done(err);
+        }
+        return done(null, false, { message: INVALID_MESSAGE });
+      });
+    }
   }
 ));
 
@@ -30,7 +72,7 @@ passport.use(new OAuth2Strategy(
     callbackURL: process.env.DOMAIN + '/auth/google/callback'
   },
   function(accessToken, refreshToken, profile, cb) {
-    User.findOne({ username: profile.emails[0].value }, function (err, user) {
+    User.findOne({ username: profile.emails[0].value }).anyTenant().exec(function (err, user) {
       console.log(user);
       return cb(err, user);
     });
@@ -42,9 +84,12 @@ passport.serializeUser(function(user, done) {
 });
 
 passport.deserializeUser(function(id, done) {
-  User.findById(id).then(function(user) {
-    done(null, user);
-  });
+  User.findById(id).anyTenant().then(function(user) {
+    if (!user) {
+      return done(null, false);
+    }
+    user.loadPermissions(done);
+  }, done);
 });
 
 module.exports = passport;
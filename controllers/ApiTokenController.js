@@ -0,0 +1,88 @@
+const ApiTokenModel = require('../models/ApiTokenModel');
+const audit = require('../lib/audit');
+
+/**
+* ApiTokenController.js
+*
+* @description :: Server-side logic for managing the current user's API tokens.
+*/
+module.exports = {
+
+  /**
+  * ApiTokenController.list()
+  */
+  list: function (req, res) {
+    ApiTokenModel.find({
+      user: req.user._id,
+      revoked_at: null
+    }, null, {
+      sort: '-createdAt'
+    }, (err, apiTokens) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting API tokens.',
+          error: err
+        });
+      }
+      return res.json(apiTokens);
+    });
+  },
+
+  /**
+  * ApiTokenController.create()
+  */
+  create: function (req, res) {
+    ApiTokenModel.issue(req.user, {
+      name: req.body.name,
+      scopes: req.body.scopes || []
+    }, (err, apiToken) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error creating API token.',
+          error: err
+        });
+      }
+      audit.record(req, 'api_token.create', {
+        target: apiToken,
+        details: { scopes: apiToken.scopes }
+      });
+      const json = apiToken.toJSON();
+      json.token = apiToken.token;
+      return res.json(json);
+    });
+  },
+
+  /**
+  * ApiTokenController.remove()
+  */
+  remove: function (req, res) {
+    ApiTokenModel.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revoked_at: null
+    }, (err, apiToken) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting API token.',
+          error: err
+        });
+      }
+      if (!apiToken) {
+        return res.json(404, {
+          message: 'No such API token'
+        });
+      }
+      apiToken.revoked_at = new Date();
+      apiToken.save((err, apiToken) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error revoking API token.',
+            error: err
+          });
+        }
+        audit.record(req, 'api_token.revoke', { target: apiToken });
+        return res.json(apiToken);
+      });
+    });
+  }
+};
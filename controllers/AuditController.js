@@ -0,0 +1,183 @@
+const _ = require('underscore');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const json2csv = require('json2csv');
+const AuditLogModel = require('../models/AuditLogModel');
+const audit = require('../lib/audit');
+
+const ENTRIES_PER_PAGE = 50;
+const MAX_ENTRIES_PER_PAGE = 200;
+// An export is one file, so it stops somewhere
+const MAX_EXPORT = 50000;
+
+const PEOPLE = 'first_name last_name username';
+
+/**
+* AuditController.js
+*
+* @description :: Server-side logic for reading the audit log.
+*/
+module.exports = {
+
+  /**
+  * AuditController.list()
+  *
+  * Newest first. Query parameters, all optional:
+  * - `actor` only what this user did
+  * - `target` only what was done to this user, course, ...
+  * - `action` one of lib/audit ACTIONS
+  * - `from`, `to` dates the entries were made between
+  * - `page` 1-based page number, `per_page` entries per page
+  */
+  list: function (req, res) {
+    const page = parseInt(req.query.page, 10) || 1;
+    const perPage = Math.min(parseInt(req.query.per_page, 10) || ENTRIES_PER_PAGE, MAX_ENTRIES_PER_PAGE);
+    if (page < 1 || perPage < 1) {
+      return res.json(400, {
+        message: 'Pages start at 1.'
+      });
+    }
+    const query = filters(req, res);
+    if (!query) {
+      return;
+    }
+    AuditLogModel.count(query, (err, total) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting the audit log.',
+          error: err
+        });
+      }
+      res.set('X-Total-Count', total);
+      AuditLogModel.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * perPage)
+        .limit(perPage)
+        .populate('actor impersonator', PEOPLE)
+        .exec((err, entries) => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error getting the audit log.',
+              error: err
+            });
+          }
+          return res.json(entries);
+        });
+    });
+  },
+
+  /**
+  * AuditController.export()
+  *
+  * The same entries as list(), all of them, as CSV
+  */
+  export: function (req, res) {
+    const query = filters(req, res);
+    if (!query) {
+      return;
+    }
+    AuditLogModel.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(MAX_EXPORT)
+      .populate('actor impersonator', PEOPLE)
+      .lean()
+      .exec((err, entries) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting the audit log.',
+            error: err
+          });
+        }
+        const data = entries.map(entry => {
+          const target = entry.target || {};
+          return {
+            date: moment(entry.createdAt).toISOString(),
+            actor: name(entry.actor),
+            actor_email: entry.actor ? entry.actor.username : '',
+            impersonator: name(entry.impersonator),
+            action: entry.action,
+            description: audit.ACTIONS[entry.action] || '',
+            target_kind: target.kind || '',
+            target: target.label || '',
+            target_id: target.id ? target.id.toString() : '',
+            details: entry.details ? JSON.stringify(entry.details) : '',
+            ip: entry.ip || '',
+            user_agent: entry.user_agent || '',
+            method: entry.method || '',
+            path: entry.path || ''
+          };
+        });
+        res.type('text/csv');
+        res.attachment(`audit-log-${moment().format('YYYY-MM-DD')}.csv`);
+        return res.send(200, json2csv({
+          data: data,
+          fields: [
+            'date', 'actor', 'actor_email', 'impersonator', 'action', 'description',
+            'target_kind', 'target', 'target_id', 'details', 'ip', 'user_agent', 'method', 'path'
+          ]
+        }));
+      });
+  },
+
+  /**
+  * AuditController.actions()
+  *
+  * What each action is called, for filtering
+  */
+  actions: function (req, res) {
+    return res.json(audit.ACTIONS);
+  }
+};
+
+function name(user) {
+  return user ? `${user.first_name} ${user.last_name}` : '';
+}
+
+/**
+* Conditions for the entries the request asked for. Responds with a 400 and
+* returns nothing when a parameter doesn't make sense.
+*/
+function filters(req, res) {
+  const params = req.query;
+  const query = { client: req.user.client };
+
+  function invalid(message) {
+    res.json(400, {
+      message: message
+    });
+    return null;
+  }
+
+  if ([params.actor, params.target].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+    return invalid('No such user or record');
+  }
+  if (params.actor) {
+    query.actor = params.actor;
+  }
+  if (params.target) {
+    query['target.id'] = params.target;
+  }
+
+  if (params.action) {
+    if (!audit.ACTIONS[params.action]) {
+      return invalid('No such action');
+    }
+    query.action = params.action;
+  }
+
+  const created = {};
+  if (params.from) {
+    created.$gte = moment(params.from).startOf('day').toDate();
+  }
+  if (params.to) {
+    created.$lte = moment(params.to).endOf('day').toDate();
+  }
+  if (_.some(created, date => isNaN(date.getTime()))) {
+    return invalid('Dates should look like YYYY-MM-DD.');
+  }
+  if (!_.isEmpty(created)) {
+    query.createdAt = created;
+  }
+
+  return query;
+}
@@ -0,0 +1,377 @@
+const _ = require('underscore');
+const moment = require('moment');
+const Hashids = require('hashids');
+const UserModel = require('../models/UserModel');
+const CourseModel = require('../models/CourseModel');
+const TermModel = require('../models/TermModel');
+const LocationModel = require('../models/LocationModel');
+const OrganizationModel = require('../models/OrganizationModel');
+const calendar = require('../lib/calendar');
+const ical = require('../lib/ical');
+const tokens = require('../lib/tokens');
+const audit = require('../lib/audit');
+
+const hashids = new Hashids();
+
+// Calendar apps can't be asked to renew a subscription, so links last until
+// the user resets them
+const FEED_TTL = 10 * 365 * 24 * 60 * 60 * 1000;
+
+// Feeds leave out terms that ended longer ago than this
+const FEED_HISTORY_DAYS = 365;
+
+const CLASSROOM_URL = 'https://jitsi.austincodingacademy.com/';
+
+/**
+* CalendarController.js
+*
+* @description :: Server-side logic for iCalendar feeds of class sessions,
+* due dates and holidays. Feed links carry a signed token instead of a
+* login, since calendar apps fetch them on their own.
+*/
+module.exports = {
+
+  /**
+  * CalendarController.links()
+  *
+  * The current user's feed links: their own classes, and for staff, each
+  * current course they can see and each location
+  */
+  links: function (req, res) {
+    feedLinks(req, res, links => res.json(links));
+  },
+
+  /**
+  * CalendarController.reset()
+  *
+  * Stop every feed link the user has handed out, and respond with new ones
+  */
+  reset: function (req, res) {
+    UserModel.findOneAndUpdate({
+      _id: req.user._id,
+      client: req.user.client
+    }, {
+      $inc: { calendar_feed_version: 1 }
+    }, { new: true }, (err, user) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error resetting calendar links.',
+          error: err
+        });
+      }
+      req.user.calendar_feed_version = user.calendar_feed_version;
+      audit.record(req, 'calendar.reset', { target: user });
+      feedLinks(req, res, links => res.json(links));
+    });
+  },
+
+  /**
+  * CalendarController.feed()
+  *
+  * The `.ics` feed a link points to. Anything wrong with the link is a 404,
+  * so calendar apps stop asking.
+  */
+  feed: function (req, res) {
+    const payload = tokens.verify(req.params.token);
+    if (!payload || tokens.isExpired(payload) || ['user', 'course', 'location'].indexOf(payload.calendar) === -1) {
+      return res.json(404, {
+        message: 'No such calendar'
+      });
+    }
+    UserModel.findOne({
+      _id: payload.user,
+      client: payload.client
+    }, (err, user) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting calendar.',
+          error: err
+        });
+      }
+      if (!user || (user.calendar_feed_version || 0) !== payload.v) {
+        return res.json(404, {
+          message: 'No such calendar'
+        });
+      }
+      user.loadPermissions((err, user) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting calendar.',
+            error: err
+          });
+        }
+        if (payload.calendar === 'location' && !user.can('courses:read')) {
+          return res.json(404, {
+            message: 'No such calendar'
+          });
+        }
+        feedCourses(user, payload, (err, courses, organization) => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error getting calendar.',
+              error: err
+            });
+          }
+          res.set('Content-Type', 'text/calendar; charset=utf-8');
+          res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+          return res.send(ical.calendar({
+            name: feedName(user, payload, courses, organization),
+            timezone: organization ? organization.timezone : null
+          }, feedEvents(courses, payload, req.hostname)));
+        });
+      });
+    });
+  }
+};
+
+/**
+* @param {Request} req
+* @param {String} kind `user`, `course` or `location`
+* @param {ObjectId} id
+* @return {String} the feed's URL
+*/
+function feedUrl(req, kind, id) {
+  const token = tokens.sign({
+    calendar: kind,
+    id: String(id),
+    user: String(req.user._id),
+    client: String(req.user.client),
+    v: req.user.calendar_feed_version || 0
+  }, FEED_TTL);
+  return `${req.protocol}://${req.get('host')}/calendar/${token}.ics`;
+}
+
+function feedLinks(req, res, cb) {
+  TermModel.find({
+    client: req.user.client,
+    end_date: { $gte: moment().startOf('day').toDate() }
+  }, (err, terms) => {
+    if (err) {
+      return res.json(500, {
+        message: 'Error getting calendar links.',
+        error: err
+      });
+    }
+    // Students only see their own courses, which are all in their feed
+    const staff = req.user.can('courses:read') || req.user.can('courses:assigned');
+    const findCourses = staff ? cb => {
+      CourseModel.find(_.extend({
+        client: req.user.client,
+        term: { $in: _.pluck(terms, '_id') }
+      }, CourseModel.visibleTo(req.user)), 'name term', {
+        sort: 'name'
+      }).populate('term', 'name').exec(cb);
+    } : cb => cb(null, []);
+    findCourses((err, courses) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting calendar links.',
+          error: err
+        });
+      }
+      const findLocations = req.user.can('courses:read') ?
+        cb => LocationModel.find({ client: req.user.client }, 'name', { sort: 'name' }, cb) :
+        cb => cb(null, []);
+      findLocations((err, locations) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting calendar links.',
+            error: err
+          });
+        }
+        cb({
+          user: feedUrl(req, 'user', req.user._id),
+          courses: courses.map(course => {
+            return {
+              _id: course._id,
+              name: course.name,
+              term: course.term ? course.term.name : null,
+              url: feedUrl(req, 'course', course._id)
+            };
+          }),
+          locations: locations.map(location => {
+            return { _id: location._id, name: location.name, url: feedUrl(req, 'location', location._id) };
+          })
+        });
+      });
+    });
+  });
+}
+
+/**
+* The courses a feed covers, and the organization for its time zone
+* @param {UserModel} user whose link it is, with permissions loaded
+* @param {Object} payload the link's token
+* @param {Function} cb
+*/
+function feedCourses(user, payload, cb) {
+  OrganizationModel.findOne({ _id: user.client }, (err, organization) => {
+    if (err) {
+      return cb(err);
+    }
+    TermModel.find({
+      client: user.client,
+      end_date: { $gte: moment().subtract(FEED_HISTORY_DAYS, 'days').toDate() }
+    }, (err, terms) => {
+      if (err) {
+        return cb(err);
+      }
+      let conditions;
+      if (payload.calendar === 'user') {
+        conditions = {
+          term: { $in: _.pluck(terms, '_id') },
+          $or: [
+            { registrations: user._id },
+            { instructors: user._id },
+            { teaching_assistants: user._id }
+          ]
+        };
+      } else if (payload.calendar === 'course') {
+        conditions = _.extend({ _id: payload.id }, CourseModel.visibleTo(user));
+      } else {
+        conditions = {
+          term: { $in: _.pluck(terms, '_id') },
+          $or: [
+            { location: payload.id },
+            { 'exceptions.location': payload.id }
+          ]
+        };
+      }
+      CourseModel.find(_.extend(conditions, {
+        client: user.client
+      })).populate('term location exceptions.location').exec((err, courses) => {
+        cb(err, courses, organization);
+      });
+    });
+  });
+}
+
+function feedName(user, payload, courses, organization) {
+  const school = organization ? organization.name : 'Classes';
+  if (payload.calendar === 'course') {
+    return courses.length ? `${courses[0].name} (${school})` : school;
+  }
+  if (payload.calendar === 'location') {
+    const location = _.find(locationsOf(courses), location => String(location._id) === payload.id);
+    return location ? `${location.name} (${school})` : school;
+  }
+  return `${user.first_name} ${user.last_name} (${school})`;
+}
+
+function id(ref) {
+  return ref ? String(ref._id || ref) : null;
+}
+
+// Every location a course's sessions are at, by id
+function locationsOf(courses) {
+  const locations = {};
+  courses.forEach(course => {
+    [course.location].concat(_.pluck(course.exceptions || [], 'location')).forEach(location => {
+      if (location && location._id) {
+        locations[String(location._id)] = location;
+      }
+    });
+  });
+  return _.values(locations);
+}
+
+/**
+* @param {LocationModel} location
+* @param {String} room
+* @return {String} e.g. `Downtown, Room 204, 123 Main St, Austin, TX 78701`
+*/
+function place(location, room) {
+  return _.compact([
+    location ? location.name : '',
+    room ? `Room ${room}` : '',
+    location ? location.address : '',
+    location ? _.compact([location.city, _.compact([location.state, location.zipcode]).join(' ')]).join(', ') : ''
+  ]).join(', ');
+}
+
+/**
+* Sessions, due dates and holidays. A location's feed only has the sessions
+* held there.
+* @param {CourseModel[]} courses with their terms and locations populated
+* @param {Object} payload the link's token
+* @param {String} host for event ids
+* @return {Object[]} events for lib/ical
+*/
+function feedEvents(courses, payload, host) {
+  const locations = _.indexBy(locationsOf(courses), location => String(location._id));
+  const closures = {};
+  let events = [];
+  courses.forEach(course => {
+    const classroom = date => {
+      return CLASSROOM_URL + hashids.encode([moment.utc(course.createdAt).unix(), moment.utc(date, 'YYYY-MM-DD').format('MMDDYYYY')]);
+    };
+
+    calendar.sessions(course).forEach(session => {
+      if (payload.calendar === 'location' && id(session.location) !== payload.id) {
+        return;
+      }
+      events.push({
+        uid: `${course._id}-${session.date}@${host}`,
+        date: session.date,
+        timeStart: session.timeStart,
+        timeEnd: session.timeEnd,
+        summary: course.name,
+        location: place(locations[id(session.location)], session.room),
+        description: _.compact([
+          session.moved_from ? `Moved from ${moment.utc(session.moved_from, 'YYYY-MM-DD').format('ddd, MMM D')}` : '',
+          session.added ? 'Extra session' : '',
+          session.note,
+          `Virtual classroom: ${classroom(session.date)}`
+        ]).join('\n'),
+        url: classroom(session.date)
+      });
+    });
+
+    (course.exceptions || []).filter(exception => exception.action === 'cancel').forEach(exception => {
+      if (payload.calendar === 'location' && id(course.location) !== payload.id) {
+        return;
+      }
+      const times = calendar.timesOn(course, moment.utc(exception.date, 'YYYY-MM-DD').format('dddd').toLowerCase());
+      events.push({
+        uid: `${course._id}-${exception.date}@${host}`,
+        date: exception.date,
+        timeStart: times.timeStart,
+        timeEnd: times.timeEnd,
+        summary: `Cancelled: ${course.name}`,
+        description: exception.note,
+        cancelled: true
+      });
+    });
+
+    if (payload.calendar === 'location') {
+      return;
+    }
+
+    (course.grades || []).filter(grade => grade.dueDate).forEach(grade => {
+      events.push({
+        uid: `${course._id}-due-${tokens.hash(grade.name).slice(0, 16)}@${host}`,
+        date: grade.dueDate,
+        summary: `${grade.name} due (${course.name})`
+      });
+    });
+
+    (course.holidays || []).forEach(date => {
+      events.push({
+        uid: `${course._id}-holiday-${date}@${host}`,
+        date: date,
+        summary: `No class: ${course.name}`
+      });
+    });
+
+    // Everyone's closed, so a closure shows up once however many courses it's in
+    (course.closures || []).forEach(closure => {
+      closures[`${closure.date}-${closure.name}`] = {
+        uid: `closure-${closure.date}-${tokens.hash(closure.name).slice(0, 16)}@${host}`,
+        date: closure.date,
+        summary: `Closed: ${closure.name}`
+      };
+    });
+  });
+  events = events.concat(_.values(closures));
+  return _.sortBy(events, 'date');
+}
@@ -1,6 +1,8 @@
 var stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 var CourseModel = require('../models/CourseModel');
 var UserModel = require('../models/UserModel');
+var OrganizationModel = require('../models/OrganizationModel');
+var audit = require('../lib/audit');
 
 /**
 * ChargeController.js
@@ -10,6 +12,12 @@ var UserModel = require('../models/UserModel');
 module.exports = {
 
   charge: function(req, res) {
+    // Anyone can pay for themselves, but paying for someone else takes staff
+    if (req.body.user_id != req.user._id && !req.user.can('payments:charge')) {
+      return res.json(403, {
+        message: 'You can only make payments for yourself.'
+      });
+    }
     UserModel.findOne({
       _id: req.body.user_id,
       client: req.user.client
@@ -25,20 +33,28 @@ module.exports = {
           message: 'No such user'
         });
       }
-      if (!user.customer_id) {
-        stripe.customers.create({
-          email: user.username
-        }, function(err, customer) {
-          if (err) { return res.json(500, { message: 'Error creating new customer.', error: err }); }
-          user.customer_id = customer.id;
-          user.save(function(err, user) {
-            if (err) { return res.json(500, { message: 'Error saving customer id.', error: err }); }
-            createCharge();
+      OrganizationModel.findOne({ _id: user.client }, function(err, organization) {
+        if (err) { return res.json(500, { message: 'Error getting organization.', error: err }); }
+        if (user.emailVerificationRequired(organization)) {
+          return res.json(403, {
+            message: 'Please verify your email address before making a payment.'
           });
-        });
-      } else {
-        createCharge();
-      }
+        }
+        if (!user.customer_id) {
+          stripe.customers.create({
+            email: user.username
+          }, function(err, customer) {
+            if (err) { return res.json(500, { message: 'Error creating new customer.', error: err }); }
+            user.customer_id = customer.id;
+            user.save(function(err, user) {
+              if (err) { return res.json(500, { message: 'Error saving customer id.', error: err }); }
+              createCharge();
+            });
+          });
+        } else {
+          createCharge();
+        }
+      });
 
       function createCharge() {
         stripe.customers.createSource(user.customer_id, {
@@ -83,6 +99,14 @@ module.exports = {
               }
             }, function(err, charge) {
               if (err) { return res.json(500, { message: 'Error making charge.', error: err }); }
+              audit.record(req, 'charge.create', {
+                target: user,
+                details: {
+                  charge: charge.id,
+                  amount: charge.amount,
+                  course: { id: course._id, name: course.name }
+                }
+              });
               return res.json(200, charge);
             });
           });
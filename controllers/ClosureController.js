@@ -0,0 +1,175 @@
+const _ = require('underscore');
+const mongoose = require('mongoose');
+const ClosureModel = require('../models/ClosureModel');
+const LocationModel = require('../models/LocationModel');
+const calendar = require('../lib/calendar');
+
+const ATTRIBUTES = ['name', 'start_date', 'end_date', 'location'];
+
+// An empty location means everywhere
+function attributes(body) {
+  const attrs = _.pick(body, ATTRIBUTES);
+  if (attrs.hasOwnProperty('location') && !attrs.location) {
+    attrs.location = undefined;
+  }
+  return attrs;
+}
+
+/**
+* ClosureController.js
+*
+* @description :: Server-side logic for managing the holiday calendar.
+*/
+module.exports = {
+
+  /**
+  * ClosureController.list()
+  *
+  * Every closure, soonest first
+  */
+  list: function (req, res) {
+    ClosureModel.find({
+      client: req.user.client
+    }, null, {
+      sort: 'start_date'
+    }).populate('location', 'name').exec((err, closures) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting closures.',
+          error: err
+        });
+      }
+      return res.json(closures);
+    });
+  },
+
+  /**
+  * ClosureController.create()
+  *
+  * Responds with the closure and the courses it changed, see update()
+  */
+  create: function (req, res) {
+    const closure = new ClosureModel(_.extend(attributes(req.body), {
+      client: req.user.client
+    }));
+    save(req, res, closure, []);
+  },
+
+  /**
+  * ClosureController.update()
+  *
+  * Responds with `{ closure, affected }`, where `affected` lists the courses
+  * whose class dates changed, and any of their assignments now due on a
+  * closure
+  */
+  update: function (req, res) {
+    find(req, res, closure => {
+      const before = _.pick(closure, 'start_date', 'end_date');
+      closure.set(attributes(req.body));
+      save(req, res, closure, [before]);
+    });
+  },
+
+  /**
+  * ClosureController.remove()
+  */
+  remove: function (req, res) {
+    find(req, res, closure => {
+      closure.remove(err => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error removing closure.',
+            error: err
+          });
+        }
+        refresh(req, res, closure, [], affected => {
+          return res.json({ closure: closure, affected: affected });
+        });
+      });
+    });
+  }
+};
+
+function find(req, res, cb) {
+  ClosureModel.findOne({
+    _id: req.params.id,
+    client: req.user.client
+  }, (err, closure) => {
+    if (err) {
+      return res.json(500, {
+        message: 'Error getting closure.',
+        error: err
+      });
+    }
+    if (!closure) {
+      return res.json(404, {
+        message: 'No such closure'
+      });
+    }
+    cb(closure);
+  });
+}
+
+/**
+* Save a closure once its location is known to be the organization's, then
+* bring the courses it could affect up to date
+* @param {Object[]} previously the dates it covered before, if it was moved
+*/
+function save(req, res, closure, previously) {
+  const location = closure.location;
+  if (location && !mongoose.Types.ObjectId.isValid(location)) {
+    return res.json(404, {
+      message: 'No such location'
+    });
+  }
+  const check = location ?
+    cb => LocationModel.count({ _id: location, client: req.user.client }, cb) :
+    cb => cb(null, 1);
+  check((err, found) => {
+    if (err) {
+      return res.json(500, {
+        message: 'Error getting location.',
+        error: err
+      });
+    }
+    if (!found) {
+      return res.json(404, {
+        message: 'No such location'
+      });
+    }
+    closure.save((err, closure) => {
+      if (err) {
+        return res.json(500, {
+          message: err.errors ? _.values(err.errors)[0].message : 'Error saving closure.',
+          error: err
+        });
+      }
+      refresh(req, res, closure, previously, affected => {
+        closure.populate('location', 'name', () => {
+          return res.json({ closure: closure, affected: affected });
+        });
+      });
+    });
+  });
+}
+
+function refresh(req, res, closure, previously, cb) {
+  const ranges = previously.concat(_.pick(closure, 'start_date', 'end_date'));
+  calendar.coursesDuring(req.user.client, ranges, (err, conditions) => {
+    if (err) {
+      return res.json(500, {
+        message: 'Error updating courses.',
+        error: err
+      });
+    }
+    calendar.refresh(req.user.client, conditions, (err, affected) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error updating courses.',
+          error: err
+        });
+      }
+      cb(affected);
+    });
+  });
+}
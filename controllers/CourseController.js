@@ -1,7 +1,136 @@
 var _ = require('underscore');
 var mongoose = require('mongoose');
 var CourseModel = require('../models/CourseModel.js');
+var TermModel = require('../models/TermModel.js');
+var LocationModel = require('../models/LocationModel.js');
+var TextbookModel = require('../models/TextbookModel.js');
 var UserModel = require('../models/UserModel.js');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
+var conflicts = require('../lib/conflicts');
+var rollover = require('../lib/rollover');
+
+var archiveActions = archive.actions(CourseModel, 'course', function(course, cb) {
+  cb(null, course.registrations.length ? 'Unregister this course\'s students first.' : null);
+});
+
+var historyActions = history.actions(CourseModel, 'course');
+
+/**
+* Saving a course that clashes with another is refused with a 409 listing the
+* conflicts, so whoever is editing it can see them and decide. Sending
+* `override_conflicts` saves it anyway.
+*/
+function checkConflicts(req, res, course, next) {
+  if (!conflicts.needsCheck(course)) {
+    return next();
+  }
+  conflicts.check(course, function(err, found) {
+    if(err) {
+      return res.json(500, {
+        message: 'Error checking for conflicts.',
+        error: err
+      });
+    }
+    var refusal = conflicts.refusal(found, req.user, !!req.body.override_conflicts);
+    if (refusal) {
+      return res.json(409, refusal);
+    }
+    next();
+  });
+}
+
+/**
+* Instructors and teaching assistants have to be users in the same
+* organization, since assigning someone lets them see the course's students
+* @param {Request} req
+* @param {Response} res
+* @param {CourseModel} course with its staff set
+* @param {Function} next called when they all check out
+*/
+function checkStaff(req, res, course, next) {
+  var ids = _.uniq(_.map((course.instructors || []).concat(course.teaching_assistants || []), String));
+  if (!ids.length) {
+    return next();
+  }
+  UserModel.count({
+    _id: { $in: ids },
+    client: req.user.client
+  }, function(err, count) {
+    if(err) {
+      return res.json(500, {
+        message: 'Error checking instructors.',
+        error: err
+      });
+    }
+    if (count < ids.length) {
+      return res.json(400, {
+        message: 'Instructors and teaching assistants have to be users in your organization.'
+      });
+    }
+    next();
+  });
+}
+
+/**
+* A course's term, location and textbook, and the locations single sessions
+* move to, have to be the organization's own, since they're populated into
+* the course wherever it's sent
+* @param {Request} req
+* @param {Response} res
+* @param {CourseModel} course with its references set
+* @param {Function} next called when they all check out
+*/
+function checkReferences(req, res, course, next) {
+  var references = [
+    { model: TermModel, ids: [course.term], message: 'No such term' },
+    { model: LocationModel, ids: [course.location].concat(_.pluck(course.exceptions || [], 'location')), message: 'No such location' },
+    { model: TextbookModel, ids: [course.textbook], message: 'No such textbook' }
+  ];
+  (function check(i) {
+    if (i === references.length) {
+      return next();
+    }
+    var reference = references[i];
+    var ids = _.uniq(_.map(_.compact(reference.ids), String));
+    if (!ids.length) {
+      return check(i + 1);
+    }
+    if (!_.every(ids, function(id) { return mongoose.Types.ObjectId.isValid(id); })) {
+      return res.json(400, {
+        message: reference.message
+      });
+    }
+    reference.model.count({
+      _id: { $in: ids },
+      client: req.user.client
+    }, function(err, count) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error checking the course.',
+          error: err
+        });
+      }
+      if (count < ids.length) {
+        return res.json(400, {
+          message: reference.message
+        });
+      }
+      check(i + 1);
+    });
+  })(0);
+}
+
+/**
+* Everything a course is checked for before it's saved
+*/
+function checkCourse(req, res, course, next) {
+  checkReferences(req, res, course, function() {
+    checkStaff(req, res, course, function() {
+      checkConflicts(req, res, course, next);
+    });
+  });
+}
 
 /**
 * CourseController.js
@@ -14,9 +143,13 @@ module.exports = {
   * CourseController.list()
   */
   list: function(req, res) {
-    CourseModel.find({
+    var query = CourseModel.find(_.extend({
       client: req.user.client
-    }).populate('term registrations location textbook').exec(function(err, courses){
+    }, CourseModel.visibleTo(req.user)));
+    if (req.query.archived) {
+      query.archived();
+    }
+    query.populate('term registrations location textbook exceptions.location').exec(function(err, courses){
       if(err) {
         return res.json(500, {
           message: 'Error getting course.',
@@ -24,8 +157,9 @@ module.exports = {
         });
       }
       var sorted = courses.sort(function(x, y) {
-        var XstartDate = x.term.start_date;
-        var YstartDate = y.term.start_date;;
+        // Courses whose term was deleted before archiving existed have none
+        var XstartDate = x.term ? x.term.start_date : null;
+        var YstartDate = y.term ? y.term.start_date : null;
         if (XstartDate === YstartDate) {
           if (x.name === y.name) {
             return 0;
@@ -44,10 +178,10 @@ module.exports = {
   */
   show: function(req, res) {
     var id = req.params.id;
-    CourseModel.findOne({
+    CourseModel.findOne(_.extend({
       _id: id,
       client: req.user.client
-    }).populate('term registrations location textbook').exec(function(err, course){
+    }, CourseModel.visibleTo(req.user))).populate('term registrations location textbook exceptions.location').exec(function(err, course){
       if(err) {
         return res.json(500, {
           message: 'Error getting course.',
@@ -67,31 +201,33 @@ module.exports = {
   * CourseController.create()
   */
   create: function(req, res) {
-    UserModel.findOne({
-      _id: req.user.id
-    }).populate('client').exec(function(err, currentUser) {
-      var course = new CourseModel({
-        name : req.body.name,
-        term : req.body.term,
-        days : req.body.days,
-        seats : req.body.seats,
-        textbook: req.body.textbook,
-        videos: req.body.videos,
-        cost: req.body.cost,
-        location : req.body.location,
-        timeStart : req.body.timeStart,
-        timeEnd: req.body.timeEnd,
-        client: currentUser.client
-      });
+    var course = new CourseModel({
+      name : req.body.name,
+      term : req.body.term,
+      days : req.body.days,
+      seats : req.body.seats,
+      textbook: req.body.textbook,
+      videos: req.body.videos,
+      cost: req.body.cost,
+      instructors: req.body.instructors,
+      teaching_assistants: req.body.teaching_assistants,
+      location : req.body.location,
+      room: req.body.room,
+      timeStart : req.body.timeStart,
+      timeEnd: req.body.timeEnd,
+      meeting_times: req.body.meeting_times,
+      client: req.user.client
+    });
 
-      course.save(function(err, course) {
+    checkCourse(req, res, course, function() {
+      course.changedBy(req.user).save(function(err, course) {
         if(err) {
           return res.json(500, {
             message: 'Error saving course',
             error: err
           });
         }
-        course.populate('location term textbook').populate(function(err, course) {
+        course.populate('location term textbook exceptions.location').populate(function(err, course) {
           return res.json(200, course);
         });
       });
@@ -103,10 +239,10 @@ module.exports = {
   */
   update: function(req, res) {
     var id = req.params.id;
-    CourseModel.findOne({
+    CourseModel.findOne(_.extend({
       _id: id,
       client: req.user.client
-    }, function(err, course){
+    }, CourseModel.visibleTo(req.user)), function(err, course){
       if(err) {
         return res.json(500, {
           message: 'Error saving course',
@@ -122,27 +258,34 @@ module.exports = {
       var adminAttributes = [
         'name',
         'session',
-        'client',
         'days',
         'seats',
         'holidays',
+        'makeup_dates',
+        'exceptions',
         'grades',
         'textbook',
         'videos',
         'cost',
         'term',
         'location',
+        'room',
         'timeStart',
-        'timeEnd'
+        'timeEnd',
+        'meeting_times',
+        'instructors',
+        'teaching_assistants'
       ];
 
       var instructorAttributes = [
         'videos',
         'grades',
-        'holidays'
+        'holidays',
+        'makeup_dates',
+        'exceptions'
       ];
 
-      if (req.user.is_admin) {
+      if (req.user.can('courses:write')) {
         _.each(adminAttributes, function(attr) {
           course[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : course[attr];
         });
@@ -152,53 +295,182 @@ module.exports = {
         });
       }
 
-      course.save(function(err, course){
+      checkCourse(req, res, course, function() {
+        course.changedBy(req.user).save(function(err, course){
+          if(err) {
+            return res.json(500, {
+              message: 'Error getting course.',
+              error: err
+            });
+          }
+          if(!course) {
+            return res.json(404, {
+              message: 'No such course'
+            });
+          }
+          course.populate('registrations location term textbook exceptions.location').populate(function(err, course) {
+            return res.json(course);
+          });
+        });
+      });
+    });
+  },
+
+  /**
+  * CourseController.clone()
+  *
+  * Copy a course into `term`, its own by default, optionally as `name`. With
+  * `preview` set, nothing is saved and the response says what the copy would
+  * look like.
+  */
+  clone: function(req, res) {
+    CourseModel.findOne({
+      _id: req.params.id,
+      client: req.user.client
+    }).populate('term').exec(function(err, course) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error getting course.',
+          error: err
+        });
+      }
+      if(!course) {
+        return res.json(404, {
+          message: 'No such course'
+        });
+      }
+      var termId = req.body.term || (course.term && course.term._id);
+      if (!mongoose.Types.ObjectId.isValid(termId)) {
+        return res.json(400, {
+          message: 'Which term should the copy be in?'
+        });
+      }
+      TermModel.findOne({
+        _id: termId,
+        client: req.user.client
+      }, function(err, term) {
         if(err) {
           return res.json(500, {
-            message: 'Error getting course.',
+            message: 'Error getting term.',
             error: err
           });
         }
-        if(!course) {
+        if(!term) {
           return res.json(404, {
-            message: 'No such course'
+            message: 'No such term'
           });
         }
-        course.populate('registrations location term textbook').populate(function(err, course) {
-          return res.json(course);
+        rollover.preview([course], term, { name: req.body.name }, function(err, entries) {
+          if(err) {
+            return res.json(500, {
+              message: 'Error copying course.',
+              error: err
+            });
+          }
+          var entry = entries[0];
+          if (req.body.preview) {
+            return res.json(entry);
+          }
+          if (entry.action !== 'create') {
+            return res.json(400, {
+              message: entry.reason
+            });
+          }
+          var refusal = conflicts.refusal(entry.conflicts, req.user, !!req.body.override_conflicts);
+          if (refusal) {
+            return res.json(409, refusal);
+          }
+          rollover.commit(entries, req.user, function(err, entries) {
+            if(err) {
+              return res.json(500, {
+                message: 'Error copying course.',
+                error: err
+              });
+            }
+            if (entries[0].result !== 'created') {
+              return res.json(500, {
+                message: 'Error saving course',
+                error: entries[0].reason
+              });
+            }
+            CourseModel.findOne({
+              _id: entries[0].course._id,
+              client: req.user.client
+            }).populate('location term textbook').exec(function(err, copy) {
+              if(err) {
+                return res.json(500, {
+                  message: 'Error getting course.',
+                  error: err
+                });
+              }
+              return res.json(200, copy);
+            });
+          });
         });
       });
     });
   },
 
   /**
-  * CourseController.remove()
+  * CourseController.conflicts()
+  *
+  * Every clash involving the courses in `?term=`
   */
-  remove: function(req, res) {
-    var id = req.params.id;
-    CourseModel.findOne({
-      client: req.user.client,
-      _id: id
-    }, function(err, course) {
+  conflicts: function(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.term)) {
+      return res.json(400, {
+        message: 'Which term?'
+      });
+    }
+    TermModel.findOne({
+      _id: req.query.term,
+      client: req.user.client
+    }, function(err, term) {
       if(err) {
         return res.json(500, {
-          message: 'Error getting course.',
+          message: 'Error getting term.',
           error: err
         });
       }
-      if (!course) {
+      if(!term) {
         return res.json(404, {
-          message: 'No such course'
+          message: 'No such term'
         });
       }
-      if (course.registrations.length > 0) {
-        return res.json(500, {
-          message: "Can't delete a course with registrations"
-        });
-      }
-      return course.remove().exec(() => {
-        return res.json(course);
+      conflicts.report(term, function(err, courses) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error checking for conflicts.',
+            error: err
+          });
+        }
+        return res.json(courses);
       });
     });
-  }
+  },
+
+  /**
+  * CourseController.remove()
+  */
+  remove: archiveActions.archive,
+
+  /**
+  * CourseController.restore()
+  */
+  restore: archiveActions.restore,
+
+  /**
+  * CourseController.purge()
+  */
+  purge: archiveActions.purge,
+
+  /**
+  * CourseController.history()
+  */
+  history: historyActions.history,
+
+  /**
+  * CourseController.revert()
+  */
+  revert: historyActions.revert
 }
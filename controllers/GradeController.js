@@ -1,4 +1,7 @@
+const _ = require('underscore');
 const UserModel = require('../models/UserModel');
+const CourseModel = require('../models/CourseModel');
+const audit = require('../lib/audit');
 
 /**
 * GradeController.js
@@ -11,45 +14,88 @@ module.exports = {
   * GradeController.create()
   */
   create: function (req, res) {
-    UserModel.findOne({
-      _id: req.body.userId,
+    // Students can submit their own work; grading it takes `grades:write`
+    const own = req.body.userId == req.user._id;
+    const grader = !own && req.user.can('grades:write');
+    if (!own && !grader) {
+      return res.json(403, {
+        message: 'You can only submit your own work.'
+      });
+    }
+    if (own) {
+      return saveGrade();
+    }
+    // Graders only grade students in the courses they can see
+    CourseModel.findOne(_.extend({
+      _id: req.body.courseId,
+      registrations: req.body.userId,
       client: req.user.client
-    }, (err, user) => {
+    }, CourseModel.visibleTo(req.user)), (err, course) => {
       if (err) {
         return res.json(500, {
-          message: 'Error finding user.',
+          message: 'Error finding course.',
           error: err
         });
       }
-      if (!user) {
-        return res.json(500, {
-          message: 'User not found.',
-          error: err
+      if (!course) {
+        return res.json(404, {
+          message: 'Course not found.'
         });
       }
-      let gradeIdx;
-      const grade = user.grades.find((grade, idx) => {
-        gradeIdx = idx;
-        return grade.courseId === req.body.courseId && grade.name === req.body.name;
-      });
-      if (!grade) {
-        gradeIdx = user.grades.length;
-      }
-      user.grades.set(gradeIdx, {
-        score: (req.user.is_instructor || req.user.is_admin) && req.body.hasOwnProperty('score') ? req.body.score : (user.grades[gradeIdx] ? user.grades[gradeIdx].score : ''),
-        name: req.body.name,
-        courseId: req.body.courseId,
-        url: req.body.hasOwnProperty('url') ? req.body.url : (user.grades[gradeIdx] ? user.grades[gradeIdx].url : '')
-      });
-      user.save(err => {
+      saveGrade();
+    });
+
+    function saveGrade() {
+      UserModel.findOne({
+        _id: req.body.userId,
+        client: req.user.client
+      }, (err, user) => {
         if (err) {
           return res.json(500, {
-            message: 'Error saving grade',
+            message: 'Error finding user.',
+            error: err
+          });
+        }
+        if (!user) {
+          return res.json(500, {
+            message: 'User not found.',
             error: err
           });
         }
-        return res.json(user.grades[gradeIdx]);
+        let gradeIdx;
+        const grade = user.grades.find((grade, idx) => {
+          gradeIdx = idx;
+          return grade.courseId === req.body.courseId && grade.name === req.body.name;
+        });
+        if (!grade) {
+          gradeIdx = user.grades.length;
+        }
+        const before = grade ? _.pick(grade, 'score', 'url') : {};
+        user.grades.set(gradeIdx, {
+          score: grader && req.body.hasOwnProperty('score') ? req.body.score : (user.grades[gradeIdx] ? user.grades[gradeIdx].score : ''),
+          name: req.body.name,
+          courseId: req.body.courseId,
+          url: req.body.hasOwnProperty('url') ? req.body.url : (user.grades[gradeIdx] ? user.grades[gradeIdx].url : '')
+        });
+        user.changedBy(req.user).save(err => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error saving grade',
+              error: err
+            });
+          }
+          audit.record(req, 'grade.change', {
+            target: user,
+            details: {
+              course: req.body.courseId,
+              name: req.body.name,
+              before: before,
+              after: _.pick(user.grades[gradeIdx], 'score', 'url')
+            }
+          });
+          return res.json(user.grades[gradeIdx]);
+        });
       });
-    });
+    }
   }
 };
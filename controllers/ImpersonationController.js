@@ -0,0 +1,162 @@
+const ImpersonationModel = require('../models/ImpersonationModel');
+const UserModel = require('../models/UserModel');
+
+/**
+* ImpersonationController.js
+*
+* @description :: Server-side logic for letting admins view the app as another user.
+*/
+module.exports = {
+
+  /**
+  * ImpersonationController.list()
+  */
+  list: function (req, res) {
+    ImpersonationModel.find({
+      client: req.user.client
+    }, null, {
+      sort: '-started_at',
+      limit: 100
+    }).populate('actor target', 'first_name last_name username').exec((err, impersonations) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting impersonations.',
+          error: err
+        });
+      }
+      return res.json(impersonations);
+    });
+  },
+
+  /**
+  * ImpersonationController.create()
+  */
+  create: function (req, res) {
+    if (req.apiToken) {
+      return res.json(403, {
+        message: 'API tokens can\'t be used to view as another user.'
+      });
+    }
+    if (req.session.impersonation) {
+      return res.json(400, {
+        message: 'Exit the current user before viewing as someone else.'
+      });
+    }
+    UserModel.findOne({
+      _id: req.params.id,
+      client: req.user.client
+    }, (err, target) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting user.',
+          error: err
+        });
+      }
+      if (!target) {
+        return res.json(404, {
+          message: 'No such user'
+        });
+      }
+      if (target._id.equals(req.user._id)) {
+        return res.json(400, {
+          message: 'You can\'t view as yourself.'
+        });
+      }
+      target.loadPermissions(err => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting user roles.',
+            error: err
+          });
+        }
+        // Admins can only look through the eyes of people with fewer rights
+        if (target.is_client || !target.permissions.every(permission => req.user.can(permission))) {
+          return res.json(403, {
+            message: 'You don\'t have permission to view as this user.'
+          });
+        }
+        start(target);
+      });
+    });
+
+    function start(target) {
+      const actor = req.user;
+      const impersonation = new ImpersonationModel({
+        actor: actor._id,
+        target: target._id,
+        client: req.user.client,
+        ip: req.ip
+      });
+      impersonation.save((err, impersonation) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error saving impersonation.',
+            error: err
+          });
+        }
+        req.login(target, err => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error starting impersonation.',
+              error: err
+            });
+          }
+          req.session.impersonation = {
+            _id: impersonation._id,
+            actor: actor._id,
+            name: actor.first_name + ' ' + actor.last_name
+          };
+          return res.json(impersonation);
+        });
+      });
+    }
+  },
+
+  /**
+  * ImpersonationController.remove()
+  */
+  remove: function (req, res) {
+    const session = req.session.impersonation;
+    if (!session) {
+      return res.json(400, {
+        message: 'You aren\'t viewing as another user.'
+      });
+    }
+    UserModel.findOne({
+      _id: session.actor,
+      client: req.user.client
+    }, (err, actor) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting user.',
+          error: err
+        });
+      }
+      ImpersonationModel.end(session._id, (err, impersonation) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error ending impersonation.',
+            error: err
+          });
+        }
+        delete req.session.impersonation;
+        // The admin may have been removed in the meantime
+        if (!actor) {
+          req.logout();
+          return res.json(401, {
+            message: 'Your account no longer exists.'
+          });
+        }
+        req.login(actor, err => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error ending impersonation.',
+              error: err
+            });
+          }
+          return res.json(impersonation || {});
+        });
+      });
+    });
+  }
+};
@@ -1,6 +1,8 @@
 var _ = require('underscore');
 var UserModel = require('../models/UserModel');
 var CourseModel = require('../models/CourseModel.js');
+var UserImportModel = require('../models/UserImportModel');
+var userImport = require('../lib/userImport');
 
 /**
 * ImportController.js
@@ -9,11 +11,123 @@ var CourseModel = require('../models/CourseModel.js');
 */
 module.exports = {
 
+  /**
+  * Read an uploaded CSV or XLSX file of users and preview importing it.
+  * Nothing is saved but the preview itself.
+  */
+  previewUsers: function(req, res) {
+    if (!req.file) {
+      return res.json(400, {
+        message: 'Choose a CSV or XLSX file to import.'
+      });
+    }
+    var sheet;
+    try {
+      sheet = userImport.read(req.file.buffer);
+    } catch (err) {
+      return res.json(400, {
+        message: err.message || 'Could not read that file.'
+      });
+    }
+    var newImport = new UserImportModel({
+      client: req.user.client,
+      created_by: req.user._id,
+      filename: req.file.originalname,
+      columns: sheet.columns,
+      mapping: userImport.guessMapping(sheet.columns),
+      rows: sheet.rows
+    });
+    preview(req, res, newImport);
+  },
+
+  /**
+  * Preview an import again, e.g. after changing which field a column maps to
+  */
+  remapUsers: function(req, res) {
+    findImport(req, res, function(found) {
+      if (req.body.mapping) {
+        // Only the file's own columns can be mapped, and only to known fields
+        found.mapping = _.pick(_.pick(req.body.mapping, found.columns), function(field) {
+          return _.contains(userImport.FIELDS, field);
+        });
+      }
+      preview(req, res, found);
+    });
+  },
+
+  /**
+  * Create and update the users an import previewed, optionally registering
+  * all of them in a course
+  */
+  commitUsers: function(req, res) {
+    findImport(req, res, function(found) {
+      if (!req.body.course) {
+        return commit(null);
+      }
+      CourseModel.findOne({
+        _id: req.body.course,
+        client: req.user.client
+      }, function(err, course) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error finding course',
+            error: err
+          });
+        }
+        if(!course) {
+          return res.json(404, {
+            message: 'No such course'
+          });
+        }
+        commit(course);
+      });
+
+      function commit(course) {
+        userImport.commit(found, course, function(err, committed) {
+          if(err) {
+            return res.json(500, {
+              message: 'Error importing users.',
+              error: err
+            });
+          }
+          return res.json(committed);
+        });
+      }
+    });
+  },
+
+  /**
+  * Download every row of an import with what happened to it as CSV
+  */
+  userReport: function(req, res) {
+    UserImportModel.findOne({
+      _id: req.params.id,
+      client: req.user.client
+    }, function(err, found) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error finding import',
+          error: err
+        });
+      }
+      if(!found) {
+        return res.json(404, {
+          message: 'No such import'
+        });
+      }
+      res.type('text/csv');
+      res.attachment('import-' + found._id + '.csv');
+      return res.send(200, userImport.report(found));
+    });
+  },
 
   registrations: function(req, res) {
     var idx = 0;
     function registerUser(reqUser) {
-      UserModel.findOne({ username: reqUser['username'].toLowerCase() }, function(err, user) {
+      UserModel.findOne({
+        username: reqUser['username'].toLowerCase(),
+        client: req.user.client
+      }, function(err, user) {
         if(err) {
           return res.json(500, {
             message: 'Error finding user',
@@ -21,7 +135,10 @@ module.exports = {
           });
         }
         if (user) {
-          CourseModel.findOne({'_id': reqUser['course_id']}, function(err, course) {
+          CourseModel.findOne({
+            _id: reqUser['course_id'],
+            client: req.user.client
+          }, function(err, course) {
             if(err) {
               return res.json(500, {
                 message: 'Error finding course',
@@ -29,9 +146,9 @@ module.exports = {
               });
             }
 
-            if(!_.contains(course.registrations, user._id)) {
+            if(course && !_.contains(course.registrations, user._id)) {
               course.registrations.push(user._id);
-              course.save();
+              course.changedBy(req.user).save();
             }
 
             if (req.body[++idx]) {
@@ -56,3 +173,53 @@ module.exports = {
     }
   }
 };
+
+// Imports that were already committed can't be previewed or committed again
+function findImport(req, res, cb) {
+  UserImportModel.findOne({
+    _id: req.params.id,
+    client: req.user.client
+  }, function(err, found) {
+    if(err) {
+      return res.json(500, {
+        message: 'Error finding import',
+        error: err
+      });
+    }
+    if(!found) {
+      return res.json(404, {
+        message: 'No such import'
+      });
+    }
+    if(found.status === 'committed') {
+      return res.json(400, {
+        message: 'This import was already committed. Upload the file again to import it again.'
+      });
+    }
+    cb(found);
+  });
+}
+
+// Save an import with a fresh preview of its rows and respond with it
+function preview(req, res, found) {
+  userImport.preview(req.user.client, found.rows, found.mapping, function(err, rows) {
+    if(err) {
+      return res.json(500, {
+        message: 'Error previewing import.',
+        error: err
+      });
+    }
+    found.rows = rows;
+    found.counts = userImport.count(rows);
+    found.markModified('mapping');
+    found.save(function(err, saved) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error saving import.',
+          error: err
+        });
+      }
+      return res.json(saved);
+    });
+  });
+}
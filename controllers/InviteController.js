@@ -0,0 +1,137 @@
+const InviteModel = require('../models/InviteModel');
+const UserModel = require('../models/UserModel');
+const CourseModel = require('../models/CourseModel');
+const transport = require('../lib/mailer');
+const permissions = require('../lib/permissions');
+
+/**
+* InviteController.js
+*
+* @description :: Server-side logic for inviting new users.
+*/
+module.exports = {
+
+  /**
+  * InviteController.list()
+  */
+  list: function (req, res) {
+    InviteModel.find({
+      client: req.user.client,
+      accepted_at: null,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    }, null, {
+      sort: '-createdAt'
+    }).populate('course').exec((err, invites) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting invitations.',
+          error: err
+        });
+      }
+      return res.json(invites);
+    });
+  },
+
+  /**
+  * InviteController.create()
+  */
+  create: function (req, res) {
+    const email = String(req.body.email || '').toLowerCase();
+    if (req.body.role && req.body.role !== 'student' &&
+      (!req.user.can('users:roles') || !permissions.canGrant(req.user, req.body.role))) {
+      return res.json(403, {
+        message: req.user.can('users:roles') ? `You can't invite ${req.body.role}s.` : 'You can only invite students.'
+      });
+    }
+    UserModel.findOne({ username: email }).anyTenant().exec((err, user) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting user.',
+          error: err
+        });
+      }
+      if (user) {
+        return res.json(500, {
+          message: 'The email address has already been used'
+        });
+      }
+      CourseModel.findOne({
+        _id: req.body.course || null,
+        client: req.user.client
+      }).populate('term').exec((err, course) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting course.',
+            error: err
+          });
+        }
+        if (req.body.course && !course) {
+          return res.json(404, {
+            message: 'No such course'
+          });
+        }
+        const invite = new InviteModel({
+          email: email,
+          role: req.body.role,
+          course: course ? course._id : undefined,
+          client: req.user.client,
+          invited_by: req.user._id
+        });
+        invite.save((err, invite) => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error saving invitation.',
+              error: err
+            });
+          }
+          const link = process.env.DOMAIN + '/register/' + invite.token();
+          transport.sendMail({
+            from: 'info@austincodingacademy.com',
+            to: invite.email,
+            subject: 'You\'re invited to ACA Campus Manager',
+            html: '<p>' + req.user.first_name + ' ' + req.user.last_name + ' has invited you to join ACA Campus Manager as ' +
+              (invite.role === 'admin' || invite.role === 'instructor' ? 'an ' : 'a ') + invite.role +
+              (course ? ' in ' + course.name + ' (' + course.term.name + ')' : '') + '.</p>' +
+              '<p>Visit ' + link + ' to create your account. This link expires in one week and can only be used once.</p>'
+          }, err => {
+            if (err) {
+              return res.json(500, {
+                message: 'Error sending email. Please contact support.',
+                error: err
+              });
+            }
+            invite.course = course;
+            return res.json(invite);
+          });
+        });
+      });
+    });
+  },
+
+  /**
+  * InviteController.remove()
+  */
+  remove: function (req, res) {
+    InviteModel.findOneAndUpdate({
+      _id: req.params.id,
+      client: req.user.client,
+      accepted_at: null
+    }, {
+      revoked_at: new Date()
+    }, { new: true }, (err, invite) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error cancelling invitation.',
+          error: err
+        });
+      }
+      if (!invite) {
+        return res.json(404, {
+          message: 'No such invitation'
+        });
+      }
+      return res.json(invite);
+    });
+  }
+};
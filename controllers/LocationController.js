@@ -1,4 +1,16 @@
 var LocationModel = require('../models/LocationModel.js');
+var CourseModel = require('../models/CourseModel.js');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
+
+var archiveActions = archive.actions(LocationModel, 'location', function(location, cb) {
+  // Archived courses count too, so they still have a location if restored
+  CourseModel.count({ client: location.client, location: location._id }, function(err, count) {
+    cb(err, count ? count + ' courses still use this location.' : null);
+  });
+});
+
+var historyActions = history.actions(LocationModel, 'location');
 
 /**
 * LocationController.js
@@ -11,7 +23,11 @@ module.exports = {
   * LocationController.list()
   */
   list: function (req, res) {
-    LocationModel.find({client: req.user.client}, function (err, locations) {
+    var query = LocationModel.find({client: req.user.client});
+    if (req.query.archived) {
+      query.archived();
+    }
+    query.exec(function (err, locations) {
       if (err) {
         return res.json(500, {
           message: 'Error getting location.'
@@ -50,7 +66,7 @@ module.exports = {
       note: req.body.note
     });
 
-    location.save(function (err, location) {
+    location.changedBy(req.user).save(function (err, location) {
       if (err) {
         return res.json(500, {
           message: 'Error saving location',
@@ -66,7 +82,7 @@ module.exports = {
   */
   update: function (req, res) {
     var id = req.params.id;
-    LocationModel.findOne({_id: id}, function (err, location) {
+    LocationModel.findOne({_id: id, client: req.user.client}, function (err, location) {
       if (err) {
         return res.json(500, {
           message: 'Error saving location',
@@ -94,7 +110,7 @@ module.exports = {
         location[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : location[attr];
       });
 
-      location.save(function (err, location) {
+      location.changedBy(req.user).save(function (err, location) {
         if (err) {
           return res.json(500, {
             message: 'Error getting location.'
@@ -113,19 +129,25 @@ module.exports = {
   /**
   * LocationController.remove()
   */
-  remove: function (req, res) {
-    var id = req.params.id;
-    LocationModel.remove({
-      _id: id,
-      client: req.user.client
-    }, function(err, location){
-      if(err) {
-        return res.json(500, {
-          message: 'Error deleting location.',
-          error: err
-        });
-      }
-      return res.json(location);
-    });
-  }
+  remove: archiveActions.archive,
+
+  /**
+  * LocationController.restore()
+  */
+  restore: archiveActions.restore,
+
+  /**
+  * LocationController.purge()
+  */
+  purge: archiveActions.purge,
+
+  /**
+  * LocationController.history()
+  */
+  history: historyActions.history,
+
+  /**
+  * LocationController.revert()
+  */
+  revert: historyActions.revert
 };
@@ -0,0 +1,226 @@
+const _ = require('underscore');
+const OrganizationModel = require('../models/OrganizationModel');
+const UserModel = require('../models/UserModel');
+const UserSessionModel = require('../models/UserSessionModel');
+const audit = require('../lib/audit');
+
+const OWNER_FIELDS = 'first_name last_name username';
+
+/**
+* OrganizationController.js
+*
+* @description :: Server-side logic for managing the current user's organization and its owners.
+*/
+module.exports = {
+
+  /**
+  * OrganizationController.show()
+  */
+  show: function (req, res) {
+    OrganizationModel.findOne({
+      _id: req.user.client
+    }).populate('owners', OWNER_FIELDS).exec((err, organization) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting organization.',
+          error: err
+        });
+      }
+      if (!organization) {
+        return res.json(404, {
+          message: 'No such organization'
+        });
+      }
+      return res.json(organization);
+    });
+  },
+
+  /**
+  * OrganizationController.update()
+  */
+  update: function (req, res) {
+    OrganizationModel.findOne({
+      _id: req.user.client
+    }, (err, organization) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting organization.',
+          error: err
+        });
+      }
+      if (!organization) {
+        return res.json(404, {
+          message: 'No such organization'
+        });
+      }
+
+      const attributes = [
+        'name',
+        'timezone',
+        'currency',
+        'contact_email',
+        'phone',
+        'website'
+      ];
+
+      _.each(attributes, attr => {
+        organization[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : organization[attr];
+      });
+
+      // Nested settings can be sent one at a time
+      _.each(['branding', 'settings', 'idn_format'], group => {
+        _.each(req.body[group], (value, key) => {
+          if (organization.schema.path(`${group}.${key}`)) {
+            organization.set(`${group}.${key}`, value);
+          }
+        });
+      });
+
+      organization.save((err, organization) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error saving organization.',
+            error: err
+          });
+        }
+        organization.populate('owners', OWNER_FIELDS, (err, organization) => {
+          return res.json(organization);
+        });
+      });
+    });
+  },
+
+  /**
+  * OrganizationController.addOwner()
+  */
+  addOwner: function (req, res) {
+    findAsOwner(req, res, organization => {
+      UserModel.findOne({
+        _id: req.body.user,
+        client: organization._id
+      }, (err, user) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting user.',
+            error: err
+          });
+        }
+        if (!user) {
+          return res.json(404, {
+            message: 'No such user'
+          });
+        }
+        OrganizationModel.findOneAndUpdate({
+          _id: organization._id
+        }, {
+          $addToSet: { owners: user._id }
+        }, { new: true }, (err, organization) => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error saving organization.',
+              error: err
+            });
+          }
+          user.is_client = true;
+          user.changedBy(req.user).save(err => {
+            if (err) {
+              return res.json(500, {
+                message: 'Error saving user.',
+                error: err
+              });
+            }
+            audit.record(req, 'owner.add', { target: user });
+            organization.populate('owners', OWNER_FIELDS, (err, organization) => {
+              return res.json(organization);
+            });
+          });
+        });
+      });
+    });
+  },
+
+  /**
+  * OrganizationController.removeOwner()
+  */
+  removeOwner: function (req, res) {
+    findAsOwner(req, res, organization => {
+      if (!organization.isOwner(req.params.id)) {
+        return res.json(404, {
+          message: 'No such owner'
+        });
+      }
+      // Only pull the owner while someone else is left, so two owners
+      // removing each other at once can't leave the organization without one
+      OrganizationModel.findOneAndUpdate({
+        _id: organization._id,
+        owners: req.params.id,
+        'owners.1': { $exists: true }
+      }, {
+        $pull: { owners: req.params.id }
+      }, { new: true }, (err, updated) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error saving organization.',
+            error: err
+          });
+        }
+        if (!updated) {
+          return res.json(400, {
+            message: 'An organization needs at least one owner. Add another owner first.'
+          });
+        }
+        UserModel.findOneAndUpdate({
+          _id: req.params.id,
+          client: organization._id
+        }, {
+          is_client: false
+        }, (err, user) => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error saving user.',
+              error: err
+            });
+          }
+          if (user) {
+            audit.record(req, 'owner.remove', { target: user });
+          }
+          // A former owner shouldn't keep their rights in an open session
+          UserSessionModel.revoke(req.sessionStore, {
+            user: req.params.id,
+            sid: { $ne: req.sessionID }
+          }, err => {
+            if (err) console.log(err);
+            updated.populate('owners', OWNER_FIELDS, (err, updated) => {
+              return res.json(updated);
+            });
+          });
+        });
+      });
+    });
+  }
+};
+
+// Only owners can hand out or give up ownership
+function findAsOwner(req, res, cb) {
+  OrganizationModel.findOne({
+    _id: req.user.client
+  }, (err, organization) => {
+    if (err) {
+      return res.json(500, {
+        message: 'Error getting organization.',
+        error: err
+      });
+    }
+    if (!organization) {
+      return res.json(404, {
+        message: 'No such organization'
+      });
+    }
+    if (!organization.isOwner(req.user)) {
+      return res.json(403, {
+        message: 'Only owners can change who owns the organization.'
+      });
+    }
+    return cb(organization);
+  });
+}
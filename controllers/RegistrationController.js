@@ -1,4 +1,6 @@
 const CourseModel = require('../models/CourseModel');
+const UserModel = require('../models/UserModel');
+const audit = require('../lib/audit');
 
 /**
 * RegistrationController.js
@@ -11,35 +13,71 @@ module.exports = {
   * RegistrationController.create()
   */
   create: function (req, res) {
-    CourseModel.findOne({
-      _id: req.body.courseId,
+    if (req.body.userId != req.user._id && !req.user.can('registrations:write')) {
+      return res.json(403, {
+        message: 'You can only register yourself.'
+      });
+    }
+    UserModel.findOne({
+      _id: req.body.userId,
       client: req.user.client
-    }, (err, course) => {
+    }).populate('client').exec((err, user) => {
       if (err) {
         return res.json(500, {
-          message: 'Error finding course.',
+          message: 'Error finding user.',
           error: err
         });
       }
-      if (!course) {
+      if (!user) {
         return res.json(500, {
-          message: 'Course not found.',
+          message: 'User not found.',
           error: err
         });
       }
-      const idx = course.registrations.indexOf(req.body.userId);
-      if (idx === -1) {
-        course.registrations.set(course.registrations.length, req.body.userId);
+      if (user.emailVerificationRequired(user.client)) {
+        return res.json(403, {
+          message: 'Please verify your email address before registering for a course.'
+        });
       }
-      course.save(err => {
+      CourseModel.findOne({
+        _id: req.body.courseId,
+        client: req.user.client
+      }, (err, course) => {
         if (err) {
           return res.json(500, {
-            message: 'Error saving registration',
+            message: 'Error finding course.',
             error: err
           });
         }
-        return res.json(req.body.userId);
-      })
+        if (!course) {
+          return res.json(500, {
+            message: 'Course not found.',
+            error: err
+          });
+        }
+        if (!course.hasSeatFor(user._id)) {
+          return res.json(400, {
+            message: 'This course is full.'
+          });
+        }
+        const idx = course.registrations.indexOf(req.body.userId);
+        if (idx === -1) {
+          course.registrations.set(course.registrations.length, req.body.userId);
+        }
+        course.changedBy(req.user).save(err => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error saving registration',
+              error: err
+            });
+          }
+          audit.record(req, 'registration.add', {
+            target: user,
+            details: { course: { id: course._id, name: course.name } }
+          });
+          return res.json(req.body.userId);
+        })
+      });
     });
   },
 
@@ -67,13 +105,25 @@ module.exports = {
       if (idx > -1) {
         course.registrations.remove(req.body.userId);
       }
-      course.save(err => {
+      course.changedBy(req.user).save(err => {
         if (err) {
           return res.json(500, {
             message: 'Error saving registration',
             error: err
           });
         }
+        // Archived users can still be taken out of their courses
+        UserModel.findOne({
+          _id: req.body.userId,
+          client: req.user.client
+        }, 'first_name last_name').withArchived().exec((err, user) => {
+          if (user) {
+            audit.record(req, 'registration.remove', {
+              target: user,
+              details: { course: { id: course._id, name: course.name } }
+            });
+          }
+        });
         return res.json(req.body.userId);
       })
     });
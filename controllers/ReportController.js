@@ -7,11 +7,15 @@ var UserModel = require('../models/UserModel');
 var CourseModel = require('../models/CourseModel');
 var TermModel = require('../models/TermModel');
 var LocationModel = require('../models/LocationModel');
-var moment = require('moment');
-require('moment-range');
 var AWS = require('aws-sdk');
 var atob = require('atob');
 var tableify = require('tableify');
+var audit = require('../lib/audit');
+var calendar = require('../lib/calendar');
+
+// Other organizations' snapshots sit next to this one's, so reports can't
+// open any database but their own
+var ATTACH = /\b(ATTACH|DETACH)\b/i;
 
 /**
 * ReportController.js
@@ -20,10 +24,17 @@ var tableify = require('tableify');
 */
 module.exports = {
   index: function(req, res) {
-    var timestamp = req.query.timestamp || new Date().getTime();
-    var tmpDir = 'tmp/';
+    if (req.params.query && ATTACH.test(atob(req.params.query))) {
+      return res.json(400, {
+        message: 'Reports can\'t attach or detach databases.'
+      });
+    }
+    var timestamp = parseInt(req.query.timestamp, 10) || new Date().getTime();
+    // Snapshots only ever hold one organization's data, and live in its own
+    // folder so one school can't open another's by guessing the timestamp
+    var scope = { client: req.user.client };
+    var tmpDir = 'tmp/' + req.user.client + '/';
     fs.mkdirsSync(tmpDir)
-    var db = new sqlite3.Database(tmpDir + timestamp + '-report.sqlite3');
     var tables = [];
     if (req.query.timestamp) {
       return importCsv(null, null, true);
@@ -69,7 +80,7 @@ module.exports = {
     function createTable(table) {
       var fileName = tmpDir + timestamp + '-' + table.name + '.csv';
       if (table.model) {
-        var fAS = table.model.findAndStreamCsv()
+        var fAS = table.model.findAndStreamCsv(scope)
         var writeStream = fs.createWriteStream(fileName);
         writeStream.on('close', function() {
           importCsv(table, fileName);
@@ -79,7 +90,7 @@ module.exports = {
         var collection = [];
         switch(table.name) {
           case 'registrations':
-            CourseModel.find(function(err, courses) {
+            CourseModel.find(scope, function(err, courses) {
               if (err) console.log(err);
               _.each(courses, function(course) {
                 _.each(course.registrations, function(registration) {
@@ -94,7 +105,7 @@ module.exports = {
             });
             break;
           case 'course_grades':
-            CourseModel.find(function(err, courses) {
+            CourseModel.find(scope, function(err, courses) {
               if (err) console.log(err);
               _.each(courses, function(course) {
                 _.each(course.grades, function(grade) {
@@ -110,7 +121,7 @@ module.exports = {
             });
             break;
           case 'student_grades':
-            UserModel.find(function(err, users) {
+            UserModel.find(scope, function(err, users) {
               if (err) console.log(err);
               _.each(users, function(user) {
                 _.each(user.grades, function(grade) {
@@ -127,7 +138,7 @@ module.exports = {
             });
             break;
           case 'student_attendance':
-            UserModel.find(function(err, users) {
+            UserModel.find(scope, function(err, users) {
               if (err) console.log(err);
               _.each(users, function(user) {
                 _.each(user.attendance, function(checkIn) {
@@ -142,21 +153,17 @@ module.exports = {
             });
             break;
           case 'course_dates':
-            CourseModel.find().populate('term').exec(function(err, courses) {
+            CourseModel.find(scope).populate('term').exec(function(err, courses) {
               if (err) console.log(err);
               _.each(courses, function(course) {
-                var that = this;
-                var classDates = [];
-                moment.range(course.term.start_date, moment(course.term.end_date).add(1, 'days')).by('days', function(day) {
-                  if (course.get('days').indexOf(day.format('dddd').toLowerCase()) > -1 &&
-                  course.get('holidays').indexOf(day.format('YYYY-MM-DD')) === -1) {
-                    classDates.push(day)
-                  }
-                });
-                _.each(classDates, function(date) {
+                _.each(calendar.sessions(course), function(session) {
                   collection.push({
                     course_id: course._id.toString(),
-                    date: date.format('YYYY-MM-DD')
+                    date: session.date,
+                    time_start: session.timeStart,
+                    time_end: session.timeEnd,
+                    location_id: session.location ? session.location.toString() : '',
+                    room: session.room
                   });
                 })
               });
@@ -165,15 +172,29 @@ module.exports = {
             });
             break;
           case 'stripe_payments':
-            var s3 = new AWS.S3();
-            s3.getObject({Bucket: process.env.S3_BUCKET_NAME, Key: 'stripe_payments.csv'}, function(err, data) {
+            // The export holds every school's payments, so only the ones made
+            // by this organization's users are kept
+            UserModel.find(scope, 'customer_id merged_customer_ids').withArchived().exec(function(err, users) {
               if (err) {
                 console.log(err);
-                importCsv(null, null, true);
-              }  else  {
-                fs.writeFileSync(fileName, data.Body);
-                importCsv(table, fileName);
+                return importCsv(null, null, true);
               }
+              var customers = _.compact(_.flatten(users.map(function(user) {
+                return [user.customer_id].concat(user.merged_customer_ids || []);
+              })));
+              var s3 = new AWS.S3();
+              s3.getObject({Bucket: process.env.S3_BUCKET_NAME, Key: 'stripe_payments.csv'}, function(err, data) {
+                if (err) {
+                  console.log(err);
+                  return importCsv(null, null, true);
+                }
+                var payments = paymentsFor(data.Body.toString(), customers);
+                if (!payments) {
+                  return importCsv(null, null, true);
+                }
+                fs.writeFileSync(fileName, payments);
+                importCsv(table, fileName);
+              });
             });
           break;
         }
@@ -187,8 +208,16 @@ module.exports = {
       if (idx < tables.length) {
         createTable(tables[idx]);
       } else if (req.params.query) {
-        db.serialize(function() {
+        audit.record(req, 'report.run', {
+          details: { query: atob(req.params.query), format: req.query.format || 'json' }
+        });
+        // Queries can read the snapshot but never change it
+        var db = new sqlite3.Database(tmpDir + timestamp + '-report.sqlite3', sqlite3.OPEN_READONLY, function(err) {
+          if (err) {
+            return res.json(500, { message: err.message, error: err });
+          }
           db.all(atob(req.params.query), function(err, rows) {
+            db.close();
             if (err) {
               return res.json(500, { message: err.message, error: err });
             }
@@ -210,3 +239,73 @@ module.exports = {
     createTable(tables[0]);
   }
 };
+
+/**
+* Split CSV text into rows of fields, allowing for quoted fields with commas,
+* quotes and line breaks in them
+* @param {String} text
+* @return {String[][]}
+*/
+function parseCsv(text) {
+  var rows = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+* The payments export, cut down to the charges made by some customers
+* @param {String} text the export's CSV
+* @param {String[]} customers Stripe customer ids
+* @return {String|null} CSV, or null when the export has no customer column
+*/
+function paymentsFor(text, customers) {
+  var rows = parseCsv(text);
+  var allowed = _.object(customers, customers);
+  var header = rows.shift() || [];
+  var column = header.indexOf('customer');
+  if (column === -1) {
+    return null;
+  }
+  return json2csv({
+    fields: header,
+    data: rows.filter(function(row) {
+      return !!row[column] && allowed.hasOwnProperty(row[column]);
+    }).map(function(row) {
+      return _.object(header, row);
+    })
+  });
+}
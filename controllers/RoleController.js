@@ -0,0 +1,163 @@
+const _ = require('underscore');
+const RoleModel = require('../models/RoleModel');
+const UserModel = require('../models/UserModel');
+const permissions = require('../lib/permissions');
+const audit = require('../lib/audit');
+
+/**
+* RoleController.js
+*
+* @description :: Server-side logic for managing a client's roles and their permissions.
+*/
+module.exports = {
+
+  /**
+  * RoleController.list()
+  */
+  list: function (req, res) {
+    RoleModel.seed(req.user.client, err => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting roles.',
+          error: err
+        });
+      }
+      RoleModel.find({
+        client: req.user.client
+      }, null, {
+        sort: 'name'
+      }, (err, roles) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting roles.',
+            error: err
+          });
+        }
+        return res.json(roles);
+      });
+    });
+  },
+
+  /**
+  * RoleController.permissions()
+  */
+  permissions: function (req, res) {
+    return res.json(_.map(permissions.PERMISSIONS, (description, name) => {
+      return { name, description };
+    }));
+  },
+
+  /**
+  * RoleController.create()
+  */
+  create: function (req, res) {
+    const role = new RoleModel({
+      name: req.body.name,
+      description: req.body.description,
+      permissions: req.body.permissions || [],
+      client: req.user.client
+    });
+    role.save((err, role) => {
+      if (err) {
+        return res.json(500, {
+          message: err.code === 11000 ? 'There is already a role with that name.' : 'Error saving role.',
+          error: err
+        });
+      }
+      return res.json(role);
+    });
+  },
+
+  /**
+  * RoleController.update()
+  */
+  update: function (req, res) {
+    RoleModel.findOne({
+      _id: req.params.id,
+      client: req.user.client
+    }, (err, role) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting role.',
+          error: err
+        });
+      }
+      if (!role) {
+        return res.json(404, {
+          message: 'No such role'
+        });
+      }
+      // Built-in roles keep their names so they still match the user flags
+      const attributes = role.builtin ? ['description', 'permissions'] : ['name', 'description', 'permissions'];
+      const before = role.permissions.map(String).sort();
+      _.each(attributes, attr => {
+        role[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : role[attr];
+      });
+      role.save((err, role) => {
+        if (err) {
+          return res.json(500, {
+            message: err.code === 11000 ? 'There is already a role with that name.' : 'Error saving role.',
+            error: err
+          });
+        }
+        const after = role.permissions.map(String).sort();
+        if (!_.isEqual(before, after)) {
+          audit.record(req, 'role.permissions', {
+            target: role,
+            details: { before: before, after: after }
+          });
+        }
+        return res.json(role);
+      });
+    });
+  },
+
+  /**
+  * RoleController.remove()
+  */
+  remove: function (req, res) {
+    RoleModel.findOne({
+      _id: req.params.id,
+      client: req.user.client
+    }, (err, role) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting role.',
+          error: err
+        });
+      }
+      if (!role) {
+        return res.json(404, {
+          message: 'No such role'
+        });
+      }
+      if (role.builtin) {
+        return res.json(400, {
+          message: 'Built-in roles can\'t be removed.'
+        });
+      }
+      UserModel.update({
+        client: req.user.client,
+        roles: role._id
+      }, {
+        $pull: { roles: role._id }
+      }, { multi: true }, err => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error removing role from users.',
+            error: err
+          });
+        }
+        role.remove(err => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error removing role.',
+              error: err
+            });
+          }
+          return res.json(role);
+        });
+      });
+    });
+  }
+};
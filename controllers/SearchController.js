@@ -0,0 +1,263 @@
+const _ = require('underscore');
+const moment = require('moment');
+const UserModel = require('../models/UserModel');
+const CourseModel = require('../models/CourseModel');
+const TermModel = require('../models/TermModel');
+const LocationModel = require('../models/LocationModel');
+const TextbookModel = require('../models/TextbookModel');
+const OrganizationModel = require('../models/OrganizationModel');
+
+// Results per type
+const SEARCH_LIMIT = 5;
+const MIN_QUERY_LENGTH = 2;
+
+/**
+* What can be searched. `scope` calls back with the conditions limiting a
+* type to what the user may see through its own API, or null when they can't
+* see any of it. `prefix` lists the fields matched as you type, since text indexes
+* only find whole words.
+*/
+const TYPES = [{
+  type: 'users',
+  model: UserModel,
+  fields: 'first_name last_name username idn',
+  prefix: ['first_name', 'last_name', 'username'],
+  scope: (user, cb) => {
+    if (user.can('users:read')) {
+      return cb(null, {});
+    }
+    if (!user.can('students:read')) {
+      return cb(null, null);
+    }
+    // Like UserController.show, only students in courses they can see
+    CourseModel.find(_.extend({
+      client: user.client
+    }, CourseModel.visibleTo(user)), 'registrations', (err, courses) => {
+      if (err) {
+        return cb(err);
+      }
+      cb(null, {
+        is_student: true,
+        _id: { $in: _.flatten(_.pluck(courses, 'registrations')) }
+      });
+    });
+  },
+  result: user => ({
+    _id: user._id,
+    title: `${user.first_name} ${user.last_name}`,
+    subtitle: user.username,
+    idn: user.idn
+  })
+}, {
+  type: 'courses',
+  model: CourseModel,
+  fields: 'name term',
+  populate: { path: 'term', select: 'name' },
+  prefix: ['name'],
+  scope: (user, cb) => {
+    cb(null, user.can('courses:read') || user.can('courses:assigned') ? CourseModel.visibleTo(user) : null);
+  },
+  result: course => ({
+    _id: course._id,
+    title: course.name,
+    subtitle: course.term ? course.term.name : ''
+  })
+}, {
+  type: 'terms',
+  model: TermModel,
+  fields: 'name start_date end_date',
+  prefix: ['name'],
+  scope: (user, cb) => cb(null, user.can('terms:read') ? {} : null),
+  result: term => ({
+    _id: term._id,
+    title: term.name,
+    subtitle: `${moment.utc(term.start_date).format('MMM D, YYYY')} - ${moment.utc(term.end_date).format('MMM D, YYYY')}`
+  })
+}, {
+  type: 'locations',
+  model: LocationModel,
+  fields: 'name city state',
+  prefix: ['name', 'city'],
+  scope: (user, cb) => cb(null, user.can('locations:read') ? {} : null),
+  result: location => ({
+    _id: location._id,
+    title: location.name,
+    subtitle: _.compact([location.city, location.state]).join(', ')
+  })
+}, {
+  type: 'textbooks',
+  model: TextbookModel,
+  fields: 'name',
+  prefix: ['name'],
+  scope: (user, cb) => cb(null, user.can('textbooks:read') ? {} : null),
+  result: textbook => ({
+    _id: textbook._id,
+    title: textbook.name,
+    subtitle: ''
+  })
+}];
+
+/**
+* SearchController.js
+*
+* @description :: Server-side logic for searching everything in the current user's organization.
+*/
+module.exports = {
+
+  /**
+  * SearchController.search()
+  *
+  * Responds with one group per type that had matches, best group first:
+  * `[{ type: 'users', results: [{ _id, title, subtitle }] }]`
+  */
+  search: (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      return res.json([]);
+    }
+    const types = TYPES.filter(spec => {
+      return !req.query.type || [].concat(req.query.type).indexOf(spec.type) > -1;
+    });
+    if (!types.length) {
+      return res.json([]);
+    }
+
+    OrganizationModel.findOne({
+      _id: req.user.client
+    }, (err, organization) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error searching.',
+          error: err
+        });
+      }
+      const idn = organization ? organization.parseIdn(q) : null;
+      let pending = types.length;
+      let failed = null;
+      const groups = [];
+
+      types.forEach(spec => {
+        spec.scope(req.user, (err, scope) => {
+          if (err || !scope) {
+            failed = failed || err;
+            return finish();
+          }
+          searchType(req.user.client, spec, scope, q, spec.type === 'users' ? idn : null, (err, results) => {
+            failed = failed || err;
+            if (results && results.length) {
+              groups.push({
+                type: spec.type,
+                score: results[0].score,
+                order: TYPES.indexOf(spec),
+                results: results.map(result => Object.assign(spec.result(result.doc), { score: result.score }))
+              });
+            }
+            finish();
+          });
+        });
+      });
+
+      function finish() {
+        if (--pending > 0) {
+          return;
+        }
+        if (failed) {
+          return res.json(500, {
+            message: 'Error searching.',
+            error: failed
+          });
+        }
+        groups.sort((x, y) => y.score - x.score || x.order - y.order);
+        return res.json(groups.map(group => _.omit(group, 'score', 'order')));
+      }
+    });
+  }
+};
+
+/**
+* Search one type. An exact student id comes first, then text index matches
+* by relevance, then anything the words are the start of.
+* @param {ObjectId} client
+* @param {Object} spec one of TYPES
+* @param {Object} scope conditions from `spec.scope`
+* @param {String} q
+* @param {Number|null} idn student id the query reads as, for users
+* @param {Function} cb called with `[{ doc, score }]`
+*/
+function searchType(client, spec, scope, q, idn, cb) {
+  const results = [];
+
+  // The text indexes start with client, so it has to be a plain condition
+  function conditions(extra) {
+    const query = Object.assign({ client: client }, _.omit(extra, '$and'));
+    const clauses = (_.isEmpty(scope) ? [] : [scope]).concat(extra.$and || []);
+    if (clauses.length) {
+      query.$and = clauses;
+    }
+    return query;
+  }
+
+  function found(docs, score) {
+    docs.forEach(doc => {
+      if (!results.some(result => result.doc._id.equals(doc._id))) {
+        results.push({ doc: doc, score: score === undefined ? doc.score : score });
+      }
+    });
+  }
+
+  function find(extra, projection) {
+    const query = spec.model.find(conditions(extra), projection).select(spec.fields).lean();
+    if (spec.populate) {
+      query.populate(spec.populate);
+    }
+    return query;
+  }
+
+  function byIdn(next) {
+    if (idn === null) {
+      return next();
+    }
+    find({ idn: idn }).limit(1).exec((err, docs) => {
+      if (err) {
+        return cb(err);
+      }
+      // Higher than any text score, since the id was typed in full
+      found(docs, 1000);
+      next();
+    });
+  }
+
+  function byText(next) {
+    find({ $text: { $search: q } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_LIMIT)
+      .exec((err, docs) => {
+        if (err) {
+          return cb(err);
+        }
+        found(docs);
+        next();
+      });
+  }
+
+  function byPrefix(next) {
+    if (results.length >= SEARCH_LIMIT) {
+      return next();
+    }
+    // Each word has to start one of the fields, so "ann smi" finds Ann Smith
+    const words = q.split(/\s+/).map(word => {
+      const pattern = new RegExp('(^|\\s)' + word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      return { $or: spec.prefix.map(field => ({ [field]: pattern })) };
+    });
+    words.push({ _id: { $nin: results.map(result => result.doc._id) } });
+    find({ $and: words }).limit(SEARCH_LIMIT - results.length).exec((err, docs) => {
+      if (err) {
+        return cb(err);
+      }
+      found(docs, 0);
+      next();
+    });
+  }
+
+  byIdn(() => byText(() => byPrefix(() => cb(null, results.slice(0, SEARCH_LIMIT)))));
+}
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const UserSessionModel = require('../models/UserSessionModel');
+const UserModel = require('../models/UserModel');
+
+/**
+* SessionController.js
+*
+* @description :: Server-side logic for listing and ending a user's login sessions.
+*/
+module.exports = {
+
+  /**
+  * SessionController.list()
+  */
+  list: function (req, res) {
+    findUser(req, res, user => {
+      UserSessionModel.find({
+        user: user._id
+      }, null, {
+        sort: '-last_seen_at'
+      }, (err, sessions) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error getting sessions.',
+            error: err
+          });
+        }
+        return res.json(sessions.map(session => {
+          const json = session.toJSON();
+          json.current = session.sid === req.sessionID;
+          return json;
+        }));
+      });
+    });
+  },
+
+  /**
+  * SessionController.remove()
+  */
+  remove: function (req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.session)) {
+      return res.json(404, {
+        message: 'No such session'
+      });
+    }
+    findUser(req, res, user => {
+      UserSessionModel.revoke(req.sessionStore, {
+        _id: req.params.session,
+        user: user._id
+      }, (err, sessions) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error ending session.',
+            error: err
+          });
+        }
+        if (!sessions.length) {
+          return res.json(404, {
+            message: 'No such session'
+          });
+        }
+        return res.json(sessions[0]);
+      });
+    });
+  },
+
+  /**
+  * SessionController.removeAll()
+  */
+  removeAll: function (req, res) {
+    findUser(req, res, user => {
+      // "Log out everywhere" leaves the browser that asked logged in
+      UserSessionModel.revoke(req.sessionStore, {
+        user: user._id,
+        sid: { $ne: req.sessionID }
+      }, (err, sessions) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error ending sessions.',
+            error: err
+          });
+        }
+        return res.json(sessions);
+      });
+    });
+  }
+};
+
+function findUser(req, res, cb) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.json(404, {
+      message: 'No such user'
+    });
+  }
+  UserModel.findOne({
+    _id: req.params.id,
+    client: req.user.client
+  }, (err, user) => {
+    if (err) {
+      return res.json(500, {
+        message: 'Error getting user.',
+        error: err
+      });
+    }
+    if (!user) {
+      return res.json(404, {
+        message: 'No such user'
+      });
+    }
+    return cb(user);
+  });
+}
@@ -1,8 +1,21 @@
 var TermModel = require('../models/TermModel.js');
 var CourseModel = require('../models/CourseModel.js');
-var UserModel = require('../models/UserModel.js');
 var _ = require('underscore');
 var reversePopulate = require('mongoose-reverse-populate');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
+var conflicts = require('../lib/conflicts');
+var rollover = require('../lib/rollover');
+var calendar = require('../lib/calendar');
+var mongoose = require('mongoose');
+
+var archiveActions = archive.actions(TermModel, 'term', function(term, cb) {
+  CourseModel.count({ client: term.client, term: term._id }, function(err, count) {
+    cb(err, count ? 'This term still has ' + count + ' courses.' : null);
+  });
+});
+
+var historyActions = history.actions(TermModel, 'term');
 
 /**
 * TermController.js
@@ -15,11 +28,16 @@ module.exports = {
   * TermController.list()
   */
   list: function(req, res) {
-    TermModel.find({
+    var query = TermModel.find({
       client: req.user.client
     }, null, {
       sort: 'start_date'
-    }, function(err, terms){
+    });
+    // Everyone can list terms, but only people who manage them see the archive
+    if (req.query.archived && req.user.can('terms:write')) {
+      query.archived();
+    }
+    query.exec(function(err, terms){
       if(err) {
         return res.json(500, {
           message: 'Error getting term.',
@@ -32,6 +50,7 @@ module.exports = {
         arrayPop: true,
         mongooseModel: CourseModel,
         idField: "term",
+        filters: { client: req.user.client },
         populate: [{ path: 'registrations', select: 'id' }, { path: 'location' }]
       }, function(err, terms) {
         var sorted = _.sortBy(terms, 'start_date');
@@ -71,21 +90,17 @@ module.exports = {
   create: function(req, res) {
     var term = new TermModel({      start_date : req.body.start_date,      end_date : req.body.end_date,      name : req.body.name    });
 
-    UserModel.findOne({
-      _id: req.user.id
-    }, function(err, currentUser) {
-      term.client = req.user.client;
-      term.save(function(err, term){
-        if(err) {
-          return res.json(500, {
-            message: 'Error saving term',
-            error: err
-          });
-        }
-        return res.json({
-          message: 'saved',
-          _id: term._id
+    term.client = req.user.client;
+    term.changedBy(req.user).save(function(err, term){
+      if(err) {
+        return res.json(500, {
+          message: 'Error saving term',
+          error: err
         });
+      }
+      return res.json({
+        message: 'saved',
+        _id: term._id
       });
     });
   },
@@ -120,8 +135,9 @@ module.exports = {
       attrs.forEach(attr => {
         term[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : term[attr];
       });
+      var moved = term.isModified('start_date') || term.isModified('end_date');
 
-      term.save(function(err, term){
+      term.changedBy(req.user).save(function(err, term){
         if(err) {
           return res.json(500, {
             message: 'Error getting term.',
@@ -133,27 +149,119 @@ module.exports = {
             message: 'No such term'
           });
         }
-        return res.json(term);
+        if (!moved) {
+          return res.json(term);
+        }
+        // Different dates can take in different closures
+        calendar.refresh(req.user.client, { term: term._id }, function(err) {
+          if (err) console.log(err);
+          return res.json(term);
+        });
       });
     });
   },
 
   /**
-  * TermController.remove()
+  * TermController.rollover()
+  *
+  * Copy every course in this term into the term `to`, leaving out any it
+  * already has. With `preview` set, nothing is saved and the response says
+  * what each copy would look like.
   */
-  remove: function(req, res) {
-    var id = req.params.id;
-    TermModel.remove({
-      _id: id,
+  rollover: function(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.body.to) || req.body.to === req.params.id) {
+      return res.json(400, {
+        message: 'Which term should the courses be copied into?'
+      });
+    }
+    TermModel.find({
+      _id: { $in: [req.params.id, req.body.to] },
       client: req.user.client
-    }, function(err, term){
+    }, function(err, terms) {
       if(err) {
         return res.json(500, {
-          message: 'Error deleting term.',
+          message: 'Error getting term.',
           error: err
         });
       }
-      return res.json(term);
+      var from = _.find(terms, function(term) { return term.id === req.params.id; });
+      var to = _.find(terms, function(term) { return term.id === req.body.to; });
+      if(!from || !to) {
+        return res.json(404, {
+          message: 'No such term'
+        });
+      }
+      CourseModel.find({
+        client: req.user.client,
+        term: from._id
+      }).sort('name').populate('term').exec(function(err, courses) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error getting courses.',
+            error: err
+          });
+        }
+        rollover.preview(courses, to, { skipExisting: true }, function(err, entries) {
+          if(err) {
+            return res.json(500, {
+              message: 'Error copying courses.',
+              error: err
+            });
+          }
+          var summary = {
+            from: _.pick(from, '_id', 'name', 'start_date', 'end_date'),
+            to: _.pick(to, '_id', 'name', 'start_date', 'end_date'),
+            weeks: rollover.weeksBetween(from, to)
+          };
+          if (req.body.preview) {
+            return res.json(_.extend(summary, { courses: entries }));
+          }
+          var found = _.flatten(_.pluck(entries, 'conflicts'));
+          var refusal = conflicts.refusal(found, req.user, !!req.body.override_conflicts);
+          if (refusal) {
+            return res.json(409, _.extend(refusal, {
+              message: 'Some of the copies would clash with each other or with courses ' + to.name + ' already has.'
+            }));
+          }
+          rollover.commit(entries, req.user, function(err, entries) {
+            if(err) {
+              return res.json(500, {
+                message: 'Error copying courses.',
+                error: err
+              });
+            }
+            return res.json(_.extend(summary, {
+              courses: entries,
+              counts: _.countBy(entries, 'result')
+            }));
+          });
+        });
+      });
     });
-  }
+  },
+
+  /**
+  * TermController.remove()
+  */
+  remove: archiveActions.archive,
+
+  /**
+  * TermController.restore()
+  */
+  restore: archiveActions.restore,
+
+  /**
+  * TermController.purge()
+  */
+  purge: archiveActions.purge,
+
+  /**
+  * TermController.history()
+  */
+  history: historyActions.history,
+
+  /**
+  * TermController.revert()
+  */
+  revert: historyActions.revert
 };
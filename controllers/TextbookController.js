@@ -1,4 +1,15 @@
 const TextbookModel = require('../models/TextbookModel');
+const CourseModel = require('../models/CourseModel');
+const archive = require('../lib/archive');
+const history = require('../lib/history');
+
+const archiveActions = archive.actions(TextbookModel, 'textbook', (textbook, cb) => {
+  CourseModel.count({ client: textbook.client, textbook: textbook._id }, (err, count) => {
+    cb(err, count ? `${count} courses still use this textbook.` : null);
+  });
+});
+
+const historyActions = history.actions(TextbookModel, 'textbook');
 
 /**
 * TextbookController.js
@@ -11,7 +22,11 @@ module.exports = {
   * TextbookController.list()
   */
   list: (req, res) => {
-    TextbookModel.find({client: req.user.client}, (err, textbooks) => {
+    const query = TextbookModel.find({client: req.user.client});
+    if (req.query.archived) {
+      query.archived();
+    }
+    query.exec((err, textbooks) => {
       if (err) {
         return res.json(500, {
           message: 'Error getting textbook.'
@@ -48,7 +63,7 @@ module.exports = {
     const textbook = new TextbookModel({			name : req.body.name,      instructor_url: req.body.instructor_url,      student_url: req.body.student_url,      client: req.user.client,
     });
 
-    textbook.save((err, textbook) => {
+    textbook.changedBy(req.user).save((err, textbook) => {
       if (err) {
         return res.json(500, {
           message: 'Error saving textbook',
@@ -64,7 +79,7 @@ module.exports = {
   */
   update: (req, res) => {
     const id = req.params.id;
-    TextbookModel.findOne({_id: id}, (err, textbook) => {
+    TextbookModel.findOne({_id: id, client: req.user.client}, (err, textbook) => {
       if (err) {
         return res.json(500, {
           message: 'Error saving textbook',
@@ -87,7 +102,7 @@ module.exports = {
         textbook[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : textbook[attr];
       });
 
-      textbook.save((err, textbook) => {
+      textbook.changedBy(req.user).save((err, textbook) => {
         if (err) {
           return res.json(500, {
             message: 'Error getting textbook.'
@@ -106,15 +121,25 @@ module.exports = {
   /**
   * TextbookController.remove()
   */
-  remove: (req, res) => {
-    const id = req.params.id;
-    TextbookModel.find({_id: id, client: req.user.client}, (err, textbook) => {
-      if (err) {
-        return res.json(500, {
-          message: 'Error getting textbook.'
-        });
-      }
-      return res.json(textbook);
-    });
-  }
+  remove: archiveActions.archive,
+
+  /**
+  * TextbookController.restore()
+  */
+  restore: archiveActions.restore,
+
+  /**
+  * TextbookController.purge()
+  */
+  purge: archiveActions.purge,
+
+  /**
+  * TextbookController.history()
+  */
+  history: historyActions.history,
+
+  /**
+  * TextbookController.revert()
+  */
+  revert: historyActions.revert
 };
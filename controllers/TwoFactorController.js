@@ -0,0 +1,137 @@
+const speakeasy = require('speakeasy');
+const qrcode = require('qrcode');
+const UserModel = require('../models/UserModel');
+const OrganizationModel = require('../models/OrganizationModel');
+
+/**
+* TwoFactorController.js
+*
+* @description :: Server-side logic for enrolling in two-factor authentication.
+*/
+module.exports = {
+
+  /**
+  * TwoFactorController.setup()
+  */
+  setup: function (req, res) {
+    const secret = speakeasy.generateSecret({
+      name: `Campus Manager (${req.user.username})`
+    });
+    req.user.two_factor_pending_secret = secret.base32;
+    req.user.save(err => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error starting two-factor setup.',
+          error: err
+        });
+      }
+      qrcode.toDataURL(secret.otpauth_url, (err, qr) => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error creating QR code.',
+            error: err
+          });
+        }
+        return res.json({
+          qr: qr,
+          secret: secret.base32
+        });
+      });
+    });
+  },
+
+  /**
+  * TwoFactorController.enable()
+  */
+  enable: function (req, res) {
+    const user = req.user;
+    const step = user.two_factor_pending_secret ?
+      UserModel.twoFactorStep(user.two_factor_pending_secret, req.body.code) : null;
+    if (step === null) {
+      return res.json(400, {
+        message: 'Invalid authentication code.'
+      });
+    }
+    user.two_factor_secret = user.two_factor_pending_secret;
+    user.two_factor_pending_secret = undefined;
+    user.two_factor_last_step = step;
+    user.two_factor_enabled = true;
+    const codes = user.generateRecoveryCodes();
+    user.changedBy(user).save(err => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error enabling two-factor authentication.',
+          error: err
+        });
+      }
+      return res.json({
+        two_factor_enabled: true,
+        recovery_codes: codes
+      });
+    });
+  },
+
+  /**
+  * TwoFactorController.recoveryCodes()
+  */
+  recoveryCodes: function (req, res) {
+    const user = req.user;
+    if (!user.verifyTwoFactor(req.body.code)) {
+      return res.json(400, {
+        message: 'Invalid authentication code.'
+      });
+    }
+    const codes = user.generateRecoveryCodes();
+    user.save(err => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error creating recovery codes.',
+          error: err
+        });
+      }
+      return res.json({
+        recovery_codes: codes
+      });
+    });
+  },
+
+  /**
+  * TwoFactorController.disable()
+  */
+  disable: function (req, res) {
+    const user = req.user;
+    OrganizationModel.findOne({ _id: user.client }, (err, organization) => {
+      if (err) {
+        return res.json(500, {
+          message: 'Error getting organization.',
+          error: err
+        });
+      }
+      if (user.twoFactorRequired(organization)) {
+        return res.json(403, {
+          message: 'Two-factor authentication is required for your account.'
+        });
+      }
+      if (!user.verifyTwoFactor(req.body.code)) {
+        return res.json(400, {
+          message: 'Invalid authentication code.'
+        });
+      }
+      user.two_factor_enabled = false;
+      user.two_factor_secret = undefined;
+      user.two_factor_recovery_codes = [];
+      user.two_factor_last_step = undefined;
+      user.changedBy(user).save(err => {
+        if (err) {
+          return res.json(500, {
+            message: 'Error disabling two-factor authentication.',
+            error: err
+          });
+        }
+        return res.json({
+          two_factor_enabled: false
+        });
+      });
+    });
+  }
+};
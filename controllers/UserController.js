@@ -7,29 +7,119 @@ var UserModel = require('../models/UserModel');
 var _ = require('underscore');
 var moment = require('moment');
 var CourseModel = require('../models/CourseModel')
+var LoginAttemptModel = require('../models/LoginAttemptModel');
+var UserSessionModel = require('../models/UserSessionModel');
+var RoleModel = require('../models/RoleModel');
+var OrganizationModel = require('../models/OrganizationModel');
+var UserImportModel = require('../models/UserImportModel');
+var verification = require('../lib/verification');
+var userImport = require('../lib/userImport');
+var userMerge = require('../lib/userMerge');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
+var audit = require('../lib/audit');
+var permissions = require('../lib/permissions');
 var mongoose = require('mongoose');
 var stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 
+// Fields the users list can be sorted by
+var USER_SORTS = ['idn', 'first_name', 'last_name', 'username', 'createdAt'];
+var USERS_PER_PAGE = 50;
+var MAX_USERS_PER_PAGE = 200;
+
+var archiveActions = archive.actions(UserModel, 'user', function(user, cb) {
+  if (user.is_client) {
+    return cb(null, 'Remove this user as an owner of the organization first.');
+  }
+  CourseModel.count({
+    client: user.client,
+    $or: [
+      { registrations: user._id },
+      { instructors: user._id },
+      { teaching_assistants: user._id }
+    ]
+  }, function(err, count) {
+    cb(err, count ? 'Take this user out of their ' + count + ' courses first.' : null);
+  });
+});
+
+var historyActions = history.actions(UserModel, 'user');
+
+// Role names the users list can filter by, and the flag each one stands for
+var ROLE_FLAGS = {
+  owner: 'is_client',
+  admin: 'is_admin',
+  instructor: 'is_instructor',
+  student: 'is_student'
+};
+
 module.exports = {
 
   /**
-  * List all users attached to the current user's client
+  * List the users attached to the current user's client, one page at a time.
+  * The total number of matches is sent in the `X-Total-Count` header.
+  *
+  * Query parameters, all optional:
+  * - `q` words that each have to match a name, email, phone or idn
+  * - `role` owner, admin, instructor, student or a custom role id
+  * - `course`, `term` only users registered in that course or term
+  * - `created_after`, `created_before` dates the account was created between
+  * - `sort` one of {@link USER_SORTS}, with a leading `-` for descending
+  * - `archived` list archived users instead
+  * - `page` 1-based page number, the first by default, and `per_page` users
+  * per page, up to {@link MAX_USERS_PER_PAGE}
   * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
   * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
   */
   list: function(req, res) {
-    UserModel.find({
-      client: req.user.client
-    }, null, {
-      sort: 'last_name',
-    }, function(err, users){
+    var sort = String(req.query.sort || 'last_name');
+    var direction = sort[0] === '-' ? -1 : 1;
+    sort = sort.replace(/^-/, '');
+    if (USER_SORTS.indexOf(sort) === -1) {
+      return res.json(400, {
+        message: 'Users can be sorted by ' + USER_SORTS.join(', ') + '.'
+      });
+    }
+
+    var page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+    var perPage = Math.min(parseInt(req.query.per_page, 10) || USERS_PER_PAGE, MAX_USERS_PER_PAGE);
+    if (!(page >= 1) || perPage < 1) {
+      return res.json(400, {
+        message: 'Pages start at 1.'
+      });
+    }
+
+    userFilters(req, function(err, query) {
+      if (err && err.invalid) {
+        return res.json(400, {
+          message: err.message
+        });
+      }
       if(err) {
         return res.json(500, {
           message: 'Error getting users.',
           error: err
         });
       }
-      return res.json(users);
+      UserModel.count(query, function(err, total) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error getting users.',
+            error: err
+          });
+        }
+        res.set('X-Total-Count', total);
+        UserModel.find(query).sort({ [sort]: direction, _id: direction })
+        .skip((page - 1) * perPage).limit(perPage).exec(function(err, users){
+          if(err) {
+            return res.json(500, {
+              message: 'Error getting users.',
+              error: err
+            });
+          }
+          return res.json(users);
+        });
+      });
     });
   },
 
@@ -40,10 +130,16 @@ module.exports = {
   */
   show: function(req, res) {
     var id = req.params.id;
-    UserModel.findOne({
+    var self = req.user._id.toString() === id;
+    var query = {
       _id: id,
       client: req.user.client
-    }, function(err, user){
+    };
+    // Instructors and the like can only look up students
+    if (!req.user.can('users:read') && !self) {
+      query.is_student = true;
+    }
+    UserModel.findOne(query, function(err, user){
       if(err) {
         return res.json(500, {
           message: 'Error getting user.',
@@ -55,33 +151,63 @@ module.exports = {
           message: 'No such user'
         });
       }
-      CourseModel.find({
-        registrations: mongoose.Types.ObjectId(user._id)
-      }).populate('term location textbook').exec(function(err, courses) {
+      // Other people only see the courses they can see themselves
+      var courseQuery = {
+        registrations: mongoose.Types.ObjectId(user._id),
+        client: req.user.client
+      };
+      if (!self) {
+        _.extend(courseQuery, CourseModel.visibleTo(req.user));
+      }
+      CourseModel.find(courseQuery).populate('term location textbook exceptions.location').exec(function(err, courses) {
         if(err) {
           return res.json(500, {
             message: 'Error getting user courses.',
             error: err
           });
         }
+        // ...and instructors only see students in the courses they teach
+        if (!self && !req.user.can('users:read') && !courses.length) {
+          return res.json(404, {
+            message: 'No such user'
+          });
+        }
         user.courses = courses;
-        if (user.customer_id) {
-          stripe.charges.list(
-            {
-              customer: user.customer_id,
-              limit: 100
-            },
-            function(err, charges) {
-              if (err) console.log(err);
-              if (charges) {
-                user.charges = charges.data;
-              }
-              return res.json(user);
+        LoginAttemptModel.lockedUntil(user.username, function(err, lockedUntil) {
+          if (err) console.log(err);
+          OrganizationModel.findOne({ _id: user.client }, function(err, organization) {
+            if (err) console.log(err);
+            var json = user.toJSON();
+            json.locked_until = lockedUntil || null;
+            json.email_verification_required = user.emailVerificationRequired(organization);
+            // Merged accounts can bring their own Stripe customers along
+            var customers = _.compact([user.customer_id].concat(user.merged_customer_ids || []));
+            if (customers.length && (self || req.user.can('payments:charge'))) {
+              json.charges = [];
+              var pending = customers.length;
+              customers.forEach(function(customer) {
+                stripe.charges.list(
+                  {
+                    customer: customer,
+                    limit: 100
+                  },
+                  function(err, charges) {
+                    if (err) console.log(err);
+                    if (charges) {
+                      json.charges = json.charges.concat(charges.data);
+                    }
+                    if (--pending === 0) {
+                      json.charges = _.sortBy(json.charges, 'created').reverse();
+                      return res.json(json);
+                    }
+                  }
+                );
+              });
+            } else {
+              return res.json(json);
             }
-          );
-        } else {
-          return res.json(user);
-        }
+          });
+        });
       });
     });
   },
@@ -101,30 +227,62 @@ module.exports = {
       'phone',
       'website',
       'github',
-      'is_admin',
-      'is_instructor',
-      'is_student',
       'codecademy',
       'zipcode',
       'credits'
     ];
 
+    var roleAttrs = [
+      'is_admin',
+      'is_instructor',
+      'is_student'
+    ];
+
     _.each(attributes, function(attr) {
       user[attr] =  req.body[attr];
     });
+    if (req.user.can('users:roles')) {
+      _.each(roleAttrs, function(attr) {
+        user[attr] =  req.body[attr];
+      });
+    } else {
+      user.is_student = true;
+    }
+    var refused = refusedBuiltin(req, {}, user);
+    if (refused) {
+      return res.json(403, {
+        message: 'You can\'t make users ' + refused + 's.'
+      });
+    }
     user.username = req.body.username.toLowerCase();
 
-    UserModel.find({}, 'idn', { limit: 1, sort: { idn: -1 } }, function(err, users) {
-      user.idn = users[0].idn + 1;
-      user.client = req.user.client;
-      user.save(function(err, user){
+    var roles = req.user.can('users:roles') && req.body.roles ? req.body.roles : null;
+    findRoles(req, roles, [], function(err, roles) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error getting roles.',
+          error: err
+        });
+      }
+      user.roles = roles ? _.pluck(roles, '_id') : [];
+      UserModel.nextIdn(req.user.client, function(err, idn) {
         if(err) {
           return res.json(500, {
-            message: 'Error saving user',
+            message: 'Error getting a student id.',
             error: err
           });
         }
-        return res.json(user);
+        user.idn = idn;
+        user.client = req.user.client;
+        user.changedBy(req.user).save(function(err, user){
+          if(err) {
+            return res.json(500, {
+              message: 'Error saving user',
+              error: err
+            });
+          }
+          return res.json(user);
+        });
       });
     });
   },
@@ -166,37 +324,82 @@ module.exports = {
       ];
 
       var adminAttrs = [
-        'is_admin',
-        'is_instructor',
-        'is_student',
         'price',
         'credits'
       ];
 
-      if (req.user.is_admin) {
+      var roleAttrs = [
+        'is_admin',
+        'is_instructor',
+        'is_student'
+      ];
+
+      if (req.user.can('users:write')) {
         _.each(adminAttrs, function(attr) {
           user[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : user[attr];
         });
-        if (req.body.generate_api_key) {
-          var rand = function() {
-            return Math.random().toString(36).substr(2); // remove `0.`
-          };
-
-          var token = function() {
-            return rand() + rand(); // to make it longer
-          };
+      }
 
-          user.api_key = token();
-        }
+      var rolesBefore = roleSummary(user);
+      var rolesRemoved = false;
+      var assignRoles = req.user.can('users:roles');
+      if (assignRoles) {
+        _.each(roleAttrs, function(attr) {
+          var previous = user[attr];
+          user[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : user[attr];
+          rolesRemoved = rolesRemoved || (previous && !user[attr]);
+        });
+      }
+      var refused = refusedBuiltin(req, rolesBefore, user);
+      if (refused) {
+        return res.json(403, {
+          message: 'You can\'t change who is ' + (refused === 'admin' || refused === 'instructor' ? 'an ' : 'a ') + refused + '.'
+        });
       }
 
-      if (req.user.is_admin || req.user._id.toString() === id) {
+      var previousUsername = user.username;
+      if (req.user.can('users:write') || req.user._id.toString() === id) {
         _.each(attributes, function(attr) {
           user[attr] = req.body.hasOwnProperty(attr) ? req.body[attr] : user[attr];
         });
+        user.username = String(user.username).toLowerCase();
       }
 
-      user.save(function(err, user){
+      // Users changing their own address have to verify the new one
+      var self = req.user._id.toString() === id;
+      var reverify = self && user.username !== previousUsername;
+
+      refusedLogin(req, user, !self && user.username !== previousUsername, function(err, refused) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error getting roles.',
+            error: err
+          });
+        }
+        if (refused) {
+          return res.json(403, {
+            message: refused
+          });
+        }
+        findRoles(req, assignRoles && req.body.hasOwnProperty('roles') ? req.body.roles : null, user.roles, function(err, roles) {
+          if(err) {
+            return res.json(500, {
+              message: 'Error getting roles.',
+              error: err
+            });
+          }
+          if (roles) {
+            var ids = _.pluck(roles, '_id');
+            rolesRemoved = rolesRemoved || user.roles.some(function(role) {
+              return !ids.some(function(roleId) { return roleId.equals(role); });
+            });
+            user.roles = ids;
+          }
+          user.changedBy(req.user).save(saved);
+        });
+      });
+
+      function saved(err, user) {
         if(err) {
           return res.json(500, {
             message: 'Error getting user.',
@@ -208,8 +411,42 @@ module.exports = {
             message: 'No such user'
           });
         }
+        var rolesAfter = roleSummary(user);
+        if (!_.isEqual(rolesBefore, rolesAfter)) {
+          audit.record(req, 'user.roles', {
+            target: user,
+            details: { before: rolesBefore, after: rolesAfter }
+          });
+        }
+        // Someone who just lost a role shouldn't keep using it in an open session
+        if (rolesRemoved) {
+          UserSessionModel.revoke(req.sessionStore, {
+            user: user._id,
+            sid: { $ne: req.sessionID }
+          }, function(err) {
+            if (err) console.log(err);
+            notify();
+          });
+        } else {
+          notify();
+        }
+      }
+
+      function notify() {
+        if (reverify) {
+          verification.send(user, function(err) {
+            if (err) console.log(err);
+            respond();
+          });
+        } else {
+          respond();
+        }
+      }
+
+      function respond() {
         CourseModel.find({
-          registrations: mongoose.Types.ObjectId(user._id)
+          registrations: mongoose.Types.ObjectId(user._id),
+          client: req.user.client
         }).populate('term').exec(function(err, courses) {
           if(err) {
             return res.json(500, {
@@ -220,109 +457,540 @@ module.exports = {
           user.courses = courses;
           return res.json(user);
         });
-      });
+      }
     });
   },
 
   /**
-  * Destroy a user if attached to current user's client
+  * Archive a user if attached to current user's client. They can be restored later.
   * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
   * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
   */
   remove: function(req, res) {
     var id = req.params.id;
-    UserModel.remove({
-      _id: id,
+    OrganizationModel.findOne({ _id: req.user.client }, function(err, organization) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error getting organization.',
+          error: err
+        });
+      }
+      // Owners have to hand the organization over before they can go
+      if (organization && organization.isOwner(id)) {
+        return res.json(400, {
+          message: 'Remove this user as an owner of the organization first.'
+        });
+      }
+      UserModel.findOne({
+        _id: id,
+        client: req.user.client
+      }, function(err, user){
+        if(err) {
+          return res.json(500, {
+            message: 'Error getting user.',
+            error: err
+          });
+        }
+        if(!user) {
+          return res.json(404, {
+            message: 'No such user'
+          });
+        }
+        user.changedBy(req.user).archive(req.user, function(err, user) {
+          if(err) {
+            return res.json(500, {
+              message: 'Error archiving user.',
+              error: err
+            });
+          }
+          // Archived users can't log in, so end the sessions they have
+          UserSessionModel.revoke(req.sessionStore, { user: user._id }, function(err) {
+            if (err) console.log(err);
+            return res.json(user);
+          });
+        });
+      });
+    });
+  },
+
+  /**
+  * Bring back an archived user
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  restore: archiveActions.restore,
+
+  /**
+  * Delete an archived user for good, once no course lists them
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  purge: archiveActions.purge,
+
+  /**
+  * A user's past versions, newest first, with who changed what
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  history: historyActions.history,
+
+  /**
+  * Put a user, or one of their fields, back to an earlier version
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  revert: historyActions.revert,
+
+  /**
+  * Clear a user's failed login attempts so they can log in again
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  unlock: function(req, res) {
+    UserModel.findOne({
+      _id: req.params.id,
       client: req.user.client
-    }, function(err, user){
+    }, function(err, user) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error getting user.',
+          error: err
+        });
+      }
+      if(!user) {
+        return res.json(404, {
+          message: 'No such user'
+        });
+      }
+      LoginAttemptModel.unlock(user.username, function(err) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error unlocking user.',
+            error: err
+          });
+        }
+        return res.json({ _id: user._id, locked_until: null });
+      });
+    });
+  },
+
+  /**
+  * Email a new verification link to a user whose address is unverified
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  resendVerification: function(req, res) {
+    UserModel.findOne({
+      _id: req.params.id,
+      client: req.user.client
+    }, function(err, user) {
       if(err) {
         return res.json(500, {
           message: 'Error getting user.',
           error: err
         });
       }
-      return res.json(user);
+      if(!user) {
+        return res.json(404, {
+          message: 'No such user'
+        });
+      }
+      if (!user.email_pending) {
+        return res.json(400, {
+          message: 'This email address is already verified.'
+        });
+      }
+      verification.send(user, function(err) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error sending email. Please contact support.',
+            error: err
+          });
+        }
+        return res.json({
+          message: 'Verification email sent to ' + user.username + '.'
+        });
+      });
     });
   },
 
+  /**
+  * Import a JSON array of users through the same preview as a spreadsheet
+  * upload, committing it straight away. Responds with the committed import,
+  * whose rows say what happened to each user and why.
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
   import: function(req, res) {
-    var newUsers = [];
-    UserModel.find({client: req.user.client}, 'idn', { limit: 1, sort: { idn: -1 } }, function(err, users) {
-      var idn = users[0].idn + 1;
-      var idx = 0;
-      function newUser(reqUser) {
-        UserModel.findOne({ username: reqUser['username'].toLowerCase() }, function(err, existingUser) {
-          if (!existingUser && reqUser['username'] && reqUser['first_name'] && reqUser['last_name']) {
-            var user = new UserModel({ idn: idn });
-            idn++;
-            var attributes = [
-              'first_name',
-              'last_name',
-              'phone',
-              'website',
-              'github',
-              'codecademy',
-              'zipcode'
-            ];
-
-            _.each(attributes, function(attr) {
-              user[attr] = reqUser[attr] ? reqUser[attr] : user[attr];
-            });
-            user.username = reqUser.username ? reqUser.username.toLowerCase() : user.username;
-            user.is_student = true;
-            user.client = req.user.client;
-            user.save(function(err, user) {
-              if(err) {
-                return res.json(500, {
-                  message: 'Error creating user.',
-                  error: err
-                });
-              }
-              newUsers.push(user);
-              if (req.body[++idx]) {
-                newUser(req.body[idx]);
-              } else {
-                return res.json(200, newUsers);
-              }
-            });
-          } else {
-            if (req.body[++idx]) {
-              newUser(req.body[idx]);
-            } else {
-              return res.json(200, newUsers);
-            }
-          }
+    if (!Array.isArray(req.body) || !req.body.length) {
+      return res.json(400, {
+        message: 'Send an array of users to import.'
+      });
+    }
+    if (req.body.length > userImport.MAX_ROWS) {
+      return res.json(400, {
+        message: 'Import at most ' + userImport.MAX_ROWS + ' users at a time.'
+      });
+    }
+    var found = new UserImportModel({
+      client: req.user.client,
+      created_by: req.user._id,
+      columns: userImport.FIELDS,
+      mapping: _.object(userImport.FIELDS, userImport.FIELDS),
+      rows: req.body.map(function(data, idx) {
+        return { line: idx + 1, data: _.pick(data, userImport.FIELDS) };
+      })
+    });
+    userImport.commit(found, null, function(err, committed) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error importing users.',
+          error: err
         });
       }
-      if (req.body.length > 1) {
-        return newUser(req.body[idx]);
-      } else {
-        return res.json(200, req.body);
+      return res.json(committed);
+    });
+  },
+
+  /**
+  * List groups of users that look like the same person, matched on email,
+  * phone number or name
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  duplicates: function(req, res) {
+    UserModel.find({
+      client: req.user.client
+    }, 'idn first_name last_name username phone createdAt is_client is_admin is_instructor is_student', function(err, users) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error getting users.',
+          error: err
+        });
       }
+      return res.json(userMerge.findDuplicates(users));
+    });
+  },
+
+  /**
+  * Merge the user in `req.body.duplicate` into the user in the URL, which
+  * keeps its login and roles. The duplicate account is archived. Merging the
+  * same two accounts again finishes a merge that stopped part way.
+  * @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+  * @param {res} res [Express.js Response object]{@link http://expressjs.com/en/api.html#res}
+  */
+  merge: function(req, res) {
+    if (!req.body.duplicate || String(req.body.duplicate) === req.params.id) {
+      return res.json(400, {
+        message: 'Choose another account to merge into this one.'
+      });
+    }
+    UserModel.find({
+      _id: { $in: [req.params.id, req.body.duplicate] },
+      client: req.user.client
+    }).withArchived().exec(function(err, users) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error getting users.',
+          error: err
+        });
+      }
+      var survivor = _.find(users, function(user) { return user.id === req.params.id; });
+      var retired = _.find(users, function(user) { return user.id === String(req.body.duplicate); });
+      if (!survivor || !retired || survivor.archived_at) {
+        return res.json(404, {
+          message: 'No such user'
+        });
+      }
+      if (retired._id.equals(req.user._id)) {
+        return res.json(400, {
+          message: 'You can\'t merge away the account you\'re logged in with.'
+        });
+      }
+      // Owners have to hand the organization over before they can go
+      if (retired.is_client) {
+        return res.json(400, {
+          message: 'Remove this user as an owner of the organization first.'
+        });
+      }
+      userMerge.merge(survivor, retired, req.user, function(err, survivor, record) {
+        if (err && err.invalid) {
+          return res.json(400, {
+            message: err.message
+          });
+        }
+        if(err) {
+          return res.json(500, {
+            message: 'Error merging users.',
+            error: err
+          });
+        }
+        UserSessionModel.revoke(req.sessionStore, { user: retired._id }, function(err) {
+          if (err) console.log(err);
+          return res.json({ user: survivor, merge: record });
+        });
+      });
     });
   },
 
   attendance: function(req, res) {
-    UserModel.findOne({ idn: req.body.idn, client: req.user.client }, function(err, user) {
+    OrganizationModel.findOne({ _id: req.user.client }, function(err, organization) {
+      if(err) {
+        return res.json(500, {
+          message: 'Error getting organization.',
+          error: err
+        });
+      }
+      // Kiosks may send the id as it's printed, prefix and all
+      var idn = organization ? organization.parseIdn(req.body.idn) : Number(req.body.idn);
+      if (idn !== req.user.idn && !req.user.can('attendance:write')) {
+        return res.json(403, {
+          message: 'You can only check yourself in.'
+        });
+      }
+      UserModel.findOne({ idn: idn, client: req.user.client }, findUser);
+    });
+
+    function findUser(err, user) {
       if(err) {
         return res.json(500, {
           message: 'Error saving user',
           error: err
         });
       }
-      if (!user.attendance) {
-        user.attendance = [];
+      if(!user) {
+        return res.json(404, {
+          message: 'No such user'
+        });
       }
-      var matched = _.find(user.attendance, function(date) { return moment(date, 'YYYY-MM-DD HH:ss').isSame(req.body.date, 'day')});
-      if (matched) {
-        user.attendance.splice(user.attendance.indexOf(matched), 1);
-      } else {
-        user.attendance.push(req.body.date);
+      if (user._id.equals(req.user._id)) {
+        return checkIn();
       }
-
-      user.save(() => {
-        return res.json(req.body);
+      CourseModel.findOne(_.extend({
+        registrations: user._id,
+        client: req.user.client
+      }, CourseModel.visibleTo(req.user)), function(err, course) {
+        if(err) {
+          return res.json(500, {
+            message: 'Error getting user courses.',
+            error: err
+          });
+        }
+        if(!course) {
+          return res.json(404, {
+            message: 'No such user'
+          });
+        }
+        checkIn();
       });
-    });  
+
+      function checkIn() {
+        if (!user.attendance) {
+          user.attendance = [];
+        }
+        var matched = _.find(user.attendance, function(date) { return moment(date, 'YYYY-MM-DD HH:ss').isSame(req.body.date, 'day')});
+        if (matched) {
+          user.attendance.splice(user.attendance.indexOf(matched), 1);
+        } else {
+          user.attendance.push(req.body.date);
+        }
+
+        user.changedBy(req.user).save(() => {
+          audit.record(req, matched ? 'attendance.remove' : 'attendance.check_in', {
+            target: user,
+            details: { date: matched || req.body.date }
+          });
+          return res.json(req.body);
+        });
+      }
+    }
   }
 };
+
+/**
+* The first built-in role a request gives a user or takes away from them
+* without the current user having every permission that comes with it
+* @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+* @param {Object} before the user's `is_*` flags before the change
+* @param {UserModel} user after the change
+* @return {String|undefined} e.g. `admin`
+*/
+function refusedBuiltin(req, before, user) {
+  return _.find(Object.keys(permissions.DEFAULT_ROLES), function(role) {
+    return !!before['is_' + role] !== !!user['is_' + role] && !permissions.canGrant(req.user, role);
+  });
+}
+
+/**
+* Why the current user can't change someone else's username, which is where
+* their reset links go, or nothing when they can. Owners keep control of
+* their own logins, and nobody can take over an account that can do things
+* they can't.
+* @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+* @param {UserModel} user
+* @param {Boolean} changing whether the request changes the username
+* @param {Function} cb called with the reason, if any
+*/
+function refusedLogin(req, user, changing, cb) {
+  if (!changing) {
+    return cb(null);
+  }
+  if (user.is_client) {
+    return cb(null, 'You can\'t change an owner\'s email address.');
+  }
+  user.loadPermissions(function(err, user) {
+    if (err) {
+      return cb(err);
+    }
+    var grantable = user.permissions.every(function(permission) {
+      return req.user.can(permission);
+    });
+    cb(null, grantable ? null : 'You can\'t change the email address of someone who can do more than you.');
+  });
+}
+
+/**
+* A user's built-in and custom roles, to compare before and after a change
+* @param {UserModel} user
+* @return {Object}
+*/
+function roleSummary(user) {
+  return {
+    is_admin: !!user.is_admin,
+    is_instructor: !!user.is_instructor,
+    is_student: !!user.is_student,
+    roles: user.roles.map(String).sort()
+  };
+}
+
+/**
+* Work out a user's new custom roles. The current user can only hand out or
+* take away roles that don't go beyond their own permissions.
+* @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+* @param {String[]|null} ids requested role ids, or null when roles aren't changing
+* @param {ObjectId[]} existing the user's current role ids
+* @param {Function} cb called with the roles, or null
+*/
+function findRoles(req, ids, existing, cb) {
+  if (!ids) {
+    return cb(null, null);
+  }
+  ids = [].concat(ids).map(String);
+  existing = existing.map(String);
+  RoleModel.find({
+    _id: { $in: _.union(ids, existing) },
+    client: req.user.client,
+    builtin: null
+  }, function(err, roles) {
+    if (err) {
+      return cb(err);
+    }
+    cb(null, roles.filter(function(role) {
+      var grantable = role.permissions.every(function(permission) {
+        return req.user.can(permission);
+      });
+      return grantable ? ids.indexOf(role.id) > -1 : existing.indexOf(role.id) > -1;
+    }));
+  });
+}
+
+/**
+* Build the conditions for the users list from the request's query parameters
+* @param {req} req [Express.js Request object]{@link http://expressjs.com/en/api.html#req}
+* @param {Function} cb called with the conditions. Errors about bad parameters
+* have `invalid` set.
+*/
+function userFilters(req, cb) {
+  var params = req.query;
+  // Counting doesn't leave out archived users by itself
+  var query = {
+    client: req.user.client,
+    archived_at: params.archived ? { $ne: null } : null
+  };
+  var clauses = [];
+
+  function invalid(message) {
+    var err = new Error(message);
+    err.invalid = true;
+    return cb(err);
+  }
+
+  if (params.role) {
+    if (ROLE_FLAGS[params.role]) {
+      query[ROLE_FLAGS[params.role]] = true;
+    } else if (mongoose.Types.ObjectId.isValid(params.role)) {
+      query.roles = params.role;
+    } else {
+      return invalid('No such role');
+    }
+  }
+
+  var created = {};
+  if (params.created_after) {
+    created.$gte = moment(params.created_after).startOf('day').toDate();
+  }
+  if (params.created_before) {
+    created.$lte = moment(params.created_before).endOf('day').toDate();
+  }
+  if (_.some(created, function(date) { return isNaN(date.getTime()); })) {
+    return invalid('Dates should look like YYYY-MM-DD.');
+  }
+  if (!_.isEmpty(created)) {
+    query.createdAt = created;
+  }
+
+  if ((params.course && !mongoose.Types.ObjectId.isValid(params.course)) ||
+    (params.term && !mongoose.Types.ObjectId.isValid(params.term))) {
+    return invalid('No such course or term');
+  }
+
+  OrganizationModel.findOne({
+    _id: req.user.client
+  }, function(err, organization) {
+    if (err) {
+      return cb(err);
+    }
+    // Every word has to show up somewhere, so "ann smith" finds Ann Smith
+    _.each(String(params.q || '').trim().split(/\s+/).filter(Boolean), function(word) {
+      var pattern = new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      var or = [
+        { first_name: pattern },
+        { last_name: pattern },
+        { username: pattern },
+        { phone: pattern }
+      ];
+      var idn = organization ? organization.parseIdn(word) : null;
+      if (idn !== null) {
+        or.push({ idn: idn });
+      }
+      clauses.push({ $or: or });
+    });
+
+    if (!params.course && !params.term) {
+      return done();
+    }
+    var courseQuery = { client: req.user.client };
+    if (params.course) {
+      courseQuery._id = params.course;
+    }
+    if (params.term) {
+      courseQuery.term = params.term;
+    }
+    CourseModel.find(courseQuery, 'registrations', function(err, courses) {
+      if (err) {
+        return cb(err);
+      }
+      clauses.push({
+        _id: { $in: _.flatten(_.pluck(courses, 'registrations')) }
+      });
+      done();
+    });
+  });
+
+  function done() {
+    if (clauses.length) {
+      query.$and = clauses;
+    }
+    cb(null, query);
+  }
+}
@@ -3,10 +3,11 @@ var nodemon = require('nodemon');
 var DatabaseCleaner = require('database-cleaner');
 var nightwatch = require('gulp-nightwatch');
 var mongo = require('mongodb');
+var env = require('../tests/env');
 
 gulp.task('clean-db', function() {
   var databaseCleaner = new DatabaseCleaner('mongodb');
-  mongo.connect('mongodb://localhost/campus-manager-test', function(err, db) {
+  mongo.connect(env.TEST_DB, function(err, db) {
     databaseCleaner.clean(db, function() {
       console.log('done');
       db.close();
@@ -17,18 +18,7 @@ gulp.task('clean-db', function() {
 gulp.task('nodemon-start', function() {
   nodemon({
     script: './bin/www',
-    env: {
-      NODE_ENV: 'test',
-      PORT: 8080,
-      TEST_DB: 'mongodb://localhost/campus-manager-test',
-      // These are one-off keys, not attached to any account
-      STRIPE_SECRET_KEY: 'sk_test_lvCpZcnc4rdLb5s87pG642Yr',
-      STRIPE_PUBLISHABLE_KEY: 'pk_test_E71Myo8fhYgUb7DqSuP6MoCM',
-      REGISTRATION_ENABLED: true,
-      SESSION_KEY: 'foo',
-      OAUTH_CLIENT_ID: 'id.apps.googleusercontent.com',
-      OAUTH_CLIENT_SECRET: 'secret'
-    }
+    env: env
   });
 });
 
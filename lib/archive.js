@@ -0,0 +1,159 @@
+/**
+ * @module lib/archive
+ * @description Mongoose plugin for archiving documents instead of deleting
+ * them, and the controller actions that go with it.
+ *
+ * Archived documents have `archived_at` set and drop out of `find` and
+ * `findOne`, so they disappear from lists, search and logins without losing
+ * anything. Chain `.archived()` to find only archived documents or
+ * `.withArchived()` to find both. Population still follows references to
+ * archived documents, so a course never ends up pointing at nothing.
+ */
+
+const mongoose = require('mongoose');
+const isPopulate = require('./tenancy').isPopulate;
+
+const HOOKS = ['find', 'findOne'];
+
+/**
+* @param {Schema} schema
+*/
+module.exports = function archive(schema) {
+  schema.add({
+    archived_at: {
+      type: Date,
+      default: null
+    },
+    archived_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user'
+    }
+  });
+
+  /**
+  * Only find archived documents
+  */
+  schema.query.archived = function() {
+    return this.where({ archived_at: { $ne: null } });
+  };
+
+  /**
+  * Find archived documents along with the rest
+  */
+  schema.query.withArchived = function() {
+    this._withArchived = true;
+    return this;
+  };
+
+  HOOKS.forEach(hook => {
+    schema.pre(hook, function(next) {
+      const conditions = this.getQuery();
+      // `null` also matches documents from before archiving existed
+      if (!this._withArchived && !conditions.hasOwnProperty('archived_at') && !isPopulate(this)) {
+        this.where({ archived_at: null });
+      }
+      next();
+    });
+  });
+
+  /**
+  * @param {UserModel} user who archived it
+  * @param {Function} cb
+  */
+  schema.methods.archive = function(user, cb) {
+    this.archived_at = new Date();
+    this.archived_by = user._id;
+    this.save(cb);
+  };
+
+  /**
+  * @param {Function} cb
+  */
+  schema.methods.restore = function(cb) {
+    this.archived_at = null;
+    this.archived_by = undefined;
+    this.save(cb);
+  };
+};
+
+/**
+* Controller actions to archive, restore and purge a tenant-owned model
+* @param {Model} Model using the history plugin too
+* @param {String} name what to call a document in messages, e.g. `location`
+* @param {Function} [inUse] called with a document and a callback, which it
+* calls with a reason when the document can't be purged yet
+* @return {Object} `archive`, `restore` and `purge` actions
+*/
+module.exports.actions = function(Model, name, inUse) {
+  function find(req, res, query, cb) {
+    query.exec((err, doc) => {
+      if (err) {
+        return res.json(500, {
+          message: `Error getting ${name}.`,
+          error: err
+        });
+      }
+      if (!doc) {
+        return res.json(404, {
+          message: `No such ${name}`
+        });
+      }
+      cb(doc);
+    });
+  }
+
+  function respond(res, verb) {
+    return (err, doc) => {
+      if (err) {
+        return res.json(500, {
+          message: `Error ${verb} ${name}.`,
+          error: err
+        });
+      }
+      return res.json(doc);
+    };
+  }
+
+  return {
+
+    /**
+    * Archive a document
+    */
+    archive: (req, res) => {
+      find(req, res, Model.findOne({ _id: req.params.id, client: req.user.client }), doc => {
+        doc.changedBy(req.user).archive(req.user, respond(res, 'archiving'));
+      });
+    },
+
+    /**
+    * Bring an archived document back
+    */
+    restore: (req, res) => {
+      find(req, res, Model.findOne({ _id: req.params.id, client: req.user.client }).archived(), doc => {
+        doc.changedBy(req.user).restore(respond(res, 'restoring'));
+      });
+    },
+
+    /**
+    * Delete an archived document for good, once nothing refers to it
+    */
+    purge: (req, res) => {
+      find(req, res, Model.findOne({ _id: req.params.id, client: req.user.client }).archived(), doc => {
+        (inUse || ((doc, cb) => cb(null)))(doc, (err, reason) => {
+          if (err) {
+            return res.json(500, {
+              message: `Error checking what uses this ${name}.`,
+              error: err
+            });
+          }
+          if (reason) {
+            return res.json(400, {
+              message: reason
+            });
+          }
+          doc.remove(respond(res, 'deleting'));
+        });
+      });
+    }
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * @module lib/audit
+ * @description Writes entries to the audit log.
+ *
+ * Call `audit.record(req, action, options)` once the thing being recorded
+ * has happened. Who did it, their organization and where the request came
+ * from are taken from the request. Recording never holds up or fails the
+ * request: a failed write is logged and the request carries on.
+ */
+
+const AuditLogModel = require('../models/AuditLogModel');
+
+// Everything that gets recorded, and how the audit log describes it
+const ACTIONS = {
+  'login': 'Logged in',
+  'login.failed': 'Failed to log in',
+  'user.roles': 'Changed roles',
+  'role.permissions': 'Changed a role\'s permissions',
+  'owner.add': 'Made a user an owner',
+  'owner.remove': 'Removed an owner',
+  'api_token.create': 'Created an API token',
+  'api_token.revoke': 'Revoked an API token',
+  'calendar.reset': 'Reset calendar feed links',
+  'grade.change': 'Changed a grade',
+  'attendance.check_in': 'Checked in',
+  'attendance.remove': 'Removed a check-in',
+  'registration.add': 'Registered for a course',
+  'registration.remove': 'Unregistered from a course',
+  'charge.create': 'Took a payment',
+  'report.run': 'Ran a report'
+};
+
+/**
+* How an entry refers to a document
+* @param {Document} doc a user, course, API token, ...
+* @return {Object}
+*/
+function target(doc) {
+  return {
+    kind: doc.constructor.modelName,
+    id: doc._id,
+    label: doc.first_name ? `${doc.first_name} ${doc.last_name}` : doc.name
+  };
+}
+
+module.exports = {
+  ACTIONS: ACTIONS,
+
+  /**
+  * @param {Request} req
+  * @param {String} action one of ACTIONS
+  * @param {Object} [options]
+  * @param {Document} [options.target] what the action was done to
+  * @param {Object} [options.details] anything else worth keeping, e.g. the
+  * score before and after
+  * @param {UserModel} [options.actor] who did it, when `req.user` isn't set
+  * yet, like while logging in
+  * @param {Function} [cb] called with the entry
+  */
+  record: function(req, action, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    cb = cb || (() => {});
+    const actor = options.actor || req.user;
+    const impersonation = req.session && req.session.impersonation;
+
+    new AuditLogModel({
+      client: actor.client,
+      actor: actor._id,
+      impersonator: impersonation ? impersonation.actor : undefined,
+      action: action,
+      target: options.target ? target(options.target) : undefined,
+      details: options.details,
+      ip: req.ip,
+      user_agent: req.get('User-Agent'),
+      method: req.method,
+      path: req.originalUrl,
+      api_token: req.apiToken ? req.apiToken._id : undefined
+    }).save((err, entry) => {
+      if (err) console.log(err);
+      cb(null, entry);
+    });
+  }
+};
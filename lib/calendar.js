@@ -0,0 +1,323 @@
+/**
+ * @module lib/calendar
+ * @description Works out which days courses meet.
+ *
+ * A course meets on its days of the week between its term's start and end,
+ * except on:
+ * - its own holidays
+ * - closures on the organization's calendar, everywhere or at its location
+ *
+ * but always on its makeup dates, which override both. Each session runs from
+ * the course's `timeStart` to `timeEnd`, or at its day's `meeting_times`.
+ * Then the course's `exceptions` change single sessions, in date order:
+ * - `cancel` there's no session that day
+ * - `change` the session runs at a different time, place or room
+ * - `move` the session is on `moved_to` instead, and can change too
+ * - `add` there's an extra session that day
+ *
+ * A course has at most one session a day, the same as attendance.
+ *
+ * Each course keeps the closures that fall in its term in `closures`, kept
+ * up to date here whenever the calendar, the term's dates or the course's
+ * term or location change, so working out its sessions needs nothing else
+ * loaded. Courses sent with their term carry their sessions from here, so
+ * the browser never works them out itself.
+ */
+
+const _ = require('underscore');
+const moment = require('moment');
+const mongoose = require('mongoose');
+
+const DATE = 'YYYY-MM-DD';
+
+// A closure longer than this is a mistake, not a holiday
+const MAX_CLOSURE_DAYS = 366;
+
+// Models are looked up when needed, since CourseModel uses this module
+function model(name) {
+  return mongoose.model(name);
+}
+
+/**
+* @param {Date} date
+* @return {String} `YYYY-MM-DD`
+*/
+function day(date) {
+  return moment.utc(date).format(DATE);
+}
+
+/**
+* Every day a closure covers
+* @param {ClosureModel} closure
+* @return {String[]} `YYYY-MM-DD`
+*/
+function closureDays(closure) {
+  const days = [];
+  const end = moment.utc(closure.end_date || closure.start_date, DATE);
+  for (let date = moment.utc(closure.start_date, DATE); !date.isAfter(end) && days.length < MAX_CLOSURE_DAYS; date.add(1, 'days')) {
+    days.push(date.format(DATE));
+  }
+  return days;
+}
+
+/**
+* The days a course is closed, from the closures that apply to it
+* @param {CourseModel} course
+* @param {TermModel} term
+* @param {ClosureModel[]} closures
+* @return {Object[]} `{ date, name }` in date order
+*/
+function closedDays(course, term, closures) {
+  const start = day(term.start_date);
+  const end = day(term.end_date);
+  const location = course.location ? String(course.location._id || course.location) : null;
+  const closed = {};
+  _.sortBy(closures, 'start_date').forEach(closure => {
+    if (closure.location && String(closure.location) !== location) {
+      return;
+    }
+    closureDays(closure).forEach(date => {
+      if (date >= start && date <= end && !closed[date]) {
+        closed[date] = { date: date, name: closure.name };
+      }
+    });
+  });
+  return _.sortBy(_.values(closed), 'date');
+}
+
+/**
+* Closures with any days between the first term's start and the last one's
+* end
+* @param {ObjectId} client
+* @param {TermModel[]} terms
+* @param {Function} cb called with the closures
+*/
+function closuresDuring(client, terms, cb) {
+  if (!terms.length) {
+    return cb(null, []);
+  }
+  model('closure').find({
+    client: client,
+    start_date: { $lte: terms.map(term => day(term.end_date)).sort().pop() },
+    end_date: { $gte: terms.map(term => day(term.start_date)).sort()[0] }
+  }, cb);
+}
+
+/**
+* @param {CourseModel} course
+* @return {Object[]} the course's assignments that are due on a day it's closed
+*/
+function dueWhenClosed(course) {
+  const closed = _.indexBy(course.closures || [], 'date');
+  return (course.grades || []).filter(grade => grade.dueDate && closed[grade.dueDate]).map(grade => {
+    return { name: grade.name, dueDate: grade.dueDate, closure: closed[grade.dueDate].name };
+  });
+}
+
+/**
+* When a course usually meets on a day of the week
+* @param {CourseModel} course
+* @param {String} day e.g. `saturday`
+* @return {Object} `{ timeStart, timeEnd }`
+*/
+function timesOn(course, day) {
+  const times = _.findWhere(course.meeting_times || [], { day: day });
+  if (times && times.timeStart && times.timeEnd) {
+    return { timeStart: times.timeStart, timeEnd: times.timeEnd };
+  }
+  return { timeStart: course.timeStart, timeEnd: course.timeEnd };
+}
+
+/**
+* A session as the course usually runs it
+* @param {CourseModel} course
+* @param {String} date `YYYY-MM-DD`
+* @return {Object}
+*/
+function usualSession(course, date) {
+  return _.extend({
+    date: date,
+    location: course.location ? (course.location._id || course.location) : null,
+    room: course.room || '',
+    note: ''
+  }, timesOn(course, moment.utc(date, DATE).format('dddd').toLowerCase()));
+}
+
+/**
+* @param {Object} exception
+* @return {Object} what it changes about a session
+*/
+function overrides(exception) {
+  return _.pick(_.pick(exception, 'timeStart', 'timeEnd', 'location', 'room', 'note'), value => !!value);
+}
+
+/**
+* Every session a course has
+* @param {CourseModel} course with its term populated
+* @return {Object[]} `{ date, timeStart, timeEnd, location, room, note }` in
+* date order, with `changed`, `added` or `moved_from` set on sessions that
+* its exceptions changed
+*/
+function sessions(course) {
+  if (!course.term || !course.term.start_date) {
+    return [];
+  }
+  const days = course.days || [];
+  const holidays = course.holidays || [];
+  const closed = _.pluck(course.closures || [], 'date');
+  const makeups = course.makeup_dates || [];
+  const byDate = {};
+  const end = moment.utc(course.term.end_date);
+  for (let date = moment.utc(course.term.start_date); !date.isAfter(end, 'day'); date.add(1, 'days')) {
+    const key = date.format(DATE);
+    const scheduled = days.indexOf(date.format('dddd').toLowerCase()) > -1 &&
+      holidays.indexOf(key) === -1 && closed.indexOf(key) === -1;
+    if (scheduled || makeups.indexOf(key) > -1) {
+      byDate[key] = usualSession(course, key);
+    }
+  }
+
+  _.sortBy(course.exceptions || [], 'date').forEach(exception => {
+    const session = byDate[exception.date];
+    switch (exception.action) {
+      case 'cancel':
+        delete byDate[exception.date];
+        break;
+      case 'change':
+        if (session) {
+          byDate[exception.date] = _.extend(session, overrides(exception), { changed: true });
+        }
+        break;
+      case 'move':
+        if (session && exception.moved_to) {
+          delete byDate[exception.date];
+          byDate[exception.moved_to] = _.extend(session, overrides(exception), {
+            date: exception.moved_to,
+            moved_from: exception.date
+          });
+        }
+        break;
+      case 'add':
+        byDate[exception.date] = _.extend(usualSession(course, exception.date), overrides(exception), { added: true });
+        break;
+    }
+  });
+  return _.sortBy(_.values(byDate), 'date');
+}
+
+module.exports = {
+  DATE: DATE,
+  closureDays: closureDays,
+  dueWhenClosed: dueWhenClosed,
+  timesOn: timesOn,
+  sessions: sessions,
+
+  /**
+  * The days a course meets
+  * @param {CourseModel} course with its term populated
+  * @return {String[]} `YYYY-MM-DD`, in order
+  */
+  classDates: function(course) {
+    return _.pluck(sessions(course), 'date');
+  },
+
+  /**
+  * Set a course's closures from the calendar, without saving it
+  * @param {CourseModel} course
+  * @param {Function} cb
+  */
+  apply: function(course, cb) {
+    model('term').findOne({ _id: course.term, client: course.client }).withArchived().exec((err, term) => {
+      if (err || !term) {
+        return cb(err);
+      }
+      closuresDuring(course.client, [term], (err, closures) => {
+        if (err) {
+          return cb(err);
+        }
+        course.closures = closedDays(course, term, closures);
+        cb();
+      });
+    });
+  },
+
+  /**
+  * Bring courses' closures up to date with the calendar, after it or their
+  * terms changed
+  * @param {ObjectId} client
+  * @param {Object} conditions which courses, e.g. `{ term: term._id }`
+  * @param {Function} cb called with `{ course, closed, reopened, due }` for
+  * each course whose closures changed: the class dates it lost and gained,
+  * and its assignments that are now due on a closure
+  */
+  refresh: function(client, conditions, cb) {
+    model('course').find(_.extend({}, conditions, { client: client })).populate('term').exec((err, courses) => {
+      if (err) {
+        return cb(err);
+      }
+      const terms = _.uniq(_.compact(_.pluck(courses, 'term')), term => String(term._id));
+      closuresDuring(client, terms, (err, closures) => {
+        if (err) {
+          return cb(err);
+        }
+        const affected = [];
+        let idx = 0;
+        next();
+
+        function next() {
+          if (idx >= courses.length) {
+            return cb(null, affected);
+          }
+          const course = courses[idx++];
+          if (!course.term) {
+            return next();
+          }
+          const before = module.exports.classDates(course);
+          const closed = closedDays(course, course.term, closures);
+          const unchanged = JSON.stringify(closed) === JSON.stringify((course.closures || []).map(closure => _.pick(closure, 'date', 'name')));
+          course.closures = closed;
+          const after = module.exports.classDates(course);
+          const due = dueWhenClosed(course);
+          const lost = _.difference(before, after);
+          const gained = _.difference(after, before);
+          if (lost.length || gained.length || (due.length && !unchanged)) {
+            affected.push({
+              course: { _id: course._id, name: course.name, term: course.term.name },
+              closed: lost,
+              reopened: gained,
+              due: due
+            });
+          }
+          if (unchanged) {
+            return setImmediate(next);
+          }
+          // Only the calendar changed, so there's no one to credit in its history
+          model('course').update({ _id: course._id, client: client }, { $set: { closures: closed } }, err => {
+            if (err) {
+              return cb(err);
+            }
+            setImmediate(next);
+          });
+        }
+      });
+    });
+  },
+
+  /**
+  * Courses a closure's days could fall in, for refresh()
+  * @param {ObjectId} client
+  * @param {Object[]} ranges `{ start_date, end_date }` as `YYYY-MM-DD`
+  * @param {Function} cb called with conditions for refresh()
+  */
+  coursesDuring: function(client, ranges, cb) {
+    const start = _.pluck(ranges, 'start_date').sort()[0];
+    const end = ranges.map(range => range.end_date || range.start_date).sort().pop();
+    model('term').find({
+      client: client,
+      start_date: { $lte: moment.utc(end, DATE).endOf('day').toDate() },
+      end_date: { $gte: moment.utc(start, DATE).toDate() }
+    }).withArchived().exec((err, terms) => {
+      cb(err, { term: { $in: _.pluck(terms || [], '_id') } });
+    });
+  }
+};
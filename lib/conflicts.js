@@ -0,0 +1,388 @@
+/**
+ * @module lib/conflicts
+ * @description Finds courses that clash with each other.
+ *
+ * Two courses clash when their terms overlap, they share a day and their
+ * times overlap, or when any of their actual sessions meet at the same time,
+ * so added, moved and changed sessions count too. What makes that a problem:
+ * - `room` both are in the same room (error)
+ * - `location` both are at the same location and at least one doesn't say
+ *   which room, so they may well be in the same one (error)
+ * - `instructor` someone teaches both (error)
+ * - `staff` someone assists one and teaches or assists the other (warning)
+ * - `student` someone is registered for both (warning)
+ *
+ * Errors stop a course from being saved unless someone who can
+ * `courses:override` says to save it anyway. Warnings only need confirming.
+ */
+
+const _ = require('underscore');
+const CourseModel = require('../models/CourseModel');
+const TermModel = require('../models/TermModel');
+const UserModel = require('../models/UserModel');
+const calendar = require('./calendar');
+
+const SEVERITY = {
+  room: 'error',
+  location: 'error',
+  instructor: 'error',
+  staff: 'warning',
+  student: 'warning'
+};
+
+// Changing any of these can make or break a clash. Instructors can change
+// the last three, which add, move and cancel single sessions.
+const SCHEDULE_FIELDS = [
+  'term', 'location', 'room', 'days', 'timeStart', 'timeEnd', 'meeting_times', 'instructors', 'teaching_assistants',
+  'holidays', 'makeup_dates', 'exceptions'
+];
+
+const USER_FIELDS = 'first_name last_name';
+
+/**
+* @param {ObjectId|Document} ref a reference that may have been populated
+* @return {String}
+*/
+function id(ref) {
+  return ref ? String(ref._id || ref) : '';
+}
+
+/**
+* @param {String} time e.g. `18:30`
+* @return {Number|null} minutes since midnight
+*/
+function minutes(time) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+* @param {Object} a `{ timeStart, timeEnd }`
+* @param {Object} b `{ timeStart, timeEnd }`
+* @return {Boolean} whether the times overlap
+*/
+function overlaps(a, b) {
+  const times = [a.timeStart, a.timeEnd, b.timeStart, b.timeEnd].map(minutes);
+  if (times.some(time => time === null)) {
+    return false;
+  }
+  return times[0] < times[3] && times[2] < times[1];
+}
+
+/**
+* Whether two courses meet at the same time on some day of the week. Their
+* weekly patterns are compared, so one-off session changes aren't.
+* @param {CourseModel} a
+* @param {CourseModel} b
+* @return {Boolean}
+*/
+function sameTime(a, b) {
+  const days = _.intersection((a.days || []).map(String), (b.days || []).map(String));
+  return days.some(day => overlaps(calendar.timesOn(a, day), calendar.timesOn(b, day)));
+}
+
+/**
+* A course's sessions, with its term looked up from ones already loaded
+* @param {CourseModel} course
+* @param {TermModel[]} terms
+* @return {Object[]} from lib/calendar sessions()
+*/
+function sessionsOf(course, terms) {
+  const term = _.find(terms, term => id(term) === id(course.term));
+  if (!term) {
+    return [];
+  }
+  return calendar.sessions(_.extend(_.pick(course,
+    'days', 'holidays', 'closures', 'makeup_dates', 'exceptions', 'meeting_times', 'timeStart', 'timeEnd', 'location', 'room'
+  ), { term: term }));
+}
+
+/**
+* Sessions of two courses that meet on the same day at the same time
+* @param {Object[]} sessions
+* @param {Object[]} otherSessions
+* @return {Object[][]} `[session, otherSession]` pairs
+*/
+function sameSessions(sessions, otherSessions) {
+  const byDate = _.groupBy(otherSessions, 'date');
+  const pairs = [];
+  sessions.forEach(session => {
+    (byDate[session.date] || []).forEach(other => {
+      if (overlaps(session, other)) {
+        pairs.push([session, other]);
+      }
+    });
+  });
+  return pairs;
+}
+
+/**
+* Whether two places, each `{ location, room }`, could be the same room
+* @param {Object} a
+* @param {Object} b
+* @return {String|null} `room` when they are, `location` when they may be
+*/
+function samePlace(a, b) {
+  if (!id(a.location) || id(a.location) !== id(b.location)) {
+    return null;
+  }
+  const room = String(a.room || '').trim().toLowerCase();
+  const otherRoom = String(b.room || '').trim().toLowerCase();
+  if (!room || !otherRoom) {
+    return 'location';
+  }
+  return room === otherRoom ? 'room' : null;
+}
+
+/**
+* @param {Array} a references
+* @param {Array} b references
+* @return {String[]} the ids in both
+*/
+function shared(a, b) {
+  return _.intersection((a || []).map(id), (b || []).map(id));
+}
+
+/**
+* How two courses that share a term clash, if they do
+* @param {CourseModel} course
+* @param {CourseModel} other
+* @param {Object[][]} pairs their sessions that meet at the same time, from
+* sameSessions()
+* @return {Object[]} `{ type, users }` for each way they clash
+*/
+function clashes(course, other, pairs) {
+  const weekly = sameTime(course, other);
+  if (!weekly && !pairs.length) {
+    return [];
+  }
+  const found = [];
+  // A session somewhere else for the day counts as much as the usual place
+  const places = _.compact((weekly ? [[course, other]] : []).concat(pairs).map(pair => samePlace(pair[0], pair[1])));
+  if (places.length) {
+    found.push({ type: places.indexOf('room') > -1 ? 'room' : 'location', users: [] });
+  }
+
+  const instructors = shared(course.instructors, other.instructors);
+  if (instructors.length) {
+    found.push({ type: 'instructor', users: instructors });
+  }
+  const staff = _.difference(shared(
+    (course.instructors || []).concat(course.teaching_assistants || []),
+    (other.instructors || []).concat(other.teaching_assistants || [])
+  ), instructors);
+  if (staff.length) {
+    found.push({ type: 'staff', users: staff });
+  }
+
+  const students = shared(course.registrations, other.registrations);
+  if (students.length) {
+    found.push({ type: 'student', users: students });
+  }
+  return found;
+}
+
+/**
+* @param {String} type
+* @param {Object[]} users
+* @param {CourseModel} other
+* @return {String}
+*/
+function describe(type, users, other) {
+  const names = users.map(user => `${user.first_name} ${user.last_name}`).join(', ');
+  switch (type) {
+    case 'room':
+      return `${other.name} is in the same room at the same time.`;
+    case 'location':
+      return `${other.name} is at the same location at the same time. Set both courses' rooms if they're in different ones.`;
+    case 'instructor':
+      return `${names} also ${users.length === 1 ? 'teaches' : 'teach'} ${other.name} at the same time.`;
+    case 'staff':
+      return `${names} also ${users.length === 1 ? 'helps' : 'help'} with ${other.name} at the same time.`;
+    case 'student':
+      return `${users.length} ${users.length === 1 ? 'student is' : 'students are'} also registered for ${other.name} at the same time.`;
+  }
+}
+
+/**
+* The terms that overlap a term's dates, the term itself included
+* @param {TermModel} term
+* @param {Function} cb called with the terms
+*/
+function overlappingTerms(term, cb) {
+  TermModel.find({
+    client: term.client,
+    start_date: { $lte: term.end_date },
+    end_date: { $gte: term.start_date }
+  }, cb);
+}
+
+/**
+* Turn clashes into conflicts, naming the people involved
+* @param {ObjectId} client
+* @param {Object[]} found `{ type, users, other }`
+* @param {TermModel[]} terms to name the other courses' terms
+* @param {Function} cb called with the conflicts
+*/
+function conflicts(client, found, terms, cb) {
+  const ids = _.uniq(_.flatten(_.pluck(found, 'users')));
+  UserModel.find({ _id: { $in: ids }, client: client }, USER_FIELDS).withArchived().exec((err, users) => {
+    if (err) {
+      return cb(err);
+    }
+    cb(null, found.map(clash => {
+      const people = clash.users.map(userId => _.find(users, user => String(user._id) === userId)).filter(Boolean);
+      const term = _.find(terms, term => id(term) === id(clash.other.term));
+      return {
+        type: clash.type,
+        severity: SEVERITY[clash.type],
+        message: describe(clash.type, people, clash.other),
+        course: {
+          _id: clash.other._id,
+          name: clash.other.name,
+          term: term ? { _id: term._id, name: term.name } : null,
+          days: clash.other.days,
+          timeStart: clash.other.timeStart,
+          timeEnd: clash.other.timeEnd,
+          room: clash.other.room
+        },
+        users: people
+      };
+    }));
+  });
+}
+
+module.exports = {
+  SCHEDULE_FIELDS: SCHEDULE_FIELDS,
+
+  /**
+  * Whether a course's conflicts need checking before it's saved
+  * @param {CourseModel} course
+  * @return {Boolean}
+  */
+  needsCheck: function(course) {
+    return course.isNew || SCHEDULE_FIELDS.some(field => course.isModified(field));
+  },
+
+  /**
+  * Whether conflicts stop courses from being saved. Anyone who can edit a
+  * course can accept warnings by saying to override them, but only
+  * `courses:override` gets past errors.
+  * @param {Object[]} found conflicts
+  * @param {UserModel} user who's saving
+  * @param {Boolean} override whether they said to save anyway
+  * @return {Object|null} what to respond with, with a 409, if they do
+  */
+  refusal: function(found, user, override) {
+    const errors = _.where(found, { severity: 'error' });
+    const canOverride = !errors.length || user.can('courses:override');
+    if (!found.length || (override && canOverride)) {
+      return null;
+    }
+    return {
+      message: errors.length ?
+        'This course clashes with another course.' :
+        'This course overlaps with another course.',
+      conflicts: found,
+      can_override: canOverride
+    };
+  },
+
+  /**
+  * Everything a course, saved or not, would clash with
+  * @param {CourseModel} course
+  * @param {Object} [options]
+  * @param {CourseModel[]} [options.alongside] unsaved courses that are being
+  * saved with it, which it's checked against as if they already were
+  * @param {Function} cb called with the conflicts, errors first
+  */
+  check: function(course, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    TermModel.findOne({ _id: id(course.term), client: course.client }).withArchived().exec((err, term) => {
+      if (err || !term) {
+        return cb(err, []);
+      }
+      overlappingTerms(term, (err, terms) => {
+        if (err) {
+          return cb(err);
+        }
+        // Not just courses on the same days, since sessions can be added or
+        // moved to any day
+        CourseModel.find({
+          _id: { $ne: course._id },
+          client: course.client,
+          term: { $in: _.pluck(terms, '_id') }
+        }, (err, others) => {
+          if (err) {
+            return cb(err);
+          }
+          const termIds = terms.map(id);
+          others = others.concat((options.alongside || []).filter(other => {
+            return other !== course && termIds.indexOf(id(other.term)) > -1;
+          }));
+          const sessions = sessionsOf(course, terms);
+          const found = _.flatten(others.map(other => {
+            const pairs = sameSessions(sessions, sessionsOf(other, terms));
+            return clashes(course, other, pairs).map(clash => _.extend(clash, { other: other }));
+          }));
+          conflicts(course.client, found, terms, (err, list) => {
+            cb(err, _.sortBy(list, conflict => conflict.severity === 'error' ? 0 : 1));
+          });
+        });
+      });
+    });
+  },
+
+  /**
+  * Every clash involving a term's courses, including with courses in terms
+  * that overlap it
+  * @param {TermModel} term
+  * @param {Function} cb called with `{ course, conflicts }` for each course
+  * that has any
+  */
+  report: function(term, cb) {
+    overlappingTerms(term, (err, terms) => {
+      if (err) {
+        return cb(err);
+      }
+      CourseModel.find({
+        client: term.client,
+        term: { $in: _.pluck(terms, '_id') }
+      }, (err, courses) => {
+        if (err) {
+          return cb(err);
+        }
+        const own = courses.filter(course => id(course.term) === id(term));
+        const sessions = _.object(courses.map(id), courses.map(course => sessionsOf(course, terms)));
+        const found = [];
+        own.forEach(course => {
+          courses.forEach(other => {
+            // Each pair within the term only once
+            const pairSeen = id(other.term) === id(term) && id(other) <= id(course);
+            if (id(other) !== id(course) && !pairSeen) {
+              const pairs = sameSessions(sessions[id(course)], sessions[id(other)]);
+              clashes(course, other, pairs).forEach(clash => {
+                found.push(_.extend(clash, { course: course, other: other }));
+              });
+            }
+          });
+        });
+        conflicts(term.client, found, terms, (err, list) => {
+          if (err) {
+            return cb(err);
+          }
+          const byCourse = _.groupBy(list.map((conflict, i) => _.extend(conflict, { _course: found[i].course })), conflict => id(conflict._course));
+          cb(null, own.filter(course => byCourse[id(course)]).map(course => {
+            return {
+              course: { _id: course._id, name: course.name, days: course.days, timeStart: course.timeStart, timeEnd: course.timeEnd, room: course.room },
+              conflicts: byCourse[id(course)].map(conflict => _.omit(conflict, '_course'))
+            };
+          }));
+        });
+      });
+    });
+  }
+};
@@ -0,0 +1,210 @@
+/**
+ * @module lib/history
+ * @description Mongoose plugin that records who made each change, and the
+ * controller actions that read and revert the versions `mongoose-version`
+ * keeps.
+ *
+ * `mongoose-version` copies a document into its `*__versions` collection
+ * every time it's saved. This plugin adds `updated_by` so each copy says
+ * who saved it: call `doc.changedBy(req.user)` before saving. Saves that
+ * don't, like a reset link being sent, are recorded without anyone.
+ *
+ * Apply it before `mongoose-version`, which copies the schema's paths when
+ * it's applied and has to see `updated_by`.
+ */
+
+const _ = require('underscore');
+const mongoose = require('mongoose');
+
+// Bookkeeping that changes on every save or isn't worth showing
+const IGNORED = ['_id', 'id', '__v', 'refVersion', 'client', 'createdAt', 'updatedAt', 'updated_by'];
+
+/**
+* @param {Schema} schema
+* @param {Object} options
+* @param {String[]} options.fields paths that can be reverted. Leave out
+* anything with its own checks, like roles or registrations.
+*/
+module.exports = function history(schema, options) {
+  const fields = options.fields;
+
+  // So clients know which changed fields they can offer to revert
+  schema.statics.revertable = fields;
+
+  schema.add({
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user'
+    }
+  });
+
+  /**
+  * Say who the next save is for
+  * @param {ObjectId|UserModel} user
+  * @return {Document} this, to chain `.save()`
+  */
+  schema.methods.changedBy = function(user) {
+    this._changedBy = user._id || user;
+    return this;
+  };
+
+  schema.pre('save', function(next) {
+    this.updated_by = this._changedBy || undefined;
+    this._changedBy = undefined;
+    next();
+  });
+
+  /**
+  * Every saved copy of a document, oldest first
+  * @param {ObjectId} id
+  * @param {Function} cb called with the copies as plain objects
+  */
+  schema.statics.versions = function(id, cb) {
+    this.VersionedModel.findOne({ refId: id }).lean().exec((err, versioned) => {
+      cb(err, versioned ? versioned.versions : []);
+    });
+  };
+
+  /**
+  * Set reverted fields back to how they were in a saved copy. Fields the
+  * copy doesn't have didn't exist yet, so they're left alone.
+  * @param {Object} version a copy from `versions()`
+  * @param {String} [field] only revert this field
+  * @return {Boolean} false if the field can't be reverted
+  */
+  schema.methods.revertTo = function(version, field) {
+    if (field && fields.indexOf(field) === -1) {
+      return false;
+    }
+    (field ? [field] : fields).forEach(path => {
+      if (version.hasOwnProperty(path)) {
+        this.set(path, version[path]);
+      }
+    });
+    return true;
+  };
+};
+
+/**
+* What a saved copy looks like through the model's `toJSON`, so anything
+* the API hides, like password hashes, stays hidden in the history too
+* @param {Model} Model
+* @param {Object} version
+* @return {Object}
+*/
+function visible(Model, version) {
+  return _.omit(JSON.parse(JSON.stringify(Model.hydrate(version))), IGNORED);
+}
+
+/**
+* @param {Object} before
+* @param {Object} after
+* @return {Object[]} `{ field, before, after }` for every field that changed
+*/
+function diff(before, after) {
+  return _.union(Object.keys(before), Object.keys(after))
+    .filter(field => !_.isEqual(before[field], after[field]))
+    .map(field => ({ field: field, before: before[field], after: after[field] }));
+}
+
+/**
+* Controller actions to list and revert a tenant-owned model's versions
+* @param {Model} Model using the history plugin
+* @param {String} name what to call a document in messages, e.g. `course`
+* @return {Object} `history` and `revert` actions
+*/
+module.exports.actions = function(Model, name) {
+  // Archived documents keep their history, and can be reverted once restored
+  function find(req, res, cb) {
+    Model.findOne({ _id: req.params.id, client: req.user.client }).withArchived().exec((err, doc) => {
+      if (err) {
+        return res.json(500, {
+          message: `Error getting ${name}.`,
+          error: err
+        });
+      }
+      if (!doc) {
+        return res.json(404, {
+          message: `No such ${name}`
+        });
+      }
+      Model.versions(doc._id, (err, versions) => {
+        if (err) {
+          return res.json(500, {
+            message: `Error getting ${name} history.`,
+            error: err
+          });
+        }
+        cb(doc, versions);
+      });
+    });
+  }
+
+  return {
+
+    /**
+    * Every version of a document, newest first, with who saved it and the
+    * fields that changed. Saves that changed nothing visible are left out.
+    */
+    history: (req, res) => {
+      find(req, res, (doc, versions) => {
+        const shown = versions.map(version => visible(Model, version));
+        const changes = shown.map((version, i) => i ? diff(shown[i - 1], version) : []);
+        const entries = versions.map((version, i) => ({
+          version: i,
+          at: version.updatedAt,
+          by: version.updated_by || null,
+          first: i === 0,
+          changes: changes[i]
+        })).filter(entry => entry.first || entry.changes.length).reverse();
+
+        // Name whoever made the changes, even if they've been archived since
+        const ids = _.uniq(_.compact(_.pluck(entries, 'by')).map(String));
+        mongoose.model('user').find({
+          _id: { $in: ids },
+          client: req.user.client
+        }, 'first_name last_name').withArchived().exec((err, users) => {
+          if (err) {
+            return res.json(500, {
+              message: 'Error getting users.',
+              error: err
+            });
+          }
+          entries.forEach(entry => {
+            entry.by = entry.by && _.find(users, user => user._id.equals(entry.by)) || null;
+          });
+          return res.json({ fields: Model.revertable, versions: entries });
+        });
+      });
+    },
+
+    /**
+    * Put a document, or just `req.body.field`, back to how it was in a
+    * version. The revert is saved as a new version, so it can be undone.
+    */
+    revert: (req, res) => {
+      find(req, res, (doc, versions) => {
+        const version = /^\d+$/.test(req.params.version) && versions[req.params.version];
+        if (!version) {
+          return res.json(404, {
+            message: 'No such version'
+          });
+        }
+        if (!doc.revertTo(version, req.body.field)) {
+          return res.json(400, {
+            message: `${req.body.field} can't be reverted.`
+          });
+        }
+        doc.changedBy(req.user).save((err, doc) => {
+          if (err) {
+            return res.json(500, {
+              message: `Error reverting ${name}.`,
+              error: err
+            });
+          }
+          return res.json(doc);
+        });
+      });
+    }
+  };
+};
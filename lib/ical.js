@@ -0,0 +1,140 @@
+/**
+ * @module lib/ical
+ * @description Writes iCalendar (RFC 5545) feeds that Google, Outlook and
+ * Apple calendars can subscribe to.
+ *
+ * Events with a time are local to the organization's time zone and written
+ * in UTC, so no calendar app has to know the zone's rules. All-day events
+ * are plain dates. Subscribers are asked to check back every hour, so
+ * changes reach them without anyone subscribing again.
+ */
+
+const moment = require('moment-timezone');
+
+const PRODID = '-//Campus Manager//Calendar Feeds//EN';
+const REFRESH = 'PT1H';
+
+// Lines longer than this many octets are folded onto the next one
+const LINE_OCTETS = 75;
+
+/**
+* @param {String} value
+* @return {String} `value` with the characters iCalendar treats specially
+* escaped
+*/
+function escape(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+* Split a content line so no part is longer than the spec allows, without
+* breaking up multi-byte characters
+* @param {String} line
+* @return {String}
+*/
+function fold(line) {
+  const parts = [];
+  let part = '';
+  for (const character of line) {
+    const limit = parts.length ? LINE_OCTETS - 1 : LINE_OCTETS;
+    if (Buffer.byteLength(part + character) > limit) {
+      parts.push(part);
+      part = '';
+    }
+    part += character;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+/**
+* @param {String} date `YYYY-MM-DD`
+* @param {String} [time] `HH:mm`
+* @param {String} [timezone] the time is local to, when it's known
+* @return {String} e.g. `20170109`, `20170110T000000Z` or, with no time zone,
+* `20170109T180000`
+*/
+function stamp(date, time, timezone) {
+  if (!time) {
+    return moment.utc(date, 'YYYY-MM-DD').format('YYYYMMDD');
+  }
+  if (!timezone) {
+    return moment.utc(`${date} ${time}`, 'YYYY-MM-DD HH:mm').format('YYYYMMDD[T]HHmm[00]');
+  }
+  return moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', timezone).utc().format('YYYYMMDD[T]HHmm[00Z]');
+}
+
+/**
+* The lines for one event
+* @param {Object} event
+* @param {String} [timezone] a zone moment-timezone knows
+* @param {String} now when the feed was written, as a UTC stamp
+* @return {String[]}
+*/
+function vevent(event, timezone, now) {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${now}`];
+  if (event.timeStart && event.timeEnd) {
+    lines.push(`DTSTART:${stamp(event.date, event.timeStart, timezone)}`);
+    lines.push(`DTEND:${stamp(event.date, event.timeEnd, timezone)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${stamp(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${stamp(moment.utc(event.date, 'YYYY-MM-DD').add(1, 'days').format('YYYY-MM-DD'))}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+  lines.push(`SUMMARY:${escape(event.summary)}`);
+  if (event.location) {
+    lines.push(`LOCATION:${escape(event.location)}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escape(event.description)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.cancelled) {
+    lines.push('STATUS:CANCELLED');
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+module.exports = {
+
+  /**
+  * Write a feed
+  * @param {Object} options
+  * @param {String} options.name what calendar apps call the feed
+  * @param {String} [options.timezone] e.g. `America/Chicago`, where times
+  * are local to. Times float when it's not set or isn't a known zone.
+  * @param {Object[]} events `{ uid, date, timeStart, timeEnd, summary,
+  * location, description, url, cancelled }` with `date` as `YYYY-MM-DD` and
+  * times as `HH:mm`. Events without times last all day.
+  * @return {String}
+  */
+  calendar: function(options, events) {
+    const now = moment.utc().format('YYYYMMDD[T]HHmmss[Z]');
+    const timezone = options.timezone && moment.tz.zone(options.timezone) ? options.timezone : null;
+    let lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escape(options.name)}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH}`,
+      `X-PUBLISHED-TTL:${REFRESH}`
+    ];
+    if (timezone) {
+      lines.push(`X-WR-TIMEZONE:${timezone}`);
+    }
+    events.forEach(event => {
+      lines = lines.concat(vevent(event, timezone, now));
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * @module lib/mailer
+ * @description Shared nodemailer transport for outgoing email. Nothing is
+ * sent under test, where there's no Mandrill account; tests look up the
+ * links they need in the database instead.
+ */
+
+const nodemailer = require('nodemailer');
+const mandrillTransport = require('nodemailer-mandrill-transport');
+
+const testTransport = {
+  name: 'test',
+  version: '1.0.0',
+  send: (mail, cb) => cb(null, { envelope: mail.message.getEnvelope(), messageId: mail.message.messageId() })
+};
+
+module.exports = nodemailer.createTransport(process.env.NODE_ENV === 'test' ? testTransport : mandrillTransport({
+  auth: {
+    apiKey: process.env.MANDRILL_API_KEY
+  }
+}));
@@ -0,0 +1,89 @@
+/**
+ * @module lib/permissions
+ * @description Everything a role can be allowed to do, and what the built-in
+ * roles (the `is_*` flags on UserModel) allow until a client changes them.
+ */
+
+const PERMISSIONS = {
+  'users:read': 'See every user\'s profile',
+  'students:read': 'See students\' profiles',
+  'users:write': 'Add and edit users',
+  'users:delete': 'Remove users',
+  'users:roles': 'Change what roles users have',
+  'users:impersonate': 'View the app as another user',
+  'users:merge': 'Find and merge duplicate accounts',
+  'invites:manage': 'Invite new users',
+  'roles:manage': 'Create and edit roles',
+  'settings:read': 'See the organization\'s details, settings and owners',
+  'settings:manage': 'Change the organization\'s details and settings',
+  'courses:read': 'See all courses',
+  'courses:assigned': 'See the courses and students they teach or assist',
+  'courses:write': 'Add and edit courses',
+  'courses:teach': 'Edit videos, grades, holidays and single sessions for the courses they can see',
+  'courses:delete': 'Remove courses',
+  'courses:override': 'Save courses that clash with another course\'s room or instructor',
+  'terms:read': 'See terms',
+  'terms:write': 'Add and edit terms',
+  'calendar:write': 'Add and edit holidays and other closures on the calendar',
+  'locations:read': 'See locations',
+  'locations:write': 'Add and edit locations',
+  'textbooks:read': 'See textbooks',
+  'textbooks:write': 'Add and edit textbooks',
+  'grades:write': 'Grade students in the courses they can see',
+  'attendance:check_in': 'Check themselves in to class',
+  'attendance:write': 'Take attendance for students in the courses they can see',
+  'registrations:write': 'Register and unregister other users',
+  'payments:charge': 'Take payments on someone else\'s behalf',
+  'import:run': 'Import users and registrations',
+  'reports:run': 'Run and export reports',
+  'records:purge': 'Permanently delete archived users, courses, terms, locations and textbooks',
+  'history:read': 'See who changed users, courses, terms, locations and textbooks, and what they changed',
+  'history:revert': 'Put users, courses, terms, locations and textbooks back to an earlier version',
+  'audit:read': 'See and export the audit log'
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+// Organization owners always have every permission
+const DEFAULT_ROLES = {
+  admin: ALL.filter(permission => ['roles:manage', 'settings:manage'].indexOf(permission) === -1),
+  instructor: [
+    'students:read',
+    'courses:assigned',
+    'courses:teach',
+    'terms:read',
+    'locations:read',
+    'grades:write',
+    'attendance:write'
+  ],
+  student: [
+    'terms:read',
+    'attendance:check_in'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS: PERMISSIONS,
+  ALL: ALL,
+  DEFAULT_ROLES: DEFAULT_ROLES,
+
+  /**
+  * Which built-in roles a user has from their `is_*` flags
+  * @param {UserModel} user
+  * @returns {String[]}
+  */
+  builtins: function(user) {
+    return Object.keys(DEFAULT_ROLES).filter(role => user['is_' + role]);
+  },
+
+  /**
+  * Whether a user may give someone a built-in role or take it away, which
+  * takes every permission the role starts out with
+  * @param {UserModel} user with permissions loaded
+  * @param {String} role e.g. `admin`
+  * @returns {Boolean}
+  */
+  canGrant: function(user, role) {
+    return (DEFAULT_ROLES[role] || []).every(permission => user.can(permission));
+  }
+};
@@ -0,0 +1,214 @@
+/**
+ * @module lib/rollover
+ * @description Copies courses from one term into another.
+ *
+ * A copy keeps the course's schedule, staff, price and assignments, and
+ * starts with no students, videos or scores. Dates move with the term: the
+ * copy's holidays, session changes and assignment due dates are moved by
+ * however many whole weeks the new term starts after the old one, so they
+ * stay on the same day of the week. Any of those but due dates that end up
+ * outside the new term are dropped, and the new term's closures come from
+ * the calendar.
+ *
+ * Work out what copying would do with `preview()`, then save it with
+ * `commit()`.
+ */
+
+const _ = require('underscore');
+const moment = require('moment');
+const CourseModel = require('../models/CourseModel');
+const conflicts = require('./conflicts');
+
+const DATE = 'YYYY-MM-DD';
+
+// Everything about a course that's copied as it is
+const COPIED = [
+  'name', 'location', 'room', 'textbook', 'days', 'timeStart', 'timeEnd', 'meeting_times',
+  'seats', 'cost', 'instructors', 'teaching_assistants'
+];
+
+/**
+* @param {TermModel} from
+* @param {TermModel} to
+* @return {Number} whole weeks between the terms' starts
+*/
+function weeksBetween(from, to) {
+  const days = moment.utc(to.start_date).startOf('day').diff(moment.utc(from.start_date).startOf('day'), 'days');
+  return Math.round(days / 7);
+}
+
+/**
+* @param {String} date `YYYY-MM-DD`
+* @param {Number} weeks
+* @return {String}
+*/
+function shift(date, weeks) {
+  return moment.utc(date, DATE).add(weeks, 'weeks').format(DATE);
+}
+
+/**
+* @param {String} date `YYYY-MM-DD`
+* @param {TermModel} term
+* @return {Boolean}
+*/
+function within(date, term) {
+  const day = moment.utc(date, DATE);
+  return !day.isBefore(moment.utc(term.start_date).startOf('day')) &&
+    !day.isAfter(moment.utc(term.end_date).startOf('day'));
+}
+
+/**
+* What a course would look like copied into a term
+* @param {CourseModel} course
+* @param {TermModel} from the course's term
+* @param {TermModel} to
+* @return {Object} `{ attributes, dropped }`, with the holidays that fall
+* outside the new term in `dropped`
+*/
+function copy(course, from, to) {
+  const weeks = weeksBetween(from, to);
+  const holidays = (course.holidays || []).map(holiday => shift(holiday, weeks));
+  const makeups = (course.makeup_dates || []).map(date => shift(date, weeks));
+  const exceptions = (course.exceptions || []).map(exception => {
+    const moved = _.omit(exception.toObject(), '_id');
+    moved.date = shift(moved.date, weeks);
+    if (moved.moved_to) {
+      moved.moved_to = shift(moved.moved_to, weeks);
+    }
+    return moved;
+  });
+  const grades = (course.grades || []).map(grade => {
+    const definition = _.pick(grade, 'name', 'checkpoint', 'dueDate');
+    if (definition.dueDate) {
+      definition.dueDate = shift(definition.dueDate, weeks);
+    }
+    return definition;
+  });
+
+  const attributes = _.extend(_.pick(course.toObject(), COPIED), {
+    client: course.client,
+    term: to._id,
+    holidays: holidays.filter(holiday => within(holiday, to)),
+    makeup_dates: makeups.filter(date => within(date, to)),
+    exceptions: exceptions.filter(exception => within(exception.date, to)),
+    grades: grades,
+    videos: [],
+    registrations: []
+  });
+  return {
+    attributes: attributes,
+    dropped: holidays.filter(holiday => !within(holiday, to))
+  };
+}
+
+module.exports = {
+  weeksBetween: weeksBetween,
+
+  /**
+  * Work out what copying courses into a term would do, without saving
+  * anything
+  * @param {CourseModel[]} courses with their terms populated
+  * @param {TermModel} to
+  * @param {Object} [options]
+  * @param {Boolean} [options.skipExisting] leave out courses that the term
+  * already has one by the same name of, so rolling a term over twice doesn't
+  * copy everything twice
+  * @param {String} [options.name] what to call the copy, when copying one
+  * course
+  * @param {Function} cb called with one entry per course: `{ source,
+  * action, reason, course, weeks, dropped, conflicts }`, where `action` is
+  * `create` or `skip`
+  */
+  preview: function(courses, to, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    CourseModel.find({ client: to.client, term: to._id }, 'name', (err, existing) => {
+      if (err) {
+        return cb(err);
+      }
+      const taken = existing.map(course => String(course.name).trim().toLowerCase());
+      const entries = courses.map(course => {
+        const entry = {
+          source: { _id: course._id, name: course.name, term: course.term ? course.term.name : null },
+          action: 'create',
+          conflicts: []
+        };
+        if (!course.term || !course.term.start_date) {
+          return _.extend(entry, { action: 'skip', reason: 'It has no term to move its dates from.' });
+        }
+        if (options.skipExisting && taken.indexOf(String(course.name).trim().toLowerCase()) > -1) {
+          return _.extend(entry, { action: 'skip', reason: `${to.name} already has a course called ${course.name}.` });
+        }
+        const copied = copy(course, course.term, to);
+        if (options.name) {
+          copied.attributes.name = options.name;
+        }
+        return _.extend(entry, {
+          course: copied.attributes,
+          weeks: weeksBetween(course.term, to),
+          dropped: copied.dropped
+        });
+      });
+
+      const copies = entries.map(entry => entry.action === 'create' ? new CourseModel(entry.course) : null);
+      let idx = 0;
+      next();
+
+      // A copy can clash with courses the term already has, and with the
+      // other copies
+      function next() {
+        if (idx >= entries.length) {
+          return cb(null, entries);
+        }
+        const entry = entries[idx];
+        const course = copies[idx++];
+        if (!course) {
+          return next();
+        }
+        conflicts.check(course, { alongside: _.compact(copies) }, (err, found) => {
+          if (err) {
+            return cb(err);
+          }
+          entry.conflicts = found;
+          setImmediate(next);
+        });
+      }
+    });
+  },
+
+  /**
+  * Save the copies a preview said to create. A copy that fails to save is
+  * marked failed and the rest carry on.
+  * @param {Object[]} entries from preview()
+  * @param {UserModel} actor who's copying them
+  * @param {Function} cb called with the entries, each with a `result` of
+  * `created`, `skipped` or `failed`, and the copy's id in `course._id`
+  */
+  commit: function(entries, actor, cb) {
+    let idx = 0;
+    next();
+
+    function next() {
+      if (idx >= entries.length) {
+        return cb(null, entries);
+      }
+      const entry = entries[idx++];
+      if (entry.action !== 'create') {
+        entry.result = 'skipped';
+        return next();
+      }
+      const course = new CourseModel(entry.course);
+      course.changedBy(actor).save(err => {
+        entry.result = err ? 'failed' : 'created';
+        if (err) {
+          entry.reason = err.message;
+        } else {
+          entry.course._id = course._id;
+        }
+        setImmediate(next);
+      });
+    }
+  }
+};
@@ -0,0 +1,150 @@
+/**
+ * @module lib/tenancy
+ * @description Mongoose plugin that keeps queries on tenant-owned models
+ * inside one organization.
+ *
+ * Every find, count, update and remove has to say which organization it is
+ * for, either with a `client` condition or by chaining `.tenant(client)`.
+ * Queries that don't are refused with an error rather than run across every
+ * school. The few lookups that really do span organizations, like finding
+ * an account by email to log in, have to opt out with `.anyTenant()`.
+ */
+
+const mongoose = require('mongoose');
+
+const HOOKS = ['count', 'find', 'findOne', 'findOneAndUpdate', 'findOneAndRemove', 'update'];
+
+/**
+* Population follows ids stored on a document that was already loaded within
+* the tenant. Its queries are marked by the `populate` static below, since a
+* query that only looks like one could come from anywhere.
+* @param {Query} query
+* @return {Boolean}
+*/
+function isPopulate(query) {
+  return !!query._populating;
+}
+
+/**
+* Ask population to mark the queries it makes. Population passes each path's
+* `options` on to its query, which calls the `populating` helper.
+* @param {String|Object|Object[]} paths as given to `populate`
+* @return {Object|Object[]} the same paths, marked
+*/
+function markPopulate(paths) {
+  if (typeof paths === 'string') {
+    paths = { path: paths };
+  }
+  // Queries pass an array with flags on it, so it's changed in place
+  const list = Array.isArray(paths) ? paths : [paths];
+  list.forEach((options, idx) => {
+    if (typeof options === 'string') {
+      options = list[idx] = { path: options };
+    }
+    if (options) {
+      options.options = Object.assign({}, options.options, { populating: true });
+    }
+  });
+  return paths;
+}
+
+/**
+* mongoose-unique-validator checks compound unique indexes like
+* `{ client, idn }` with one `$and` clause per field
+* @param {Object} conditions
+* @return {Boolean}
+*/
+function hasTenantClause(conditions) {
+  return Array.isArray(conditions.$and) && conditions.$and.some(clause => !!clause.client);
+}
+
+/**
+* Whether a query only checks if a globally unique value is taken, which is
+* how mongoose-unique-validator looks for duplicates
+* @param {Object} conditions
+* @param {String[]} unique paths that are unique across every tenant
+* @return {Boolean}
+*/
+function isUniqueCheck(conditions, unique) {
+  const clauses = conditions.$and || [conditions];
+  return clauses.every(clause => {
+    return Object.keys(clause).every(key => key === '_id' || unique.indexOf(key) > -1);
+  });
+}
+
+/**
+* @param {Schema} schema
+* @param {Object} [options]
+* @param {String[]} [options.unique] paths whose values are unique across
+* every tenant, so counting by them alone is allowed
+*/
+module.exports = function tenancy(schema, options) {
+  const unique = (options && options.unique) || [];
+
+  schema.path('client').required(true);
+  populates(schema);
+
+  /**
+  * Scope the query to an organization
+  * @param {ObjectId} client
+  */
+  schema.query.tenant = function(client) {
+    // A missing tenant has to stay missing so the query is refused
+    return this.where({ client: client || null });
+  };
+
+  /**
+  * Let the query run across every organization
+  */
+  schema.query.anyTenant = function() {
+    this._anyTenant = true;
+    return this;
+  };
+
+  /**
+  * Mark the query as population's, which is set through its options
+  */
+  schema.query.populating = function() {
+    this._populating = true;
+    return this;
+  };
+
+  HOOKS.forEach(hook => {
+    schema.pre(hook, function(next) {
+      const conditions = this.getQuery();
+      if (this._anyTenant || conditions.client ||
+        hasTenantClause(conditions) || isPopulate(this) ||
+        (this.op === 'count' && unique.length && isUniqueCheck(conditions, unique))) {
+        return next();
+      }
+      return next(new Error(`Refusing to query ${this.model.modelName} without a tenant.`));
+    });
+  });
+
+  // Model.remove() doesn't run query middleware, so check it here
+  schema.statics.remove = function(conditions, callback) {
+    if (typeof conditions === 'function' || !conditions || !conditions.client) {
+      const err = new Error(`Refusing to remove ${this.modelName} without a tenant.`);
+      callback = typeof conditions === 'function' ? conditions : callback;
+      if (callback) {
+        return process.nextTick(() => callback(err));
+      }
+      throw err;
+    }
+    return mongoose.Model.remove.apply(this, arguments);
+  };
+};
+
+/**
+* Plugin for models that populate tenant-owned ones, so the lookups are let
+* through. Tenant-owned models have it already.
+* @param {Schema} schema
+*/
+function populates(schema) {
+  schema.statics.populate = function(docs, paths, callback) {
+    return mongoose.Model.populate.call(this, docs, markPopulate(paths), callback);
+  };
+}
+
+module.exports.isPopulate = isPopulate;
+module.exports.populates = populates;
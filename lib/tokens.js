@@ -0,0 +1,76 @@
+/**
+ * @module lib/tokens
+ * @description Helpers for the random and signed tokens we email or hand
+ * out. Only hashes of random tokens are ever stored.
+ */
+
+const crypto = require('crypto');
+
+module.exports = {
+
+  /**
+  * Create a new random token
+  * @param {Number} [bytes=32] amount of randomness
+  * @return {String} hex encoded token
+  */
+  generate: function(bytes) {
+    return crypto.randomBytes(bytes || 32).toString('hex');
+  },
+
+  /**
+  * Hash a token for storage or lookup
+  * @param {String} token
+  * @return {String} hex encoded SHA-256 digest
+  */
+  hash: function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  },
+
+  /**
+  * Create a signed token carrying a small payload, for links we email out
+  * @param {Object} payload data to carry, readable by anyone holding the token
+  * @param {Number} ttl milliseconds until the token expires
+  * @return {String} url safe token
+  */
+  sign: function(payload, ttl) {
+    const body = base64url(Buffer.from(JSON.stringify(Object.assign({}, payload, {
+      exp: Date.now() + ttl
+    }))));
+    return body + '.' + signature(body);
+  },
+
+  /**
+  * Check a token created by `sign`
+  * @param {String} token
+  * @return {Object|null} the payload, or null if the signature doesn't match.
+  * Check `isExpired` before trusting it.
+  */
+  verify: function(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 2) {
+      return null;
+    }
+    const expected = Buffer.from(signature(parts[0]));
+    const actual = Buffer.from(parts[1]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    try {
+      return JSON.parse(Buffer.from(parts[0].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    } catch (err) {
+      return null;
+    }
+  },
+
+  isExpired: function(payload) {
+    return !payload.exp || payload.exp < Date.now();
+  }
+};
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function signature(body) {
+  return base64url(crypto.createHmac('sha256', process.env.SESSION_KEY).update(body).digest());
+}
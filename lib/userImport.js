@@ -0,0 +1,331 @@
+/**
+ * @module lib/userImport
+ * @description Reads spreadsheets of users and works out, row by row, what
+ * importing them would do before anything is saved.
+ */
+
+const _ = require('underscore');
+const XLSX = require('xlsx');
+const json2csv = require('json2csv');
+const UserModel = require('../models/UserModel');
+
+// Fields a column can be mapped to, and headers that map to them on their own
+const FIELDS = {
+  username: ['email', 'e_mail', 'email_address', 'username'],
+  first_name: ['first_name', 'first', 'firstname', 'given_name'],
+  last_name: ['last_name', 'last', 'lastname', 'surname', 'family_name'],
+  phone: ['phone', 'phone_number', 'mobile', 'cell'],
+  website: ['website', 'url', 'portfolio'],
+  github: ['github', 'github_username'],
+  codecademy: ['codecademy', 'codecademy_username'],
+  zipcode: ['zipcode', 'zip', 'zip_code', 'postal_code']
+};
+
+const LABELS = {
+  username: 'email',
+  first_name: 'first name',
+  last_name: 'last name'
+};
+
+const REQUIRED = ['username', 'first_name', 'last_name'];
+
+// Bigger lists should be split into several files
+const MAX_ROWS = 5000;
+
+/**
+* @param {String} header
+* @return {String} e.g. `E-mail Address` as `e_mail_address`
+*/
+function normalize(header) {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+* Mongo can't store keys with dots or a leading `$`
+* @param {String} header
+* @return {String}
+*/
+function safeKey(header) {
+  return String(header).replace(/\./g, ' ').replace(/^\$/, '').trim();
+}
+
+/**
+* The user fields a row's mapped columns give
+* @param {Object} data the row as read from the file
+* @param {Object} mapping column to field
+* @return {Object}
+*/
+function attributes(data, mapping) {
+  const attrs = {};
+  _.each(mapping, (field, column) => {
+    const value = String(data[column] === undefined || data[column] === null ? '' : data[column]).trim();
+    if (FIELDS[field] && value) {
+      attrs[field] = field === 'username' ? value.toLowerCase() : value;
+    }
+  });
+  return attrs;
+}
+
+module.exports = {
+  FIELDS: Object.keys(FIELDS),
+  REQUIRED: REQUIRED,
+  MAX_ROWS: MAX_ROWS,
+
+  /**
+  * Read the first sheet of a CSV or XLSX file
+  * @param {Buffer} buffer
+  * @return {{ columns: String[], rows: Object[] }} rows keep the spreadsheet
+  * line they came from
+  * @throws when the file can't be read or has too many rows
+  */
+  read: function(buffer) {
+    // `raw` keeps CSV values as text, so zip codes keep their leading zeros
+    const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const data = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    if (!data.length) {
+      throw new Error('The file has no rows under its header.');
+    }
+    if (data.length > MAX_ROWS) {
+      throw new Error(`Files can have at most ${MAX_ROWS} rows. Split this one up and import each part.`);
+    }
+    return {
+      columns: _.uniq(Object.keys(data[0]).map(safeKey)),
+      rows: data.map(row => {
+        const values = {};
+        _.each(row, (value, header) => {
+          values[safeKey(header)] = value;
+        });
+        return { line: row.__rowNum__ + 1, data: values };
+      })
+    };
+  },
+
+  /**
+  * Guess which field each column is from its header
+  * @param {String[]} columns
+  * @return {Object} column to field
+  */
+  guessMapping: function(columns) {
+    const mapping = {};
+    columns.forEach(column => {
+      const field = _.findKey(FIELDS, aliases => aliases.indexOf(normalize(column)) > -1);
+      if (field && !_.contains(_.values(mapping), field)) {
+        mapping[column] = field;
+      }
+    });
+    return mapping;
+  },
+
+  /**
+  * Work out what importing each row would do. Emails are unique across every
+  * organization, so a row whose email belongs to someone in another
+  * organization can't be imported here.
+  * @param {ObjectId} client
+  * @param {Object[]} rows with `line` and `data`
+  * @param {Object} mapping column to field
+  * @param {Function} cb called with the rows, each with an `action`, a
+  * `reason` and for updates the `changes` and `user`
+  */
+  preview: function(client, rows, mapping, cb) {
+    const missing = REQUIRED.filter(field => !_.contains(_.values(mapping), field));
+    if (missing.length) {
+      return cb(null, rows.map(row => ({
+        line: row.line,
+        data: row.data,
+        action: 'reject',
+        reason: `No column is mapped to ${missing.map(field => LABELS[field]).join(', ')}`
+      })));
+    }
+
+    const emails = _.uniq(_.compact(rows.map(row => attributes(row.data, mapping).username)));
+    UserModel.find({
+      username: { $in: emails }
+    }).anyTenant().withArchived().exec((err, existing) => {
+      if (err) {
+        return cb(err);
+      }
+      const byEmail = _.indexBy(existing, 'username');
+      const seen = {};
+
+      cb(null, rows.map(row => {
+        const attrs = attributes(row.data, mapping);
+        const result = { line: row.line, data: row.data, changes: [] };
+        const empty = REQUIRED.filter(field => !attrs[field]);
+        if (empty.length) {
+          return _.extend(result, {
+            action: 'reject',
+            reason: `Missing ${empty.map(field => LABELS[field]).join(', ')}`
+          });
+        }
+
+        const invalid = new UserModel(attrs).validateSync(Object.keys(attrs));
+        if (invalid) {
+          return _.extend(result, {
+            action: 'reject',
+            reason: _.values(invalid.errors)[0].message
+          });
+        }
+
+        if (seen[attrs.username]) {
+          return _.extend(result, {
+            action: 'skip',
+            reason: `Same email as line ${seen[attrs.username]}`
+          });
+        }
+        seen[attrs.username] = row.line;
+
+        const user = byEmail[attrs.username];
+        if (!user) {
+          return _.extend(result, { action: 'create', reason: '' });
+        }
+        if (!user.client || !user.client.equals(client)) {
+          return _.extend(result, {
+            action: 'reject',
+            reason: 'Email is already used by another account'
+          });
+        }
+        if (user.archived_at) {
+          return _.extend(result, {
+            action: 'reject',
+            reason: 'Email belongs to an archived user. Restore them first.'
+          });
+        }
+        result.user = user._id;
+        result.changes = Object.keys(attrs).filter(field => String(user[field] || '') !== attrs[field]);
+        if (!result.changes.length) {
+          return _.extend(result, { action: 'skip', reason: 'Already up to date' });
+        }
+        return _.extend(result, {
+          action: 'update',
+          reason: `Changes ${result.changes.map(field => LABELS[field] || field).join(', ')}`
+        });
+      }));
+    });
+  },
+
+  /**
+  * Save what a previewed import would do. The rows are previewed again first,
+  * since users may have changed since. A row that fails to save is marked
+  * failed and the rest carry on.
+  * @param {UserImportModel} userImport
+  * @param {CourseModel} [course] to register everyone in the import into
+  * @param {Function} cb called with the import, saved
+  */
+  commit: function(userImport, course, cb) {
+    const client = userImport.client;
+    module.exports.preview(client, userImport.rows, userImport.mapping, (err, rows) => {
+      if (err) {
+        return cb(err);
+      }
+      let idx = 0;
+      next();
+
+      function next() {
+        if (idx >= rows.length) {
+          return register();
+        }
+        const row = rows[idx++];
+        const attrs = attributes(row.data, userImport.mapping);
+        const done = (err, user, result) => {
+          row.result = err ? 'failed' : result;
+          if (err) {
+            row.reason = err.message;
+          }
+          if (user) {
+            row.user = user._id;
+          }
+          // Saving thousands of users one after the other shouldn't grow the stack
+          setImmediate(next);
+        };
+
+        if (row.action === 'create') {
+          return UserModel.nextIdn(client, (err, idn) => {
+            if (err) {
+              return done(err);
+            }
+            const user = new UserModel(_.extend(attrs, {
+              idn: idn,
+              client: client,
+              is_student: true
+            }));
+            user.changedBy(userImport.created_by).save(err => done(err, user, 'created'));
+          });
+        }
+        if (row.action === 'update') {
+          return UserModel.findOne({ _id: row.user, client: client }, (err, user) => {
+            if (err || !user) {
+              return done(err || new Error('User was removed'));
+            }
+            user.set(_.pick(attrs, row.changes));
+            user.changedBy(userImport.created_by).save(err => done(err, user, 'updated'));
+          });
+        }
+        done(null, null, row.action === 'skip' ? 'skipped' : 'rejected');
+      }
+
+      function register() {
+        const ids = _.compact(rows.filter(row => row.result !== 'failed').map(row => row.user));
+        if (!course || !ids.length) {
+          return finish();
+        }
+        course.registrations.addToSet.apply(course.registrations, ids);
+        course.changedBy(userImport.created_by).save(err => {
+          if (err) {
+            return cb(err);
+          }
+          rows.forEach(row => {
+            row.registered = !!row.user && row.result !== 'failed';
+          });
+          finish();
+        });
+      }
+
+      function finish() {
+        userImport.rows = rows;
+        userImport.course = course ? course._id : undefined;
+        userImport.status = 'committed';
+        userImport.committed_at = new Date();
+        userImport.counts = _.countBy(rows, 'result');
+        userImport.counts.registered = rows.filter(row => row.registered).length;
+        userImport.save(cb);
+      }
+    });
+  },
+
+  /**
+  * Count the rows of a preview by what will happen to them
+  * @param {Object[]} rows
+  * @return {Object}
+  */
+  count: function(rows) {
+    return _.extend({ create: 0, update: 0, skip: 0, reject: 0 }, _.countBy(rows, 'action'));
+  },
+
+  /**
+  * A CSV of every row with what happened to it, to check against the file
+  * that was imported
+  * @param {UserImportModel} userImport
+  * @return {String}
+  */
+  report: function(userImport) {
+    const data = userImport.rows.map(row => {
+      const attrs = attributes(row.data, userImport.mapping);
+      return {
+        line: row.line,
+        email: attrs.username || '',
+        first_name: attrs.first_name || '',
+        last_name: attrs.last_name || '',
+        action: row.action,
+        result: row.result || '',
+        reason: row.reason || '',
+        registered: row.registered ? 'yes' : '',
+        user_id: row.user ? row.user.toString() : ''
+      };
+    });
+    return json2csv({
+      data: data,
+      fields: ['line', 'email', 'first_name', 'last_name', 'action', 'result', 'reason', 'registered', 'user_id']
+    });
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * @module lib/userMerge
+ * @description Finds accounts that probably belong to the same person and
+ * folds one into the other.
+ */
+
+const _ = require('underscore');
+const moment = require('moment');
+const CourseModel = require('../models/CourseModel');
+const ApiTokenModel = require('../models/ApiTokenModel');
+const UserMergeModel = require('../models/UserMergeModel');
+
+// Profile fields the survivor takes from the retired account when it has none
+const PROFILE_FIELDS = ['phone', 'github', 'website', 'codecademy', 'zipcode', 'rocketchat'];
+
+const CREDENTIALS = [
+  'password',
+  'reset_password',
+  'reset_password_expires',
+  'two_factor_secret',
+  'two_factor_pending_secret',
+  'two_factor_recovery_codes',
+  'two_factor_last_step'
+];
+
+// Course fields that can list a user
+const COURSE_FIELDS = ['registrations', 'instructors', 'teaching_assistants'];
+
+// Providers that ignore dots in the part before the @
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+* The address an email is delivered to, so `Jane.Doe+aca@gmail.com` and
+* `janedoe@googlemail.com` come out the same
+* @param {String} email
+* @return {String|null}
+*/
+function normalizeEmail(email) {
+  const parts = String(email || '').trim().toLowerCase().split('@');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return null;
+  }
+  let local = parts[0].split('+')[0];
+  let domain = parts[1];
+  if (DOTLESS_DOMAINS.indexOf(domain) > -1) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return `${local}@${domain}`;
+}
+
+/**
+* The last ten digits of a phone number, which drops any country code
+* @param {String} phone
+* @return {String|null}
+*/
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  return digits.length >= 7 ? digits : null;
+}
+
+/**
+* @param {UserModel} user
+* @return {String|null}
+*/
+function normalizeName(user) {
+  const name = `${user.first_name || ''} ${user.last_name || ''}`.toLowerCase().replace(/[^a-z]+/g, '');
+  return name.length > 2 ? name : null;
+}
+
+module.exports = {
+  normalizeEmail: normalizeEmail,
+  normalizePhone: normalizePhone,
+
+  /**
+  * Group users that share an email address, phone number or name. Users
+  * linked through different matches end up in the same group.
+  * @param {UserModel[]} users
+  * @return {Object[]} `{ users, reasons }` where reasons says what matched
+  */
+  findDuplicates: function(users) {
+    const keys = {};
+    users.forEach(user => {
+      [
+        ['email', normalizeEmail(user.username)],
+        ['phone', normalizePhone(user.phone)],
+        ['name', normalizeName(user)]
+      ].forEach(pair => {
+        if (pair[1]) {
+          const key = `${pair[0]}:${pair[1]}`;
+          (keys[key] = keys[key] || []).push(user);
+        }
+      });
+    });
+
+    // Union-find over user ids, joined by every key shared by more than one
+    const parent = {};
+    function root(id) {
+      while (parent[id] && parent[id] !== id) {
+        id = parent[id];
+      }
+      return id;
+    }
+    const reasons = {};
+    _.each(keys, (matches, key) => {
+      if (matches.length < 2) {
+        return;
+      }
+      const first = root(matches[0].id);
+      matches.forEach(user => {
+        parent[root(user.id)] = first;
+      });
+      reasons[first] = (reasons[first] || []).concat(key.split(':')[0]);
+    });
+
+    const groups = _.groupBy(users.filter(user => parent[user.id]), user => root(user.id));
+    return _.map(groups, (members, id) => {
+      const why = _.flatten(_.map(reasons, (list, reasonId) => root(reasonId) === id ? list : []));
+      return {
+        users: members,
+        reasons: _.uniq(why)
+      };
+    });
+  },
+
+  /**
+  * Fold one account into another. The survivor gains the retired account's
+  * attendance, grades, reviews, charges, course places and any profile
+  * fields it's missing, then the retired account is archived. Roles are
+  * left as the survivor has them. A record of the merge, with a copy of the
+  * retired account, is kept first.
+  *
+  * Every step can be repeated without doubling anything up, so a merge that
+  * stopped part way is finished by merging the same two accounts again.
+  * @param {UserModel} survivor
+  * @param {UserModel} retired must belong to the same organization
+  * @param {UserModel} actor the user doing the merge
+  * @param {Function} cb called with the survivor and the merge record, or
+  * with an error that has `invalid` set when the accounts can't be merged
+  */
+  merge: function(survivor, retired, actor, cb) {
+    const client = survivor.client;
+    UserMergeModel.findOne({
+      client: client,
+      survivor: survivor._id,
+      retired: retired._id,
+      status: 'started'
+    }, (err, record) => {
+      if (err) {
+        return cb(err);
+      }
+      // Archived accounts are only merged to finish a merge
+      if (retired.archived_at && !record) {
+        err = new Error('This account is archived. Restore it before merging it.');
+        err.invalid = true;
+        return cb(err);
+      }
+      start(record || new UserMergeModel({
+        client: client,
+        survivor: survivor._id,
+        retired: retired._id,
+        // Without credentials, which die with the account
+        snapshot: _.omit(retired.toObject({ depopulate: true }), CREDENTIALS),
+        merged_by: actor._id
+      }));
+    });
+
+    function start(record) {
+      record.save(err => {
+        if (err) {
+          return cb(err);
+        }
+        finish(record);
+      });
+    }
+
+    function finish(record) {
+      moveCourses(record, err => {
+        if (err) {
+          return cb(err);
+        }
+        combine();
+        survivor.changedBy(actor).save(err => {
+          if (err) {
+            return cb(err);
+          }
+          // Tokens and sessions were the retired account's way in
+          ApiTokenModel.update({
+            user: retired._id,
+            revoked_at: null
+          }, {
+            revoked_at: new Date()
+          }, { multi: true }, err => {
+            if (err) {
+              return cb(err);
+            }
+            archiveRetired(err => {
+              if (err) {
+                return cb(err);
+              }
+              record.status = 'completed';
+              record.save(err => cb(err, survivor, record));
+            });
+          });
+        });
+      });
+    }
+
+    // Archived rather than deleted, so nothing that points at it breaks
+    function archiveRetired(done) {
+      if (retired.archived_at) {
+        return done();
+      }
+      retired.changedBy(actor).archive(actor, done);
+    }
+
+    // Put the survivor wherever the retired account was, one course at a
+    // time so each keeps its version history. Courses moved on an earlier
+    // try no longer list the retired account.
+    function moveCourses(record, done) {
+      CourseModel.find({
+        client: client,
+        $or: COURSE_FIELDS.map(field => ({ [field]: retired._id }))
+      }, (err, courses) => {
+        if (err) {
+          return done(err);
+        }
+        record.courses = _.uniq(record.courses.concat(_.pluck(courses, '_id')), id => String(id));
+        let idx = 0;
+        (function next(err) {
+          if (err || idx >= courses.length) {
+            return done(err);
+          }
+          const course = courses[idx++];
+          COURSE_FIELDS.forEach(field => {
+            if (course[field].some(id => id.equals(retired._id))) {
+              course[field].pull(retired._id);
+              course[field].addToSet(survivor._id);
+            }
+          });
+          course.changedBy(actor).save(err => next(err));
+        })();
+      });
+    }
+
+    function combine() {
+      // One check-in per day is all that counts
+      const days = {};
+      (survivor.attendance || []).concat(retired.attendance || []).forEach(date => {
+        const day = moment(date, 'YYYY-MM-DD HH:ss').format('YYYY-MM-DD');
+        days[day] = days[day] || date;
+      });
+      survivor.attendance = _.values(days).sort();
+
+      // The same assignment in both keeps whichever copy was graded,
+      // preferring the survivor's
+      const grades = {};
+      (retired.grades || []).concat(survivor.grades || []).forEach(grade => {
+        const key = `${grade.courseId}:${grade.name}`;
+        const graded = grade.score !== '' && grade.score !== undefined && grade.score !== null;
+        if (!grades[key] || graded || !grades[key].graded) {
+          grades[key] = { grade: grade, graded: graded };
+        }
+      });
+      survivor.grades = _.pluck(_.values(grades), 'grade');
+
+      survivor.reviews = gain(survivor.reviews, retired.reviews);
+      survivor.charges = gain(survivor.charges, retired.charges);
+
+      const customers = _.compact([retired.customer_id].concat(retired.merged_customer_ids || []));
+      if (!survivor.customer_id) {
+        survivor.customer_id = customers.shift();
+      }
+      survivor.merged_customer_ids = _.without(_.uniq((survivor.merged_customer_ids || []).concat(customers)), survivor.customer_id);
+
+      PROFILE_FIELDS.forEach(field => {
+        if (!survivor[field] && retired[field]) {
+          survivor[field] = retired[field];
+        }
+      });
+      survivor.markModified('attendance');
+      survivor.markModified('grades');
+    }
+
+    // The survivor's entries plus the retired account's it doesn't have yet
+    function gain(own, theirs) {
+      own = own || [];
+      return own.concat((theirs || []).filter(entry => !own.some(mine => _.isEqual(mine, entry))));
+    }
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * @module lib/verification
+ * @description Email address verification links.
+ */
+
+const tokens = require('./tokens');
+const transport = require('./mailer');
+const UserModel = require('../models/UserModel');
+
+// Verification links are good for three days
+const VERIFICATION_TTL = 3 * 24 * 60 * 60 * 1000;
+
+module.exports = {
+
+  /**
+  * Mark a user as pending and email them a verification link. The link
+  * carries the address it was sent to, so changing the address again
+  * invalidates it.
+  * @param {UserModel} user
+  * @param {Function} cb
+  */
+  send: function(user, cb) {
+    user.email_pending = true;
+    user.save(err => {
+      if (err) {
+        return cb(err);
+      }
+      const token = tokens.sign({
+        verify: user._id.toString(),
+        email: user.username
+      }, VERIFICATION_TTL);
+      transport.sendMail({
+        from: 'info@austincodingacademy.com',
+        to: user.username,
+        subject: 'Verify your ACA Campus Manager email address',
+        html: '<p>Visit ' + process.env.DOMAIN + '/verify/' + token + ' to verify your email address. This link expires in three days.</p>'
+      }, cb);
+    });
+  },
+
+  /**
+  * Check a verification link and mark the user as verified
+  * @param {String} token
+  * @param {Function} cb called with an error message if the link is bad or
+  * expired, or with the verified user
+  */
+  verify: function(token, cb) {
+    const payload = tokens.verify(token);
+    if (!payload || !payload.verify) {
+      return cb('This verification link is invalid.');
+    }
+    if (tokens.isExpired(payload)) {
+      return cb('This verification link has expired. Please request a new one from your dashboard.');
+    }
+    UserModel.findOne({ _id: payload.verify }).anyTenant().exec((err, user) => {
+      if (err || !user || user.username !== payload.email) {
+        return cb('This verification link is invalid.');
+      }
+      if (!user.email_pending) {
+        return cb(null, user);
+      }
+      user.email_pending = false;
+      user.email_verified_at = new Date();
+      user.save(cb);
+    });
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Old plaintext API keys were replaced by hashed API tokens, so remove the
+ * keys still saved on users. Safe to run more than once.
+ *
+ * Usage: `node migrations/api-keys.js`
+ */
+
+if (['test', 'production'].indexOf(process.env.NODE_ENV) === -1) {
+  require('dotenv').config();
+}
+
+var mongoose = require('mongoose');
+var UserModel = require('../models/UserModel');
+
+mongoose.Promise = global.Promise;
+mongoose.connect(process.env.MONGOLAB_URI);
+
+mongoose.connection.once('open', function() {
+  // Straight to the collection, since users are scoped to one organization
+  UserModel.collection.update({
+    api_key: { $exists: true }
+  }, {
+    $unset: { api_key: 1 }
+  }, { multi: true }, function(err, result) {
+    if (err) {
+      console.log(err);
+    } else {
+      console.log('Removed API keys from ' + result.result.nModified + ' users');
+    }
+    mongoose.disconnect(function() {
+      process.exit(err ? 1 : 0);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Student ids are now numbered per organization, so drop the old index that
+ * kept them unique across every organization. The new `{ client, idn }`
+ * index is built when the app starts. Safe to run more than once.
+ *
+ * Usage: `node migrations/idn-sequences.js`
+ */
+
+if (['test', 'production'].indexOf(process.env.NODE_ENV) === -1) {
+  require('dotenv').config();
+}
+
+var mongoose = require('mongoose');
+var UserModel = require('../models/UserModel');
+
+mongoose.Promise = global.Promise;
+mongoose.connect(process.env.MONGOLAB_URI);
+
+mongoose.connection.once('open', function() {
+  UserModel.collection.dropIndex('idn_1', function(err) {
+    // 27 means the index is already gone
+    if (err && err.code !== 27) {
+      console.log(err);
+    }
+    mongoose.disconnect(function() {
+      process.exit(err && err.code !== 27 ? 1 : 0);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Move tenancy from client users onto organizations. Each client user's
+ * `client` id becomes the id of a new organization, so every document that
+ * already points at it stays attached. Client users become its owners and
+ * their settings move across. Safe to run more than once.
+ *
+ * Usage: `node migrations/organizations.js`
+ */
+
+if (['test', 'production'].indexOf(process.env.NODE_ENV) === -1) {
+  require('dotenv').config();
+}
+
+var mongoose = require('mongoose');
+var UserModel = require('../models/UserModel');
+var OrganizationModel = require('../models/OrganizationModel');
+
+mongoose.Promise = global.Promise;
+mongoose.connect(process.env.MONGOLAB_URI);
+
+// Read straight from the collection, since the settings fields are no
+// longer on the user schema
+UserModel.collection.find({ is_client: true }).toArray(function(err, clients) {
+  if (err) { return done(err); }
+  var pending = clients.length;
+  if (!pending) { return cleanUp(); }
+
+  clients.forEach(function(client) {
+    var organizationId = client.client || client._id;
+    OrganizationModel.findOneAndUpdate({
+      _id: organizationId
+    }, {
+      $setOnInsert: {
+        name: client.first_name + ' ' + client.last_name,
+        contact_email: client.username,
+        phone: client.phone,
+        website: client.website,
+        settings: {
+          require_two_factor: !!client.require_two_factor,
+          require_verified_email: !!client.require_verified_email
+        }
+      },
+      $addToSet: { owners: client._id }
+    }, { upsert: true, setDefaultsOnInsert: true }, function(err) {
+      if (err) { return done(err); }
+      UserModel.collection.update({
+        _id: client._id,
+        client: null
+      }, {
+        $set: { client: organizationId }
+      }, function(err) {
+        if (err) { return done(err); }
+        console.log('Organization ' + organizationId + ' owned by ' + client.username);
+        if (--pending === 0) {
+          cleanUp();
+        }
+      });
+    });
+  });
+});
+
+function cleanUp() {
+  UserModel.collection.update({}, {
+    $unset: { require_two_factor: '', require_verified_email: '' }
+  }, { multi: true }, done);
+}
+
+function done(err) {
+  if (err) {
+    console.log(err);
+  }
+  mongoose.disconnect(function() {
+    process.exit(err ? 1 : 0);
+  });
+}
@@ -0,0 +1,55 @@
+/**
+ * Give organizations' saved copies of the built-in roles the permissions
+ * that were added after they were saved, like `terms:read`, so students can
+ * still see terms and check in. Safe to run more than once.
+ *
+ * Usage: `node migrations/role-permissions.js`
+ */
+
+if (['test', 'production'].indexOf(process.env.NODE_ENV) === -1) {
+  require('dotenv').config();
+}
+
+var mongoose = require('mongoose');
+var RoleModel = require('../models/RoleModel');
+var permissions = require('../lib/permissions');
+
+// Permissions each built-in role has had since they were added
+var ADDED = ['settings:read', 'terms:read', 'attendance:check_in'];
+
+mongoose.Promise = global.Promise;
+mongoose.connect(process.env.MONGOLAB_URI);
+
+mongoose.connection.once('open', function() {
+  var builtins = Object.keys(permissions.DEFAULT_ROLES);
+  var pending = builtins.length;
+  var failed = null;
+  builtins.forEach(function(builtin) {
+    var added = permissions.DEFAULT_ROLES[builtin].filter(function(permission) {
+      return ADDED.indexOf(permission) > -1;
+    });
+    // Straight to the collection, since roles are scoped to one organization
+    RoleModel.collection.update({
+      builtin: builtin
+    }, {
+      $addToSet: { permissions: { $each: added } }
+    }, { multi: true }, function(err, result) {
+      failed = failed || err;
+      if (!err) {
+        console.log(builtin + ': ' + added.join(', '));
+      }
+      if (--pending === 0) {
+        done(failed);
+      }
+    });
+  });
+});
+
+function done(err) {
+  if (err) {
+    console.log(err);
+  }
+  mongoose.disconnect(function() {
+    process.exit(err ? 1 : 0);
+  });
+}
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tokens = require('../lib/tokens');
+const tenancy = require('../lib/tenancy');
+
+// A `write` scope also grants `read` on the same resource
+const SCOPES = [
+  'users:read',
+  'users:write',
+  'courses:read',
+  'courses:write',
+  'terms:read',
+  'terms:write',
+  'closures:read',
+  'closures:write',
+  'locations:read',
+  'locations:write',
+  'textbooks:read',
+  'textbooks:write',
+  'grades:write',
+  'registrations:write',
+  'charges:write',
+  'import:write',
+  'report:read',
+  'search:read',
+  'audit:read'
+];
+
+const apiTokenSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    validate: [scopes => scopes.length && scopes.every(scope => SCOPES.indexOf(scope) > -1), 'Please choose valid scopes']
+  },
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization'
+  },
+  last_used_at: Date,
+  revoked_at: Date
+}, { timestamps: true });
+
+apiTokenSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    delete ret.token_hash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+/**
+* Issue a new token for a user. The plaintext token is only available on the
+* returned document's `token` property and is never saved.
+*/
+apiTokenSchema.statics.issue = function(user, attrs, cb) {
+  const token = tokens.generate();
+  const apiToken = new this({
+    name: attrs.name,
+    scopes: attrs.scopes,
+    token_hash: tokens.hash(token),
+    user: user._id,
+    client: user.client
+  });
+  apiToken.save((err, apiToken) => {
+    if (err) {
+      return cb(err);
+    }
+    apiToken.token = token;
+    return cb(null, apiToken);
+  });
+};
+
+apiTokenSchema.statics.findActive = function(token, cb) {
+  return this.findOne({
+    token_hash: tokens.hash(token),
+    revoked_at: null
+  }).populate('user').exec(cb);
+};
+
+apiTokenSchema.methods.allows = function(scope) {
+  const resource = scope.split(':')[0];
+  return this.scopes.indexOf(scope) > -1 || this.scopes.indexOf(resource + ':write') > -1;
+};
+
+// Looking a token up brings its user along
+apiTokenSchema.plugin(tenancy.populates);
+
+module.exports = mongoose.model('api_token', apiTokenSchema);
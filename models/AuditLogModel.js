@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tenancy = require('../lib/tenancy');
+
+/**
+* One thing someone did, like logging in or changing a grade. Entries are
+* only ever added: updating or removing them is refused. Write them with
+* `lib/audit`, which fills in who did it and from where.
+*/
+const auditLogSchema = new Schema({
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization'
+  },
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  // The admin behind the actor while viewing the app as them
+  impersonator: {
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  // e.g. `grade.change`, see lib/audit ACTIONS
+  action: {
+    type: String,
+    required: true
+  },
+  // What it was done to. The label is kept so the entry still reads well
+  // after the target is renamed or removed.
+  target: {
+    kind: String,
+    id: Schema.Types.ObjectId,
+    label: String
+  },
+  details: Schema.Types.Mixed,
+  ip: String,
+  user_agent: String,
+  method: String,
+  path: String,
+  api_token: {
+    type: Schema.Types.ObjectId,
+    ref: 'api_token'
+  },
+  // Entries never change, so there's no `updatedAt`
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ client: 1, createdAt: -1 });
+auditLogSchema.index({ client: 1, actor: 1, createdAt: -1 });
+auditLogSchema.index({ client: 1, 'target.id': 1, createdAt: -1 });
+
+auditLogSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+auditLogSchema.plugin(tenancy);
+
+function appendOnly(next) {
+  next(new Error('The audit log can\'t be changed.'));
+}
+
+['update', 'findOneAndUpdate', 'findOneAndRemove', 'remove'].forEach(hook => {
+  auditLogSchema.pre(hook, appendOnly);
+});
+
+auditLogSchema.pre('save', function(next) {
+  return this.isNew ? next() : appendOnly(next);
+});
+
+// Model.remove() doesn't run query middleware
+auditLogSchema.statics.remove = function(conditions, callback) {
+  callback = typeof conditions === 'function' ? conditions : callback;
+  const err = new Error('The audit log can\'t be changed.');
+  if (callback) {
+    return process.nextTick(() => callback(err));
+  }
+  throw err;
+};
+
+module.exports = mongoose.model('audit_log', auditLogSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tenancy = require('../lib/tenancy');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+* A holiday or other closure on the organization's calendar, like
+* Thanksgiving or a week off for spring break. Classes aren't held on any of
+* its days, either anywhere or only at one location. Dates are `YYYY-MM-DD`
+* like course holidays, so a closure is the same days in every time zone.
+*/
+const closureSchema = new Schema({
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  start_date: {
+    type: String,
+    required: true,
+    match: [DATE, 'Dates should look like YYYY-MM-DD.']
+  },
+  // The last day closed, the same as the start for a single day
+  end_date: {
+    type: String,
+    required: true,
+    match: [DATE, 'Dates should look like YYYY-MM-DD.']
+  },
+  // Everywhere when not set
+  location: {
+    type: Schema.Types.ObjectId,
+    ref: 'location'
+  }
+}, { timestamps: true });
+
+closureSchema.index({ client: 1, start_date: 1 });
+
+closureSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+closureSchema.pre('validate', function(next) {
+  if (!this.end_date) {
+    this.end_date = this.start_date;
+  }
+  if (this.start_date && this.end_date < this.start_date) {
+    this.invalidate('end_date', 'A closure can\'t end before it starts.');
+  }
+  next();
+});
+
+closureSchema.plugin(tenancy);
+
+module.exports = mongoose.model('closure', closureSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+
+/**
+* Named sequences that hand out numbers atomically, e.g. student ids
+*/
+const counterSchema = new Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+* Take the next number in a sequence. A sequence that doesn't exist yet
+* starts after the number `seed` gives back, so it can pick up where
+* numbers handed out some other way left off.
+* @param {String} name
+* @param {Function} seed called with a callback taking the last number used
+* @param {Function} cb called with the next number
+*/
+counterSchema.statics.next = function(name, seed, cb) {
+  this.findOneAndUpdate({
+    _id: name
+  }, {
+    $inc: { seq: 1 }
+  }, { new: true }, (err, counter) => {
+    if (err) {
+      return cb(err);
+    }
+    if (counter) {
+      return cb(null, counter.seq);
+    }
+    seed((err, last) => {
+      if (err) {
+        return cb(err);
+      }
+      this.create({ _id: name, seq: last || 0 }, err => {
+        // Someone else starting the same sequence at once is fine, since
+        // both seeds agree; the increment below is still atomic
+        if (err && err.code !== 11000) {
+          return cb(err);
+        }
+        this.next(name, seed, cb);
+      });
+    });
+  });
+};
+
+module.exports = mongoose.model('counter', counterSchema);
@@ -2,6 +2,12 @@ var mongoose = require('mongoose');
 var Schema   = mongoose.Schema;
 var mongooseToCsv = require('mongoose-to-csv');
 var version = require('mongoose-version');
+var tenancy = require('../lib/tenancy');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
+var calendar = require('../lib/calendar');
+
+var DATE = /^\d{4}-\d{2}-\d{2}$/;
 
 var courseSchema = new Schema({
 	name: String,
@@ -12,7 +18,7 @@ var courseSchema = new Schema({
 	},
 	client: {
 	 	type: Schema.Types.ObjectId,
-	 	ref: 'user'
+	 	ref: 'organization'
 	},
 	days: Array,
   seats: Number,
@@ -20,7 +26,21 @@ var courseSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'user'
   }],
+  instructors: [{
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  }],
+  teaching_assistants: [{
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  }],
   holidays: Array,
+  // Days the course meets even though it otherwise wouldn't, like a makeup
+  // class on a closure or a day of the week it doesn't usually meet
+  makeup_dates: Array,
+  // The calendar's closures that fall in the course's term, `{ date, name }`.
+  // Kept up to date by lib/calendar, not edited directly.
+  closures: Array,
   grades: Array,
 	videos: Array,
   cost: {
@@ -32,6 +52,8 @@ var courseSchema = new Schema({
 	 	ref: 'location',
     required: true
 	},
+  // Courses at the same location only clash when they're in the same room
+  room: String,
   textbook: {
 	 	type: Schema.Types.ObjectId,
 	 	ref: 'textbook'
@@ -43,9 +65,75 @@ var courseSchema = new Schema({
   timeEnd: {
     type: String,
     required: true
-  }
+  },
+  // Days of the week that don't meet from timeStart to timeEnd, like a longer
+  // Saturday session
+  meeting_times: [{
+    _id: false,
+    day: String,
+    timeStart: String,
+    timeEnd: String
+  }],
+  // One-off changes to single sessions, see lib/calendar
+  exceptions: [{
+    date: {
+      type: String,
+      required: true,
+      match: [DATE, 'Dates should look like YYYY-MM-DD.']
+    },
+    action: {
+      type: String,
+      enum: ['cancel', 'move', 'change', 'add'],
+      required: true
+    },
+    // Where a moved session went
+    moved_to: {
+      type: String,
+      match: [DATE, 'Dates should look like YYYY-MM-DD.']
+    },
+    // Anything the session does differently, left out when it doesn't
+    timeStart: String,
+    timeEnd: String,
+    location: {
+      type: Schema.Types.ObjectId,
+      ref: 'location'
+    },
+    room: String,
+    note: String
+  }]
 }, { timestamps: true });
 
+/**
+* Query conditions limiting courses to the ones a user may see. Users who
+* can't see every course only get the ones they teach or assist.
+* @param {UserModel} user with permissions loaded
+* @return {Object}
+*/
+courseSchema.statics.visibleTo = function(user) {
+  if (user.can('courses:read')) {
+    return {};
+  }
+  return {
+    $or: [
+      { instructors: user._id },
+      { teaching_assistants: user._id }
+    ]
+  };
+};
+
+/**
+* Whether a user can have a place in the course: they already have one, or
+* seats are left. Courses without a number of seats take anyone.
+* @param {ObjectId|String} userId
+* @return {Boolean}
+*/
+courseSchema.methods.hasSeatFor = function(userId) {
+  var registered = this.registrations.some(function(id) { return String(id) === String(userId); });
+  return registered || typeof this.seats !== 'number' || this.registrations.length < this.seats;
+};
+
+courseSchema.index({ client: 1, name: 'text' }, { name: 'search', default_language: 'none' });
+
 courseSchema.plugin(mongooseToCsv, {
   headers: 'id name seats term_id location_id cost',
   constraints: {},
@@ -62,6 +150,37 @@ courseSchema.plugin(mongooseToCsv, {
   }
 });
 
+// Courses start out with, and follow their term and location to, the
+// calendar's closures
+courseSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('term') && !this.isModified('location')) {
+    return next();
+  }
+  calendar.apply(this, next);
+});
+
+// Courses sent with their term come with their sessions, so the browser
+// doesn't have to work them out again
+courseSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    if (doc.term && doc.term.start_date) {
+      ret.sessions = calendar.sessions(doc);
+    }
+    return ret;
+  }
+});
+
+courseSchema.plugin(tenancy);
+courseSchema.plugin(archive);
+// Registrations go through RegistrationController, which checks seats and payments
+courseSchema.plugin(history, {
+  fields: [
+    'name', 'term', 'location', 'room', 'textbook', 'days', 'timeStart', 'timeEnd', 'seats', 'cost',
+    'instructors', 'teaching_assistants', 'meeting_times', 'holidays', 'makeup_dates', 'exceptions',
+    'grades', 'videos'
+  ]
+});
+
 courseSchema.plugin(version, { collection: 'courses__versions' });
 
 module.exports = mongoose.model('course', courseSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tenancy = require('../lib/tenancy');
+
+/**
+* One record per time an admin viewed the app as another user. Records are
+* only ever closed, never edited or removed.
+*/
+const impersonationSchema = new Schema({
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  target: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization',
+    required: true
+  },
+  ip: String,
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  ended_at: Date
+});
+
+/**
+* Close an open impersonation record
+* @param {ObjectId} id
+* @param {Function} cb called with the closed record, or null if it was
+* already closed
+*/
+impersonationSchema.statics.end = function(id, cb) {
+  this.findOneAndUpdate({
+    _id: id,
+    ended_at: null
+  }, {
+    ended_at: new Date()
+  }, { new: true }, cb);
+};
+
+// Lists show who viewed as whom, and users are only found inside a tenant
+impersonationSchema.plugin(tenancy.populates);
+
+module.exports = mongoose.model('impersonation', impersonationSchema);
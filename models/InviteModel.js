@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tokens = require('../lib/tokens');
+const tenancy = require('../lib/tenancy');
+
+// Invitation links are good for one week
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const roles = {
+  student: 'is_student',
+  instructor: 'is_instructor',
+  admin: 'is_admin'
+};
+
+const inviteSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please fill a valid email address']
+  },
+  role: {
+    type: String,
+    enum: Object.keys(roles),
+    default: 'student'
+  },
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'course'
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization',
+    required: true
+  },
+  invited_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  expires_at: Date,
+  accepted_at: Date,
+  accepted_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  revoked_at: Date
+}, { timestamps: true });
+
+inviteSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.expires_at = new Date(Date.now() + INVITE_TTL);
+  }
+  next();
+});
+
+inviteSchema.methods.token = function() {
+  return tokens.sign({ invite: this._id.toString() }, this.expires_at.getTime() - Date.now());
+};
+
+/**
+* The UserModel role flag this invite grants
+*/
+inviteSchema.methods.roleAttr = function() {
+  return roles[this.role];
+};
+
+inviteSchema.methods.isUsable = function() {
+  return !this.accepted_at && !this.revoked_at && this.expires_at.getTime() > Date.now();
+};
+
+/**
+* Find the invite a signed token points at
+* @param {String} token
+* @param {Function} cb called with an error message if the token is bad,
+* expired or already used, or with the invite
+*/
+inviteSchema.statics.findByToken = function(token, cb) {
+  const payload = tokens.verify(token);
+  if (!payload || !payload.invite) {
+    return cb('This invitation link is invalid.');
+  }
+  if (tokens.isExpired(payload)) {
+    return cb('This invitation link has expired. Please ask for a new one.');
+  }
+  this.findOne({ _id: payload.invite }, (err, invite) => {
+    if (err || !invite) {
+      return cb('This invitation link is invalid.');
+    }
+    if (!invite.isUsable()) {
+      return cb('This invitation link has already been used or was cancelled.');
+    }
+    return cb(null, invite);
+  });
+};
+
+/**
+* Atomically mark an invite as used so it can't be accepted twice
+*/
+inviteSchema.statics.claim = function(invite, cb) {
+  this.findOneAndUpdate({
+    _id: invite._id,
+    accepted_at: null,
+    revoked_at: null
+  }, {
+    accepted_at: new Date()
+  }, { new: true }, cb);
+};
+
+// Lists show the course an invitation registers for
+inviteSchema.plugin(tenancy.populates);
+
+module.exports = mongoose.model('invite', inviteSchema);
@@ -2,8 +2,23 @@ var mongoose = require('mongoose');
 var Schema   = mongoose.Schema;
 var mongooseToCsv = require('mongoose-to-csv');
 var version = require('mongoose-version');
+var tenancy = require('../lib/tenancy');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
 
-var locationSchema = new Schema({  address: String,  name: String,  city: String,  state: String,  zipcode: String,  contact: String,  client: {    type: Schema.Types.ObjectId,    ref: 'user'  },  phone: String,  note: String}, { timestamps: true });
+var locationSchema = new Schema({  address: String,  name: String,  city: String,  state: String,  zipcode: String,  contact: String,  client: {    type: Schema.Types.ObjectId,    ref: 'organization'  },  phone: String,  note: String}, { timestamps: true });
+
+locationSchema.index({
+  client: 1,
+  name: 'text',
+  address: 'text',
+  city: 'text',
+  contact: 'text'
+}, {
+  name: 'search',
+  default_language: 'none',
+  weights: { name: 10, city: 3, address: 2, contact: 2 }
+});
 
 locationSchema.plugin(mongooseToCsv, {
   headers: 'id name city',
@@ -15,6 +30,12 @@ locationSchema.plugin(mongooseToCsv, {
   }
 });
 
+locationSchema.plugin(tenancy);
+locationSchema.plugin(archive);
+locationSchema.plugin(history, {
+  fields: ['name', 'address', 'city', 'state', 'zipcode', 'contact', 'phone', 'note']
+});
+
 locationSchema.plugin(version, { collection: 'locations__versions' });
 
 module.exports = mongoose.model('location', locationSchema);
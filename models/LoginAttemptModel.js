@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+
+// Failures older than the window no longer count towards a lockout
+const WINDOW = 15 * 60 * 1000;
+const LOCKOUT = 15 * 60 * 1000;
+const MAX_DELAY = 8 * 1000;
+
+const limits = {
+  username: 5,
+  ip: 20
+};
+
+const loginAttemptSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  locked_until: Date
+}, { timestamps: true });
+
+// Let Mongo clean up stale attempts on its own
+loginAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+loginAttemptSchema.methods.isLocked = function() {
+  return !!this.locked_until && this.locked_until.getTime() > Date.now();
+};
+
+loginAttemptSchema.methods.isStale = function() {
+  return !this.isLocked() && this.updatedAt.getTime() < Date.now() - WINDOW;
+};
+
+/**
+* Milliseconds to wait before checking credentials, doubling with every
+* failure after the third
+*/
+loginAttemptSchema.methods.delay = function() {
+  if (this.isStale() || this.count < 3) {
+    return 0;
+  }
+  return Math.min(Math.pow(2, this.count - 3) * 1000, MAX_DELAY);
+};
+
+loginAttemptSchema.statics.usernameKey = function(username) {
+  return 'username:' + String(username).toLowerCase();
+};
+
+loginAttemptSchema.statics.ipKey = function(ip) {
+  return 'ip:' + ip;
+};
+
+/**
+* Look up the attempts for a username and IP, returning whether either is
+* locked and how long to delay before checking credentials
+*/
+loginAttemptSchema.statics.check = function(username, ip, cb) {
+  this.find({
+    key: { $in: [this.usernameKey(username), this.ipKey(ip)] }
+  }, (err, attempts) => {
+    if (err) {
+      return cb(err);
+    }
+    return cb(null, {
+      locked: attempts.some(attempt => attempt.isLocked()),
+      delay: attempts.reduce((memo, attempt) => Math.max(memo, attempt.delay()), 0)
+    });
+  });
+};
+
+/**
+* Count a failure against a key, locking it once there are `limit` of them.
+* Each step is a single update, so failures that arrive together are all
+* counted.
+*/
+loginAttemptSchema.statics.fail = function(key, limit, cb) {
+  const now = new Date();
+  // Start over when the last failure was outside the window
+  this.update({
+    key: key,
+    updatedAt: { $lt: new Date(now.getTime() - WINDOW) },
+    locked_until: { $not: { $gt: now } }
+  }, {
+    $set: { count: 0 },
+    $unset: { locked_until: 1 }
+  }, err => {
+    if (err) {
+      return cb(err);
+    }
+    this.increment(key, now, (err, attempt) => {
+      if (err) {
+        return cb(err);
+      }
+      if (attempt.count < limit || attempt.isLocked()) {
+        return cb(null, attempt);
+      }
+      this.findOneAndUpdate({
+        key: key
+      }, {
+        $set: { locked_until: new Date(now.getTime() + LOCKOUT) }
+      }, { new: true }, cb);
+    });
+  });
+};
+
+loginAttemptSchema.statics.increment = function(key, now, cb, retried) {
+  this.findOneAndUpdate({
+    key: key
+  }, {
+    $inc: { count: 1 },
+    $set: { updatedAt: now }
+  }, { upsert: true, new: true }, (err, attempt) => {
+    // Two upserts for a new key can race, and the loser finds it the second time
+    if (err && err.code === 11000 && !retried) {
+      return this.increment(key, now, cb, true);
+    }
+    cb(err, attempt);
+  });
+};
+
+/**
+* Record a failed login against both the username and the IP
+*/
+loginAttemptSchema.statics.recordFailure = function(username, ip, cb) {
+  this.fail(this.usernameKey(username), limits.username, err => {
+    if (err) {
+      return cb(err);
+    }
+    this.fail(this.ipKey(ip), limits.ip, cb);
+  });
+};
+
+loginAttemptSchema.statics.unlock = function(username, cb) {
+  this.remove({ key: this.usernameKey(username) }, cb);
+};
+
+loginAttemptSchema.statics.lockedUntil = function(username, cb) {
+  this.findOne({ key: this.usernameKey(username) }, (err, attempt) => {
+    if (err) {
+      return cb(err);
+    }
+    return cb(null, attempt && attempt.isLocked() ? attempt.locked_until : null);
+  });
+};
+
+module.exports = mongoose.model('login_attempt', loginAttemptSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tenancy = require('../lib/tenancy');
+
+/**
+* The school that owns an account. Every tenant-scoped document keeps the
+* organization's id in its `client` field. Owners have every permission, and
+* there can be several of them so the account outlives any one person.
+*/
+const organizationSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  branding: {
+    logo_url: String,
+    primary_color: String
+  },
+  timezone: {
+    type: String,
+    default: 'America/Chicago'
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  contact_email: String,
+  phone: String,
+  website: String,
+  settings: {
+    require_two_factor: {
+      type: Boolean,
+      default: false
+    },
+    require_verified_email: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // How student ids are shown, e.g. prefix `ACA-` and padding 5 shows
+  // id 42 as `ACA-00042`. Ids are still stored as plain numbers.
+  idn_format: {
+    prefix: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    padding: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 12
+    }
+  },
+  owners: [{
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  }]
+}, { timestamps: true });
+
+organizationSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+/**
+* @param {ObjectId|UserModel} user
+* @return {Boolean}
+*/
+organizationSchema.methods.isOwner = function(user) {
+  const id = user._id || user;
+  return this.owners.some(owner => owner.equals(id));
+};
+
+/**
+* Read a student id typed in either form, e.g. `ACA-00042` or `42`
+* @param {String|Number} value
+* @return {Number|null}
+*/
+organizationSchema.methods.parseIdn = function(value) {
+  let digits = String(value || '').trim();
+  const prefix = this.idn_format.prefix;
+  if (prefix && digits.toLowerCase().indexOf(prefix.toLowerCase()) === 0) {
+    digits = digits.slice(prefix.length);
+  }
+  return /^\d+$/.test(digits) ? Number(digits) : null;
+};
+
+// Owners are populated, and users are only found inside a tenant
+organizationSchema.plugin(tenancy.populates);
+
+module.exports = mongoose.model('organization', organizationSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const _ = require('underscore');
+const permissions = require('../lib/permissions');
+
+/**
+* A named set of permissions belonging to a client. Roles with `builtin` set
+* hold the client's version of a built-in role and are given to users through
+* the matching `is_*` flag; the rest are assigned through `UserModel.roles`.
+*/
+const roleSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  builtin: {
+    type: String,
+    enum: Object.keys(permissions.DEFAULT_ROLES)
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: values => values.every(value => permissions.ALL.indexOf(value) > -1),
+      message: 'Unknown permission.'
+    }
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization',
+    required: true
+  }
+}, { timestamps: true });
+
+roleSchema.index({ client: 1, name: 1 }, { unique: true });
+
+/**
+* Save a copy of each built-in role the client doesn't have yet, so they can
+* be listed and edited like any other role
+* @param {ObjectId} client
+* @param {Function} cb
+*/
+roleSchema.statics.seed = function(client, cb) {
+  const builtins = Object.keys(permissions.DEFAULT_ROLES);
+  let pending = builtins.length;
+  let error = null;
+  builtins.forEach(builtin => {
+    this.update({
+      client: client,
+      builtin: builtin
+    }, {
+      $setOnInsert: {
+        name: builtin,
+        permissions: permissions.DEFAULT_ROLES[builtin]
+      }
+    }, { upsert: true }, err => {
+      // A custom role may already be using the built-in name
+      error = error || (err && err.code !== 11000 ? err : null);
+      if (--pending === 0) {
+        cb(error);
+      }
+    });
+  });
+};
+
+/**
+* Work out everything a user is allowed to do
+* @param {UserModel} user
+* @param {Function} cb called with an array of permissions
+*/
+roleSchema.statics.permissionsFor = function(user, cb) {
+  if (user.is_client) {
+    return cb(null, permissions.ALL.slice());
+  }
+  const builtins = permissions.builtins(user);
+  this.find({
+    client: user.client,
+    $or: [
+      { _id: { $in: user.roles || [] } },
+      { builtin: { $in: builtins } }
+    ]
+  }, (err, roles) => {
+    if (err) {
+      return cb(err);
+    }
+    // Built-in roles the client hasn't changed fall back to the defaults
+    const overridden = _.pluck(roles, 'builtin');
+    const defaults = builtins
+      .filter(builtin => overridden.indexOf(builtin) === -1)
+      .map(builtin => permissions.DEFAULT_ROLES[builtin]);
+    return cb(null, _.union.apply(_, defaults.concat(_.pluck(roles, 'permissions'))));
+  });
+};
+
+module.exports = mongoose.model('role', roleSchema);
@@ -3,6 +3,9 @@ var Schema   = mongoose.Schema;
 var mongooseToCsv = require('mongoose-to-csv');
 var moment = require('moment');
 var version = require('mongoose-version');
+var tenancy = require('../lib/tenancy');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
 
 var termSchema = new Schema({
 	start_date: Date,
@@ -10,11 +13,13 @@ var termSchema = new Schema({
 	name: String,
 	client: {
 	 	type: Schema.Types.ObjectId,
-	 	ref: 'user'
+	 	ref: 'organization'
 	},
   courses: []
 }, { timestamps: true });
 
+termSchema.index({ client: 1, name: 'text' }, { name: 'search', default_language: 'none' });
+
 termSchema.plugin(mongooseToCsv, {
   headers: 'id name date_start date_end',
   constraints: {},
@@ -31,6 +36,10 @@ termSchema.plugin(mongooseToCsv, {
   }
 });
 
+termSchema.plugin(tenancy);
+termSchema.plugin(archive);
+termSchema.plugin(history, { fields: ['name', 'start_date', 'end_date'] });
+
 termSchema.plugin(version, { collection: 'terms__versions' });
 
 module.exports = mongoose.model('term', termSchema);
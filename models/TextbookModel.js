@@ -2,8 +2,13 @@ const mongoose = require('mongoose');
 const Schema   = mongoose.Schema;
 const mongooseToCsv = require('mongoose-to-csv');
 const version = require('mongoose-version');
+const tenancy = require('../lib/tenancy');
+const archive = require('../lib/archive');
+const history = require('../lib/history');
 
-const textbookSchema = new Schema({  name: String,  instructor_url: String,  student_url: String,  client: {    type: Schema.Types.ObjectId,    ref: 'user'  }}, { timestamps: true });
+const textbookSchema = new Schema({  name: String,  instructor_url: String,  student_url: String,  client: {    type: Schema.Types.ObjectId,    ref: 'organization'  }}, { timestamps: true });
+
+textbookSchema.index({ client: 1, name: 'text' }, { name: 'search', default_language: 'none' });
 
 textbookSchema.plugin(mongooseToCsv, {
   headers: 'name instructor_url student_url',
@@ -15,6 +20,10 @@ textbookSchema.plugin(mongooseToCsv, {
   }
 });
 
+textbookSchema.plugin(tenancy);
+textbookSchema.plugin(archive);
+textbookSchema.plugin(history, { fields: ['name', 'instructor_url', 'student_url'] });
+
 textbookSchema.plugin(version, { collection: 'textbooks__versions' });
 
 module.exports = mongoose.model('textbook', textbookSchema);
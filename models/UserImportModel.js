@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tenancy = require('../lib/tenancy');
+
+/**
+* A bulk user import. The uploaded rows are kept so the column mapping can be
+* changed and previewed again before anything is saved, and what happened to
+* each row stays around for the downloadable report.
+*/
+const userImportSchema = new Schema({
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization'
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  filename: String,
+  // Column headers in the order they appeared in the file
+  columns: [String],
+  // Column header to UserModel field; columns left out are ignored
+  mapping: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  rows: [{
+    _id: false,
+    line: Number,
+    data: Schema.Types.Mixed,
+    // What the preview says will happen: create, update, skip or reject
+    action: String,
+    reason: String,
+    changes: [String],
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'user'
+    },
+    // What actually happened once committed: created, updated, skipped,
+    // rejected or failed
+    result: String,
+    registered: Boolean
+  }],
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'course'
+  },
+  status: {
+    type: String,
+    enum: ['preview', 'committed'],
+    default: 'preview'
+  },
+  counts: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  committed_at: Date
+}, { timestamps: true });
+
+userImportSchema.index({ client: 1, createdAt: -1 });
+
+userImportSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+userImportSchema.plugin(tenancy);
+
+module.exports = mongoose.model('user_import', userImportSchema);
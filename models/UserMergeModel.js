@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+const tenancy = require('../lib/tenancy');
+
+/**
+* Record of one account being merged into another. The retired account is
+* kept here as it was, so a merge done by mistake can be pieced back together.
+*/
+const userMergeSchema = new Schema({
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'organization'
+  },
+  survivor: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  retired: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  // The retired user document, before the merge
+  snapshot: Schema.Types.Mixed,
+  merged_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  // Ids of the courses the retired account was moved out of
+  courses: [{
+    type: Schema.Types.ObjectId,
+    ref: 'course'
+  }],
+  // A merge that stops part way stays `started` so it can be finished by hand
+  status: {
+    type: String,
+    enum: ['started', 'completed'],
+    default: 'started'
+  }
+}, { timestamps: true });
+
+userMergeSchema.index({ client: 1, survivor: 1 });
+
+userMergeSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+userMergeSchema.plugin(tenancy);
+
+module.exports = mongoose.model('user_merge', userMergeSchema);
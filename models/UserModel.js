@@ -1,9 +1,19 @@
 var mongoose = require('mongoose');
 var Schema   = mongoose.Schema;
+var speakeasy = require('speakeasy');
+var tokens = require('../lib/tokens');
+var RoleModel = require('./RoleModel');
+var CounterModel = require('./CounterModel');
 var uniqueValidator = require('mongoose-unique-validator');
 var _ = require('underscore');
 var mongooseToCsv = require('mongoose-to-csv');
 var version = require('mongoose-version');
+var tenancy = require('../lib/tenancy');
+var archive = require('../lib/archive');
+var history = require('../lib/history');
+
+// Seconds each authenticator code lasts, speakeasy's default
+var TOTP_STEP = 30;
 
 var userSchema = new Schema({
   username: {
@@ -14,6 +24,7 @@ var userSchema = new Schema({
     match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please fill a valid email address']
   },
   password: String,
+  // Owns the organization; kept in step with OrganizationModel.owners
   is_client: {
     type: Boolean,
     default: false
@@ -30,6 +41,11 @@ var userSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Custom roles on top of the built-in ones above
+  roles: [{
+    type: Schema.Types.ObjectId,
+    ref: 'role'
+  }],
   first_name: {
     type: String,
     required: true
@@ -50,15 +66,14 @@ var userSchema = new Schema({
     type: String,
     default: ""
   },
+  // Student id, numbered per organization. Assign with UserModel.nextIdn()
   idn: {
     type: Number,
-    required: true,
-    default: 1,
-    unique: true
+    required: true
   },
   client: {
     type: Schema.Types.ObjectId,
-    ref: 'user'
+    ref: 'organization'
   },
   attendance: Array,
   codecademy: String,
@@ -66,28 +81,236 @@ var userSchema = new Schema({
   grades: Array,
   courses: Array,
   reset_password: String,
+  reset_password_expires: Date,
   charges: Array,
   customer_id: String,
+  // Stripe customers of accounts merged into this one, so their charges
+  // still show up here
+  merged_customer_ids: [String],
   credits: String,
-  api_key: String,
   price: Number,
   reviews: Array,
   rocketchat: String,
+  // Set on self-registered accounts until they click the emailed link
+  email_pending: {
+    type: Boolean,
+    default: false
+  },
+  email_verified_at: Date,
+  two_factor_enabled: {
+    type: Boolean,
+    default: false
+  },
+  two_factor_secret: String,
+  two_factor_pending_secret: String,
+  two_factor_recovery_codes: [String],
+  // The last authenticator time step a code was accepted for, so a code
+  // can't be used twice
+  two_factor_last_step: Number,
+  // Calendar feed links carry the version they were made with, so bumping it
+  // stops every link handed out before
+  calendar_feed_version: {
+    type: Number,
+    default: 0
+  }
 }, { timestamps: true });
 
+userSchema.index({ client: 1, idn: 1 }, { unique: true });
+// The users list pages through an organization sorted by name or signup date
+userSchema.index({ client: 1, last_name: 1 });
+userSchema.index({ client: 1, createdAt: 1 });
+
+// Global search; idn isn't text so it's matched on its own
+userSchema.index({
+  client: 1,
+  first_name: 'text',
+  last_name: 'text',
+  username: 'text',
+  phone: 'text',
+  github: 'text'
+}, {
+  name: 'search',
+  default_language: 'none',
+  weights: { first_name: 10, last_name: 10, username: 5, github: 3, phone: 2 }
+});
+
 userSchema.set('toJSON', {
   transform: function(doc, ret, options) {
     delete ret.password;
     delete ret.__v;
     delete ret.reset_password;
+    delete ret.reset_password_expires;
     delete ret.customer_id;
+    delete ret.merged_customer_ids;
+    delete ret.api_key;
+    delete ret.two_factor_secret;
+    delete ret.two_factor_pending_secret;
+    delete ret.two_factor_recovery_codes;
+    delete ret.two_factor_last_step;
     return ret;
   },
   virtuals: true
 });
 
+/**
+* Look up everything this user's roles allow and keep it on the document for
+* `can()`. Done once per request when the user is loaded.
+* @param {Function} cb called with the user
+*/
+userSchema.methods.loadPermissions = function(cb) {
+  var user = this;
+  RoleModel.permissionsFor(user, function(err, permissions) {
+    user.permissions = permissions || [];
+    cb(err, user);
+  });
+};
+
+/**
+* @param {String} permission e.g. `grades:write`
+* @return {Boolean}
+*/
+userSchema.methods.can = function(permission) {
+  return !!this.permissions && this.permissions.indexOf(permission) > -1;
+};
+
+// Reset links are good for one hour
+var RESET_TOKEN_TTL = 60 * 60 * 1000;
+
+/**
+* Issue a new password reset token. Only the hash is stored, so issuing a
+* new token invalidates any link sent before it.
+* @return {String} the plaintext token to email to the user
+*/
+userSchema.methods.generateResetToken = function() {
+  var token = tokens.generate();
+  this.reset_password = tokens.hash(token);
+  this.reset_password_expires = new Date(Date.now() + RESET_TOKEN_TTL);
+  return token;
+};
+
+userSchema.methods.resetTokenExpired = function() {
+  return !this.reset_password_expires || this.reset_password_expires.getTime() < Date.now();
+};
+
+userSchema.methods.clearResetToken = function() {
+  this.reset_password = undefined;
+  this.reset_password_expires = undefined;
+};
+
+userSchema.statics.findByResetToken = function(token, cb) {
+  return this.findOne({ reset_password: tokens.hash(token) }).anyTenant().exec(cb);
+};
+
+/**
+* Take the organization's next student id. Ids come from a counter, so two
+* accounts created at once never get the same one.
+* @param {ObjectId} client
+* @param {Function} cb called with the id
+*/
+userSchema.statics.nextIdn = function(client, cb) {
+  var User = this;
+  CounterModel.next('idn:' + client, function(done) {
+    // Carry on from the highest id handed out before the counter existed
+    // Archived users keep their ids, so count them too
+    User.findOne({ client: client }, 'idn', { sort: { idn: -1 } }).withArchived().exec(function(err, user) {
+      done(err, user && user.idn);
+    });
+  }, cb);
+};
+
+function normalizeCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+* @param {String} secret base32 authenticator secret
+* @param {String} code
+* @return {Number|null} the time step the code is for, if it's valid
+*/
+userSchema.statics.twoFactorStep = function(secret, code) {
+  var match = speakeasy.totp.verifyDelta({
+    secret: secret,
+    encoding: 'base32',
+    token: normalizeCode(code),
+    window: 1
+  });
+  return match ? Math.floor(Date.now() / 1000 / TOTP_STEP) + match.delta : null;
+};
+
+/**
+* Check a code from the user's authenticator app, falling back to their
+* recovery codes. A matching code is used up, so save the user afterwards.
+* @param {String} code
+* @return {Boolean}
+*/
+userSchema.methods.verifyTwoFactor = function(code) {
+  code = normalizeCode(code);
+  if (!this.two_factor_secret || !code) {
+    return false;
+  }
+
+  var step = this.constructor.twoFactorStep(this.two_factor_secret, code);
+  if (step !== null) {
+    if (this.two_factor_last_step >= step) {
+      return false;
+    }
+    this.two_factor_last_step = step;
+    return true;
+  }
+
+  var idx = this.two_factor_recovery_codes.indexOf(tokens.hash(code));
+  if (idx > -1) {
+    this.two_factor_recovery_codes.splice(idx, 1);
+    return true;
+  }
+  return false;
+};
+
+/**
+* Replace the user's recovery codes with a fresh set
+* @return {Array} the plaintext codes to show the user once
+*/
+userSchema.methods.generateRecoveryCodes = function() {
+  var codes = _.times(10, function() {
+    var code = tokens.generate(4);
+    return code.slice(0, 4) + '-' + code.slice(4);
+  });
+  this.two_factor_recovery_codes = codes.map(function(code) {
+    return tokens.hash(normalizeCode(code));
+  });
+  return codes;
+};
+
+/**
+* Whether the organization's settings force this user to use two-factor
+* @param {OrganizationModel} organization the user's organization
+*/
+userSchema.methods.twoFactorRequired = function(organization) {
+  return !!organization && organization.settings.require_two_factor && (this.is_admin || this.is_client);
+};
+
+/**
+* Whether the organization's settings block this user from paying and
+* registering until they verify their email address
+* @param {OrganizationModel} organization the user's organization
+*/
+userSchema.methods.emailVerificationRequired = function(organization) {
+  return !!organization && organization.settings.require_verified_email && this.email_pending;
+};
+
 userSchema.plugin(uniqueValidator);
 
+userSchema.plugin(tenancy, { unique: ['username'] });
+userSchema.plugin(archive);
+// Roles and sign-in details, the username included, have their own checks,
+// so they're never reverted
+userSchema.plugin(history, {
+  fields: [
+    'first_name', 'last_name', 'phone', 'website', 'github', 'rocketchat',
+    'codecademy', 'zipcode', 'price', 'credits', 'reviews', 'attendance', 'grades'
+  ]
+});
+
 userSchema.plugin(mongooseToCsv, {
   headers: 'id idn first_name last_name email phone zipcode github website customer_id is_admin is_client is_instructor is_student credits price',
   constraints: {
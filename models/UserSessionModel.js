@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Schema   = mongoose.Schema;
+
+// Matches connect-mongo's default session lifetime
+const SESSION_TTL = 14 * 24 * 60 * 60;
+
+/**
+* Who a stored session belongs to and where it was last used. connect-mongo
+* keeps the session itself as an opaque string, so this sits alongside it to
+* make sessions listable by user.
+*/
+const userSessionSchema = new Schema({
+  sid: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+    index: true
+  },
+  ip: String,
+  user_agent: String,
+  last_seen_at: Date
+}, { timestamps: true });
+
+userSessionSchema.index({ last_seen_at: 1 }, { expireAfterSeconds: SESSION_TTL });
+
+userSessionSchema.set('toJSON', {
+  transform: function(doc, ret, options) {
+    delete ret.sid;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+/**
+* Record that a session was just used
+* @param {Request} req an authenticated request
+* @param {Function} cb
+*/
+userSessionSchema.statics.touch = function(req, cb) {
+  // While impersonating, the session still belongs to the admin
+  const owner = req.session.impersonation ? req.session.impersonation.actor : req.user._id;
+  this.findOneAndUpdate({
+    sid: req.sessionID
+  }, {
+    user: owner,
+    ip: req.ip,
+    user_agent: req.get('User-Agent'),
+    last_seen_at: new Date()
+  }, { upsert: true, new: true, setDefaultsOnInsert: true }, cb);
+};
+
+/**
+* End sessions by removing them from the session store
+* @param {Store} store the express-session store, i.e. `req.sessionStore`
+* @param {Object} query which sessions to end
+* @param {Function} cb called with the sessions that were ended
+*/
+userSessionSchema.statics.revoke = function(store, query, cb) {
+  this.find(query, (err, sessions) => {
+    if (err) {
+      return cb(err);
+    }
+    let pending = sessions.length;
+    let error = null;
+    if (!pending) {
+      return cb(null, sessions);
+    }
+    sessions.forEach(session => {
+      store.destroy(session.sid, err => {
+        error = error || err;
+        session.remove(err => {
+          error = error || err;
+          if (--pending === 0) {
+            cb(error, sessions);
+          }
+        });
+      });
+    });
+  });
+};
+
+module.exports = mongoose.model('user_session', userSessionSchema);
@@ -16,12 +16,14 @@ const UserModel = require('./models/UserModel');
 const TermModel = require('./models/TermModel');
 const ReportModel = require('./models/ReportModel');
 const CourseModel = require('./models/CourseModel');
+const OrganizationModel = require('./models/OrganizationModel');
 
 const TermsCollection = require('./collections/TermsCollection');
 const CoursesCollection = require('./collections/CoursesCollection');
 const UsersCollection = require('./collections/UsersCollection');
 const LocationsCollection = require('./collections/LocationsCollection');
 const TextbooksCollection = require('./collections/TextbooksCollection');
+const RolesCollection = require('./collections/RolesCollection');
 
 const TermsListComponent = React.createFactory(require('./components/TermsListComponent'));
 const CoursesListComponent = React.createFactory(require('./components/CoursesListComponent'));
@@ -34,6 +36,12 @@ const TextbooksListComponent = React.createFactory(require('./components/Textboo
 const RegistrationsListComponent = React.createFactory(require('./components/RegistrationsListComponent'));
 const UserComponent = React.createFactory(require('./components/UserComponent'));
 const ReportComponent = React.createFactory(require('./components/ReportComponent'));
+const RolesListComponent = React.createFactory(require('./components/RolesListComponent'));
+const OrganizationComponent = React.createFactory(require('./components/OrganizationComponent'));
+const UsersImportComponent = React.createFactory(require('./components/UsersImportComponent'));
+const DuplicatesComponent = React.createFactory(require('./components/DuplicatesComponent'));
+const AuditLogComponent = React.createFactory(require('./components/AuditLogComponent'));
+const ClosuresComponent = React.createFactory(require('./components/ClosuresComponent'));
 
 document.addEventListener('DOMContentLoaded', () => {
   window.addEventListener('error', function (e) {
@@ -55,6 +63,7 @@ document.addEventListener('DOMContentLoaded', () => {
       '': 'index',
       '/': 'index',
       'terms': 'terms',
+      'closures': 'closures',
       'users': 'users',
       'users/:id': 'user',
       'courses': 'courses',
@@ -63,7 +72,12 @@ document.addEventListener('DOMContentLoaded', () => {
       'courses/:id': 'course',
       'registration': 'registration',
       'report': 'report',
-      'report/:query': 'report'
+      'report/:query': 'report',
+      'roles': 'roles',
+      'organization': 'organization',
+      'import': 'import',
+      'duplicates': 'duplicates',
+      'audit': 'audit'
     },
 
     currentUser: new UserModel(JSON.parse(document.querySelector('[data-bootstrap]').getAttribute('data-bootstrap'))),
@@ -109,28 +123,47 @@ document.addEventListener('DOMContentLoaded', () => {
     terms: function() {
       var terms = new TermsCollection();
       terms.fetch();
-      ReactDOM.render(TermsListComponent({ collection: terms }), document.getElementById('container'));
+      ReactDOM.render(TermsListComponent({ collection: terms, currentUser: this.currentUser }), document.getElementById('container'));
+    },
+
+    closures: function() {
+      // Locations are only needed to close one of them
+      const locations = new LocationsCollection();
+      const render = () => {
+        ReactDOM.render(ClosuresComponent({
+          locations,
+          currentUser: this.currentUser
+        }), document.getElementById('container'));
+      };
+      locations.fetch({ success: render, error: render });
     },
 
     users: function() {
+      // The list fetches its own pages
       var users = new UsersCollection();
-      users.fetch();
-      ReactDOM.render(UsersListComponent({
-        collection: users,
-        currentUser: this.currentUser
-       }), document.getElementById('container'));
+      var courses = new CoursesCollection();
+      var terms = new TermsCollection();
+      var requests = this.currentUser.can('courses:read') ? [courses.fetch(), terms.fetch()] : [];
+      $.when.apply($, requests).always(() => {
+        ReactDOM.render(UsersListComponent({
+          collection: users,
+          courses: courses,
+          terms: terms,
+          currentUser: this.currentUser
+        }), document.getElementById('container'));
+      });
     },
 
     locations: function() {
       var locations = new LocationsCollection();
       locations.fetch();
-      ReactDOM.render(LocationsListComponent({ collection: locations }), document.getElementById('container'));
+      ReactDOM.render(LocationsListComponent({ collection: locations, currentUser: this.currentUser }), document.getElementById('container'));
     },
 
     textbooks: function() {
       const textbooks = new TextbooksCollection();
       textbooks.fetch();
-      ReactDOM.render(TextbooksListComponent({ collection: textbooks }), document.getElementById('container'));
+      ReactDOM.render(TextbooksListComponent({ collection: textbooks, currentUser: this.currentUser }), document.getElementById('container'));
     },
 
     courses: function() {
@@ -142,20 +175,31 @@ document.addEventListener('DOMContentLoaded', () => {
       locations.fetch();
       const textbooks = new TextbooksCollection();
       textbooks.fetch();
+      const users = new UsersCollection();
+      if (this.currentUser.can('users:read')) {
+        users.fetchAll();
+      }
       ReactDOM.render(CoursesListComponent({
         collection: courses,
         currentUser: this.currentUser,
         terms,
         locations,
-        textbooks
+        textbooks,
+        users
       }), document.getElementById('container'));
     },
 
     course: function(id) {
       var course = new CourseModel({_id: id});
       course.fetch();
+      // Only needed to move a session somewhere else
+      const locations = new LocationsCollection();
+      if (this.currentUser.can('locations:read')) {
+        locations.fetch();
+      }
       ReactDOM.render(CourseComponent({
         model: course,
+        locations,
         currentUser: this.currentUser
       }), document.getElementById('container'));
     },
@@ -166,7 +210,7 @@ document.addEventListener('DOMContentLoaded', () => {
       courses.fetch({
         success: function() {
           var users = new UsersCollection();
-          users.fetch({
+          users.fetchAll({
             success: function() {
               ReactDOM.render(RegistrationsListComponent({
                 collection: courses,
@@ -179,6 +223,55 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     },
 
+    roles: function() {
+      const roles = new RolesCollection();
+      roles.fetch();
+      ReactDOM.render(RolesListComponent({ collection: roles }), document.getElementById('container'));
+    },
+
+    organization: function() {
+      const organization = new OrganizationModel();
+      const users = new UsersCollection();
+      const render = () => {
+        ReactDOM.render(OrganizationComponent({
+          model: organization,
+          users,
+          currentUser: this.currentUser
+        }), document.getElementById('container'));
+      };
+      // Users are only needed to pick new owners
+      organization.fetch({
+        success: () => users.fetchAll({ success: render, error: render })
+      });
+    },
+
+    import: function() {
+      // Courses are only needed to register everyone in the import into one
+      const courses = new CoursesCollection();
+      const render = () => {
+        ReactDOM.render(UsersImportComponent({
+          courses,
+          currentUser: this.currentUser
+        }), document.getElementById('container'));
+      };
+      if (this.currentUser.can('courses:read')) {
+        return courses.fetch({ success: render, error: render });
+      }
+      render();
+    },
+
+    duplicates: function() {
+      ReactDOM.render(DuplicatesComponent({
+        currentUser: this.currentUser
+      }), document.getElementById('container'));
+    },
+
+    audit: function() {
+      ReactDOM.render(AuditLogComponent({
+        currentUser: this.currentUser
+      }), document.getElementById('container'));
+    },
+
     report: function(query) {
       ReactDOM.render(ReportComponent({
         model: new ReportModel({
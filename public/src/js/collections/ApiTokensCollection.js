@@ -0,0 +1,7 @@
+const Backbone = require('backbone');
+const ApiTokenModel = require('../models/ApiTokenModel');
+
+module.exports = Backbone.Collection.extend({
+  url: 'api/tokens',
+  model: ApiTokenModel
+});
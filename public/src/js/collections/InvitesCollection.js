@@ -0,0 +1,7 @@
+const Backbone = require('backbone');
+const InviteModel = require('../models/InviteModel');
+
+module.exports = Backbone.Collection.extend({
+  url: 'api/invites',
+  model: InviteModel
+});
@@ -0,0 +1,8 @@
+const Backbone = require('backbone');
+const RoleModel = require('../models/RoleModel');
+
+module.exports = Backbone.Collection.extend({
+  url: 'api/roles',
+  model: RoleModel,
+  comparator: 'name'
+});
@@ -0,0 +1,14 @@
+const Backbone = require('backbone');
+const SessionModel = require('../models/SessionModel');
+
+module.exports = Backbone.Collection.extend({
+  model: SessionModel,
+
+  initialize(models, options) {
+    this.user = options.user;
+  },
+
+  url() {
+    return `api/users/${this.user.id}/sessions`;
+  }
+});
@@ -1,8 +1,53 @@
 var Backbone = require('backbone');
 var UserModel = require('../models/UserModel');
 
+// The most users the server sends in one page
+var MAX_PER_PAGE = 200;
+
+// Kept in the order the server sorts them, since it only sends a page at a
+// time and the list can be sorted by other fields
 module.exports = Backbone.Collection.extend({
   url: 'api/users',
   model: UserModel,
-  comparator: 'last_name'
+
+  // How many users matched in all, when the server only sent one page
+  total: 0,
+
+  parse: function(response, options) {
+    var total = options.xhr && options.xhr.getResponseHeader('X-Total-Count');
+    this.total = total ? Number(total) : response.length;
+    return response;
+  },
+
+  /**
+  * Fetch every page, for pickers that need everyone
+  * @param {Object} [options] `data` for the query, plus `success` and
+  * `error` callbacks
+  */
+  fetchAll: function(options) {
+    options = options || {};
+    var that = this;
+    var page = 1;
+    var next = function() {
+      that.fetch({
+        remove: page === 1,
+        data: Object.assign({}, options.data, { page: page, per_page: MAX_PER_PAGE }),
+        success: function(collection, response) {
+          if (response.length === MAX_PER_PAGE && that.length < that.total) {
+            page++;
+            return next();
+          }
+          if (options.success) {
+            options.success(that);
+          }
+        },
+        error: function(collection, response) {
+          if (options.error) {
+            options.error(that, response);
+          }
+        }
+      });
+    };
+    next();
+  }
 });
@@ -0,0 +1,117 @@
+import * as React from 'react';
+import { Table, Tr, Td, Th, Thead } from 'reactable';
+import { Alert } from 'react-bootstrap';
+const moment = require('moment');
+const FontAwesome = require('react-fontawesome');
+
+/**
+* The archived side of a list, e.g. `<ArchivedComponent resource="locations" />`.
+* `title` and `detail` turn an archived document into what its row shows.
+*/
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      items: null,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentDidMount() {
+    $.ajax(`/api/${this.props.resource}`, {
+      data: { archived: true },
+      success: items => this.setState({ items: items }),
+      error: res => this.showError(res)
+    });
+  },
+
+  showError(res) {
+    this.setState({
+      error: res.responseJSON ? res.responseJSON.message : 'Something went wrong.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  drop(id) {
+    this.setState({
+      items: this.state.items.filter(item => item._id !== id),
+      alertVisible: 'hidden'
+    });
+  },
+
+  restore(e) {
+    e.preventDefault();
+    const id = e.currentTarget.getAttribute('data-id');
+    $.ajax(`/api/${this.props.resource}/${id}/restore`, {
+      method: 'post',
+      success: () => this.drop(id),
+      error: res => this.showError(res)
+    });
+  },
+
+  purge(e) {
+    e.preventDefault();
+    const id = e.currentTarget.getAttribute('data-id');
+    if (confirm('This can\'t be undone. Delete it for good?')) {
+      $.ajax(`/api/${this.props.resource}/${id}/purge`, {
+        method: 'delete',
+        success: () => this.drop(id),
+        error: res => this.showError(res)
+      });
+    }
+  },
+
+  render() {
+    if (!this.state.items) {
+      return <p className="text-muted">Loading...</p>;
+    }
+    const rows = this.state.items.map(item => {
+      return (
+        <Tr key={item._id}>
+          <Td column="Name">{this.props.title(item)}</Td>
+          <Td column="Details">{this.props.detail ? this.props.detail(item) : ''}</Td>
+          <Td column="Archived" value={item.archived_at}>{moment(item.archived_at).format('MMM D, YYYY')}</Td>
+          <Td column="actions">
+            <span className="nowrap">
+              <a href="#" onClick={this.restore} data-id={item._id} data-test="restore">
+                <FontAwesome name="undo" />
+                &nbsp;Restore
+              </a>
+              {this.props.currentUser.can('records:purge') ?
+              <a href="#" className="link-danger" style={{ marginLeft: '1rem' }} onClick={this.purge} data-id={item._id} data-test="purge">
+                <FontAwesome name="trash" />
+                &nbsp;Delete
+              </a>
+              : ''}
+            </span>
+          </Td>
+        </Tr>
+      );
+    });
+
+    return (
+      <div>
+        <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+          <p>{this.state.error}</p>
+        </Alert>
+        {rows.length ?
+        <div className="x-scroll">
+          <Table className="table table-condensed table-striped" itemsPerPage={20} sortable={['Name', 'Archived']}>
+            <Thead>
+              <Th column="Name">Name</Th>
+              <Th column="Details">Details</Th>
+              <Th column="Archived">Archived</Th>
+              <Th column="actions"></Th>
+            </Thead>
+            {rows}
+          </Table>
+        </div>
+        : <p className="text-muted">Nothing is archived.</p>}
+      </div>
+    );
+  }
+});
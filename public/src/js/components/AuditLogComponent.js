@@ -0,0 +1,278 @@
+import * as _ from 'underscore';
+import * as React from 'react';
+import {
+  Row, Col, Panel, Table, Alert, FormGroup, ControlLabel, FormControl, Pagination
+} from 'react-bootstrap';
+const Select = require('react-select');
+const moment = require('moment');
+const FontAwesome = require('react-fontawesome');
+
+const PER_PAGE = 50;
+
+// Search for the people and records an entry can be about
+function searchOptions(types) {
+  return (q, cb) => {
+    if (q.length < 2) {
+      return cb(null, { options: [] });
+    }
+    $.ajax('/api/search', {
+      data: { q: q, type: types },
+      success: groups => {
+        cb(null, {
+          options: _.flatten(groups.map(group => group.results)).map(result => {
+            return { value: result._id, label: result.title };
+          })
+        });
+      },
+      error: () => cb(null, { options: [] })
+    });
+  };
+}
+
+const searchUsers = searchOptions(['users']);
+const searchTargets = searchOptions(['users', 'courses']);
+
+/**
+* The audit log, newest first, filtered by who did it, what it was done to,
+* what was done and when
+*/
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      entries: null,
+      total: 0,
+      page: 1,
+      actions: {},
+      filters: {
+        actor: null,
+        target: null,
+        action: '',
+        from: '',
+        to: ''
+      },
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentDidMount() {
+    $.ajax('/api/audit/actions', {
+      success: actions => this.setState({ actions: actions })
+    });
+    this.fetchPage(1);
+  },
+
+  params() {
+    const filters = this.state.filters;
+    return _.pick({
+      actor: filters.actor && filters.actor.value,
+      target: filters.target && filters.target.value,
+      action: filters.action,
+      from: filters.from,
+      to: filters.to
+    }, value => !!value);
+  },
+
+  fetchPage(page) {
+    this.setState({ page: page });
+    $.ajax('/api/audit', {
+      data: Object.assign(this.params(), { page: page, per_page: PER_PAGE }),
+      success: (entries, status, xhr) => {
+        this.setState({
+          entries: entries,
+          total: Number(xhr.getResponseHeader('X-Total-Count')) || 0,
+          alertVisible: 'hidden'
+        });
+      },
+      error: res => this.showError(res)
+    });
+  },
+
+  showError(res) {
+    this.setState({
+      error: res.responseJSON ? res.responseJSON.message : 'Something went wrong.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  setFilter(key, value) {
+    this.setState({
+      filters: Object.assign({}, this.state.filters, { [key]: value })
+    }, () => this.fetchPage(1));
+  },
+
+  changeFilter(e) {
+    this.setFilter(e.currentTarget.getAttribute('data-filter'), e.currentTarget.value);
+  },
+
+  // Clicking a name in the log narrows it down to that person or record
+  pick(e) {
+    e.preventDefault();
+    this.setFilter(e.currentTarget.getAttribute('data-filter'), {
+      value: e.currentTarget.getAttribute('data-id'),
+      label: e.currentTarget.getAttribute('data-label')
+    });
+  },
+
+  renderDetails(details) {
+    if (!details) {
+      return '';
+    }
+    return (
+      <ul className="list-unstyled">
+        {_.map(details, (value, key) => {
+          const text = _.isObject(value) ? (value.name || JSON.stringify(value)) : String(value);
+          return <li key={key}><small><strong>{key}</strong>: {text}</small></li>;
+        })}
+      </ul>
+    );
+  },
+
+  render() {
+    const actionOptions = _.map(this.state.actions, (label, action) => {
+      return <option key={action} value={action}>{label}</option>;
+    });
+
+    let body;
+    if (!this.state.entries) {
+      body = <p className="text-muted">Loading...</p>;
+    } else if (!this.state.entries.length) {
+      body = <p className="text-muted">Nothing has been recorded that matches.</p>;
+    } else {
+      body = (
+        <div className="x-scroll">
+          <Table striped condensed>
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Who</th>
+                <th>What</th>
+                <th>About</th>
+                <th>Details</th>
+                <th>Where</th>
+              </tr>
+            </thead>
+            <tbody>
+              {this.state.entries.map(entry => {
+                const actor = entry.actor ? `${entry.actor.first_name} ${entry.actor.last_name}` : '';
+                const target = entry.target || {};
+                return (
+                  <tr key={entry._id}>
+                    <td className="nowrap">{moment(entry.createdAt).format('MMM D, YYYY h:mm a')}</td>
+                    <td>
+                      {entry.actor ?
+                      <a href="#" onClick={this.pick} data-filter="actor" data-id={entry.actor._id} data-label={actor}>{actor}</a>
+                      : <em className="text-muted">Removed user</em>}
+                      {entry.impersonator ?
+                      <div><small className="text-muted">
+                        as seen by {entry.impersonator.first_name} {entry.impersonator.last_name}
+                      </small></div>
+                      : ''}
+                    </td>
+                    <td>{this.state.actions[entry.action] || entry.action}</td>
+                    <td>
+                      {target.id ?
+                      <a href="#" onClick={this.pick} data-filter="target" data-id={target.id} data-label={target.label}>{target.label}</a>
+                      : ''}
+                    </td>
+                    <td>{this.renderDetails(entry.details)}</td>
+                    <td>
+                      <small title={entry.user_agent}>{entry.ip}</small>
+                      {entry.api_token ? <div><small className="text-muted">API token</small></div> : ''}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        </div>
+      );
+    }
+
+    const pages = Math.ceil(this.state.total / PER_PAGE);
+
+    return (
+      <Row>
+        <Col xs={12}>
+          <h3>
+            Audit Log
+            <a className="btn btn-default pull-right" href={`/api/audit/export?${$.param(this.params())}`} data-test="export-audit">
+              <FontAwesome name="download" />
+              &nbsp; Export CSV
+            </a>
+          </h3>
+          <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+            <p>{this.state.error}</p>
+          </Alert>
+          <Panel>
+            <Row>
+              <Col xs={12} md={3}>
+                <FormGroup>
+                  <ControlLabel>Who</ControlLabel>
+                  <Select.Async
+                    loadOptions={searchUsers}
+                    value={this.state.filters.actor}
+                    onChange={value => this.setFilter('actor', value)}
+                    placeholder="Anyone"
+                  />
+                </FormGroup>
+              </Col>
+              <Col xs={12} md={3}>
+                <FormGroup>
+                  <ControlLabel>About</ControlLabel>
+                  <Select.Async
+                    loadOptions={searchTargets}
+                    value={this.state.filters.target}
+                    onChange={value => this.setFilter('target', value)}
+                    placeholder="Anything"
+                  />
+                </FormGroup>
+              </Col>
+              <Col xs={12} md={2}>
+                <FormGroup controlId="action">
+                  <ControlLabel>What</ControlLabel>
+                  <FormControl componentClass="select" data-filter="action" value={this.state.filters.action} onChange={this.changeFilter}>
+                    <option value="">Everything</option>
+                    {actionOptions}
+                  </FormControl>
+                </FormGroup>
+              </Col>
+              <Col xs={6} md={2}>
+                <FormGroup controlId="from">
+                  <ControlLabel>From</ControlLabel>
+                  <FormControl type="date" data-filter="from" value={this.state.filters.from} onChange={this.changeFilter} />
+                </FormGroup>
+              </Col>
+              <Col xs={6} md={2}>
+                <FormGroup controlId="to">
+                  <ControlLabel>To</ControlLabel>
+                  <FormControl type="date" data-filter="to" value={this.state.filters.to} onChange={this.changeFilter} />
+                </FormGroup>
+              </Col>
+            </Row>
+          </Panel>
+          <p className="text-muted">{this.state.total} {this.state.total === 1 ? 'entry' : 'entries'}</p>
+          {body}
+          {pages > 1 ?
+          <Pagination
+            prev
+            next
+            first
+            last
+            ellipsis
+            boundaryLinks
+            items={pages}
+            maxButtons={5}
+            activePage={this.state.page}
+            onSelect={this.fetchPage}
+          />
+          : ''}
+        </Col>
+      </Row>
+    );
+  }
+});
@@ -0,0 +1,251 @@
+import * as _ from 'underscore';
+import * as React from 'react';
+import {
+  Row, Col, Panel, Table, Alert, Button, FormGroup, ControlLabel, FormControl
+} from 'react-bootstrap';
+const moment = require('moment');
+const FontAwesome = require('react-fontawesome');
+
+const BLANK = { name: '', start_date: '', end_date: '', location: '' };
+
+function formatDates(closure) {
+  const start = moment(closure.start_date, 'YYYY-MM-DD');
+  if (!closure.end_date || closure.end_date === closure.start_date) {
+    return start.format('ddd, MMM D, YYYY');
+  }
+  return `${start.format('ddd, MMM D')} - ${moment(closure.end_date, 'YYYY-MM-DD').format('ddd, MMM D, YYYY')}`;
+}
+
+function formatDays(dates) {
+  return dates.map(date => moment(date, 'YYYY-MM-DD').format('MMM D')).join(', ');
+}
+
+/**
+* The holiday calendar. Courses don't meet on a closure's days, everywhere or
+* at its location, unless they hold a makeup class. After a change, the
+* courses it moved classes in are listed, along with assignments that are
+* now due on a closure.
+*/
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      closures: null,
+      closure: Object.assign({}, BLANK),
+      affected: null,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentDidMount() {
+    this.fetch();
+  },
+
+  fetch() {
+    $.ajax('/api/closures', {
+      success: closures => this.setState({ closures: closures }),
+      error: res => this.showError(res)
+    });
+  },
+
+  showError(res) {
+    this.setState({
+      error: res.responseJSON ? res.responseJSON.message : 'Something went wrong.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  changeValue(e) {
+    this.setState({
+      closure: Object.assign({}, this.state.closure, {
+        [e.currentTarget.getAttribute('data-field')]: e.currentTarget.value
+      })
+    });
+  },
+
+  edit(e) {
+    e.preventDefault();
+    const closure = _.findWhere(this.state.closures, { _id: e.currentTarget.getAttribute('data-id') });
+    this.setState({
+      closure: Object.assign({}, BLANK, closure, {
+        location: closure.location ? closure.location._id : ''
+      })
+    });
+  },
+
+  cancel(e) {
+    e.preventDefault();
+    this.setState({ closure: Object.assign({}, BLANK) });
+  },
+
+  save(e) {
+    e.preventDefault();
+    const closure = this.state.closure;
+    $.ajax(closure._id ? `/api/closures/${closure._id}` : '/api/closures', {
+      method: closure._id ? 'put' : 'post',
+      data: _.pick(closure, 'name', 'start_date', 'end_date', 'location'),
+      success: result => this.changed(result),
+      error: res => this.showError(res)
+    });
+  },
+
+  remove(e) {
+    e.preventDefault();
+    const closure = _.findWhere(this.state.closures, { _id: e.currentTarget.getAttribute('data-id') });
+    if (confirm(`Remove ${closure.name}? Courses will meet on its days again.`)) {
+      $.ajax(`/api/closures/${closure._id}`, {
+        method: 'delete',
+        success: result => this.changed(result),
+        error: res => this.showError(res)
+      });
+    }
+  },
+
+  changed(result) {
+    this.setState({
+      closure: Object.assign({}, BLANK),
+      affected: result.affected,
+      alertVisible: 'hidden'
+    });
+    this.fetch();
+  },
+
+  renderAffected() {
+    const affected = this.state.affected;
+    if (!affected.length) {
+      return <Alert bsStyle="success" onDismiss={() => this.setState({ affected: null })}>No courses' class dates changed.</Alert>;
+    }
+    return (
+      <Alert bsStyle="warning" onDismiss={() => this.setState({ affected: null })} data-test="closure-affected">
+        <p><strong>These courses' class dates changed:</strong></p>
+        <ul>
+          {affected.map(change => {
+            return (
+              <li key={change.course._id}>
+                <a href={`#courses/${change.course._id}`}>{change.course.name}</a>
+                {change.course.term ? <small className="text-muted"> {change.course.term}</small> : ''}
+                {change.closed.length ? <div><small>No class on {formatDays(change.closed)}</small></div> : ''}
+                {change.reopened.length ? <div><small>Class again on {formatDays(change.reopened)}</small></div> : ''}
+                {change.due.map(grade => {
+                  return (
+                    <div key={grade.name}><small className="text-danger">
+                      <FontAwesome name="exclamation-triangle" />
+                      &nbsp;{grade.name} is due on {moment(grade.dueDate, 'YYYY-MM-DD').format('MMM D')}, {grade.closure}
+                    </small></div>
+                  );
+                })}
+              </li>
+            );
+          })}
+        </ul>
+      </Alert>
+    );
+  },
+
+  render() {
+    const canWrite = this.props.currentUser.can('calendar:write');
+    const closure = this.state.closure;
+
+    let body;
+    if (!this.state.closures) {
+      body = <p className="text-muted">Loading...</p>;
+    } else if (!this.state.closures.length) {
+      body = <p className="text-muted">Nothing's on the calendar yet.</p>;
+    } else {
+      body = (
+        <div className="x-scroll">
+          <Table striped condensed>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Dates</th>
+                <th>Where</th>
+                {canWrite ? <th></th> : null}
+              </tr>
+            </thead>
+            <tbody>
+              {this.state.closures.map(closure => {
+                return (
+                  <tr key={closure._id}>
+                    <td>{closure.name}</td>
+                    <td>{formatDates(closure)}</td>
+                    <td>{closure.location ? closure.location.name : 'Everywhere'}</td>
+                    {canWrite ?
+                    <td className="nowrap">
+                      <a href="#" onClick={this.edit} data-id={closure._id}>
+                        <FontAwesome name="pencil" />
+                      </a>
+                      &nbsp;&nbsp;
+                      <a href="#" className="link-danger" onClick={this.remove} data-id={closure._id}>
+                        <FontAwesome name="trash-o" />
+                      </a>
+                    </td>
+                    : null}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        </div>
+      );
+    }
+
+    const locations = this.props.locations.map(location => {
+      return <option key={location.id} value={location.id}>{location.get('name')}</option>;
+    });
+
+    return (
+      <Row>
+        <Col xs={12}>
+          <h3>Holiday Calendar</h3>
+          <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+            <p>{this.state.error}</p>
+          </Alert>
+          {this.state.affected ? this.renderAffected() : ''}
+          {canWrite ?
+          <Panel header={<h3>{closure._id ? `Edit ${closure.name}` : 'Add a Closure'}</h3>}>
+            <form onSubmit={this.save}>
+              <Row>
+                <Col xs={12} md={4}>
+                  <FormGroup controlId="closure-name">
+                    <ControlLabel>Name</ControlLabel>
+                    <FormControl type="text" placeholder="Thanksgiving" data-field="name" value={closure.name} onChange={this.changeValue} />
+                  </FormGroup>
+                </Col>
+                <Col xs={6} md={2}>
+                  <FormGroup controlId="closure-start">
+                    <ControlLabel>From</ControlLabel>
+                    <FormControl type="date" data-field="start_date" value={closure.start_date} onChange={this.changeValue} />
+                  </FormGroup>
+                </Col>
+                <Col xs={6} md={2}>
+                  <FormGroup controlId="closure-end">
+                    <ControlLabel>To</ControlLabel>
+                    <FormControl type="date" data-field="end_date" value={closure.end_date} onChange={this.changeValue} placeholder="Same day" />
+                  </FormGroup>
+                </Col>
+                <Col xs={12} md={4}>
+                  <FormGroup controlId="closure-location">
+                    <ControlLabel>Where</ControlLabel>
+                    <FormControl componentClass="select" data-field="location" value={closure.location} onChange={this.changeValue}>
+                      <option value="">Everywhere</option>
+                      {locations}
+                    </FormControl>
+                  </FormGroup>
+                </Col>
+              </Row>
+              <Button bsStyle="primary" type="submit" disabled={!closure.name || !closure.start_date} data-test="save-closure">Save</Button>
+              {closure._id ? <Button bsStyle="link" onClick={this.cancel}>Cancel</Button> : ''}
+            </form>
+          </Panel>
+          : ''}
+          {body}
+        </Col>
+      </Row>
+    );
+  }
+});
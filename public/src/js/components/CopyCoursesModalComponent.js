@@ -0,0 +1,274 @@
+import * as _ from 'underscore';
+import * as React from 'react';
+import {
+  Modal, Button, FormGroup, ControlLabel, FormControl, Alert, Table, Label
+} from 'react-bootstrap';
+const moment = require('moment');
+
+/**
+* Copies one course, or every course in a term, into another term. What
+* would be copied is previewed first, and nothing is saved until it's
+* confirmed.
+*
+* Props:
+* - `course` the course to copy, or
+* - `term` the term whose courses to copy
+* - `terms` the terms they can be copied into
+* - `onCopied` called once copies are saved
+*/
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      to: '',
+      name: '',
+      preview: null,
+      results: null,
+      conflicts: null,
+      canOverride: false,
+      saving: false,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.show && !this.props.show) {
+      const course = nextProps.course;
+      this.setState(Object.assign(this.getInitialState(), {
+        to: course ? course.get('term').id : '',
+        name: course ? course.get('name') : ''
+      }));
+    }
+  },
+
+  url() {
+    return this.props.course ?
+      `/api/courses/${this.props.course.id}/clone` :
+      `/api/terms/${this.props.term.id}/rollover`;
+  },
+
+  // Form fields are sent as strings, so flags are left out rather than false
+  params(extra) {
+    const params = this.props.course ?
+      { term: this.state.to, name: this.state.name } :
+      { to: this.state.to };
+    return Object.assign(params, extra);
+  },
+
+  showError(res) {
+    this.setState({
+      error: res.responseJSON ? res.responseJSON.message : 'Something went wrong.',
+      alertVisible: '',
+      saving: false
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  changeTerm(e) {
+    this.setState({ to: e.currentTarget.value, preview: null, conflicts: null });
+  },
+
+  changeName(e) {
+    this.setState({ name: e.currentTarget.value, preview: null, conflicts: null });
+  },
+
+  preview(e) {
+    e.preventDefault();
+    if (!this.state.to) {
+      return;
+    }
+    $.ajax(this.url(), {
+      method: 'post',
+      data: this.params({ preview: true }),
+      success: preview => {
+        this.setState({
+          // Copying one course previews just that course
+          preview: preview.courses ? preview : { courses: [preview] },
+          alertVisible: 'hidden'
+        });
+      },
+      error: res => this.showError(res)
+    });
+  },
+
+  copy(e) {
+    e.preventDefault();
+    this.save({});
+  },
+
+  copyAnyway(e) {
+    e.preventDefault();
+    this.save({ override_conflicts: true });
+  },
+
+  save(extra) {
+    this.setState({ saving: true });
+    $.ajax(this.url(), {
+      method: 'post',
+      data: this.params(extra),
+      success: result => {
+        this.setState({
+          results: result.courses ? result.courses : [{ source: { name: this.state.name }, result: 'created' }],
+          saving: false,
+          conflicts: null,
+          alertVisible: 'hidden'
+        });
+        if (this.props.onCopied) {
+          this.props.onCopied();
+        }
+      },
+      error: res => {
+        if (res.status === 409) {
+          return this.setState({
+            conflicts: res.responseJSON,
+            canOverride: res.responseJSON.can_override,
+            saving: false
+          });
+        }
+        this.showError(res);
+      }
+    });
+  },
+
+  renderEntry(entry, idx) {
+    const course = entry.course;
+    let status;
+    if (entry.result) {
+      status = {
+        created: <Label bsStyle="success">Copied</Label>,
+        skipped: <Label>Skipped</Label>,
+        failed: <Label bsStyle="danger">Failed</Label>
+      }[entry.result];
+    } else if (entry.action === 'skip') {
+      status = <Label>Skip</Label>;
+    } else if (entry.conflicts.length) {
+      const errors = _.where(entry.conflicts, { severity: 'error' });
+      status = <Label bsStyle={errors.length ? 'danger' : 'warning'}>{entry.conflicts.length} conflicts</Label>;
+    } else {
+      status = <Label bsStyle="success">Copy</Label>;
+    }
+
+    return (
+      <tr key={idx}>
+        <td>
+          {course && course.name !== entry.source.name ? `${entry.source.name} as ${course.name}` : entry.source.name}
+          {entry.reason ? <div><small className="text-muted">{entry.reason}</small></div> : ''}
+          {(entry.conflicts || []).map((conflict, i) => {
+            return <div key={i}><small className={conflict.severity === 'error' ? 'text-danger' : 'text-warning'}>{conflict.message}</small></div>;
+          })}
+        </td>
+        <td>
+          {course ? `${course.holidays.length} kept` : ''}
+          {entry.dropped && entry.dropped.length ?
+          <div><small className="text-muted">
+            {entry.dropped.map(date => moment(date, 'YYYY-MM-DD').format('MMM D')).join(', ')} fall outside the term
+          </small></div>
+          : ''}
+        </td>
+        <td>
+          {course ? course.grades.length : ''}
+          {course && _.some(course.grades, grade => grade.dueDate) && entry.weeks ?
+          <div><small className="text-muted">due dates move {entry.weeks} weeks</small></div>
+          : ''}
+        </td>
+        <td>{status}</td>
+      </tr>
+    );
+  },
+
+  render() {
+    if (!this.props.course && !this.props.term) {
+      return null;
+    }
+    const terms = this.props.terms.filter(term => {
+      return this.props.course || term.id !== this.props.term.id;
+    }).map(term => {
+      return <option key={term.id} value={term.id}>{term.get('name')}</option>;
+    });
+
+    const entries = this.state.results || (this.state.preview ? this.state.preview.courses : []);
+    const copies = entries.filter(entry => entry.action === 'create').length;
+    const title = this.props.course ?
+      `Copy ${this.props.course.get('name')}` :
+      `Roll over ${this.props.term.get('name')}`;
+
+    let footer;
+    if (this.state.results) {
+      footer = <Button block onClick={this.props.onHide}>Done</Button>;
+    } else if (this.state.conflicts) {
+      footer = this.state.canOverride ?
+        <Button bsStyle="warning" block disabled={this.state.saving} onClick={this.copyAnyway} data-test="copy-anyway">Copy anyway</Button> :
+        <Button block onClick={this.props.onHide}>Cancel</Button>;
+    } else if (this.state.preview) {
+      footer = (
+        <Button bsStyle="primary" block disabled={!copies || this.state.saving} onClick={this.copy} data-test="copy-courses">
+          {`Copy ${copies} ${copies === 1 ? 'course' : 'courses'}`}
+        </Button>
+      );
+    } else {
+      footer = <Button bsStyle="primary" block disabled={!this.state.to} onClick={this.preview} data-test="preview-copy">Preview</Button>;
+    }
+
+    return (
+      <Modal show={this.props.show} onHide={this.props.onHide} bsSize="large">
+        <Modal.Header closeButton>
+          <Modal.Title>{title}</Modal.Title>
+        </Modal.Header>
+        <form onSubmit={this.preview}>
+          <Modal.Body>
+            <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+              <p>{this.state.error}</p>
+            </Alert>
+            <FormGroup controlId="to">
+              <ControlLabel>Into</ControlLabel>
+              <FormControl componentClass="select" value={this.state.to} onChange={this.changeTerm} disabled={!!this.state.results}>
+                <option value="">Choose a term...</option>
+                {terms}
+              </FormControl>
+            </FormGroup>
+            {this.props.course ?
+            <FormGroup controlId="name">
+              <ControlLabel>Name</ControlLabel>
+              <FormControl type="text" value={this.state.name} onChange={this.changeName} disabled={!!this.state.results} />
+            </FormGroup>
+            : ''}
+            <p className="text-muted">
+              Copies keep the schedule, staff, price and assignments, and start with no students, videos or scores.
+              Holidays and due dates move by the whole weeks between the terms' starts.
+            </p>
+            {this.state.conflicts ?
+            <Alert bsStyle="warning">
+              <p><strong>{this.state.conflicts.message}</strong></p>
+              {this.state.canOverride ? '' : <p>Ask someone who can override conflicts to copy them.</p>}
+            </Alert>
+            : ''}
+            {entries.length ?
+            <Table striped condensed>
+              <thead>
+                <tr>
+                  <th>Course</th>
+                  <th>Holidays</th>
+                  <th>Assignments</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(this.renderEntry)}
+              </tbody>
+            </Table>
+            : ''}
+            {this.state.preview && !entries.length ?
+            <p className="text-muted">This term has no courses to copy.</p>
+            : ''}
+          </Modal.Body>
+          <Modal.Footer>
+            {footer}
+          </Modal.Footer>
+        </form>
+      </Modal>
+    );
+  }
+});
@@ -5,6 +5,7 @@ const moment = require('moment');
 var BaseModal = require('./BaseModal');
 var CourseVideoUpload = require('./CourseVideoUpload');
 const CourseAttendanceComponent = require('./CourseAttendanceComponent');
+const HistoryComponent = require('./HistoryComponent');
 const utils = require('../utils');
 import {
   Col, Row, Button, ButtonGroup, Table, FormControl, FormGroup,
@@ -14,12 +15,25 @@ const FontAwesome = require('react-fontawesome');
 const DatePicker = require('react-datepicker');
 const GradeModel = require('../models/GradeModel');
 
+const BLANK_EXCEPTION = {
+  date: '', action: 'change', moved_to: '', timeStart: '', timeEnd: '', location: '', room: '', note: ''
+};
+
+const ACTIONS = {
+  change: 'Changed',
+  move: 'Moved',
+  cancel: 'Cancelled',
+  add: 'Extra session'
+};
+
 module.exports = React.createBackboneClass({
   getInitialState() {
     return {
       modalIsOpen: false,
       videoDate: moment(),
-      holidayDate: moment()
+      holidayDate: moment(),
+      makeupDate: '',
+      exception: Object.assign({}, BLANK_EXCEPTION)
     };
   },
 
@@ -73,6 +87,71 @@ module.exports = React.createBackboneClass({
     }
   },
 
+  // Hold class on a day it otherwise wouldn't meet, like a closure
+  addMakeupDate(e) {
+    e.preventDefault();
+    const date = e.currentTarget.getAttribute('data-date') || this.state.makeupDate;
+    const makeupDates = this.getModel().get('makeup_dates').slice(0);
+    if (date && makeupDates.indexOf(date) === -1) {
+      makeupDates.push(date);
+      this.getModel().save({ makeup_dates: makeupDates.sort() });
+    }
+    this.setState({ makeupDate: '' });
+  },
+
+  removeMakeupDate(e) {
+    e.preventDefault();
+    const date = e.currentTarget.getAttribute('data-date');
+    this.getModel().save({
+      makeup_dates: _.without(this.getModel().get('makeup_dates'), date)
+    });
+  },
+
+  changeMakeupDate(e) {
+    this.setState({ makeupDate: e.currentTarget.value });
+  },
+
+  // Start changing the session on a class date
+  editSession(e) {
+    e.preventDefault();
+    this.setState({
+      exception: Object.assign({}, BLANK_EXCEPTION, { date: e.currentTarget.getAttribute('data-date') })
+    });
+  },
+
+  changeException(e) {
+    this.setState({
+      exception: Object.assign({}, this.state.exception, {
+        [e.currentTarget.getAttribute('data-field')]: e.currentTarget.value
+      })
+    });
+  },
+
+  // A session has one change of each kind, so a new one replaces the last
+  saveException(e) {
+    e.preventDefault();
+    const exception = _.pick(this.state.exception, value => !!value);
+    if (exception.action !== 'move') {
+      delete exception.moved_to;
+    }
+    const exceptions = this.getModel().get('exceptions').filter(existing => {
+      return existing.date !== exception.date || existing.action !== exception.action;
+    });
+    this.getModel().save({ exceptions: _.sortBy(exceptions.concat(exception), 'date') });
+    this.setState({ exception: Object.assign({}, BLANK_EXCEPTION) });
+  },
+
+  removeException(e) {
+    e.preventDefault();
+    const exceptions = this.getModel().get('exceptions').slice(0);
+    exceptions.splice(Number(e.currentTarget.getAttribute('data-index')), 1);
+    this.getModel().save({ exceptions });
+  },
+
+  refresh() {
+    this.getModel().fetch();
+  },
+
   handleHolidayChange: function(date) {
     this.setState({
       holidayDate: date
@@ -225,7 +304,11 @@ module.exports = React.createBackboneClass({
           </sup>
           <br />
           <small>
-            { grade.dueDate ?
+            { grade.dueDate && this.getModel().closureOn(grade.dueDate) ?
+              <span className="text-danger" title={`Due on a closure: ${this.getModel().closureOn(grade.dueDate).name}`}>
+                <FontAwesome name="exclamation-triangle" />
+              </span>
+              : grade.dueDate ?
               <FontAwesome name="calendar-check-o" />
               :
               <FontAwesome name="calendar-o" />
@@ -345,17 +428,81 @@ module.exports = React.createBackboneClass({
       );
     });
 
-    const classDates = this.getModel().classDates().map(date => {
+    const makeupDates = this.getModel().get('makeup_dates');
+    const sessions = this.getModel().sessions(moment(this.getModel().get('term').get('end_date'), 'YYYY-MM-DD'));
+    const classDates = sessions.map(session => {
+      const day = session.date;
+      const changes = this.getModel().sessionChanges(session);
       return (
-        <ListGroupItem key={date.format('YYYY-MM-DD')} data-date={date.format('YYYY-MM-DD')}>
-          {date.format('ddd, MMM D')}
-          <a href="#" className="pull-right" onClick={this.addHoliday} data-date={date.format('YYYY-MM-DD')}>
+        <ListGroupItem key={day} data-date={day}>
+          {moment(day, 'YYYY-MM-DD').format('ddd, MMM D')}
+          &nbsp;
+          <a href="#" onClick={this.editSession} data-date={day} title="Change this session">
+            <FontAwesome name="pencil" />
+          </a>
+          <div><small className="text-muted">{this.getModel().sessionTimes(session)}</small></div>
+          {changes.length ? <div><small className="text-warning">{changes.join(', ')}</small></div> : ''}
+          {session.added || session.moved_from ? '' :
+          makeupDates.indexOf(day) > -1 ?
+          <span>
+            &nbsp;<small className="text-muted">makeup</small>
+            <a href="#" className="link-danger pull-right" onClick={this.removeMakeupDate} data-date={day}>
+              <FontAwesome name="trash-o" />
+            </a>
+          </span>
+          :
+          <a href="#" className="pull-right" onClick={this.addHoliday} data-date={day}>
             <FontAwesome name="arrow-right" />
           </a>
+          }
         </ListGroupItem>
       )
     });
 
+    // Closures on days the course would otherwise meet
+    const days = this.getModel().get('days');
+    const closures = this.getModel().get('closures').filter(closure => {
+      return days.indexOf(moment(closure.date, 'YYYY-MM-DD').format('dddd').toLowerCase()) > -1 &&
+        makeupDates.indexOf(closure.date) === -1;
+    }).map(closure => {
+      return (
+        <ListGroupItem key={closure.date}>
+          {moment(closure.date, 'YYYY-MM-DD').format('ddd, MMM D')}
+          &nbsp;<small className="text-muted">{closure.name}</small>
+          <a href="#" className="pull-right" onClick={this.addMakeupDate} data-date={closure.date} title="Hold class anyway">
+            <FontAwesome name="undo" />
+          </a>
+        </ListGroupItem>
+      );
+    });
+
+    const exceptions = this.getModel().get('exceptions').map((exception, idx) => {
+      // Saved ones come back with their location's name
+      const location = this.props.locations.get(exception.location) || exception.location;
+      const details = _.compact([
+        exception.moved_to ? `to ${moment(exception.moved_to, 'YYYY-MM-DD').format('ddd, MMM D')}` : '',
+        exception.timeStart && exception.timeEnd ? this.getModel().sessionTimes(exception) : '',
+        location ? `at ${location.name || (location.get ? location.get('name') : 'another location')}` : '',
+        exception.room ? `room ${exception.room}` : '',
+        exception.note
+      ]);
+      return (
+        <ListGroupItem key={`${exception.date}-${exception.action}`}>
+          {moment(exception.date, 'YYYY-MM-DD').format('ddd, MMM D')}
+          &nbsp;<small className="text-muted">{ACTIONS[exception.action]}</small>
+          <a href="#" className="link-danger pull-right" onClick={this.removeException} data-index={idx}>
+            <FontAwesome name="trash-o" />
+          </a>
+          {details.length ? <div><small>{details.join(', ')}</small></div> : ''}
+        </ListGroupItem>
+      );
+    });
+
+    const exception = this.state.exception;
+    const locationOptions = this.props.locations.map(location => {
+      return <option key={location.id} value={location.id}>{location.get('name')}</option>;
+    });
+
     return (
       <div>
         <Row>
@@ -516,12 +663,121 @@ module.exports = React.createBackboneClass({
                   <ListGroup>
                     {holidays}
                   </ListGroup>
+                  {closures.length ?
+                  <div>
+                    <h4>Closed</h4>
+                    <ListGroup>
+                      {closures}
+                    </ListGroup>
+                  </div>
+                  : ''}
+                  <h4>Makeup Class</h4>
+                  <form onSubmit={this.addMakeupDate}>
+                    <InputGroup>
+                      <FormControl type="date" value={this.state.makeupDate} onChange={this.changeMakeupDate} />
+                      <InputGroup.Button>
+                        <Button type="submit" disabled={!this.state.makeupDate}>Add</Button>
+                      </InputGroup.Button>
+                    </InputGroup>
+                  </form>
+                </Col>
+              </Row>
+              <Row>
+                <Col xs={12}>
+                  {exceptions.length ?
+                  <div>
+                    <h4>Session Changes</h4>
+                    <ListGroup>
+                      {exceptions}
+                    </ListGroup>
+                  </div>
+                  : ''}
+                  <h4>Change a Session</h4>
+                  <form onSubmit={this.saveException}>
+                    <Row>
+                      <Col xs={6}>
+                        <FormGroup controlId="exception-date">
+                          <ControlLabel>Date</ControlLabel>
+                          <FormControl type="date" data-field="date" value={exception.date} onChange={this.changeException} />
+                        </FormGroup>
+                      </Col>
+                      <Col xs={6}>
+                        <FormGroup controlId="exception-action">
+                          <ControlLabel>Change</ControlLabel>
+                          <FormControl componentClass="select" data-field="action" value={exception.action} onChange={this.changeException}>
+                            <option value="change">Time, place or room</option>
+                            <option value="move">Move to another day</option>
+                            <option value="cancel">Cancel</option>
+                            <option value="add">Add a session</option>
+                          </FormControl>
+                        </FormGroup>
+                      </Col>
+                    </Row>
+                    {exception.action === 'move' ?
+                    <FormGroup controlId="exception-moved-to">
+                      <ControlLabel>Move To</ControlLabel>
+                      <FormControl type="date" data-field="moved_to" value={exception.moved_to} onChange={this.changeException} />
+                    </FormGroup>
+                    : ''}
+                    {exception.action !== 'cancel' ?
+                    <Row>
+                      <Col xs={6}>
+                        <FormGroup controlId="exception-time-start">
+                          <ControlLabel>Time Start</ControlLabel>
+                          <FormControl type="time" data-field="timeStart" value={exception.timeStart} onChange={this.changeException} />
+                        </FormGroup>
+                      </Col>
+                      <Col xs={6}>
+                        <FormGroup controlId="exception-time-end">
+                          <ControlLabel>Time End</ControlLabel>
+                          <FormControl type="time" data-field="timeEnd" value={exception.timeEnd} onChange={this.changeException} />
+                        </FormGroup>
+                      </Col>
+                      {locationOptions.length ?
+                      <Col xs={6}>
+                        <FormGroup controlId="exception-location">
+                          <ControlLabel>Location</ControlLabel>
+                          <FormControl componentClass="select" data-field="location" value={exception.location} onChange={this.changeException}>
+                            <option value="">The usual one</option>
+                            {locationOptions}
+                          </FormControl>
+                        </FormGroup>
+                      </Col>
+                      : ''}
+                      <Col xs={6}>
+                        <FormGroup controlId="exception-room">
+                          <ControlLabel>Room</ControlLabel>
+                          <FormControl type="text" data-field="room" value={exception.room} onChange={this.changeException} placeholder="The usual one" />
+                        </FormGroup>
+                      </Col>
+                    </Row>
+                    : ''}
+                    <FormGroup controlId="exception-note">
+                      <ControlLabel>Note</ControlLabel>
+                      <FormControl type="text" data-field="note" value={exception.note} onChange={this.changeException} />
+                    </FormGroup>
+                    <Button
+                      type="submit"
+                      disabled={!exception.date || (exception.action === 'move' && !exception.moved_to)}
+                      data-test="save-exception"
+                    >
+                      Save
+                    </Button>
+                  </form>
                 </Col>
               </Row>
             </Panel>
           </Col>
         </Row>
         <CourseAttendanceComponent model={this.getModel().get('attendance')} />
+        {this.props.currentUser.can('history:read') ?
+        <HistoryComponent
+          resource="courses"
+          id={this.getModel().id}
+          currentUser={this.props.currentUser}
+          onRevert={this.refresh}
+        />
+        : ''}
         <BaseModal
           isOpen={this.state.modalIsOpen}
           onRequestClose={this.closeModal}
@@ -17,7 +17,8 @@ module.exports = React.createBackboneClass({
   mixins: [
     React.BackboneMixin('terms', 'update'),
     React.BackboneMixin('locations', 'update'),
-    React.BackboneMixin('textbooks', 'update')
+    React.BackboneMixin('textbooks', 'update'),
+    React.BackboneMixin('users', 'update')
   ],
 
   dayOptions:[
@@ -37,8 +38,13 @@ module.exports = React.createBackboneClass({
       textbook: new TextbookModel(),
       course: this.getModel().attributes,
       days: [],
+      meetingTimes: [],
+      instructors: [],
+      teaching_assistants: [],
       alertVisible: 'hidden',
       error: '',
+      conflicts: null,
+      canOverride: false,
       title: this.props.title
     }
   },
@@ -66,6 +72,43 @@ module.exports = React.createBackboneClass({
     this.state.course.days = options.map(day => {
       return day.value;
     });
+    this.setMeetingTimes(this.state.meetingTimes);
+  },
+
+  changeMeetingTime(e) {
+    const day = e.currentTarget.getAttribute('data-day');
+    const field = e.currentTarget.getAttribute('data-field');
+    const value = e.currentTarget.value;
+    const times = this.state.meetingTimes.find(times => times.day === day) || { day };
+    this.setMeetingTimes(this.state.meetingTimes.filter(times => times.day !== day).concat(
+      Object.assign({}, times, { [field]: value })
+    ));
+  },
+
+  // Only days the course meets on with both times set are saved, the rest
+  // meet at the usual time
+  setMeetingTimes(meetingTimes) {
+    this.setState({ meetingTimes });
+    this.state.course.meeting_times = meetingTimes.filter(times => {
+      return this.state.course.days.includes(times.day) && times.timeStart && times.timeEnd;
+    });
+  },
+
+  selectInstructors(options) {
+    this.setState({ instructors: options });
+    this.state.course.instructors = options.map(option => option.value);
+  },
+
+  selectTeachingAssistants(options) {
+    this.setState({ teaching_assistants: options });
+    this.state.course.teaching_assistants = options.map(option => option.value);
+  },
+
+  userOptions(ids) {
+    return ids.map(id => {
+      const user = this.props.users.get(id);
+      return { value: id, label: user ? user.displayName() : id };
+    });
   },
 
   changeTextValue(e) {
@@ -78,8 +121,20 @@ module.exports = React.createBackboneClass({
 
   save(e) {
     e.preventDefault();
+    this.saveCourse({});
+  },
+
+  // After seeing the conflicts, save the course with them
+  saveAnyway(e) {
+    e.preventDefault();
+    this.saveCourse({ override_conflicts: true });
+  },
+
+  saveCourse(extra) {
     this.getModel().save(this.state.course, {
+      attrs: Object.assign(this.getModel().toJSON(), extra),
       success: () => {
+        this.setState({ conflicts: null });
         this.props.courses.add(this.getModel(), {
           merge: true
         });
@@ -89,6 +144,13 @@ module.exports = React.createBackboneClass({
         this.props.onHide();
       },
       error: (model, res) => {
+        if (res.status === 409) {
+          return this.setState({
+            conflicts: res.responseJSON.conflicts,
+            canOverride: res.responseJSON.can_override,
+            alertVisible: 'hidden'
+          });
+        }
         this.setState({
           error: res.responseJSON.message,
           alertVisible: ''
@@ -97,9 +159,41 @@ module.exports = React.createBackboneClass({
     });
   },
 
+  renderConflicts() {
+    const conflicts = this.state.conflicts;
+    const errors = conflicts.filter(conflict => conflict.severity === 'error');
+    return (
+      <Alert bsStyle={errors.length ? 'danger' : 'warning'} data-test="course-conflicts">
+        <p><strong>{errors.length ? 'This course clashes with another course.' : 'This course overlaps with another course.'}</strong></p>
+        <ul>
+          {conflicts.map((conflict, i) => {
+            const course = conflict.course;
+            return (
+              <li key={i}>
+                {conflict.message}
+                <br />
+                <small className="text-muted">
+                  {course.term ? `${course.term.name}, ` : ''}
+                  {course.days.map(day => day.charAt(0).toUpperCase() + day.slice(1, 3)).join(', ')}
+                  {` ${course.timeStart}-${course.timeEnd}`}
+                  {course.room ? `, room ${course.room}` : ''}
+                </small>
+              </li>
+            );
+          })}
+        </ul>
+        {this.state.canOverride ?
+        <p>
+          <Button bsStyle={errors.length ? 'danger' : 'warning'} onClick={this.saveAnyway} data-test="save-anyway">Save anyway</Button>
+        </p>
+        : <p>Change the course's schedule, or ask someone who can override conflicts to save it.</p>}
+      </Alert>
+    );
+  },
+
   delete(e) {
     e.preventDefault();
-    if (confirm('Are you sure you want to delete this course?')) {
+    if (confirm('Archive this course? You can restore it from the archived list.')) {
       this.getModel().destroy({
         success: () => {
           this.props.courses.remove(this.getModel());
@@ -121,13 +215,17 @@ module.exports = React.createBackboneClass({
   componentWillReceiveProps(nextProps) {
     this.setState({
       title: nextProps.title,
+      conflicts: null,
       course: this.getModel().attributes,
       term: this.getModel().get('term'),
       location: this.getModel().get('location'),
       textbook: this.getModel().get('textbook'),
       days: this.dayOptions.filter(day => {
         return this.getModel().get('days').includes(day.value);
-      })
+      }),
+      meetingTimes: this.getModel().get('meeting_times').slice(0),
+      instructors: this.userOptions(this.getModel().get('instructors')),
+      teaching_assistants: this.userOptions(this.getModel().get('teaching_assistants'))
     });
   },
 
@@ -152,6 +250,16 @@ module.exports = React.createBackboneClass({
       };
     });
 
+    const staffOptions = this.props.users.filter(user => {
+      return user.get('is_instructor') || user.get('is_admin');
+    }).map(user => {
+      return { value: user.id, label: user.displayName() };
+    });
+
+    const assistantOptions = this.props.users.map(user => {
+      return { value: user.id, label: user.displayName() };
+    });
+
     const textbookOptions = this.props.textbooks.map(textbook => {
       return (<option key={textbook.id} value={textbook.id}>{textbook.get('name')}</option>)
     });
@@ -228,6 +336,15 @@ module.exports = React.createBackboneClass({
                 onChange={this.setLocationValue}
               />
             </FormGroup>
+            <FormGroup controlId="room">
+              <ControlLabel>Room</ControlLabel>
+              <FormControl
+                type="text"
+                placeholder="Room"
+                onChange={this.changeTextValue}
+                defaultValue={this.getModel().get('room')}
+              />
+            </FormGroup>
             <FormGroup controlId="days">
               <ControlLabel>Days</ControlLabel>
               <Select
@@ -238,6 +355,28 @@ module.exports = React.createBackboneClass({
                 multi={true}
               />
             </FormGroup>
+            <FormGroup controlId="instructors">
+              <ControlLabel>Instructors</ControlLabel>
+              <Select
+                name="instructors"
+                value={this.state.instructors}
+                options={staffOptions}
+                onChange={this.selectInstructors}
+                placeholder="Type to search..."
+                multi={true}
+              />
+            </FormGroup>
+            <FormGroup controlId="teaching_assistants">
+              <ControlLabel>Teaching Assistants</ControlLabel>
+              <Select
+                name="teaching_assistants"
+                value={this.state.teaching_assistants}
+                options={assistantOptions}
+                onChange={this.selectTeachingAssistants}
+                placeholder="Type to search..."
+                multi={true}
+              />
+            </FormGroup>
             <FormGroup controlId="timeStart">
               <ControlLabel>Time Start</ControlLabel>
               <FormControl
@@ -254,7 +393,28 @@ module.exports = React.createBackboneClass({
                 defaultValue={this.getModel().get('timeEnd')}
               />
             </FormGroup>
-            <a href="#" className="link-danger" onClick={this.delete}>Delete Course</a>
+            {this.state.days.length > 1 ?
+            <FormGroup>
+              <ControlLabel>Times by Day</ControlLabel>
+              <p className="help-block">Leave a day blank when it meets at the times above.</p>
+              {this.state.days.map(day => {
+                const times = this.state.meetingTimes.find(times => times.day === day.value) || {};
+                return (
+                  <Row key={day.value}>
+                    <Col xs={4}><FormControl.Static>{day.label}</FormControl.Static></Col>
+                    <Col xs={4}>
+                      <FormControl type="time" data-day={day.value} data-field="timeStart" value={times.timeStart || ''} onChange={this.changeMeetingTime} />
+                    </Col>
+                    <Col xs={4}>
+                      <FormControl type="time" data-day={day.value} data-field="timeEnd" value={times.timeEnd || ''} onChange={this.changeMeetingTime} />
+                    </Col>
+                  </Row>
+                );
+              })}
+            </FormGroup>
+            : ''}
+            {this.state.conflicts ? this.renderConflicts() : ''}
+            <a href="#" className="link-danger" onClick={this.delete}>Archive Course</a>
           </Modal.Body>
           <Modal.Footer>
             <Button bsStyle="primary" type="submit" block onClick={this.save}>Save</Button>
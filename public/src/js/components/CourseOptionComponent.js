@@ -1,6 +1,5 @@
 import * as React from 'react';
 import { Label } from 'react-bootstrap';
-const moment = require('moment');
 
 module.exports = React.createClass({
 	handleMouseDown (event) {
@@ -39,7 +38,7 @@ module.exports = React.createClass({
 				{this.props.option.course.get('location').get('state') + ' '}
 				{this.props.option.course.get('location').get('zipcode')}
 				<br />
-				{`${this.props.option.course.properDays()} ${moment(this.props.option.course.get('timeStart'), 'HH:mm').format('h:mm a')} - ${moment(this.props.option.course.get('timeEnd'), 'HH:mm').format('h:mm a')}`}
+				{this.props.option.course.schedule()}
 				<br />
 				Starts on {this.props.option.course.classDates()[0] ? this.props.option.course.classDates()[0].format('ddd, MMM Do, YYYY') : ''}
         <br />
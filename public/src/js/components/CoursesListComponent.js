@@ -3,10 +3,11 @@ import * as Backbone from 'backbone';
 import { Table, Tr, Td, Th, Thead } from 'reactable';
 import { Col, Row, Button, FormControl } from 'react-bootstrap';
 const FontAwesome = require('react-fontawesome');
+const ArchivedComponent = require('./ArchivedComponent');
 const CourseModalComponent = require('./CourseModalComponent.js');
+const CopyCoursesModalComponent = require('./CopyCoursesModalComponent');
 const CourseModel = require('../models/CourseModel');
 const TermsCollection = require('../collections/TermsCollection');
-const moment = require('moment');
 
 module.exports = React.createBackboneClass({
   getInitialState() {
@@ -14,10 +15,21 @@ module.exports = React.createBackboneClass({
       showModal: false,
       course: new CourseModel(),
       modalTitle: 'New Course',
-      filterBy: ''
+      filterBy: '',
+      showArchived: false,
+      copying: null
     };
   },
 
+  openCopy(e) {
+    e.preventDefault();
+    this.setState({ copying: this.getCollection().get(e.currentTarget.getAttribute('data-id')) });
+  },
+
+  closeCopy() {
+    this.setState({ copying: null });
+  },
+
   close() {
     this.setState({ showModal: false });
   },
@@ -37,6 +49,15 @@ module.exports = React.createBackboneClass({
     Backbone.history.navigate('courses/' + e.currentTarget.getAttribute('data-id'), true);
   },
 
+  toggleArchived(e) {
+    e.preventDefault();
+    // Restored ones show up in the list again
+    if (this.state.showArchived) {
+      this.getCollection().fetch();
+    }
+    this.setState({ showArchived: !this.state.showArchived });
+  },
+
   changeFilterValue(e) {
     this.setState({
       filterBy: e.currentTarget.value
@@ -44,7 +65,7 @@ module.exports = React.createBackboneClass({
   },
 
   render() {
-    const hidden = this.props.currentUser.roles().includes('admin') ? '' : 'hidden';
+    const hidden = this.props.currentUser.can('courses:write') ? '' : 'hidden';
 
     const courseRows = this.getCollection().map(course => {
       return (
@@ -57,13 +78,17 @@ module.exports = React.createBackboneClass({
           <Td column="Textbook">{course.get('textbook').get('name')}</Td>
           <Td column="Location">{course.get('location') ? course.get('location').get('name') : ''}</Td>
           <Td column="Term">{course.get('term').get('name')}</Td>
-          <Td column="Days">{`${course.shortDays()} ${moment(course.get('timeStart'), 'HH:mm').format('h:mm a')} - ${moment(course.get('timeEnd'), 'HH:mm').format('h:mm a')}`}</Td>
+          <Td column="Days">{course.schedule()}</Td>
           <Td column="Seats">{course.get('registrations').length + ' / ' + course.get('seats')}</Td>
           <Td column="Cost">{'$' + Number(course.get('cost')).toFixed(2)}</Td>
           <Td column="edit" className={hidden}>
             <a href="#" onClick={this.open} data-id={course.id}>
               <FontAwesome name='pencil' />
             </a>
+            &nbsp;
+            <a href="#" onClick={this.openCopy} data-id={course.id} title="Copy into a term">
+              <FontAwesome name='clone' />
+            </a>
           </Td>
         </Tr>
       );
@@ -79,47 +104,70 @@ module.exports = React.createBackboneClass({
                 <FontAwesome name='plus' />
                 &nbsp;Course
               </a>
+              <a href="#" className={`${this.props.currentUser.can('courses:delete') ? '' : 'hidden'} pull-right`} onClick={this.toggleArchived} style={{ marginRight: '1rem' }} data-test="toggle-archived">
+                <FontAwesome name={this.state.showArchived ? 'list' : 'archive'} />
+                &nbsp;{this.state.showArchived ? 'Current' : 'Archived'}
+              </a>
             </small>
           </h3>
-          <FormControl
-            type="text"
-            placeholder="Filter..."
-            onChange={this.changeFilterValue}
-            defaultValue={this.state.filterBy}
+          {this.state.showArchived ?
+          <ArchivedComponent
+            resource="courses"
+            title={course => course.name}
+            detail={course => course.term ? course.term.name : ''}
+            currentUser={this.props.currentUser}
           />
-          <br />
-          <div className="x-scroll">
-            <Table
-              className="table table-condensed table-striped"
-              itemsPerPage={20}
-              filterable={['Name', 'Location', 'Term', 'Days', 'Seats', 'Cost', 'Textbook']}
-              sortable={['Name', 'Location', 'Term', 'Days', 'Seats', 'Cost', 'Textbook']}
-              filterBy={this.state.filterBy}
-            >
-              <Thead>
-                <Th>Name</Th>
-                <Th>Textbook</Th>
-                <Th>Location</Th>
-                <Th>Term</Th>
-                <Th>Days</Th>
-                <Th>Seats</Th>
-                <Th>Cost</Th>
-                <Th className={hidden}>edit</Th>
-              </Thead>
-              {courseRows}
-            </Table>
+          :
+          <div>
+            <FormControl
+              type="text"
+              placeholder="Filter..."
+              onChange={this.changeFilterValue}
+              defaultValue={this.state.filterBy}
+            />
+            <br />
+            <div className="x-scroll">
+              <Table
+                className="table table-condensed table-striped"
+                itemsPerPage={20}
+                filterable={['Name', 'Location', 'Term', 'Days', 'Seats', 'Cost', 'Textbook']}
+                sortable={['Name', 'Location', 'Term', 'Days', 'Seats', 'Cost', 'Textbook']}
+                filterBy={this.state.filterBy}
+              >
+                <Thead>
+                  <Th>Name</Th>
+                  <Th>Textbook</Th>
+                  <Th>Location</Th>
+                  <Th>Term</Th>
+                  <Th>Days</Th>
+                  <Th>Seats</Th>
+                  <Th>Cost</Th>
+                  <Th className={hidden}>edit</Th>
+                </Thead>
+                {courseRows}
+              </Table>
+            </div>
           </div>
+          }
           <CourseModalComponent
             show={this.state.showModal}
             onHide={this.close}
             terms={this.props.terms}
             textbooks={this.props.textbooks}
+            users={this.props.users}
             courses={this.getCollection()}
             model={this.state.course}
             locations={this.props.locations}
             title={this.state.modalTitle}
             listComponent={this}
           />
+          <CopyCoursesModalComponent
+            show={!!this.state.copying}
+            onHide={this.closeCopy}
+            course={this.state.copying}
+            terms={this.props.terms}
+            onCopied={() => this.getCollection().fetch()}
+          />
         </Col>
       </Row>
     );
@@ -0,0 +1,171 @@
+import * as React from 'react';
+import { Row, Col, Panel, Table, Button, Alert, Label } from 'react-bootstrap';
+const moment = require('moment');
+const FontAwesome = require('react-fontawesome');
+const utils = require('../utils');
+
+const REASONS = {
+  email: 'Same email',
+  phone: 'Same phone',
+  name: 'Same name'
+};
+
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      groups: null,
+      // Which user each group keeps, by index of the group
+      keep: {},
+      working: false,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentDidMount() {
+    this.fetch();
+  },
+
+  fetch() {
+    $.ajax('/api/users/duplicates', {
+      success: groups => this.setState({ groups: groups, keep: {}, working: false }),
+      error: res => this.showError(res)
+    });
+  },
+
+  showError(res) {
+    this.setState({
+      working: false,
+      error: res.responseJSON ? res.responseJSON.message : 'Something went wrong.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  keep(e) {
+    this.setState({
+      keep: Object.assign({}, this.state.keep, {
+        [e.currentTarget.getAttribute('data-group')]: e.currentTarget.value
+      })
+    });
+  },
+
+  merge(e) {
+    e.preventDefault();
+    const index = e.currentTarget.getAttribute('data-group');
+    const group = this.state.groups[index];
+    const survivor = group.users.find(user => user._id === this.state.keep[index]);
+    const others = group.users.filter(user => user !== survivor);
+    if (!confirm(`Merge ${others.length} ${others.length === 1 ? 'account' : 'accounts'} into ${survivor.first_name} ${survivor.last_name} (${survivor.username})? The other accounts will be archived.`)) {
+      return;
+    }
+    this.setState({ working: true });
+    // One at a time, so each merge sees the survivor as the last one left it
+    const next = () => {
+      const other = others.shift();
+      if (!other) {
+        return this.fetch();
+      }
+      $.ajax(`/api/users/${survivor._id}/merge`, {
+        method: 'post',
+        data: { duplicate: other._id },
+        success: next,
+        error: res => {
+          this.showError(res);
+          this.fetch();
+        }
+      });
+    };
+    next();
+  },
+
+  roles(user) {
+    return ['client', 'admin', 'instructor', 'student']
+      .filter(role => user[`is_${role}`])
+      .map(role => role === 'client' ? 'owner' : role)
+      .join(', ');
+  },
+
+  render() {
+    const organization = this.props.currentUser.get('organization') || {};
+    const groups = this.state.groups;
+    return (
+      <Row>
+        <Col xs={12}>
+          <h3>Duplicate Accounts</h3>
+          <p className="text-muted">
+            Accounts that share an email address, phone number or name. Pick the account to keep and merge the rest into it:
+            it gets their attendance, grades, reviews, payments and course places, and keeps its own login and roles.
+          </p>
+          <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+            <p>{this.state.error}</p>
+          </Alert>
+          {groups && !groups.length ? <p>No duplicates found.</p> : ''}
+          {(groups || []).map((group, index) => {
+            return (
+              <Panel
+                key={group.users.map(user => user._id).join('-')}
+                header={
+                  <h3>
+                    {group.reasons.map(reason => <Label key={reason} bsStyle="warning" style={{ marginRight: '0.5rem' }}>{REASONS[reason]}</Label>)}
+                  </h3>
+                }
+              >
+                <Table condensed responsive>
+                  <thead>
+                    <tr>
+                      <th>Keep</th>
+                      <th>IDN</th>
+                      <th>Name</th>
+                      <th>Email</th>
+                      <th>Phone</th>
+                      <th>Roles</th>
+                      <th>Created</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.users.map(user => {
+                      return (
+                        <tr key={user._id}>
+                          <td>
+                            <input
+                              type="radio"
+                              name={`keep-${index}`}
+                              value={user._id}
+                              data-group={index}
+                              checked={this.state.keep[index] === user._id}
+                              onChange={this.keep}
+                            />
+                          </td>
+                          <td>{utils.formatIdn(user.idn, organization.idn_format)}</td>
+                          <td><a href={`#users/${user._id}`}>{user.first_name} {user.last_name}</a></td>
+                          <td>{user.username}</td>
+                          <td>{user.phone}</td>
+                          <td>{this.roles(user)}</td>
+                          <td>{user.createdAt ? moment(user.createdAt).format('MMM D, YYYY') : ''}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </Table>
+                <Button
+                  bsStyle="danger"
+                  onClick={this.merge}
+                  data-group={index}
+                  disabled={this.state.working || !this.state.keep[index]}
+                  data-test="merge-duplicates"
+                >
+                  <FontAwesome name="compress" />
+                  &nbsp;Merge into selected
+                </Button>
+              </Panel>
+            );
+          })}
+        </Col>
+      </Row>
+    );
+  }
+});
@@ -0,0 +1,182 @@
+import * as _ from 'underscore';
+import * as React from 'react';
+import { Panel, Table, Alert, Button } from 'react-bootstrap';
+const moment = require('moment');
+const FontAwesome = require('react-fontawesome');
+
+// Long values are cut down to this many characters
+const MAX_LENGTH = 80;
+
+function describe(value) {
+  if (value === null || value === undefined || value === '' || (_.isArray(value) && !value.length)) {
+    return <em className="text-muted">empty</em>;
+  }
+  if (_.isArray(value) && value.some(_.isObject)) {
+    return `${value.length} ${value.length === 1 ? 'item' : 'items'}`;
+  }
+  const text = _.isArray(value) ? value.join(', ') : _.isObject(value) ? JSON.stringify(value) : String(value);
+  return text.length > MAX_LENGTH ? `${text.slice(0, MAX_LENGTH)}...` : text;
+}
+
+/**
+* Who changed a document and what they changed, e.g.
+* `<HistoryComponent resource="courses" id={course.id} onRevert={refresh} />`.
+* The history loads the first time it's opened.
+*/
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      open: false,
+      history: null,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  url() {
+    return `/api/${this.props.resource}/${this.props.id}/history`;
+  },
+
+  load() {
+    $.ajax(this.url(), {
+      success: history => this.setState({ history: history }),
+      error: res => this.showError(res)
+    });
+  },
+
+  toggle(e) {
+    e.preventDefault();
+    if (!this.state.history) {
+      this.load();
+    }
+    this.setState({ open: !this.state.open });
+  },
+
+  showError(res) {
+    this.setState({
+      error: res.responseJSON ? res.responseJSON.message : 'Something went wrong.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  revert(version, field) {
+    $.ajax(`${this.url()}/${version}/revert`, {
+      method: 'post',
+      data: field ? { field: field } : {},
+      success: () => {
+        this.setState({ alertVisible: 'hidden' });
+        this.load();
+        if (this.props.onRevert) {
+          this.props.onRevert();
+        }
+      },
+      error: res => this.showError(res)
+    });
+  },
+
+  // Undo one change by putting the field back the way it was just before
+  revertField(e) {
+    e.preventDefault();
+    const field = e.currentTarget.getAttribute('data-field');
+    if (confirm(`Put ${field} back the way it was before this change?`)) {
+      this.revert(Number(e.currentTarget.getAttribute('data-version')) - 1, field);
+    }
+  },
+
+  revertVersion(e) {
+    e.preventDefault();
+    if (confirm('Put everything back the way it was after this change? Later changes are kept in the history.')) {
+      this.revert(e.currentTarget.getAttribute('data-version'));
+    }
+  },
+
+  renderChanges(entry, canRevert) {
+    if (entry.first) {
+      return <em className="text-muted">First recorded version</em>;
+    }
+    return (
+      <ul className="list-unstyled">
+        {entry.changes.map(change => {
+          return (
+            <li key={change.field}>
+              <strong>{change.field}</strong>: {describe(change.before)} &rarr; {describe(change.after)}
+              {canRevert && this.state.history.fields.includes(change.field) ?
+              <a href="#" style={{ marginLeft: '1rem' }} onClick={this.revertField} data-version={entry.version} data-field={change.field} data-test="revert-field">
+                <FontAwesome name="undo" />
+                &nbsp;Undo
+              </a>
+              : ''}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  },
+
+  render() {
+    const canRevert = this.props.currentUser.can('history:revert');
+    let body;
+    if (!this.state.open) {
+      body = null;
+    } else if (!this.state.history) {
+      body = <p className="text-muted">Loading...</p>;
+    } else if (!this.state.history.versions.length) {
+      body = <p className="text-muted">No changes have been recorded yet.</p>;
+    } else {
+      body = (
+        <div className="x-scroll">
+          <Table striped condensed>
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Who</th>
+                <th>What Changed</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {this.state.history.versions.map((entry, i) => {
+                return (
+                  <tr key={entry.version}>
+                    <td className="nowrap">{entry.at ? moment(entry.at).format('MMM D, YYYY h:mm a') : ''}</td>
+                    <td>{entry.by ? `${entry.by.first_name} ${entry.by.last_name}` : <em className="text-muted">Unknown</em>}</td>
+                    <td>{this.renderChanges(entry, canRevert)}</td>
+                    <td>
+                      {canRevert && i > 0 ?
+                      <Button bsSize="xsmall" onClick={this.revertVersion} data-version={entry.version} data-test="revert-version">
+                        Restore this version
+                      </Button>
+                      : ''}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        </div>
+      );
+    }
+
+    return (
+      <Panel
+        header={
+          <h3>
+            <FontAwesome name="history" />&nbsp; History
+            <a href="#" className="pull-right" onClick={this.toggle} data-test="toggle-history">
+              <small>{this.state.open ? 'Hide' : 'Show'}</small>
+            </a>
+          </h3>
+        }
+      >
+        <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+          <p>{this.state.error}</p>
+        </Alert>
+        {body}
+      </Panel>
+    );
+  }
+});
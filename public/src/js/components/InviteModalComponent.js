@@ -0,0 +1,186 @@
+import * as React from 'react';
+import {
+  Modal, Button, FormGroup, ControlLabel, FormControl, Alert, Table
+} from 'react-bootstrap';
+const moment = require('moment');
+const Select = require('react-select');
+const CourseOptionComponent = require('./CourseOptionComponent');
+const CourseValueComponent = require('./CourseValueComponent');
+const InviteModel = require('../models/InviteModel');
+const CoursesCollection = require('../collections/CoursesCollection');
+
+module.exports = React.createBackboneClass({
+  roleOptions: [
+    { value: 'student', label: 'student' },
+    { value: 'instructor', label: 'instructor' },
+    { value: 'admin', label: 'admin' }
+  ],
+
+  getInitialState() {
+    return {
+      email: '',
+      role: 'student',
+      course: '',
+      courses: new CoursesCollection(),
+      alertVisible: 'hidden',
+      alertStyle: 'danger',
+      message: ''
+    };
+  },
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.show && !this.props.show) {
+      this.getCollection().fetch();
+      this.state.courses.fetch({
+        success: () => this.forceUpdate()
+      });
+      this.setState({ alertVisible: 'hidden' });
+    }
+  },
+
+  changeEmail(e) {
+    this.setState({ email: e.currentTarget.value });
+  },
+
+  selectRole(option) {
+    this.setState({ role: option ? option.value : 'student' });
+  },
+
+  selectCourse(option) {
+    this.setState({ course: option ? option.value : '' });
+  },
+
+  save(e) {
+    e.preventDefault();
+    const invite = new InviteModel();
+    invite.save({
+      email: this.state.email,
+      role: this.state.role,
+      course: this.state.course
+    }, {
+      success: () => {
+        this.getCollection().add(invite, { at: 0 });
+        this.setState({
+          email: '',
+          course: '',
+          alertStyle: 'success',
+          message: `Invitation sent to ${invite.get('email')}.`,
+          alertVisible: ''
+        });
+      },
+      error: (model, res) => {
+        this.setState({
+          alertStyle: 'danger',
+          message: res.responseJSON.message,
+          alertVisible: ''
+        });
+      }
+    });
+  },
+
+  revoke(e) {
+    e.preventDefault();
+    const invite = this.getCollection().get(e.currentTarget.getAttribute('data-id'));
+    if (confirm(`Cancel the invitation to ${invite.get('email')}?`)) {
+      invite.destroy({ wait: true });
+    }
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  render() {
+    const courseOptions = this.state.courses.map(course => {
+      return {
+        value: course.id,
+        label: course.get('name') +
+        course.get('location').get('name') +
+        course.get('location').get('city') +
+        course.get('term').get('name'),
+        course: course
+      };
+    });
+
+    const pending = this.getCollection().map(invite => {
+      return (
+        <tr key={invite.id}>
+          <td>{invite.get('email')}</td>
+          <td>{invite.get('role')}</td>
+          <td>{invite.get('course') ? invite.get('course').name : ''}</td>
+          <td>{moment(invite.get('expires_at')).fromNow()}</td>
+          <td>
+            <a href="#" className="link-danger" onClick={this.revoke} data-id={invite.id}>Cancel</a>
+          </td>
+        </tr>
+      );
+    });
+
+    return (
+      <Modal show={this.props.show} onHide={this.props.onHide}>
+        <Modal.Header closeButton>
+          <Modal.Title>Invite User</Modal.Title>
+        </Modal.Header>
+        <form onSubmit={this.save}>
+          <Modal.Body>
+            <Alert className={this.state.alertVisible} bsStyle={this.state.alertStyle} onDismiss={this.handleAlertDismiss}>
+              <p>{this.state.message}</p>
+            </Alert>
+            <FormGroup controlId="invite-email">
+              <ControlLabel>Email</ControlLabel>
+              <FormControl
+                type="email"
+                placeholder="Email"
+                onChange={this.changeEmail}
+                value={this.state.email}
+              />
+            </FormGroup>
+            <FormGroup controlId="invite-role">
+              <ControlLabel>Role</ControlLabel>
+              <Select
+                name="role"
+                value={this.state.role}
+                options={this.roleOptions}
+                onChange={this.selectRole}
+                clearable={false}
+              />
+            </FormGroup>
+            <FormGroup controlId="invite-course">
+              <ControlLabel>Register Into Course (optional)</ControlLabel>
+              <Select
+                options={courseOptions}
+                optionComponent={CourseOptionComponent}
+                placeholder="Type to search..."
+                valueComponent={CourseValueComponent}
+                value={this.state.course}
+                onChange={this.selectCourse}
+              />
+            </FormGroup>
+            {pending.length ?
+            <div>
+              <h4>Pending Invitations</h4>
+              <Table striped condensed>
+                <thead>
+                  <tr>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Course</th>
+                    <th>Expires</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pending}
+                </tbody>
+              </Table>
+            </div>
+            : ''}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button bsStyle="primary" type="submit" block onClick={this.save} data-test="send-invite">Send Invitation</Button>
+          </Modal.Footer>
+        </form>
+      </Modal>
+    );
+  }
+});
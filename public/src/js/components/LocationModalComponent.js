@@ -48,7 +48,7 @@ module.exports = React.createBackboneClass({
 
   delete(e) {
     e.preventDefault();
-    if (confirm('Are you sure you want to delete this location?')) {
+    if (confirm('Archive this location? You can restore it from the archived list.')) {
       this.getModel().destroy({
         success: () => {
           this.props.locations.remove(this.getModel());
@@ -161,7 +161,7 @@ module.exports = React.createBackboneClass({
                 defaultValue={this.state.location.note}
               />
             </FormGroup>
-            <a href="#" className="link-danger" onClick={this.delete}>Delete Location</a>
+            <a href="#" className="link-danger" onClick={this.delete}>Archive Location</a>
           </Modal.Body>
           <Modal.Footer>
             <Button bsStyle="primary" type="submit" block onClick={this.save}>Save</Button>
@@ -2,6 +2,7 @@ import * as React from 'react';
 import { Table, Tr, Td, Th, Thead } from 'reactable';
 import { Col, Row, Button, FormControl } from 'react-bootstrap';
 const FontAwesome = require('react-fontawesome');
+const ArchivedComponent = require('./ArchivedComponent');
 const LocationModalComponent = require('./LocationModalComponent');
 const LocationModel = require('../models/LocationModel');
 
@@ -11,7 +12,8 @@ module.exports = React.createBackboneClass({
       showModal: false,
       location: new LocationModel(),
       modalTitle: 'New Location',
-      filterBy: ''
+      filterBy: '',
+      showArchived: false
     }
   },
 
@@ -29,6 +31,15 @@ module.exports = React.createBackboneClass({
     });
   },
 
+  toggleArchived(e) {
+    e.preventDefault();
+    // Restored ones show up in the list again
+    if (this.state.showArchived) {
+      this.getCollection().fetch();
+    }
+    this.setState({ showArchived: !this.state.showArchived });
+  },
+
   changeFilterValue(e) {
     this.setState({
       filterBy: e.currentTarget.value
@@ -69,34 +80,49 @@ module.exports = React.createBackboneClass({
                 <FontAwesome name='plus' />
                 &nbsp;Location
               </a>
+              <a href="#" className="pull-right" onClick={this.toggleArchived} style={{ marginRight: '1rem' }} data-test="toggle-archived">
+                <FontAwesome name={this.state.showArchived ? 'list' : 'archive'} />
+                &nbsp;{this.state.showArchived ? 'Current' : 'Archived'}
+              </a>
             </small>
           </h3>
-          <FormControl
-            type="text"
-            placeholder="Filter..."
-            onChange={this.changeFilterValue}
-            defaultValue={this.state.filterBy}
+          {this.state.showArchived ?
+          <ArchivedComponent
+            resource="locations"
+            title={location => location.name}
+            detail={location => [location.address, location.city, location.state].filter(Boolean).join(', ')}
+            currentUser={this.props.currentUser}
           />
-          <br />
-          <div className="x-scroll">
-            <Table
-              className="table table-condensed table-striped"
-              itemsPerPage={20}
-              filterable={['Name', 'Address', 'Phone', 'Contact', 'Note']}
-              sortable={['Name']}
-              filterBy={this.state.filterBy}
-            >
-              <Thead>
-                <Th>Name</Th>
-                <Th>Address</Th>
-                <Th>Phone</Th>
-                <Th>Contact</Th>
-                <Th>Note</Th>
-                <Th>edit</Th>
-              </Thead>
-              {locationRows}
-            </Table>
+          :
+          <div>
+            <FormControl
+              type="text"
+              placeholder="Filter..."
+              onChange={this.changeFilterValue}
+              defaultValue={this.state.filterBy}
+            />
+            <br />
+            <div className="x-scroll">
+              <Table
+                className="table table-condensed table-striped"
+                itemsPerPage={20}
+                filterable={['Name', 'Address', 'Phone', 'Contact', 'Note']}
+                sortable={['Name']}
+                filterBy={this.state.filterBy}
+              >
+                <Thead>
+                  <Th>Name</Th>
+                  <Th>Address</Th>
+                  <Th>Phone</Th>
+                  <Th>Contact</Th>
+                  <Th>Note</Th>
+                  <Th>edit</Th>
+                </Thead>
+                {locationRows}
+              </Table>
+            </div>
           </div>
+          }
           <LocationModalComponent
             show={this.state.showModal}
             onHide={this.close}
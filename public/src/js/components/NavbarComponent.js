@@ -1,14 +1,26 @@
 import * as React from 'react';
 import * as _ from 'underscore';
-import { Navbar, Nav, NavItem, NavDropdown, MenuItem, Button } from 'react-bootstrap';
+import { Navbar, Nav, NavItem, NavDropdown, MenuItem, Button, Alert } from 'react-bootstrap';
 const FontAwesome = require('react-fontawesome');
 const AppsModalComponent = require('./AppsModalComponent');
 const FeedbackModalComponent = require('./FeedbackModalComponent');
+const SearchComponent = require('./SearchComponent');
 
 module.exports = React.createBackboneClass({
   links: {
-    courses: ['is_instructor', 'is_admin'],
-    admin: ['is_admin']
+    courses: ['courses:read'],
+    users: ['users:read'],
+    terms: ['terms:write'],
+    closures: ['calendar:write'],
+    locations: ['locations:write'],
+    textbooks: ['textbooks:write'],
+    registration: ['registrations:write'],
+    report: ['reports:run'],
+    roles: ['roles:manage'],
+    organization: ['settings:manage'],
+    import: ['import:run'],
+    audit: ['audit:read'],
+    search: ['users:read', 'students:read', 'courses:read', 'courses:assigned', 'locations:read', 'textbooks:read']
   },
 
   getInitialState() {
@@ -36,30 +48,53 @@ module.exports = React.createBackboneClass({
     this.setState({ showFeedbackModal: true });
   },
 
-  display(link) {
-    var show = _.some(this.links[link], function(level) {
-      return this.getModel().get(level);
-    }, this);
-    return show || this.getModel().get('is_client') ? 'initial' : 'none';
+  stopImpersonating(e) {
+    e.preventDefault();
+    $.ajax('/api/impersonation', {
+      method: 'delete',
+      success: () => {
+        window.location.assign(`/#users/${this.getModel().id}`);
+        window.location.reload();
+      }
+    });
+  },
+
+  display(...links) {
+    const show = _.some(links, link => {
+      return this.links[link].some(permission => this.getModel().can(permission));
+    });
+    return show ? 'initial' : 'none';
   },
 
   render () {
+    const organization = this.getModel().get('organization') || {};
     return(
       <div>
+        {this.getModel().get('impersonator') ?
+        <Alert bsStyle="warning" className="trim-margin text-center">
+          <FontAwesome name="user-secret" />
+          &nbsp; {this.getModel().get('impersonator')}, you are viewing as {this.getModel().get('first_name')} {this.getModel().get('last_name')}.
+          Payments and other changes are turned off.
+          &nbsp;<a href="#" onClick={this.stopImpersonating} data-test="stop-impersonating">Exit</a>
+        </Alert>
+        : ''}
         <Navbar collapseOnSelect>
           <Navbar.Header>
             <Navbar.Brand>
               <a href="#">
                 <img
-                  src="/img/ACA_standard_mark_small.png"
+                  src={organization.branding && organization.branding.logo_url || '/img/ACA_standard_mark_small.png'}
                   style={{ maxHeight: '25px', display: 'inline', marginRight: '10px' }}
                 />
-                Campus Manager
+                {organization.name || 'Campus Manager'}
               </a>
             </Navbar.Brand>
             <Navbar.Toggle />
           </Navbar.Header>
           <Navbar.Collapse>
+            <Navbar.Form pullLeft style={{ display: this.display('search') }}>
+              <SearchComponent currentUser={this.getModel()} />
+            </Navbar.Form>
             <Nav pullRight>
               <li role="presentation">
                 <a href='#' onClick={this.openAppsModal}>
@@ -68,14 +103,24 @@ module.exports = React.createBackboneClass({
               </li>
               <li role="presentation"><a href='#'>Dashboard</a></li>
               <li role="presentation" style={{ display: this.display('courses') }}><a href='#courses'>Courses</a></li>
-              <NavDropdown eventKey={3} title="Admin" id="admin-dropdown" style={{ display: this.display('admin') }}>
-                <MenuItem eventKey={3.1} href="#users">Users</MenuItem>
-                <MenuItem eventKey={3.2} href="#terms">Terms</MenuItem>
-                <MenuItem eventKey={3.3} href="#locations">Locations</MenuItem>
-                <MenuItem eventKey={3.4} href="#textbooks">Textbooks</MenuItem>
+              <NavDropdown
+                eventKey={3}
+                title="Admin"
+                id="admin-dropdown"
+                style={{ display: this.display('users', 'terms', 'closures', 'locations', 'textbooks', 'registration', 'report', 'roles', 'organization', 'import', 'audit') }}
+              >
+                <MenuItem eventKey={3.1} href="#users" style={{ display: this.display('users') }}>Users</MenuItem>
+                <MenuItem eventKey={3.2} href="#terms" style={{ display: this.display('terms') }}>Terms</MenuItem>
+                <MenuItem eventKey={3.11} href="#closures" style={{ display: this.display('closures') }}>Holiday Calendar</MenuItem>
+                <MenuItem eventKey={3.3} href="#locations" style={{ display: this.display('locations') }}>Locations</MenuItem>
+                <MenuItem eventKey={3.4} href="#textbooks" style={{ display: this.display('textbooks') }}>Textbooks</MenuItem>
+                <MenuItem eventKey={3.7} href="#roles" style={{ display: this.display('roles') }}>Roles</MenuItem>
+                <MenuItem eventKey={3.8} href="#organization" style={{ display: this.display('organization') }}>Organization</MenuItem>
                 <MenuItem divider />
-                <MenuItem eventKey={3.5} href="#registration">Registration</MenuItem>
-                <MenuItem eventKey={3.6} href="#report">Report</MenuItem>
+                <MenuItem eventKey={3.5} href="#registration" style={{ display: this.display('registration') }}>Registration</MenuItem>
+                <MenuItem eventKey={3.6} href="#report" style={{ display: this.display('report') }}>Report</MenuItem>
+                <MenuItem eventKey={3.9} href="#import" style={{ display: this.display('import') }}>Import Users</MenuItem>
+                <MenuItem eventKey={3.10} href="#audit" style={{ display: this.display('audit') }}>Audit Log</MenuItem>
               </NavDropdown>
               <NavDropdown eventKey={4} title={`${this.getModel().get('first_name')} ${this.getModel().get('last_name')}`} id="user-dropdown">
                 <MenuItem eventKey={4.1} href="logout">Logout</MenuItem>
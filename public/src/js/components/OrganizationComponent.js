@@ -0,0 +1,222 @@
+import * as React from 'react';
+import {
+  Row, Col, Panel, FormGroup, ControlLabel, FormControl, Checkbox, Button,
+  Alert, ListGroup, ListGroupItem
+} from 'react-bootstrap';
+const Select = require('react-select');
+const FontAwesome = require('react-fontawesome');
+const utils = require('../utils');
+
+module.exports = React.createBackboneClass({
+  getInitialState() {
+    return {
+      owner: null,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  showError(res) {
+    this.setState({
+      error: res.responseJSON.message,
+      alertVisible: ''
+    });
+  },
+
+  changeTextValue(e) {
+    this.getModel().set(e.currentTarget.getAttribute('id'), e.currentTarget.value);
+  },
+
+  changeGroupValue(e) {
+    const group = e.currentTarget.getAttribute('data-group');
+    this.getModel().set(group, Object.assign({}, this.getModel().get(group), {
+      [e.currentTarget.getAttribute('data-key')]: e.currentTarget.value
+    }));
+  },
+
+  changeSetting(e) {
+    this.getModel().save({
+      settings: Object.assign({}, this.getModel().get('settings'), {
+        [e.currentTarget.getAttribute('data-setting')]: e.currentTarget.checked
+      })
+    }, {
+      error: (model, res) => this.showError(res)
+    });
+  },
+
+  save(e) {
+    e.preventDefault();
+    this.getModel().save(null, {
+      success: () => {
+        this.setState({ alertVisible: 'hidden' });
+      },
+      error: (model, res) => this.showError(res)
+    });
+  },
+
+  setOwner(owner) {
+    this.setState({ owner: owner ? owner.value : null });
+  },
+
+  addOwner(e) {
+    e.preventDefault();
+    $.ajax('/api/organization/owners', {
+      method: 'post',
+      data: { user: this.state.owner },
+      success: organization => {
+        this.setState({ owner: null });
+        this.getModel().set(organization);
+      },
+      error: res => this.showError(res)
+    });
+  },
+
+  removeOwner(e) {
+    e.preventDefault();
+    const id = e.currentTarget.getAttribute('data-id');
+    if (confirm('Are you sure you want to remove this owner?')) {
+      $.ajax(`/api/organization/owners/${id}`, {
+        method: 'delete',
+        success: organization => {
+          if (id === this.props.currentUser.id) {
+            return window.location.reload();
+          }
+          this.getModel().set(organization);
+        },
+        error: res => this.showError(res)
+      });
+    }
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  render() {
+    const organization = this.getModel();
+    const isOwner = organization.isOwner(this.props.currentUser);
+    const ownerIds = organization.get('owners').map(owner => owner._id);
+    const idnFormat = organization.get('idn_format');
+    const userOptions = this.props.users
+      .filter(user => !ownerIds.includes(user.id))
+      .map(user => {
+        return { value: user.id, label: `${user.fullName()} (${user.get('username')})` };
+      });
+
+    return (
+      <Row>
+        <Col xs={12}>
+          <h3>{organization.get('name') || 'Organization'}</h3>
+          <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+            <p>{this.state.error}</p>
+          </Alert>
+        </Col>
+        <Col xs={12} md={6}>
+          <Panel header={<h3><FontAwesome name="building" />&nbsp; Details</h3>}>
+            <form onSubmit={this.save}>
+              <FormGroup controlId="name">
+                <ControlLabel>Name</ControlLabel>
+                <FormControl type="text" onChange={this.changeTextValue} value={organization.get('name')} />
+              </FormGroup>
+              <FormGroup controlId="contact_email">
+                <ControlLabel>Contact Email</ControlLabel>
+                <FormControl type="email" onChange={this.changeTextValue} value={organization.get('contact_email') || ''} />
+              </FormGroup>
+              <FormGroup controlId="phone">
+                <ControlLabel>Phone</ControlLabel>
+                <FormControl type="tel" onChange={this.changeTextValue} value={organization.get('phone') || ''} />
+              </FormGroup>
+              <FormGroup controlId="website">
+                <ControlLabel>Website</ControlLabel>
+                <FormControl type="url" onChange={this.changeTextValue} value={organization.get('website') || ''} />
+              </FormGroup>
+              <FormGroup controlId="timezone">
+                <ControlLabel>Time Zone</ControlLabel>
+                <FormControl type="text" placeholder="America/Chicago" onChange={this.changeTextValue} value={organization.get('timezone')} />
+              </FormGroup>
+              <FormGroup controlId="currency">
+                <ControlLabel>Currency</ControlLabel>
+                <FormControl type="text" placeholder="usd" onChange={this.changeTextValue} value={organization.get('currency')} />
+              </FormGroup>
+              <FormGroup controlId="logo_url">
+                <ControlLabel>Logo URL</ControlLabel>
+                <FormControl type="url" data-group="branding" data-key="logo_url" onChange={this.changeGroupValue} value={organization.get('branding').logo_url || ''} />
+              </FormGroup>
+              <FormGroup controlId="primary_color">
+                <ControlLabel>Primary Color</ControlLabel>
+                <FormControl type="text" placeholder="#337ab7" data-group="branding" data-key="primary_color" onChange={this.changeGroupValue} value={organization.get('branding').primary_color || ''} />
+              </FormGroup>
+              <Button bsStyle="primary" type="submit" block data-test="save-organization">Save</Button>
+            </form>
+          </Panel>
+        </Col>
+        <Col xs={12} md={6}>
+          <Panel header={<h3><FontAwesome name="cog" />&nbsp; Settings</h3>}>
+            <Checkbox
+              checked={!!organization.get('settings').require_two_factor}
+              onChange={this.changeSetting}
+              data-setting="require_two_factor"
+            >
+              Require two-factor authentication for admins
+            </Checkbox>
+            <Checkbox
+              checked={!!organization.get('settings').require_verified_email}
+              onChange={this.changeSetting}
+              data-setting="require_verified_email"
+            >
+              Require a verified email address before students can pay or register
+            </Checkbox>
+          </Panel>
+          <Panel header={<h3><FontAwesome name="id-card" />&nbsp; Student IDs</h3>}>
+            <form onSubmit={this.save}>
+              <FormGroup controlId="idn_prefix">
+                <ControlLabel>Prefix</ControlLabel>
+                <FormControl type="text" placeholder="ACA-" data-group="idn_format" data-key="prefix" onChange={this.changeGroupValue} value={idnFormat.prefix || ''} />
+              </FormGroup>
+              <FormGroup controlId="idn_padding">
+                <ControlLabel>Digits</ControlLabel>
+                <FormControl type="number" min="0" max="12" data-group="idn_format" data-key="padding" onChange={this.changeGroupValue} value={idnFormat.padding || 0} />
+              </FormGroup>
+              <p className="text-muted">
+                Student ids look like <strong>{utils.formatIdn(42, idnFormat)}</strong>. Check-in accepts them with or without the prefix.
+              </p>
+              <Button type="submit" block data-test="save-idn-format">Save</Button>
+            </form>
+          </Panel>
+          <Panel header={<h3><FontAwesome name="key" />&nbsp; Owners</h3>}>
+            <p className="text-muted">
+              Owners can do everything. There always has to be at least one.
+            </p>
+            <ListGroup>
+              {organization.get('owners').map(owner => {
+                return (
+                  <ListGroupItem key={owner._id}>
+                    {owner.first_name} {owner.last_name} <small className="text-muted">{owner.username}</small>
+                    {isOwner && ownerIds.length > 1 ?
+                    <a href="#" className="pull-right" onClick={this.removeOwner} data-id={owner._id}>
+                      <FontAwesome name="times" />
+                    </a>
+                    : ''}
+                  </ListGroupItem>
+                );
+              })}
+            </ListGroup>
+            {isOwner ?
+            <form onSubmit={this.addOwner}>
+              <FormGroup>
+                <Select
+                  options={userOptions}
+                  value={this.state.owner}
+                  onChange={this.setOwner}
+                  placeholder="Type to search..."
+                />
+              </FormGroup>
+              <Button type="submit" block disabled={!this.state.owner} data-test="add-owner">Add Owner</Button>
+            </form>
+            : ''}
+          </Panel>
+        </Col>
+      </Row>
+    );
+  }
+});
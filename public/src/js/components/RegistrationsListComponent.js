@@ -70,7 +70,7 @@ module.exports = React.createBackboneClass({
       course.get('registrations').each(user => {
         registrationRows.push(
           <Tr key={`${course.id}-${user.id}`}>
-            <Td column="IDN">{user.get('idn')}</Td>
+            <Td column="IDN" value={user.get('idn')}>{user.displayIdn(this.props.currentUser.get('organization'))}</Td>
             <Td column="Name" value={user.fullName()}>
               <a href="#" onClick={this.show} data-id={user.id}>{user.fullName()}</a>
             </Td>
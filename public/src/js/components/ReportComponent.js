@@ -112,7 +112,7 @@ module.exports = React.createBackboneClass({
               trigger={['focus']}
             >
               <a
-                data-clipboard-text={this.getModel().link(this.url, 'html', this.props.currentUser.get('api_key'))}
+                data-clipboard-text={this.getModel().link(this.url, 'html')}
                 href="#"
                 onClick={function(e) { e.preventDefault(); }}
               >
@@ -126,7 +126,7 @@ module.exports = React.createBackboneClass({
               trigger={['focus']}
             >
               <a
-                data-clipboard-text={this.getModel().link(this.url, 'csv', this.props.currentUser.get('api_key'))}
+                data-clipboard-text={this.getModel().link(this.url, 'csv')}
                 href="#"
                 onClick={function(e) { e.preventDefault(); }}
               >
@@ -140,7 +140,7 @@ module.exports = React.createBackboneClass({
               trigger={['focus']}
             >
               <a
-                data-clipboard-text={this.getModel().link(this.url, 'json', this.props.currentUser.get('api_key'))}
+                data-clipboard-text={this.getModel().link(this.url, 'json')}
                 href="#"
                 onClick={function(e) { e.preventDefault(); }}
               >
@@ -149,9 +149,9 @@ module.exports = React.createBackboneClass({
             </OverlayTrigger>
             <br />
             <small>
-              To use the API links, you must generate an API token on your dashboard.
-              <br />
-              API links are not meant to be shared with anyone, but are used for API services.
+              To call the API links from another service, create an API token with the
+              report:read scope on your dashboard and send it in an
+              <code>Authorization: Bearer</code> header.
             </small>
             <br />
             <CodeMirror value={this.getModel().get('sql')} options={options} onChange={this.updateCode} />
@@ -0,0 +1,146 @@
+import * as React from 'react';
+import {
+  Modal, Button, FormGroup, ControlLabel, FormControl, Checkbox, Alert
+} from 'react-bootstrap';
+const RoleModel = require('../models/RoleModel');
+
+module.exports = React.createBackboneClass({
+  getInitialState() {
+    return {
+      role: this.getModel().attributes,
+      permissions: this.getModel().get('permissions').slice(),
+      alertVisible: 'hidden',
+      error: '',
+      title: this.props.title
+    }
+  },
+
+  changeTextValue(e) {
+    const attr = e.currentTarget.getAttribute('id');
+    this.state.role[attr] = e.currentTarget.value;
+  },
+
+  changePermission(e) {
+    const permission = e.currentTarget.getAttribute('data-permission');
+    const permissions = this.state.permissions.filter(existing => existing !== permission);
+    if (e.currentTarget.checked) {
+      permissions.push(permission);
+    }
+    this.setState({ permissions });
+  },
+
+  save(e) {
+    e.preventDefault();
+    this.state.role.permissions = this.state.permissions;
+    this.getModel().save(this.state.role, {
+      success: () => {
+        this.props.roles.add(this.getModel(), {
+          merge: true
+        });
+        this.props.listComponent.setState({
+          role: new RoleModel()
+        });
+        this.props.onHide();
+      },
+      error: (model, res) => {
+        this.setState({
+          error: res.responseJSON.message,
+          alertVisible: ''
+        });
+      }
+    });
+  },
+
+  delete(e) {
+    e.preventDefault();
+    if (confirm('Are you sure you want to delete this role? Everyone who has it will lose it.')) {
+      this.getModel().destroy({
+        success: () => {
+          this.props.roles.remove(this.getModel());
+          this.props.listComponent.setState({
+            role: new RoleModel()
+          });
+          this.props.onHide();
+        },
+        error: (model, res) => {
+          this.setState({
+            error: res.responseJSON.message,
+            alertVisible: ''
+          });
+        }
+      });
+    }
+  },
+
+  componentWillReceiveProps(nextProps) {
+    this.setState({
+      title: nextProps.title,
+      role: this.getModel().attributes,
+      permissions: this.getModel().get('permissions').slice()
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  render: function() {
+    const builtin = !!this.getModel().get('builtin');
+    const permissions = this.props.permissions.map(permission => {
+      return (
+        <Checkbox
+          key={permission.name}
+          checked={this.state.permissions.includes(permission.name)}
+          onChange={this.changePermission}
+          data-permission={permission.name}
+        >
+          {permission.description} <small className="text-muted">{permission.name}</small>
+        </Checkbox>
+      );
+    });
+
+    return (
+      <Modal show={this.props.show} onHide={this.props.onHide}>
+        <Modal.Header closeButton>
+          <Modal.Title>{this.state.title}</Modal.Title>
+        </Modal.Header>
+        <form onSubmit={this.save}>
+          <Modal.Body>
+            <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+              <p>{this.state.error}</p>
+            </Alert>
+            <FormGroup controlId="name">
+              <ControlLabel>Name</ControlLabel>
+              <FormControl
+                type="text"
+                placeholder="Front desk"
+                onChange={this.changeTextValue}
+                defaultValue={this.state.role.name}
+                disabled={builtin}
+              />
+            </FormGroup>
+            <FormGroup controlId="description">
+              <ControlLabel>Description</ControlLabel>
+              <FormControl
+                type="text"
+                placeholder="Description"
+                onChange={this.changeTextValue}
+                defaultValue={this.state.role.description}
+              />
+            </FormGroup>
+            <FormGroup>
+              <ControlLabel>Permissions</ControlLabel>
+              {permissions}
+            </FormGroup>
+            {this.getModel().id && !builtin ?
+            <a href="#" className="link-danger" onClick={this.delete}>Delete Role</a>
+            : ''}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button bsStyle="primary" type="submit" block onClick={this.save}>Save</Button>
+          </Modal.Footer>
+        </form>
+      </Modal>
+    );
+  }
+});
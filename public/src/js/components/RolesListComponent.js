@@ -0,0 +1,104 @@
+import * as React from 'react';
+import { Table, Tr, Td, Th, Thead } from 'reactable';
+import { Col, Row } from 'react-bootstrap';
+const FontAwesome = require('react-fontawesome');
+const RoleModalComponent = require('./RoleModalComponent');
+const RoleModel = require('../models/RoleModel');
+
+module.exports = React.createBackboneClass({
+  getInitialState() {
+    return {
+      showModal: false,
+      role: new RoleModel(),
+      modalTitle: 'New Role',
+      permissions: []
+    }
+  },
+
+  componentDidMount() {
+    $.ajax('/api/roles/permissions', {
+      success: permissions => {
+        this.setState({ permissions });
+      }
+    });
+  },
+
+  close() {
+    this.setState({ showModal: false });
+  },
+
+  open(e) {
+    e.preventDefault();
+    const role = this.getCollection().get(e.currentTarget.getAttribute('data-id')) || new RoleModel();
+    this.state.role.clear().set(role.attributes);
+    this.setState({
+      showModal: true,
+      modalTitle: role.id ? 'Edit Role' : 'New Role'
+    });
+  },
+
+  render() {
+    const roleRows = this.getCollection().map(role => {
+      return (
+        <Tr key={role.id}>
+          <Td column="Name" value={role.get('name')}>
+            <span>
+              {role.get('name')}
+              {role.get('builtin') ? <small className="text-muted"> (built-in)</small> : ''}
+            </span>
+          </Td>
+          <Td column="Description">{role.get('description') || ''}</Td>
+          <Td column="Permissions">
+            <small>{role.get('permissions').join(', ')}</small>
+          </Td>
+          <Td column="edit">
+            <a href="#" onClick={this.open} data-id={role.id}>
+              <FontAwesome name='pencil' />
+            </a>
+          </Td>
+        </Tr>
+      );
+    });
+    return (
+      <Row>
+        <Col xs={12}>
+          <h3>
+            Roles
+            <small>
+              <a href="#" className="pull-right" onClick={this.open} data-test="new-role">
+                <FontAwesome name='plus' />
+                &nbsp;Role
+              </a>
+            </small>
+          </h3>
+          <p className="text-muted">
+            Owners can always do everything. Changes take effect on the next page load.
+          </p>
+          <div className="x-scroll">
+            <Table
+              className="table table-condensed table-striped"
+              sortable={['Name']}
+            >
+              <Thead>
+                <Th>Name</Th>
+                <Th>Description</Th>
+                <Th>Permissions</Th>
+                <Th>edit</Th>
+              </Thead>
+              {roleRows}
+            </Table>
+          </div>
+          <RoleModalComponent
+            show={this.state.showModal}
+            onHide={this.close}
+            roles={this.getCollection()}
+            model={this.state.role}
+            title={this.state.modalTitle}
+            permissions={this.state.permissions}
+            listComponent={this}
+          />
+        </Col>
+      </Row>
+    );
+  }
+});
@@ -0,0 +1,154 @@
+import * as Backbone from 'backbone';
+import * as React from 'react';
+import * as _ from 'underscore';
+import { FormControl } from 'react-bootstrap';
+const utils = require('../utils');
+
+// Where each type of result opens
+const ROUTES = {
+  users: result => `users/${result._id}`,
+  courses: result => `courses/${result._id}`,
+  terms: () => 'terms',
+  locations: () => 'locations',
+  textbooks: () => 'textbooks'
+};
+
+const LABELS = {
+  users: 'Users',
+  courses: 'Courses',
+  terms: 'Terms',
+  locations: 'Locations',
+  textbooks: 'Textbooks'
+};
+
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      q: '',
+      searched: '',
+      groups: [],
+      active: 0,
+      open: false
+    };
+  },
+
+  componentWillMount() {
+    this.requests = 0;
+    this.search = _.debounce(this.search, 200);
+  },
+
+  componentWillUnmount() {
+    this.search.cancel();
+  },
+
+  search() {
+    const q = this.state.q.trim();
+    const request = ++this.requests;
+    if (q.length < 2) {
+      return this.setState({ groups: [], active: 0 });
+    }
+    $.ajax('/api/search', {
+      data: { q: q },
+      success: groups => {
+        // Answers can come back out of order while typing
+        if (request === this.requests) {
+          this.setState({ groups: groups, searched: q, active: 0, open: true });
+        }
+      }
+    });
+  },
+
+  results() {
+    return _.flatten(this.state.groups.map(group => {
+      return group.results.map(result => Object.assign({ type: group.type }, result));
+    }));
+  },
+
+  changeQuery(e) {
+    this.setState({ q: e.currentTarget.value, open: true }, this.search);
+  },
+
+  go(result) {
+    this.setState(this.getInitialState());
+    Backbone.history.navigate(ROUTES[result.type](result), true);
+  },
+
+  keyDown(e) {
+    const results = this.results();
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.setState({
+        open: true,
+        active: (this.state.active + step + results.length) % (results.length || 1)
+      });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (this.state.open && results[this.state.active]) {
+        this.go(results[this.state.active]);
+      }
+    } else if (e.key === 'Escape') {
+      this.setState({ open: false });
+    }
+  },
+
+  blur() {
+    this.setState({ open: false });
+  },
+
+  select(e) {
+    e.preventDefault();
+    this.go(this.results()[e.currentTarget.getAttribute('data-index')]);
+  },
+
+  subtitle(result) {
+    if (result.type === 'users') {
+      const organization = this.props.currentUser.get('organization') || {};
+      return `${utils.formatIdn(result.idn, organization.idn_format)} · ${result.subtitle}`;
+    }
+    return result.subtitle;
+  },
+
+  render() {
+    let index = 0;
+    const items = [];
+    this.state.groups.forEach(group => {
+      items.push(<li key={group.type} className="dropdown-header">{LABELS[group.type]}</li>);
+      group.results.forEach(result => {
+        const i = index++;
+        items.push(
+          <li key={`${group.type}-${result._id}`} className={i === this.state.active ? 'active' : ''}>
+            {/* Keep focus in the box so the menu stays open for the click */}
+            <a href="#" onMouseDown={e => e.preventDefault()} onClick={this.select} data-index={i}>
+              {result.title}
+              {result.subtitle || result.type === 'users' ? <small>{this.subtitle(Object.assign({ type: group.type }, result))}</small> : ''}
+            </a>
+          </li>
+        );
+      });
+    });
+    if (!items.length && this.state.searched && this.state.searched === this.state.q.trim()) {
+      items.push(<li key="none" className="dropdown-header">No matches</li>);
+    }
+
+    return (
+      <div className="navbar-search">
+        <FormControl
+          type="search"
+          placeholder="Search..."
+          value={this.state.q}
+          onChange={this.changeQuery}
+          onKeyDown={this.keyDown}
+          onFocus={() => this.setState({ open: true })}
+          onBlur={this.blur}
+          data-test="search"
+        />
+        {this.state.open && items.length ?
+        <ul className="dropdown-menu" role="listbox">
+          {items}
+        </ul>
+        : ''}
+      </div>
+    );
+  }
+});
@@ -65,7 +65,7 @@ module.exports = React.createBackboneClass({
         amount={this.state.paymentAmount}
         email={this.getModel().get('username')}
       >
-        <Button block bsStyle="primary" disabled={!(this.state.course.id && (Number(this.state.paymentAmount) / 100 > 490 || this.props.currentUser.get('is_admin')))} data-test="make-payment">
+        <Button block bsStyle="primary" disabled={this.props.currentUser.get('impersonator') || this.getModel().get('email_verification_required') || !(this.state.course.id && (Number(this.state.paymentAmount) / 100 > 490 || this.props.currentUser.can('payments:charge')))} data-test="make-payment">
           <FontAwesome name="credit-card" /> 3. Pay With Card
         </Button>
       </StripeCheckout>
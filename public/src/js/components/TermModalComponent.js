@@ -65,7 +65,7 @@ module.exports = React.createBackboneClass({
 
   delete(e) {
     e.preventDefault();
-    if (confirm('Are you sure you want to delete this term?')) {
+    if (confirm('Archive this term? You can restore it from the archived list.')) {
       this.getModel().destroy({
         success: () => {
           this.props.terms.remove(this.getModel());
@@ -137,7 +137,7 @@ module.exports = React.createBackboneClass({
                 onChange={this.handleEndDateChange}
               />
             </FormGroup>
-            <a href="#" className="link-danger" onClick={this.delete}>Delete Term</a>
+            <a href="#" className="link-danger" onClick={this.delete}>Archive Term</a>
           </Modal.Body>
           <Modal.Footer>
             <Button bsStyle="primary" type="submit" block onClick={this.save}>Save</Button>
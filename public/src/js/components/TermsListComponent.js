@@ -2,7 +2,9 @@ import * as React from 'react';
 import { Table, Tr, Td, Th, Thead } from 'reactable';
 import { Col, Row, Button, FormControl } from 'react-bootstrap';
 const FontAwesome = require('react-fontawesome');
+const ArchivedComponent = require('./ArchivedComponent');
 const TermModalComponent = require('./TermModalComponent.js');
+const CopyCoursesModalComponent = require('./CopyCoursesModalComponent');
 const TermModel = require('../models/TermModel');
 const moment = require('moment');
 
@@ -12,10 +14,21 @@ module.exports = React.createBackboneClass({
       showModal: false,
       term: new TermModel(),
       modalTitle: 'New Term',
-      filterBy: ''
+      filterBy: '',
+      showArchived: false,
+      rollingOver: null
     }
   },
 
+  openRollover(e) {
+    e.preventDefault();
+    this.setState({ rollingOver: this.getCollection().get(e.currentTarget.getAttribute('data-id')) });
+  },
+
+  closeRollover() {
+    this.setState({ rollingOver: null });
+  },
+
   close() {
     this.setState({ showModal: false });
   },
@@ -30,6 +43,15 @@ module.exports = React.createBackboneClass({
     });
   },
 
+  toggleArchived(e) {
+    e.preventDefault();
+    // Restored ones show up in the list again
+    if (this.state.showArchived) {
+      this.getCollection().fetch();
+    }
+    this.setState({ showArchived: !this.state.showArchived });
+  },
+
   changeFilterValue(e) {
     this.setState({
       filterBy: e.currentTarget.value
@@ -51,6 +73,11 @@ module.exports = React.createBackboneClass({
             <a href="#" onClick={this.open} data-id={term.id}>
               <FontAwesome name='pencil' />
             </a>
+            {this.props.currentUser.can('courses:write') ?
+            <a href="#" onClick={this.openRollover} data-id={term.id} title="Copy its courses into another term" style={{ marginLeft: '1rem' }} data-test="rollover-term">
+              <FontAwesome name='clone' />
+            </a>
+            : ''}
           </Td>
         </Tr>
       );
@@ -66,31 +93,46 @@ module.exports = React.createBackboneClass({
                 <FontAwesome name='plus' />
                 &nbsp;Term
               </a>
+              <a href="#" className="pull-right" onClick={this.toggleArchived} style={{ marginRight: '1rem' }} data-test="toggle-archived">
+                <FontAwesome name={this.state.showArchived ? 'list' : 'archive'} />
+                &nbsp;{this.state.showArchived ? 'Current' : 'Archived'}
+              </a>
             </small>
           </h3>
-          <FormControl
-            type="text"
-            placeholder="Filter..."
-            onChange={this.changeFilterValue}
-            defaultValue={this.state.filterBy}
+          {this.state.showArchived ?
+          <ArchivedComponent
+            resource="terms"
+            title={term => term.name}
+            detail={term => `${moment.utc(term.start_date).format('MMM D, YYYY')} - ${moment.utc(term.end_date).format('MMM D, YYYY')}`}
+            currentUser={this.props.currentUser}
           />
-          <br />
-          <div className="x-scroll">
-            <Table
-              className="table table-condensed table-striped"
-              itemsPerPage={20}
-              filterable={['Name', 'Dates']}
-              sortable={['Name', 'Dates']}
-              filterBy={this.state.filterBy}
-            >
-              <Thead>
-                <Th>Name</Th>
-                <Th>Dates</Th>
-                <Th>edit</Th>
-              </Thead>
-              {termRows}
-            </Table>
+          :
+          <div>
+            <FormControl
+              type="text"
+              placeholder="Filter..."
+              onChange={this.changeFilterValue}
+              defaultValue={this.state.filterBy}
+            />
+            <br />
+            <div className="x-scroll">
+              <Table
+                className="table table-condensed table-striped"
+                itemsPerPage={20}
+                filterable={['Name', 'Dates']}
+                sortable={['Name', 'Dates']}
+                filterBy={this.state.filterBy}
+              >
+                <Thead>
+                  <Th>Name</Th>
+                  <Th>Dates</Th>
+                  <Th>edit</Th>
+                </Thead>
+                {termRows}
+              </Table>
+            </div>
           </div>
+          }
           <TermModalComponent
             show={this.state.showModal}
             onHide={this.close}
@@ -99,6 +141,13 @@ module.exports = React.createBackboneClass({
             title={this.state.modalTitle}
             listComponent={this}
           />
+          <CopyCoursesModalComponent
+            show={!!this.state.rollingOver}
+            onHide={this.closeRollover}
+            term={this.state.rollingOver}
+            terms={this.getCollection()}
+            onCopied={() => this.getCollection().fetch()}
+          />
         </Col>
       </Row>
     );
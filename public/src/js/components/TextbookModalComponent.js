@@ -43,7 +43,7 @@ module.exports = React.createBackboneClass({
 
   delete(e) {
     e.preventDefault();
-    if (confirm('Are you sure you want to delete this textbook?')) {
+    if (confirm('Archive this textbook? You can restore it from the archived list.')) {
       this.getModel().destroy({
         success: () => {
           this.props.textbooks.remove(this.getModel());
@@ -111,7 +111,7 @@ module.exports = React.createBackboneClass({
                 defaultValue={this.state.textbook.student_url}
               />
             </FormGroup>
-            <a href="#" className="link-danger" onClick={this.delete}>Delete Textbook</a>
+            <a href="#" className="link-danger" onClick={this.delete}>Archive Textbook</a>
           </Modal.Body>
           <Modal.Footer>
             <Button bsStyle="primary" type="submit" block onClick={this.save}>Save</Button>
@@ -0,0 +1,171 @@
+import * as React from 'react';
+import {
+  Panel, Table, FormGroup, ControlLabel, FormControl, Button, Alert
+} from 'react-bootstrap';
+const moment = require('moment');
+const Select = require('react-select');
+const FontAwesome = require('react-fontawesome');
+const ApiTokenModel = require('../models/ApiTokenModel');
+
+module.exports = React.createBackboneClass({
+  scopeOptions: [
+    'users:read',
+    'users:write',
+    'courses:read',
+    'courses:write',
+    'terms:read',
+    'terms:write',
+    'closures:read',
+    'closures:write',
+    'locations:read',
+    'locations:write',
+    'textbooks:read',
+    'textbooks:write',
+    'grades:write',
+    'registrations:write',
+    'charges:write',
+    'import:write',
+    'report:read',
+    'search:read',
+    'audit:read'
+  ].map(scope => ({ value: scope, label: scope })),
+
+  getInitialState() {
+    return {
+      name: '',
+      scopes: [],
+      token: '',
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentDidMount() {
+    this.getCollection().fetch();
+  },
+
+  changeName(e) {
+    this.setState({ name: e.currentTarget.value });
+  },
+
+  selectScopes(options) {
+    this.setState({ scopes: options });
+  },
+
+  create(e) {
+    e.preventDefault();
+    const apiToken = new ApiTokenModel();
+    apiToken.save({
+      name: this.state.name,
+      scopes: this.state.scopes.map(option => option.value)
+    }, {
+      success: () => {
+        this.setState({
+          name: '',
+          scopes: [],
+          token: apiToken.get('token'),
+          alertVisible: 'hidden'
+        });
+        apiToken.unset('token');
+        this.getCollection().add(apiToken, { at: 0 });
+      },
+      error: (model, res) => {
+        this.setState({
+          error: res.responseJSON.message,
+          alertVisible: ''
+        });
+      }
+    });
+  },
+
+  revoke(e) {
+    e.preventDefault();
+    const apiToken = this.getCollection().get(e.currentTarget.getAttribute('data-id'));
+    if (confirm(`Revoke ${apiToken.get('name')}? Anything using it will stop working.`)) {
+      apiToken.destroy({ wait: true });
+    }
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  render() {
+    const rows = this.getCollection().map(apiToken => {
+      return (
+        <tr key={apiToken.id}>
+          <td>{apiToken.get('name')}</td>
+          <td><small>{apiToken.get('scopes').join(', ')}</small></td>
+          <td>{moment(apiToken.get('createdAt')).format('MMM D, YYYY')}</td>
+          <td>{apiToken.get('last_used_at') ? moment(apiToken.get('last_used_at')).fromNow() : 'Never'}</td>
+          <td>
+            <a href="#" className="link-danger" onClick={this.revoke} data-id={apiToken.id}>Revoke</a>
+          </td>
+        </tr>
+      );
+    });
+
+    return (
+      <Panel
+        header={
+          <h3>
+            <FontAwesome name="key" />
+            &nbsp; API Tokens
+          </h3>
+        }
+      >
+        <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+          <p>{this.state.error}</p>
+        </Alert>
+        {this.state.token ?
+        <Alert bsStyle="success">
+          <p>Copy your new token now. You won't be able to see it again.</p>
+          <pre>{this.state.token}</pre>
+        </Alert>
+        : ''}
+        {rows.length ?
+        <Table striped condensed>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Scopes</th>
+              <th>Created</th>
+              <th>Last Used</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows}
+          </tbody>
+        </Table>
+        : ''}
+        <form onSubmit={this.create}>
+          <FormGroup controlId="token-name">
+            <ControlLabel>Name</ControlLabel>
+            <FormControl
+              type="text"
+              placeholder="Admissions spreadsheet"
+              onChange={this.changeName}
+              value={this.state.name}
+            />
+          </FormGroup>
+          <FormGroup controlId="token-scopes">
+            <ControlLabel>Scopes</ControlLabel>
+            <Select
+              name="scopes"
+              value={this.state.scopes}
+              options={this.scopeOptions}
+              onChange={this.selectScopes}
+              multi={true}
+            />
+          </FormGroup>
+          <Button bsStyle="primary" type="submit" block>Create Token</Button>
+        </form>
+        <br />
+        <small>
+          Send tokens in an <code>Authorization: Bearer &lt;token&gt;</code> header.
+        </small>
+      </Panel>
+    );
+  }
+});
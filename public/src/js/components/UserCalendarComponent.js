@@ -0,0 +1,133 @@
+import * as React from 'react';
+import { Panel, Table, Button, Alert } from 'react-bootstrap';
+const FontAwesome = require('react-fontawesome');
+const Clipboard = require('clipboard');
+
+// Calendar apps subscribe to webcal links instead of downloading the file
+function webcal(url) {
+  return url.replace(/^https?:/, 'webcal:');
+}
+
+/**
+* Links to subscribe to in Google, Outlook or Apple calendars: the user's
+* own classes, due dates and holidays, and for staff, single courses and
+* locations. Whoever has a link can see that calendar, so they can all be
+* reset at once.
+*/
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      links: null,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentDidMount() {
+    this.clipboard = new Clipboard('[data-clipboard-text]');
+    $.ajax(this.url(), {
+      success: links => this.setState({ links }),
+      error: this.showError
+    });
+  },
+
+  componentWillUnmount() {
+    this.clipboard.destroy();
+  },
+
+  url() {
+    return `/api/users/${this.props.model.id}/calendar`;
+  },
+
+  reset(e) {
+    e.preventDefault();
+    if (confirm('Reset calendar links? Calendars subscribed to the old ones will stop updating.')) {
+      $.ajax(this.url(), {
+        method: 'delete',
+        success: links => this.setState({ links, alertVisible: 'hidden' }),
+        error: this.showError
+      });
+    }
+  },
+
+  showError(res) {
+    this.setState({
+      error: res.responseJSON ? res.responseJSON.message || res.responseJSON.error : 'Error getting calendar links.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  renderLink(url) {
+    return (
+      <span className="nowrap">
+        <a href={webcal(url)}>
+          <FontAwesome name="calendar-plus-o" />
+          &nbsp;Subscribe
+        </a>
+        &nbsp;|&nbsp;
+        <a href="#" data-clipboard-text={url} onClick={e => e.preventDefault()}>
+          <FontAwesome name="clipboard" />
+          &nbsp;Copy Link
+        </a>
+      </span>
+    );
+  },
+
+  render() {
+    const links = this.state.links;
+    const feeds = links ? links.courses.map(course => {
+      return (
+        <tr key={course._id}>
+          <td>{course.name} {course.term ? <small className="text-muted">{course.term}</small> : ''}</td>
+          <td>{this.renderLink(course.url)}</td>
+        </tr>
+      );
+    }).concat(links.locations.map(location => {
+      return (
+        <tr key={location._id}>
+          <td><FontAwesome name="map-marker" /> {location.name}</td>
+          <td>{this.renderLink(location.url)}</td>
+        </tr>
+      );
+    })) : [];
+
+    return (
+      <Panel
+        header={
+          <h3>
+            <FontAwesome name="calendar" />
+            &nbsp; Calendar
+          </h3>
+        }
+      >
+        <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+          <p>{this.state.error}</p>
+        </Alert>
+        {links ?
+        <div>
+          <p>
+            Your classes, due dates and holidays, kept up to date in Google, Outlook or Apple calendars.
+          </p>
+          <p data-test="calendar-link">{this.renderLink(links.user)}</p>
+          {feeds.length ?
+          <Table striped condensed>
+            <tbody>
+              {feeds}
+            </tbody>
+          </Table>
+          : ''}
+          <Button bsStyle="danger" block onClick={this.reset} data-test="reset-calendar">
+            Reset Links
+          </Button>
+        </div>
+        :
+        <p className="text-muted">Loading...</p>
+        }
+      </Panel>
+    );
+  }
+});
@@ -5,7 +5,7 @@ const moment = require('moment');
 import { Doughnut } from 'react-chartjs';
 import {
   Col, Row, Panel, PanelGroup, Table, Well, ControlLabel, FormControl,
-  InputGroup, Button
+  InputGroup, Button, Alert
 } from 'react-bootstrap';
 const Gravatar = require('react-gravatar');
 import Equalizer from 'react-equalizer';
@@ -16,6 +16,13 @@ const TermsCollection = require('../collections/TermsCollection');
 const UserAccountComponent = require('./UserAccountComponent');
 const UserModalComponent = require('./UserModalComponent');
 const UserReviewComponent = require('./UserReviewComponent');
+const UserTwoFactorComponent = require('./UserTwoFactorComponent');
+const UserApiTokensComponent = require('./UserApiTokensComponent');
+const UserSessionsComponent = require('./UserSessionsComponent');
+const UserCalendarComponent = require('./UserCalendarComponent');
+const HistoryComponent = require('./HistoryComponent');
+const ApiTokensCollection = require('../collections/ApiTokensCollection');
+const SessionsCollection = require('../collections/SessionsCollection');
 const GradeModel = require('../models/GradeModel');
 
 module.exports = React.createBackboneClass({
@@ -23,6 +30,8 @@ module.exports = React.createBackboneClass({
     return {
       showModal: false,
       user: this.getModel(),
+      apiTokens: new ApiTokensCollection(),
+      sessions: new SessionsCollection([], { user: this.getModel() }),
       activeKey: this.getModel().currentCourse().id
     }
   },
@@ -54,7 +63,7 @@ module.exports = React.createBackboneClass({
   changeAttendance(e) {
     e.preventDefault();
     const date = e.currentTarget.getAttribute('data-date');
-    if (this.props.currentUser.get('is_admin') || this.props.currentUser.get('is_instructor')) {
+    if (this.props.currentUser.can('attendance:write')) {
       this.checkIn(date);
     } else if (moment(date, 'YYYY-MM-DD HH:mm').isSame(moment(), 'day')) {
       const code = prompt('Enter Daily Attendance Code');
@@ -65,18 +74,48 @@ module.exports = React.createBackboneClass({
     }
   },
 
-  generateApiKey(e) {
+  unlock(e) {
     e.preventDefault();
-    this.getModel().save({
-      generate_api_key: true
-    }, {
+    $.ajax(`/api/users/${this.getModel().id}/unlock`, {
+      method: 'post',
       success: () => {
-        if (this.getModel().id === this.props.currentUser.id) {
-          this.props.currentUser.set('api_key', this.getModel().get('api_key'));
-        }
+        this.getModel().set('locked_until', null);
+      }
+    });
+  },
+
+  resendVerification(e) {
+    e.preventDefault();
+    $.ajax(`/api/users/${this.getModel().id}/verification`, {
+      method: 'post',
+      success: response => {
+        alert(response.message);
+      }
+    });
+  },
+
+  canImpersonate() {
+    const currentUser = this.props.currentUser;
+    const user = this.getModel();
+    return currentUser.can('users:impersonate') && !currentUser.get('impersonator') &&
+      currentUser.id !== user.id && !user.get('is_client');
+  },
+
+  impersonate(e) {
+    e.preventDefault();
+    $.ajax(`/api/impersonation/${this.getModel().id}`, {
+      method: 'post',
+      success: () => {
+        window.location.assign('/');
+      },
+      error: res => {
+        alert(res.responseJSON.message);
       }
     });
-    this.getModel().unset('generate_api_key', { silent: true });
+  },
+
+  refresh() {
+    this.getModel().fetch();
   },
 
   handleSelect(activeKey) {
@@ -104,7 +143,9 @@ module.exports = React.createBackboneClass({
 
   render() {
     const courses = this.getModel().get('courses').map((course, i) => {
-      const dates = course.classDates().map((date, j) => {
+      const dates = course.sessions(moment(course.get('term').get('end_date'), 'YYYY-MM-DD')).map((session, j) => {
+        const date = moment(session.date, 'YYYY-MM-DD');
+        const changes = course.sessionChanges(session);
         let attended = <FontAwesome name="calendar-o" />;
         let matched;
         let checkin;
@@ -124,7 +165,7 @@ module.exports = React.createBackboneClass({
         if (
           !matched &&
           (date.isSame(moment(), 'day') ||
-            (this.props.currentUser.roles().some(role => ['instructor', 'admin'].includes(role)) && date.isSameOrBefore(moment(), 'day'))
+            (this.props.currentUser.can('attendance:write') && date.isSameOrBefore(moment(), 'day'))
           )
         ) {
           checkin = <a href="#" onClick={this.changeAttendance} data-date={date.format('YYYY-MM-DD HH:ss')}>Check In</a>;
@@ -132,6 +173,10 @@ module.exports = React.createBackboneClass({
         return (
           <tr key={`${i}-${j}`}>
             <td>{date.format("ddd, MMM D")}</td>
+            <td className="nowrap">
+              {course.sessionTimes(session)}
+              {changes.length ? <div><small className="text-warning">{changes.join(', ')}</small></div> : ''}
+            </td>
             <td>{attended} {checkin}</td>
             <td>
               { video ?
@@ -242,9 +287,7 @@ module.exports = React.createBackboneClass({
                     <p>
                       <ControlLabel>Class Times</ControlLabel>
                       <br />
-                      {course.shortDays()}
-                      <br />
-                      {`${moment(course.get('timeStart'), 'HH:mm').format('h:mm a')} - ${moment(course.get('timeEnd'), 'HH:mm').format('h:mm a')}`}
+                      {course.schedule()}
                     </p>
                   </Col>
                   <Col xs={6}>
@@ -300,6 +343,7 @@ module.exports = React.createBackboneClass({
                 <thead>
                   <tr>
                     <th>Date</th>
+                    <th>Time</th>
                     <th>Attended</th>
                     <th>Screencast</th>
                   </tr>
@@ -331,7 +375,7 @@ module.exports = React.createBackboneClass({
       );
     });
 
-    const hidden = this.props.currentUser.get('is_admin') || this.props.currentUser.id === this.getModel().id ? '' : ' hidden';
+    const hidden = this.props.currentUser.can('users:write') || this.props.currentUser.id === this.getModel().id ? '' : ' hidden';
 
     return (
       <div>
@@ -345,9 +389,29 @@ module.exports = React.createBackboneClass({
                     <a className={`${hidden} pull-right`} onClick={this.open} data-test="edit-profile">
                       <FontAwesome name="pencil" fixedWidth={true} />
                     </a>
+                    {this.canImpersonate() ?
+                    <a className="pull-right" onClick={this.impersonate} title="View as this user" data-test="impersonate">
+                      <FontAwesome name="user-secret" fixedWidth={true} />
+                    </a>
+                    : ''}
                   </h3>
                 }
               >
+                {this.getModel().get('email_pending') && !hidden ?
+                <Alert bsStyle="warning">
+                  This email address hasn't been verified yet.
+                  {this.getModel().get('email_verification_required') ?
+                    ' Payments and course registration are turned off until it is.' : ''}
+                  &nbsp;<a href="#" onClick={this.resendVerification} data-test="resend-verification">Resend verification email</a>
+                </Alert>
+                : ''}
+                {this.props.currentUser.can('users:write') && this.getModel().get('locked_until') ?
+                <Alert bsStyle="warning">
+                  Locked out after too many failed logins until
+                  &nbsp;{moment(this.getModel().get('locked_until')).format('h:mm a')}.
+                  &nbsp;<a href="#" onClick={this.unlock} data-test="unlock-user">Unlock</a>
+                </Alert>
+                : ''}
                 <Row>
                   <Col xs={12}>
                     <h4>
@@ -433,12 +497,10 @@ module.exports = React.createBackboneClass({
             {this.getModel().get('is_admin') ?
             <Col xs={12} md={6} lg={4}>
               <Panel header={<h3>Admin Tips</h3>}>
-                <p>New User Registration can be found at</p>
-                <small><pre>{process.env.DOMAIN + '/register/' + this.getModel().get('client')}</pre></small>
+                <p>Invite new students, instructors and admins from</p>
+                <small><pre>Admin &rarr; Users &rarr; Invite</pre></small>
                 <p>Users can reset their password at</p>
                 <small><pre>{process.env.DOMAIN + '/reset'}</pre></small>
-                <p>Your API Key is</p>
-                <small><pre>{this.getModel().get('api_key')}</pre> <a href="#" onClick={this.generateApiKey}>generate</a></small>
               </Panel>
             </Col>
             :
@@ -489,11 +551,43 @@ module.exports = React.createBackboneClass({
           <Col xs={12} md={6}>
             <UserReviewComponent model={this.getModel()} />
           </Col>
+          {this.props.currentUser.id === this.getModel().id &&
+            this.getModel().roles().some(role => ['owner', 'admin', 'instructor'].includes(role)) ?
+          <Col xs={12} md={6}>
+            <UserTwoFactorComponent model={this.getModel()} />
+          </Col>
+          : ''}
+          {this.props.currentUser.id === this.getModel().id &&
+            this.getModel().roles().some(role => ['owner', 'admin', 'instructor'].includes(role)) ?
+          <Col xs={12} md={6}>
+            <UserApiTokensComponent collection={this.state.apiTokens} />
+          </Col>
+          : ''}
+          {!hidden && !this.props.currentUser.get('impersonator') ?
+          <Col xs={12} md={6}>
+            <UserSessionsComponent collection={this.state.sessions} />
+          </Col>
+          : ''}
+          {this.props.currentUser.id === this.getModel().id && !this.props.currentUser.get('impersonator') ?
+          <Col xs={12} md={6}>
+            <UserCalendarComponent model={this.getModel()} />
+          </Col>
+          : ''}
           <Col xs={12}>
             <PanelGroup activeKey={this.state.activeKey} onSelect={this.handleSelect} accordion>
               {courses}
             </PanelGroup>
           </Col>
+          {this.props.currentUser.can('history:read') ?
+          <Col xs={12}>
+            <HistoryComponent
+              resource="users"
+              id={this.getModel().id}
+              currentUser={this.props.currentUser}
+              onRevert={this.refresh}
+            />
+          </Col>
+          : ''}
         </Row>
         <UserModalComponent
           show={this.state.showModal}
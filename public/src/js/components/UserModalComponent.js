@@ -6,6 +6,7 @@ import {
 const Select = require('react-select');
 import ReactPhoneInput from 'react-phone-input';
 const UserModel = require('../models/UserModel');
+const RolesCollection = require('../collections/RolesCollection');
 
 module.exports = React.createBackboneClass({
   roleOptions: [
@@ -18,12 +19,28 @@ module.exports = React.createBackboneClass({
     return {
       user: this.getModel().attributes,
       roles: [],
+      customRoles: new RolesCollection(),
       alertVisible: 'hidden',
       error: '',
       title: this.props.title
     }
   },
 
+  componentDidMount() {
+    if (this.props.currentUser.can('users:roles')) {
+      this.state.customRoles.fetch({
+        success: () => this.forceUpdate()
+      });
+    }
+  },
+
+  // Built-in roles are the is_* flags; everything else is a custom role id
+  allRoleOptions() {
+    return this.roleOptions.concat(this.state.customRoles.filter(role => !role.get('builtin')).map(role => {
+      return { value: role.id, label: role.get('name') };
+    }));
+  },
+
   selectRoles(options) {
     this.setState({ roles: options });
     this.roleOptions.forEach(role => {
@@ -31,6 +48,7 @@ module.exports = React.createBackboneClass({
         return option.value === role.value;
       });
     });
+    this.state.user.roles = options.filter(option => !option.attr).map(option => option.value);
   },
 
   changeTextValue(e) {
@@ -67,7 +85,7 @@ module.exports = React.createBackboneClass({
 
   delete(e) {
     e.preventDefault();
-    if (confirm('Are you sure you want to delete this user?')) {
+    if (confirm('Archive this user? You can restore it from the archived list.')) {
       this.getModel().destroy({
         success: () => {
           this.props.users.remove(this.getModel());
@@ -90,8 +108,8 @@ module.exports = React.createBackboneClass({
     this.setState({
       title: nextProps.title,
       user: this.getModel().attributes,
-      roles: this.roleOptions.filter(role => {
-        return this.getModel().roles().includes(role.value);
+      roles: this.allRoleOptions().filter(role => {
+        return this.getModel().roles().includes(role.value) || (this.getModel().get('roles') || []).includes(role.value);
       })
     });
   },
@@ -101,7 +119,7 @@ module.exports = React.createBackboneClass({
   },
 
   render() {
-    const hidden = this.props.currentUser.roles().includes('admin') ? '' : 'hidden';
+    const hidden = this.props.currentUser.can('users:write') ? '' : 'hidden';
 
     return (
       <Modal show={this.props.show} onHide={this.props.onHide}>
@@ -149,12 +167,12 @@ module.exports = React.createBackboneClass({
                 value={this.state.user.phone}
               />
             </FormGroup>
-            <FormGroup controlId="roles" className={`${hidden}`}>
+            <FormGroup controlId="roles" className={this.props.currentUser.can('users:roles') ? '' : 'hidden'}>
               <ControlLabel>Roles</ControlLabel>
               <Select
                 name="roles"
                 value={this.state.roles}
-                options={this.roleOptions}
+                options={this.allRoleOptions()}
                 onChange={this.selectRoles}
                 multi={true}
               />
@@ -225,7 +243,7 @@ module.exports = React.createBackboneClass({
                 defaultValue={this.state.user.credits}
               />
             </FormGroup>
-            <a href="#" className={`link-danger ${hidden}`} onClick={this.delete}>Delete User</a>
+            <a href="#" className={`link-danger ${this.props.currentUser.can('users:delete') ? '' : 'hidden'}`} onClick={this.delete}>Archive User</a>
           </Modal.Body>
           <Modal.Footer>
             <Button bsStyle="primary" type="submit" block onClick={this.save}>Save</Button>
@@ -0,0 +1,115 @@
+import * as React from 'react';
+import { Panel, Table, Button, Alert } from 'react-bootstrap';
+const moment = require('moment');
+const FontAwesome = require('react-fontawesome');
+
+module.exports = React.createBackboneClass({
+  getInitialState() {
+    return {
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  componentDidMount() {
+    this.getCollection().fetch();
+  },
+
+  revoke(e) {
+    e.preventDefault();
+    const session = this.getCollection().get(e.currentTarget.getAttribute('data-id'));
+    session.destroy({
+      wait: true,
+      error: this.showError
+    });
+  },
+
+  revokeAll(e) {
+    e.preventDefault();
+    if (confirm(`${this.label()}? Any browser or device that isn't this one will need to log in again.`)) {
+      $.ajax(this.getCollection().url(), {
+        method: 'delete',
+        success: () => {
+          this.getCollection().reset(this.getCollection().where({ current: true }));
+        },
+        error: res => {
+          this.showError(null, res);
+        }
+      });
+    }
+  },
+
+  label() {
+    return this.getCollection().some(session => session.get('current')) ?
+      'Log Out Everywhere Else' : 'Log Out Everywhere';
+  },
+
+  showError(model, res) {
+    this.setState({
+      error: res.responseJSON ? res.responseJSON.message || res.responseJSON.error : 'Error ending session.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  render() {
+    const rows = this.getCollection().map(session => {
+      return (
+        <tr key={session.id}>
+          <td><small>{session.get('user_agent')}</small></td>
+          <td>{session.get('ip')}</td>
+          <td>{moment(session.get('createdAt')).format('MMM D, h:mm a')}</td>
+          <td>{moment(session.get('last_seen_at')).fromNow()}</td>
+          <td>
+            {session.get('current') ?
+            <span className="text-muted">This browser</span>
+            :
+            <a href="#" className="link-danger" onClick={this.revoke} data-id={session.id}>Log Out</a>
+            }
+          </td>
+        </tr>
+      );
+    });
+
+    return (
+      <Panel
+        header={
+          <h3>
+            <FontAwesome name="desktop" />
+            &nbsp; Active Sessions
+          </h3>
+        }
+      >
+        <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+          <p>{this.state.error}</p>
+        </Alert>
+        <Table striped condensed>
+          <thead>
+            <tr>
+              <th>Browser</th>
+              <th>IP</th>
+              <th>Signed In</th>
+              <th>Last Seen</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows}
+          </tbody>
+        </Table>
+        <Button
+          bsStyle="danger"
+          block
+          onClick={this.revokeAll}
+          disabled={!this.getCollection().some(session => !session.get('current'))}
+          data-test="revoke-sessions"
+        >
+          {this.label()}
+        </Button>
+      </Panel>
+    );
+  }
+});
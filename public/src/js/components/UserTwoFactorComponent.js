@@ -0,0 +1,158 @@
+import * as React from 'react';
+import {
+  Panel, FormGroup, ControlLabel, FormControl, Button, Alert
+} from 'react-bootstrap';
+const FontAwesome = require('react-fontawesome');
+
+module.exports = React.createBackboneClass({
+  getInitialState() {
+    return {
+      qr: '',
+      secret: '',
+      code: '',
+      recoveryCodes: [],
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  request(path, success) {
+    $.ajax(`/api/two-factor/${path}`, {
+      method: 'post',
+      data: {
+        code: this.state.code
+      },
+      success: response => {
+        this.setState({ code: '', alertVisible: 'hidden' });
+        success(response);
+      },
+      error: res => {
+        this.setState({
+          error: res.responseJSON.message,
+          alertVisible: ''
+        });
+      }
+    });
+  },
+
+  setup(e) {
+    e.preventDefault();
+    this.request('setup', response => {
+      this.setState({
+        qr: response.qr,
+        secret: response.secret,
+        recoveryCodes: []
+      });
+    });
+  },
+
+  enable(e) {
+    e.preventDefault();
+    this.request('enable', response => {
+      this.setState({
+        qr: '',
+        secret: '',
+        recoveryCodes: response.recovery_codes
+      });
+      this.getModel().set('two_factor_enabled', true);
+    });
+  },
+
+  regenerate(e) {
+    e.preventDefault();
+    this.request('recovery-codes', response => {
+      this.setState({ recoveryCodes: response.recovery_codes });
+    });
+  },
+
+  disable(e) {
+    e.preventDefault();
+    if (confirm('Are you sure you want to turn off two-factor authentication?')) {
+      this.request('disable', () => {
+        this.setState({ recoveryCodes: [] });
+        this.getModel().set('two_factor_enabled', false);
+      });
+    }
+  },
+
+  changeCode(e) {
+    this.setState({ code: e.currentTarget.value });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  render() {
+    const codeInput = (
+      <FormGroup controlId="two-factor-code">
+        <ControlLabel>Authentication Code</ControlLabel>
+        <FormControl
+          type="text"
+          placeholder="123456"
+          autoComplete="off"
+          onChange={this.changeCode}
+          value={this.state.code}
+        />
+      </FormGroup>
+    );
+
+    let body;
+    if (this.state.qr) {
+      body = (
+        <form onSubmit={this.enable}>
+          <p>Scan this code with an authenticator app, then enter the code it shows.</p>
+          <p className="text-center">
+            <img src={this.state.qr} />
+            <br />
+            <small><code>{this.state.secret}</code></small>
+          </p>
+          {codeInput}
+          <Button bsStyle="primary" type="submit" block>Enable</Button>
+        </form>
+      );
+    } else if (this.getModel().get('two_factor_enabled')) {
+      body = (
+        <form onSubmit={this.regenerate}>
+          <p>
+            <FontAwesome name="check" className="text-success" fixedWidth={true} />
+            &nbsp; Two-factor authentication is on.
+          </p>
+          {codeInput}
+          <Button type="submit" block>New Recovery Codes</Button>
+          <Button bsStyle="danger" block onClick={this.disable}>Turn Off</Button>
+        </form>
+      );
+    } else {
+      body = (
+        <div>
+          <p>Protect your account with a code from your phone as well as your password.</p>
+          <Button bsStyle="primary" block onClick={this.setup} data-test="setup-two-factor">Set Up</Button>
+        </div>
+      );
+    }
+
+    return (
+      <Panel
+        header={
+          <h3>
+            <FontAwesome name="lock" />
+            &nbsp; Two-Factor Authentication
+          </h3>
+        }
+      >
+        <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+          <p>{this.state.error}</p>
+        </Alert>
+        {body}
+        {this.state.recoveryCodes.length ?
+        <div>
+          <br />
+          <p>Save these recovery codes somewhere safe. Each one can be used once if you lose your phone.</p>
+          <pre>{this.state.recoveryCodes.join('\n')}</pre>
+        </div>
+        : ''}
+      </Panel>
+    );
+  }
+});
@@ -0,0 +1,312 @@
+import * as React from 'react';
+import { Table, Tr, Td, Th, Thead } from 'reactable';
+import {
+  Row, Col, Panel, FormGroup, ControlLabel, FormControl, Button, Alert, Label
+} from 'react-bootstrap';
+const Dropzone = require('react-dropzone');
+const Select = require('react-select');
+const FontAwesome = require('react-fontawesome');
+
+const FIELDS = [
+  { value: 'username', label: 'Email' },
+  { value: 'first_name', label: 'First name' },
+  { value: 'last_name', label: 'Last name' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'website', label: 'Website' },
+  { value: 'github', label: 'GitHub' },
+  { value: 'codecademy', label: 'Codecademy' },
+  { value: 'zipcode', label: 'Zip code' }
+];
+
+const ACTIONS = {
+  create: { label: 'Create', style: 'success' },
+  update: { label: 'Update', style: 'info' },
+  skip: { label: 'Skip', style: 'default' },
+  reject: { label: 'Reject', style: 'danger' }
+};
+
+const RESULTS = {
+  created: 'success',
+  updated: 'info',
+  skipped: 'default',
+  rejected: 'danger',
+  failed: 'danger'
+};
+
+module.exports = React.createClass({
+  getInitialState() {
+    return {
+      userImport: null,
+      course: null,
+      show: '',
+      working: false,
+      alertVisible: 'hidden',
+      error: ''
+    };
+  },
+
+  showError(res) {
+    this.setState({
+      working: false,
+      error: res.responseJSON ? res.responseJSON.message : 'Something went wrong.',
+      alertVisible: ''
+    });
+  },
+
+  handleAlertDismiss() {
+    this.setState({ alertVisible: 'hidden' });
+  },
+
+  loaded(userImport) {
+    this.setState({ userImport: userImport, working: false, alertVisible: 'hidden' });
+  },
+
+  onDrop(files) {
+    if (!files.length) {
+      return;
+    }
+    const data = new FormData();
+    data.append('file', files[0]);
+    this.setState({ working: true });
+    $.ajax('/api/import/users', {
+      method: 'post',
+      data: data,
+      processData: false,
+      contentType: false,
+      success: this.loaded,
+      error: this.showError
+    });
+  },
+
+  changeMapping(column, option) {
+    const mapping = Object.assign({}, this.state.userImport.mapping);
+    delete mapping[column];
+    if (option) {
+      // A field can only come from one column
+      Object.keys(mapping).forEach(other => {
+        if (mapping[other] === option.value) {
+          delete mapping[other];
+        }
+      });
+      mapping[column] = option.value;
+    }
+    this.setState({ working: true });
+    $.ajax(`/api/import/users/${this.state.userImport._id}`, {
+      method: 'put',
+      contentType: 'application/json',
+      data: JSON.stringify({ mapping: mapping }),
+      success: this.loaded,
+      error: this.showError
+    });
+  },
+
+  commit(e) {
+    e.preventDefault();
+    const counts = this.state.userImport.counts;
+    if (!confirm(`Create ${counts.create} and update ${counts.update} users?`)) {
+      return;
+    }
+    this.setState({ working: true });
+    $.ajax(`/api/import/users/${this.state.userImport._id}/commit`, {
+      method: 'post',
+      data: { course: this.state.course || '' },
+      success: this.loaded,
+      error: this.showError
+    });
+  },
+
+  restart(e) {
+    e.preventDefault();
+    this.setState(this.getInitialState());
+  },
+
+  renderUpload() {
+    return (
+      <Panel header={<h3><FontAwesome name="upload" />&nbsp; Upload</h3>}>
+        <p>
+          Upload a CSV or Excel file with one user per row and a header row.
+          Columns for email, first name and last name are required; phone, website,
+          GitHub, Codecademy and zip code are optional.
+          Nothing is saved until you've checked the preview.
+        </p>
+        <Dropzone
+          accept=".csv,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+          multiple={false}
+          onDrop={this.onDrop}
+          className="well text-center"
+          activeClassName="well text-center text-primary"
+          style={{ cursor: 'pointer' }}
+        >
+          <FontAwesome name={this.state.working ? 'spinner' : 'file-excel-o'} spin={this.state.working} size="3x" />
+          <div>Drop a spreadsheet here, or click to choose one</div>
+        </Dropzone>
+      </Panel>
+    );
+  },
+
+  renderMapping() {
+    const userImport = this.state.userImport;
+    return (
+      <Panel header={<h3><FontAwesome name="columns" />&nbsp; Columns</h3>}>
+        {userImport.columns.map(column => {
+          return (
+            <FormGroup key={column}>
+              <ControlLabel>{column}</ControlLabel>
+              <Select
+                options={FIELDS}
+                value={userImport.mapping[column] || null}
+                onChange={option => this.changeMapping(column, option)}
+                placeholder="Don't import"
+                disabled={this.state.working}
+              />
+            </FormGroup>
+          );
+        })}
+      </Panel>
+    );
+  },
+
+  renderCommit() {
+    const counts = this.state.userImport.counts;
+    const courseOptions = (this.props.courses || []).map(course => {
+      return { value: course.id, label: `${course.get('name')} (${course.get('term').get('name')})` };
+    });
+    return (
+      <Panel header={<h3><FontAwesome name="check" />&nbsp; Import</h3>}>
+        <form onSubmit={this.commit}>
+          {courseOptions.length ?
+          <FormGroup>
+            <ControlLabel>Register everyone into</ControlLabel>
+            <Select
+              options={courseOptions}
+              value={this.state.course}
+              onChange={option => this.setState({ course: option ? option.value : null })}
+              placeholder="No course"
+            />
+          </FormGroup>
+          : ''}
+          <Button
+            bsStyle="primary"
+            type="submit"
+            block
+            disabled={this.state.working || !(counts.create || counts.update || this.state.course)}
+            data-test="commit-import"
+          >
+            Import
+          </Button>
+        </form>
+      </Panel>
+    );
+  },
+
+  renderRows() {
+    const userImport = this.state.userImport;
+    const committed = userImport.status === 'committed';
+    const email = Object.keys(userImport.mapping).find(column => userImport.mapping[column] === 'username');
+    const first = Object.keys(userImport.mapping).find(column => userImport.mapping[column] === 'first_name');
+    const last = Object.keys(userImport.mapping).find(column => userImport.mapping[column] === 'last_name');
+    const rows = userImport.rows
+      .filter(row => !this.state.show || (committed ? row.result : row.action) === this.state.show)
+      .map(row => {
+        const action = committed ? row.result : row.action;
+        return (
+          <Tr key={row.line}>
+            <Td column="Line">{row.line}</Td>
+            <Td column="Email">{email ? row.data[email] : ''}</Td>
+            <Td column="Name">{`${first ? row.data[first] : ''} ${last ? row.data[last] : ''}`}</Td>
+            <Td column="Action" value={action}>
+              <Label bsStyle={committed ? RESULTS[action] : ACTIONS[action].style}>{action}</Label>
+            </Td>
+            <Td column="Reason">{`${row.reason || ''}${row.registered ? ' (registered)' : ''}`}</Td>
+          </Tr>
+        );
+      });
+    const totals = committed ? Object.keys(RESULTS) : Object.keys(ACTIONS);
+
+    return (
+      <div>
+        <p>
+          <a href="#" onClick={e => { e.preventDefault(); this.setState({ show: '' }); }}>
+            All <span className="badge">{userImport.rows.length}</span>
+          </a>
+          {totals.map(key => {
+            return (
+              <a href="#" key={key} style={{ marginLeft: '1rem' }} onClick={e => { e.preventDefault(); this.setState({ show: key }); }}>
+                {committed ? key : ACTIONS[key].label} <span className="badge">{userImport.counts[key] || 0}</span>
+              </a>
+            );
+          })}
+        </p>
+        <div className="x-scroll">
+          <Table className="table table-condensed table-striped" itemsPerPage={50} sortable={['Line', 'Email', 'Action']}>
+            <Thead>
+              <Th column="Line">Line</Th>
+              <Th column="Email">Email</Th>
+              <Th column="Name">Name</Th>
+              <Th column="Action">{committed ? 'Result' : 'Action'}</Th>
+              <Th column="Reason">Reason</Th>
+            </Thead>
+            {rows}
+          </Table>
+        </div>
+      </div>
+    );
+  },
+
+  render() {
+    const userImport = this.state.userImport;
+    const committed = userImport && userImport.status === 'committed';
+    return (
+      <Row>
+        <Col xs={12}>
+          <h3>
+            Import Users
+            {userImport ?
+            <small>
+              <a href="#" className="pull-right" onClick={this.restart}>
+                <FontAwesome name="refresh" />
+                &nbsp;Start over
+              </a>
+              {committed ?
+              <a href={`/api/import/users/${userImport._id}/report`} className="pull-right" style={{ marginRight: '1rem' }} data-test="import-report">
+                <FontAwesome name="download" />
+                &nbsp;Report
+              </a>
+              : ''}
+            </small>
+            : ''}
+          </h3>
+          <Alert className={this.state.alertVisible} bsStyle="danger" onDismiss={this.handleAlertDismiss}>
+            <p>{this.state.error}</p>
+          </Alert>
+          {committed ?
+          <Alert bsStyle="success">
+            <p>
+              Imported {userImport.filename}: {userImport.counts.created || 0} created, {userImport.counts.updated || 0} updated
+              {userImport.counts.registered ? `, ${userImport.counts.registered} registered` : ''}.
+              Download the report to check it against your spreadsheet.
+            </p>
+          </Alert>
+          : ''}
+        </Col>
+        {userImport ?
+        <div>
+          {!committed ?
+          <Col xs={12} md={4}>
+            {this.renderMapping()}
+            {this.renderCommit()}
+          </Col>
+          : ''}
+          <Col xs={12} md={committed ? 12 : 8}>
+            {this.renderRows()}
+          </Col>
+        </div>
+        :
+        <Col xs={12} md={6}>
+          {this.renderUpload()}
+        </Col>
+        }
+      </Row>
+    );
+  }
+});
@@ -1,21 +1,107 @@
 import * as Backbone from 'backbone';
 import * as React from 'react';
+import * as _ from 'underscore';
 import { Table, Tr, Td, Th, Thead } from 'reactable';
-import { Col, Row, Button, FormControl } from 'react-bootstrap';
+import { Col, Row, Button, FormControl, Pagination } from 'react-bootstrap';
+const Select = require('react-select');
 const FontAwesome = require('react-fontawesome');
 const UserModalComponent = require('./UserModalComponent');
+const InviteModalComponent = require('./InviteModalComponent');
+const ArchivedComponent = require('./ArchivedComponent');
 const UserModel = require('../models/UserModel');
+const InvitesCollection = require('../collections/InvitesCollection');
+
+const PER_PAGE = 50;
+const ROLE_OPTIONS = [
+  { value: 'owner', label: 'Owners' },
+  { value: 'admin', label: 'Admins' },
+  { value: 'instructor', label: 'Instructors' },
+  { value: 'student', label: 'Students' }
+];
 
 module.exports = React.createBackboneClass({
   getInitialState() {
     return {
       showModal: false,
+      showInviteModal: false,
+      invites: new InvitesCollection(),
       user: new UserModel(),
       modalTitle: 'New User',
-      filterBy: ''
+      page: 1,
+      showArchived: false,
+      filters: {
+        q: '',
+        role: null,
+        course: null,
+        term: null,
+        created_after: '',
+        created_before: '',
+        sort: 'last_name'
+      }
     }
   },
 
+  componentWillMount() {
+    this.search = _.debounce(() => this.fetchPage(1), 300);
+  },
+
+  componentDidMount() {
+    this.fetchPage(1);
+  },
+
+  componentWillUnmount() {
+    this.search.cancel();
+  },
+
+  fetchPage(page) {
+    const data = _.pick(this.state.filters, value => !!value);
+    data.page = page;
+    data.per_page = PER_PAGE;
+    this.setState({ page: page });
+    this.getCollection().fetch({ data: data, reset: true });
+  },
+
+  setFilter(key, value) {
+    this.setState({
+      filters: Object.assign({}, this.state.filters, { [key]: value })
+    }, () => this.fetchPage(1));
+  },
+
+  changeSearch(e) {
+    this.setState({
+      filters: Object.assign({}, this.state.filters, { q: e.currentTarget.value })
+    }, this.search);
+  },
+
+  changeDate(e) {
+    this.setFilter(e.currentTarget.getAttribute('data-filter'), e.currentTarget.value);
+  },
+
+  toggleArchived(e) {
+    e.preventDefault();
+    // Restored users show up in the list again
+    if (this.state.showArchived) {
+      this.fetchPage(this.state.page);
+    }
+    this.setState({ showArchived: !this.state.showArchived });
+  },
+
+  sortBy(e) {
+    e.preventDefault();
+    const sort = e.currentTarget.getAttribute('data-sort');
+    this.setFilter('sort', this.state.filters.sort === sort ? `-${sort}` : sort);
+  },
+
+  sortHeader(label, sort) {
+    const current = this.state.filters.sort;
+    const icon = current === sort ? 'sort-asc' : current === `-${sort}` ? 'sort-desc' : 'sort';
+    return (
+      <a href="#" onClick={this.sortBy} data-sort={sort}>
+        {label} <FontAwesome name={icon} />
+      </a>
+    );
+  },
+
   close() {
     this.setState({ showModal: false });
   },
@@ -30,22 +116,34 @@ module.exports = React.createBackboneClass({
     });
   },
 
-  show(e) {
+  closeInvite() {
+    this.setState({ showInviteModal: false });
+  },
+
+  openInvite(e) {
     e.preventDefault();
-    Backbone.history.navigate('users/' + e.currentTarget.getAttribute('data-id'), true);
+    this.setState({ showInviteModal: true });
   },
 
-  changeFilterValue(e) {
-    this.setState({
-      filterBy: e.currentTarget.value
-    });
+  show(e) {
+    e.preventDefault();
+    Backbone.history.navigate('users/' + e.currentTarget.getAttribute('data-id'), true);
   },
 
   render() {
-    const userRows = this.getCollection().map(user => {
+    const users = this.getCollection();
+    const filters = this.state.filters;
+    const pages = Math.ceil(users.total / PER_PAGE);
+    const courseOptions = (this.props.courses || []).map(course => {
+      return { value: course.id, label: `${course.get('name')} (${course.get('term').get('name')})` };
+    });
+    const termOptions = (this.props.terms || []).map(term => {
+      return { value: term.id, label: term.get('name') };
+    });
+    const userRows = users.map(user => {
       return (
         <Tr key={user.id}>
-          <Td column="IDN">{user.get('idn')}</Td>
+          <Td column="IDN" value={user.get('idn')}>{user.displayIdn(this.props.currentUser.get('organization'))}</Td>
           <Td column="Name" value={user.fullName()}>
             <a href="#" onClick={this.show} data-id={user.id}>{user.fullName()}</a>
           </Td>
@@ -71,38 +169,108 @@ module.exports = React.createBackboneClass({
           <h3>
             Users
             <small>
-              <a href="#" className="pull-right" onClick={this.open}>
+              <a href="#" className={`${this.props.currentUser.can('users:write') ? '' : 'hidden'} pull-right`} onClick={this.open}>
                 <FontAwesome name='plus' />
                 &nbsp;User
               </a>
+              <a href="#" className={`${this.props.currentUser.can('users:delete') ? '' : 'hidden'} pull-right`} onClick={this.toggleArchived} style={{ marginRight: '1rem' }} data-test="toggle-archived">
+                <FontAwesome name={this.state.showArchived ? 'list' : 'archive'} />
+                &nbsp;{this.state.showArchived ? 'Current' : 'Archived'}
+              </a>
+              <a href="#duplicates" className={`${this.props.currentUser.can('users:merge') ? '' : 'hidden'} pull-right`} style={{ marginRight: '1rem' }}>
+                <FontAwesome name='clone' />
+                &nbsp;Duplicates
+              </a>
+              <a href="#" className={`${this.props.currentUser.can('invites:manage') ? '' : 'hidden'} pull-right`} onClick={this.openInvite} data-test="invite-user" style={{ marginRight: '1rem' }}>
+                <FontAwesome name='envelope' />
+                &nbsp;Invite
+              </a>
             </small>
           </h3>
-          <FormControl
-            type="text"
-            placeholder="Filter..."
-            onChange={this.changeFilterValue}
-            defaultValue={this.state.filterBy}
+          {this.state.showArchived ?
+          <ArchivedComponent
+            resource="users"
+            title={user => `${user.last_name}, ${user.first_name}`}
+            detail={user => user.username}
+            currentUser={this.props.currentUser}
           />
-          <br />
-          <div className="x-scroll">
-            <Table
-              className="table table-condensed table-striped"
-              itemsPerPage={20}
-              filterable={['IDN', 'Name', 'Email', 'Phone', 'Roles']}
-              sortable={['IDN', 'Name', 'Email']}
-              filterBy={this.state.filterBy}
-            >
-              <Thead>
-                <Th>IDN</Th>
-                <Th>Name</Th>
-                <Th>Email</Th>
-                <Th>Phone</Th>
-                <Th>Roles</Th>
-                <Th>edit</Th>
-              </Thead>
-              {userRows}
-            </Table>
+          :
+          <div>
+            <Row>
+              <Col xs={12} md={4}>
+                <FormControl
+                  type="text"
+                  placeholder="Search name, email, phone or IDN..."
+                  onChange={this.changeSearch}
+                  value={filters.q}
+                />
+              </Col>
+              <Col xs={12} md={2}>
+                <Select
+                  options={ROLE_OPTIONS}
+                  value={filters.role}
+                  onChange={option => this.setFilter('role', option ? option.value : null)}
+                  placeholder="Any role"
+                />
+              </Col>
+              <Col xs={12} md={3} className={courseOptions.length ? '' : 'hidden'}>
+                <Select
+                  options={courseOptions}
+                  value={filters.course}
+                  onChange={option => this.setFilter('course', option ? option.value : null)}
+                  placeholder="Any course"
+                />
+              </Col>
+              <Col xs={12} md={3} className={termOptions.length ? '' : 'hidden'}>
+                <Select
+                  options={termOptions}
+                  value={filters.term}
+                  onChange={option => this.setFilter('term', option ? option.value : null)}
+                  placeholder="Any term"
+                />
+              </Col>
+            </Row>
+            <br />
+            <Row>
+              <Col xs={6} md={3}>
+                <FormControl type="date" title="Joined on or after" data-filter="created_after" onChange={this.changeDate} value={filters.created_after} />
+              </Col>
+              <Col xs={6} md={3}>
+                <FormControl type="date" title="Joined on or before" data-filter="created_before" onChange={this.changeDate} value={filters.created_before} />
+              </Col>
+              <Col xs={12} md={6} className="text-right">
+                <p className="text-muted">{users.total} {users.total === 1 ? 'user' : 'users'}</p>
+              </Col>
+            </Row>
+            <div className="x-scroll">
+              <Table className="table table-condensed table-striped">
+                <Thead>
+                  <Th column="IDN">{this.sortHeader('IDN', 'idn')}</Th>
+                  <Th column="Name">{this.sortHeader('Name', 'last_name')}</Th>
+                  <Th column="Email">{this.sortHeader('Email', 'username')}</Th>
+                  <Th column="Phone">Phone</Th>
+                  <Th column="Roles">Roles</Th>
+                  <Th column="edit">edit</Th>
+                </Thead>
+                {userRows}
+              </Table>
+            </div>
+            {pages > 1 ?
+            <Pagination
+              prev
+              next
+              first
+              last
+              ellipsis
+              boundaryLinks
+              items={pages}
+              maxButtons={5}
+              activePage={this.state.page}
+              onSelect={this.fetchPage}
+            />
+            : ''}
           </div>
+          }
           <UserModalComponent
             show={this.state.showModal}
             onHide={this.close}
@@ -112,6 +280,11 @@ module.exports = React.createBackboneClass({
             currentUser={this.props.currentUser}
             listComponent={this}
           />
+          <InviteModalComponent
+            show={this.state.showInviteModal}
+            onHide={this.closeInvite}
+            collection={this.state.invites}
+          />
         </Col>
       </Row>
     );
@@ -0,0 +1,11 @@
+import { Model } from 'backbone';
+
+module.exports = Model.extend({
+  urlRoot: 'api/tokens',
+  idAttribute: '_id',
+
+  defaults: {
+    name: '',
+    scopes: []
+  }
+});
@@ -1,7 +1,6 @@
 import { Model } from 'backbone';
 import * as _ from 'underscore';
 const moment = require('moment');
-import 'moment-range';
 const TermModel = require('./TermModel');
 const UsersCollection = require('../collections/UsersCollection');
 const LocationModel = require('../models/LocationModel');
@@ -16,8 +15,15 @@ module.exports = Model.extend({
     term: new TermModel(),
     seats: '',
     registrations: new UsersCollection(),
+    instructors: [],
+    teaching_assistants: [],
     days: [],
+    meeting_times: [],
     holidays: [],
+    makeup_dates: [],
+    exceptions: [],
+    closures: [],
+    sessions: [],
     cost: '',
     location: new LocationModel(),
     textbook: new TextbookModel()
@@ -103,15 +109,110 @@ module.exports = Model.extend({
   },
 
   dates: function(endDate) {
-    var that = this;
-    var classDates = [];
-    moment.range(this.get('term').get('start_date'), endDate.add(1, 'days')).by('days', function(day) {
-      if (that.get('days').indexOf(day.format('dddd').toLowerCase()) > -1 &&
-      that.get('holidays').indexOf(day.format('YYYY-MM-DD')) === -1) {
-        classDates.push(day)
+    return this.sessions(endDate).map(function(session) {
+      return moment(session.date, 'YYYY-MM-DD');
+    });
+  },
+
+  /**
+  * When the course usually meets on a day of the week
+  * @param {String} day e.g. `saturday`
+  * @return {Object} `{ timeStart, timeEnd }`
+  */
+  timesOn: function(day) {
+    var times = _.findWhere(this.get('meeting_times'), { day: day });
+    if (times && times.timeStart && times.timeEnd) {
+      return { timeStart: times.timeStart, timeEnd: times.timeEnd };
+    }
+    return { timeStart: this.get('timeStart'), timeEnd: this.get('timeEnd') };
+  },
+
+  /**
+  * The weekly pattern, with days that meet at the same time grouped
+  * together, e.g. `Mon, Wed 6:00 pm - 8:00 pm; Sat 9:00 am - 12:00 pm`
+  * @return {String}
+  */
+  schedule: function() {
+    var groups = [];
+    this.get('days').forEach(function(day) {
+      var times = this.timesOn(day);
+      var label = times.timeStart ?
+        moment(times.timeStart, 'HH:mm').format('h:mm a') + ' - ' + moment(times.timeEnd, 'HH:mm').format('h:mm a') : '';
+      var group = _.findWhere(groups, { label: label });
+      if (!group) {
+        group = { label: label, days: [] };
+        groups.push(group);
       }
+      group.days.push(day.charAt(0).toUpperCase() + day.slice(1, 3));
+    }, this);
+    return groups.map(function(group) {
+      return (group.days.join(', ') + ' ' + group.label).trim();
+    }).join('; ');
+  },
+
+  /**
+  * The course's sessions up to a day, as lib/calendar works them out on the
+  * server. They come with the course whenever its term does.
+  * @param {moment} endDate
+  * @return {Object[]} `{ date, timeStart, timeEnd, location, room, note }`
+  */
+  sessions: function(endDate) {
+    var last = endDate.format('YYYY-MM-DD');
+    return _.filter(this.get('sessions'), function(session) {
+      return session.date <= last;
     });
-    return classDates;
+  },
+
+  /**
+  * @param {Object} session from sessions()
+  * @return {String} e.g. `6:00 pm - 8:00 pm`
+  */
+  sessionTimes: function(session) {
+    if (!session.timeStart) {
+      return '';
+    }
+    return moment(session.timeStart, 'HH:mm').format('h:mm a') + ' - ' + moment(session.timeEnd, 'HH:mm').format('h:mm a');
+  },
+
+  /**
+  * @param {Object} session from sessions()
+  * @return {String[]} what's different about it, e.g. `Room 204`
+  */
+  sessionChanges: function(session) {
+    var changes = [];
+    if (session.added) {
+      changes.push('Extra session');
+    }
+    if (session.moved_from) {
+      changes.push('Moved from ' + moment(session.moved_from, 'YYYY-MM-DD').format('ddd, MMM D'));
+    }
+    if (session.location && String(session.location._id || session.location) !== String(this.get('location').id)) {
+      changes.push('At ' + (session.location.name || 'another location'));
+    }
+    if (session.room && session.room !== this.get('room')) {
+      changes.push('Room ' + session.room);
+    }
+    if (session.note) {
+      changes.push(session.note);
+    }
+    return changes;
+  },
+
+  /**
+  * @param {String} date `YYYY-MM-DD`
+  * @return {Object|undefined} the session on that day, if there is one
+  */
+  sessionOn: function(date) {
+    return _.findWhere(this.sessions(moment(this.get('term').get('end_date'), 'YYYY-MM-DD')), { date: date });
+  },
+
+  /**
+  * @param {String} date `YYYY-MM-DD`
+  * @return {Object|undefined} the calendar's closure on that day, if the
+  * course has one
+  */
+  closureOn: function(date) {
+    return _.findWhere(this.get('closures'), { date: date });
   },
 
   studentAttendance: function() {
@@ -166,19 +267,21 @@ module.exports = Model.extend({
   },
 
   parse: function(obj) {
-    if (obj.term) {
-      obj.term = new TermModel(obj.term, { parse: true });
+    // A reference to something deleted comes back as null
+    if (obj.term !== undefined) {
+      obj.term = new TermModel(obj.term || {}, { parse: true });
     }
     if (obj.registrations) {
-      obj.registrations = new UsersCollection(obj.registrations, { parse: true });
+      // Everyone's here, so the roster can be kept in name order
+      obj.registrations = new UsersCollection(obj.registrations, { parse: true, comparator: 'last_name' });
     }
 
-    if (obj.location) {
-      obj.location = new LocationModel(obj.location, { parse: true });
+    if (obj.location !== undefined) {
+      obj.location = new LocationModel(obj.location || {}, { parse: true });
     }
 
-    if (obj.textbook) {
-      obj.textbook = new TextbookModel(obj.textbook, { parse: true });
+    if (obj.textbook !== undefined) {
+      obj.textbook = new TextbookModel(obj.textbook || {}, { parse: true });
     }
 
     return obj;
@@ -0,0 +1,12 @@
+import { Model } from 'backbone';
+
+module.exports = Model.extend({
+  urlRoot: 'api/invites',
+  idAttribute: '_id',
+
+  defaults: {
+    email: '',
+    role: 'student',
+    course: ''
+  }
+});
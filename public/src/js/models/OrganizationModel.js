@@ -0,0 +1,23 @@
+import { Model } from 'backbone';
+
+module.exports = Model.extend({
+  url: 'api/organization',
+  idAttribute: '_id',
+
+  defaults: {
+    name: '',
+    branding: {},
+    timezone: 'America/Chicago',
+    currency: 'usd',
+    contact_email: '',
+    phone: '',
+    website: '',
+    settings: {},
+    idn_format: {},
+    owners: []
+  },
+
+  isOwner(user) {
+    return this.get('owners').some(owner => owner._id === user.id);
+  }
+});
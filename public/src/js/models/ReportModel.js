@@ -9,7 +9,7 @@ module.exports = Backbone.Model.extend({
     timestamp: ''
   },
 
-  link: function(url, format, key) {
-    return `${url.protocol}//${url.host}/api/${url.hash.slice(1, -1)}?format=${format}&key=${key || ''}`
+  link: function(url, format) {
+    return `${url.protocol}//${url.host}/api/${url.hash.slice(1, -1)}?format=${format}`
   }
 });
@@ -0,0 +1,12 @@
+import { Model } from 'backbone';
+
+module.exports = Model.extend({
+  urlRoot: 'api/roles',
+  idAttribute: '_id',
+
+  defaults: {
+    name: '',
+    description: '',
+    permissions: []
+  }
+});
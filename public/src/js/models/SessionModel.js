@@ -0,0 +1,11 @@
+import { Model } from 'backbone';
+
+module.exports = Model.extend({
+  idAttribute: '_id',
+
+  defaults: {
+    ip: '',
+    user_agent: '',
+    current: false
+  }
+});
@@ -20,9 +20,10 @@ module.exports = Backbone.Model.extend({
     last_name: '',
     paymentAmount: 0.00,
     credits: '',
-    api_key: '',
     reviews:[],
-    price: 0
+    price: 0,
+    email_pending: false,
+    two_factor_enabled: false
   },
 
   fullName() {
@@ -33,10 +34,18 @@ module.exports = Backbone.Model.extend({
     return `${this.get('first_name')} ${this.get('last_name')}`;
   },
 
+  displayIdn(organization) {
+    return utils.formatIdn(this.get('idn'), (organization || {}).idn_format);
+  },
+
+  can(permission) {
+    return (this.get('permissions') || []).includes(permission);
+  },
+
   roles() {
     var roles = [];
     if (this.get('is_client')) {
-      roles.push('client');
+      roles.push('owner');
     }
     if (this.get('is_admin')) {
       roles.push('admin');
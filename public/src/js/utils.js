@@ -1,6 +1,17 @@
 var _ = require('underscore');
 
 module.exports = {
+  // Show a student id the way the organization prints it, using its
+  // `idn_format`
+  formatIdn: function(idn, format) {
+    format = format || {};
+    var digits = String(idn);
+    while (digits.length < (format.padding || 0)) {
+      digits = '0' + digits;
+    }
+    return (format.prefix || '') + digits;
+  },
+
   scoreColor: function(score) {
     if (score >= 70 && score < 80) {
       return 'orangered';
@@ -0,0 +1,50 @@
+/**
+ * @module routes/audit
+ * @description Routes to AuditController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const AuditController = require('../controllers/AuditController');
+const middleware = require('./middleware');
+
+/**
+* GET request for a page of the audit log, newest first
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/audit}
+* @function
+* @name /api/audit
+*/
+router.get('/', middleware.can('audit:read'), (req, res) => {
+  AuditController.list(req, res);
+});
+
+/**
+* GET request for the audit log as CSV, with the same filters
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/audit}
+* @function
+* @name /api/audit/export
+*/
+router.get('/export', middleware.can('audit:read'), (req, res) => {
+  AuditController.export(req, res);
+});
+
+/**
+* GET request for the actions the audit log records and what they're called
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/audit}
+* @function
+* @name /api/audit/actions
+*/
+router.get('/actions', middleware.can('audit:read'), (req, res) => {
+  AuditController.actions(req, res);
+});
+
+module.exports = router;
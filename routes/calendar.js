@@ -0,0 +1,25 @@
+/**
+ * @module routes/calendar
+ * @description Routes to the iCalendar feeds in CalendarController. They're
+ * outside the API because calendar apps fetch them without logging in; the
+ * link's token says whose feed it is.
+ */
+
+const express = require('express');
+const router = express.Router();
+const CalendarController = require('../controllers/CalendarController');
+
+/**
+* GET request for the `.ics` feed a calendar link points to
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/calendar}
+* @function
+* @name /calendar/:token.ics
+*/
+router.get('/:token.ics', (req, res) => {
+  CalendarController.feed(req, res);
+});
+
+module.exports = router;
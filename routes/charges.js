@@ -6,7 +6,7 @@ var middleware = require('./middleware');
 /*
 * POST
 */
-router.post('/:token', middleware.auth, function(req, res) {
+router.post('/:token', middleware.can('payments:charge', { own: 'user_id' }), function(req, res) {
   ChargeController.charge(req, res);
 });
 
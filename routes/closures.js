@@ -0,0 +1,63 @@
+/**
+ * @module routes/closures
+ * @description Routes to ClosureController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ClosureController = require('../controllers/ClosureController');
+const middleware = require('./middleware');
+
+/**
+* GET request for every closure on the holiday calendar
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/closures}
+* @function
+* @name /api/closures
+*/
+router.get('/', middleware.can(['calendar:write', 'courses:read', 'courses:assigned']), (req, res) => {
+  ClosureController.list(req, res);
+});
+
+/**
+* POST request to add a closure, which takes it out of every course it falls in
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/closures}
+* @function
+* @name /api/closures
+*/
+router.post('/', middleware.can('calendar:write'), (req, res) => {
+  ClosureController.create(req, res);
+});
+
+/**
+* PUT request to change a closure's name, dates or location
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/closures}
+* @function
+* @name /api/closures/:id
+*/
+router.put('/:id', middleware.can('calendar:write'), (req, res) => {
+  ClosureController.update(req, res);
+});
+
+/**
+* DELETE request to remove a closure, so courses meet on its days again
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/closures}
+* @function
+* @name /api/closures/:id
+*/
+router.delete('/:id', middleware.can('calendar:write'), (req, res) => {
+  ClosureController.remove(req, res);
+});
+
+module.exports = router;
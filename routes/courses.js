@@ -6,36 +6,78 @@ var middleware = require('./middleware');
 /*
 * GET
 */
-router.get('/', middleware.instructor, function(req, res) {
+router.get('/', middleware.can(['courses:read', 'courses:assigned']), function(req, res) {
   CourseController.list(req, res);
 });
 
 /*
 * GET
 */
-router.get('/:id', middleware.instructor, function(req, res) {
+router.get('/conflicts', middleware.can('courses:read'), function(req, res) {
+  CourseController.conflicts(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id', middleware.can(['courses:read', 'courses:assigned']), function(req, res) {
   CourseController.show(req, res);
 });
 
 /*
 * POST
 */
-router.post('/', middleware.admin, function(req, res) {
+router.post('/', middleware.can('courses:write'), function(req, res) {
   CourseController.create(req, res);
 });
 
 /*
 * PUT
 */
-router.put('/:id', middleware.instructor, function(req, res) {
+router.put('/:id', middleware.can(['courses:write', 'courses:teach']), function(req, res) {
   CourseController.update(req, res);
 });
 
+/*
+* POST
+*/
+router.post('/:id/clone', middleware.can('courses:write'), function(req, res) {
+  CourseController.clone(req, res);
+});
+
 /*
 * DELETE
 */
-router.delete('/:id', middleware.admin, function(req, res) {
+router.delete('/:id', middleware.can('courses:delete'), function(req, res) {
   CourseController.remove(req, res);
 });
 
+/*
+* POST
+*/
+router.post('/:id/restore', middleware.can('courses:delete'), function(req, res) {
+  CourseController.restore(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/purge', middleware.can('records:purge'), function(req, res) {
+  CourseController.purge(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id/history', middleware.can('history:read'), function(req, res) {
+  CourseController.history(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/history/:version/revert', middleware.can('history:revert'), function(req, res) {
+  CourseController.revert(req, res);
+});
+
 module.exports = router;
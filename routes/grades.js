@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const GradeController = require('../controllers/GradeController');
+const middleware = require('./middleware');
 
 /**
 * POST request to add/update grade
@@ -16,7 +17,7 @@ const GradeController = require('../controllers/GradeController');
 * @function
 * @name /
 */
-router.post('/', (req, res) => {
+router.post('/', middleware.can('grades:write', { own: 'userId' }), (req, res) => {
   GradeController.create(req, res);
 });
 
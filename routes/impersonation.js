@@ -0,0 +1,50 @@
+/**
+ * @module routes/impersonation
+ * @description Routes to ImpersonationController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const middleware = require('./middleware');
+const ImpersonationController = require('../controllers/ImpersonationController');
+
+/**
+* GET request to list recent impersonations for the audit trail
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/impersonation}
+* @function
+* @name /api/impersonation
+*/
+router.get('/', middleware.can('users:impersonate'), (req, res) => {
+  ImpersonationController.list(req, res);
+});
+
+/**
+* POST request to start viewing the app as another user
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/impersonation}
+* @function
+* @name /api/impersonation/:id
+*/
+router.post('/:id', middleware.can('users:impersonate'), (req, res) => {
+  ImpersonationController.create(req, res);
+});
+
+/**
+* DELETE request to go back to the admin's own session
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/impersonation}
+* @function
+* @name /api/impersonation
+*/
+router.delete('/', (req, res) => {
+  ImpersonationController.remove(req, res);
+});
+
+module.exports = router;
@@ -1,12 +1,55 @@
 var express = require('express');
 var router = express.Router();
+var multer = require('multer');
 var ImportController = require('../controllers/ImportController.js');
 var middleware = require('./middleware');
 
+// Spreadsheets are read straight from memory and never written to disk
+var upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+}).single('file');
+
+/*
+* POST
+*/
+router.post('/users', middleware.can('import:run'), function(req, res, next) {
+  upload(req, res, function(err) {
+    if (err) {
+      return res.json(400, {
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'Files can be at most 5MB.' : err.message,
+        error: err
+      });
+    }
+    ImportController.previewUsers(req, res);
+  });
+});
+
+/*
+* PUT
+*/
+router.put('/users/:id', middleware.can('import:run'), function(req, res) {
+  ImportController.remapUsers(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/users/:id/commit', middleware.can('import:run'), function(req, res) {
+  ImportController.commitUsers(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/users/:id/report', middleware.can('import:run'), function(req, res) {
+  ImportController.userReport(req, res);
+});
+
 /*
 * POST
 */
-router.post('/registrations', middleware.admin, function(req, res) {
+router.post('/registrations', middleware.can('import:run'), function(req, res) {
   ImportController.registrations(req, res);
 });
 
@@ -3,16 +3,61 @@ var bcrypt = require('bcrypt');
 var router = express.Router();
 var passport = require('../config/passport');
 var UserModel = require('../models/UserModel');
+var OrganizationModel = require('../models/OrganizationModel');
+var LoginAttemptModel = require('../models/LoginAttemptModel');
+var InviteModel = require('../models/InviteModel');
+var CourseModel = require('../models/CourseModel');
+var ImpersonationModel = require('../models/ImpersonationModel');
+var UserSessionModel = require('../models/UserSessionModel');
+var verification = require('../lib/verification');
+var audit = require('../lib/audit');
+
+// Finish logging in once the password (or Google) has checked out, stopping
+// first for a two-factor code if the account has it turned on
+function login(req, res, next, user) {
+  if (user.two_factor_enabled) {
+    req.session.two_factor_user = user.id;
+    return res.redirect('/login/two-factor');
+  }
+  startSession(req, res, next, user);
+}
+
+// Failed attempts are only forgotten once every step has passed, so a known
+// password doesn't buy more guesses at the two-factor code
+function startSession(req, res, next, user) {
+  OrganizationModel.findOne({ _id: user.client }, function(err, organization) {
+    if (err) { return next(err); }
+    req.login(user, function(err) {
+      if (err) { return next(err); }
+      audit.record(req, 'login');
+      LoginAttemptModel.unlock(user.username, function() {
+        return res.redirect(user.twoFactorRequired(organization) && !user.two_factor_enabled ? '/two-factor/setup' : '/');
+      });
+    });
+  });
+}
 
 /* GET home page. */
 router.get('/', function(req, res, next) {
   if(!req.isAuthenticated()){
     res.redirect('/login');
   } else {
-    res.render('index', {
-      user: JSON.stringify(req.user),
-      env: process.env.NODE_ENV,
-      csrfToken: req.csrfToken()
+    OrganizationModel.findOne({ _id: req.user.client }, 'name branding idn_format settings.require_two_factor', function(err, organization) {
+      if (err) { return next(err); }
+      if (!req.session.impersonation && req.user.twoFactorRequired(organization) && !req.user.two_factor_enabled) {
+        return res.redirect('/two-factor/setup');
+      }
+      var user = req.user.toJSON();
+      user.permissions = req.user.permissions;
+      user.organization = organization;
+      if (req.session.impersonation) {
+        user.impersonator = req.session.impersonation.name;
+      }
+      res.render('index', {
+        user: JSON.stringify(user),
+        env: process.env.NODE_ENV,
+        csrfToken: req.csrfToken()
+      });
     });
   }
 });
@@ -28,15 +73,84 @@ router.get('/login', function(req, res, next) {
   }
 });
 
-router.post('/login', passport.authenticate('local', {
-  successRedirect: '/',
-  failureRedirect: '/login',
-  failureFlash: true
-}));
+router.post('/login', function(req, res, next) {
+  passport.authenticate('local', function(err, user, info) {
+    if (err) { return next(err); }
+    if (!user) {
+      req.flash('error', info.message);
+      return res.redirect('/login');
+    }
+    return login(req, res, next, user);
+  })(req, res, next);
+});
+
+router.get('/login/two-factor', function(req, res, next) {
+  if (!req.session.two_factor_user) {
+    return res.redirect('/login');
+  }
+  res.render('two-factor', {
+    csrfToken: req.csrfToken()
+  });
+});
+
+router.post('/login/two-factor', function(req, res, next) {
+  if (!req.session.two_factor_user) {
+    return res.redirect('/login');
+  }
+  UserModel.findOne({ _id: req.session.two_factor_user }).anyTenant().exec(function(err, user) {
+    if (err) { return next(err); }
+    if (!user) { return res.redirect('/login'); }
+
+    LoginAttemptModel.check(user.username, req.ip, function(err, status) {
+      if (err) { return next(err); }
+
+      if (status.locked) {
+        delete req.session.two_factor_user;
+        req.flash('error', 'Too many failed login attempts. Please try again later or reset your password.');
+        return res.redirect('/login');
+      }
+
+      if (!user.verifyTwoFactor(req.body.code)) {
+        audit.record(req, 'login.failed', { actor: user, details: { two_factor: true } });
+        return LoginAttemptModel.recordFailure(user.username, req.ip, function(err) {
+          if (err) { return next(err); }
+          req.flash('error', 'Invalid authentication code.');
+          return res.redirect('/login/two-factor');
+        });
+      }
+
+      // Saving drops any recovery code that was just used
+      user.save(function(err, user) {
+        if (err) { return next(err); }
+        delete req.session.two_factor_user;
+        return startSession(req, res, next, user);
+      });
+    });
+  });
+});
+
+router.get('/two-factor/setup', function(req, res, next) {
+  if (!req.isAuthenticated()) {
+    return res.redirect('/login');
+  }
+  res.render('two-factor-setup', {
+    csrfToken: req.csrfToken()
+  });
+});
 
 router.get('/logout', function(req, res) {
+  var impersonation = req.session.impersonation;
   req.logout();
-  res.redirect('/');
+  delete req.session.impersonation;
+  delete req.session.last_seen_at;
+  UserSessionModel.remove({ sid: req.sessionID }, function() {
+    if (!impersonation) {
+      return res.redirect('/');
+    }
+    ImpersonationModel.end(impersonation._id, function() {
+      res.redirect('/');
+    });
+  });
 });
 
 router.get('/feedback', function(req, res, next) {
@@ -64,7 +178,8 @@ router.get('/register', function(req, res, next) {
     return res.render('register', {
       csrfToken: req.csrfToken(),
       register: process.env.REGISTRATION_ENABLED,
-      id: ''
+      token: '',
+      email: ''
     });
   }
 });
@@ -72,7 +187,7 @@ router.get('/register', function(req, res, next) {
 // Todo: We should probably look at extracting this into a module
 router.post('/register', function(req, res, next) {
   if (!process.env.REGISTRATION_ENABLED) { return res.redirect('/'); }
-  UserModel.findOne({ username : req.body.username.toLowerCase() }, function (err, user) {
+  UserModel.findOne({ username : req.body.username.toLowerCase() }).anyTenant().exec(function (err, user) {
     var saltRounds = 10;
 
     if (user) {
@@ -100,8 +215,24 @@ router.post('/register', function(req, res, next) {
       return res.redirect('/register');
     }
 
+    if (!req.body.organization_name) {
+      req.flash('error', 'Please enter the name of your school.')
+      return res.redirect('/register');
+    }
+
     bcrypt.hash(req.body.password, saltRounds, function(err, hash) {
-      UserModel.find({}, 'idn', { limit: 1, sort: { idn: -1 } }, function(err, users) {
+      var organization = new OrganizationModel({
+        name: req.body.organization_name,
+        contact_email: req.body.username.toLowerCase(),
+        phone: req.body.phone
+      });
+
+      UserModel.nextIdn(organization._id, function(err, idn) {
+        if (err) {
+          req.flash('error', err.message);
+          return res.redirect('/register');
+        }
+
         var newUser = new UserModel({
           first_name: req.body.first_name,
           last_name: req.body.last_name,
@@ -110,29 +241,45 @@ router.post('/register', function(req, res, next) {
           password: hash,
           is_client: true,
           is_admin: true,
-          idn: users.length ? users[0].idn + 1 : 1
+          idn: idn,
+          client: organization._id
         });
+        organization.owners = [newUser._id];
 
-        newUser.save(function (err, user) {
+        organization.save(function (err) {
 
           if (err) {
             req.flash('error', err.message);
-            res.redirect('/register');
+            return res.redirect('/register');
           }
 
-          user.client = user._id;
-          user.save(function (err, user) {
+          // An organization nobody can log in to is no use, so it goes too
+          // if the owner can't be saved
+          newUser.save(function (err) {
 
             if (err) {
-              req.flash('error', err.message);
-              res.redirect('/register');
+              return OrganizationModel.remove({ _id: organization._id }, function () {
+                req.flash('error', err.message);
+                return res.redirect('/register');
+              });
             }
 
-            // If the users has been created successfully, log them in with
-            // passport to start their session and redirect to the home route
-            req.login(user, function(err) {
-              if (err) { return res.redirect('/register'); }
-              return res.redirect('/');
+            // The account is there either way, and the email can be sent
+            // again from the user's page
+            verification.send(newUser, function (err) {
+
+              if (err) {
+                console.log(err);
+                req.flash('info', 'Your account was created, but the verification email couldn\'t be sent. Please resend it from your profile.');
+              }
+
+              // If the users has been created successfully, log them in with
+              // passport to start their session and redirect to the home route
+              req.login(newUser, function(err) {
+                if (err) { return res.redirect('/login'); }
+                audit.record(req, 'login');
+                return res.redirect('/');
+              });
             });
           });
         });
@@ -141,97 +288,166 @@ router.post('/register', function(req, res, next) {
   });
 });
 
-router.get('/register/:id', function(req, res, next) {
+router.get('/register/:token', function(req, res, next) {
   if(req.isAuthenticated()) {
-    res.redirect('/');
-  } else {
-    UserModel.findOne({ _id: req.params.id }, function(err, user) {
-      if (err || !user) {
-        return res.redirect('/');
-      }
-      return res.render('register', {
-        id: req.params.id,
-        csrfToken: req.csrfToken(),
-        register: true
-      });
-    });
+    return res.redirect('/');
   }
+  InviteModel.findByToken(req.params.token, function(err, invite) {
+    if (err) {
+      req.flash('error', err);
+      return res.redirect('/login');
+    }
+    return res.render('register', {
+      token: req.params.token,
+      email: invite.email,
+      csrfToken: req.csrfToken(),
+      register: true
+    });
+  });
 });
 
-router.post('/register/:id', function(req, res, next) {
-  UserModel.findOne({ username : req.body.username.toLowerCase() }, function (err, user) {
-    var saltRounds = 10;
-
-    if (user) {
-      req.flash('error', 'The email address has already been used');
-      return res.redirect('/register/' + req.params.id);
+router.post('/register/:token', function(req, res, next) {
+  var redirect = '/register/' + req.params.token;
+  InviteModel.findByToken(req.params.token, function(err, invite) {
+    if (err) {
+      req.flash('error', err);
+      return res.redirect('/login');
     }
 
-    if (req.body.password.length <= 5) {
-      req.flash('error', 'Password must be at least 6 characters');
-      return res.redirect('/register/' + req.params.id);
-    }
+    // The email is locked to the one the invitation was sent to
+    UserModel.findOne({ username : invite.email }).anyTenant().exec(function (err, user) {
+      var saltRounds = 10;
 
-    if (!req.body.first_name) {
-      req.flash('error', 'Please enter your first name.')
-      return res.redirect('/register/' + req.params.id);
-    }
+      if (user) {
+        req.flash('error', 'The email address has already been used');
+        return res.redirect(redirect);
+      }
 
-    if (!req.body.last_name) {
-      req.flash('error', 'Please enter your last name.')
-      return res.redirect('/register/' + req.params.id);
-    }
+      if (req.body.password.length <= 5) {
+        req.flash('error', 'Password must be at least 6 characters');
+        return res.redirect(redirect);
+      }
 
-    if (req.body.phone.length < 10) {
-      req.flash('error', 'Please enter your phone number.')
-      return res.redirect('/register/' + req.params.id);
-    }
+      if (!req.body.first_name) {
+        req.flash('error', 'Please enter your first name.')
+        return res.redirect(redirect);
+      }
 
-    bcrypt.hash(req.body.password, saltRounds, function(err, hash) {
-      UserModel.find({}, 'idn', { limit: 1, sort: { idn: -1 } }, function(err, users) {
-        if (err) {
-          req.flash('error', err.message);
-          return res.redirect('/register/' + req.params.id);
-        }
+      if (!req.body.last_name) {
+        req.flash('error', 'Please enter your last name.')
+        return res.redirect(redirect);
+      }
 
-        var newUser = new UserModel({
-          first_name: req.body.first_name,
-          last_name: req.body.last_name,
-          phone: req.body.phone,
-          username: req.body.username.toLowerCase(),
-          password: hash,
-          is_student: true,
-          client: req.params.id,
-          idn: users[0].idn + 1
-        });
+      if (req.body.phone.length < 10) {
+        req.flash('error', 'Please enter your phone number.')
+        return res.redirect(redirect);
+      }
 
-        newUser.save(function (err, user) {
+      InviteModel.claim(invite, function(err, invite) {
+        if (err || !invite) {
+          req.flash('error', 'This invitation link has already been used or was cancelled.');
+          return res.redirect('/login');
+        }
 
-          if (err) {
-            req.flash('error', err.message);
-            return res.redirect('/register/' + req.params.id);
-          }
+        bcrypt.hash(req.body.password, saltRounds, function(err, hash) {
+          UserModel.nextIdn(invite.client, function(err, idn) {
+            if (err) {
+              return release(err);
+            }
 
-          // If the users has been created successfully, log them in with
-          // passport to start their session and redirect to the home route
-          req.login(user, function(err) {
-            if (err) { return res.redirect('/register/' + req.params.id); }
-            return res.redirect('/');
+            var newUser = new UserModel({
+              first_name: req.body.first_name,
+              last_name: req.body.last_name,
+              phone: req.body.phone,
+              username: invite.email,
+              // The invitation was emailed, so following it proves the address
+              email_verified_at: new Date(),
+              password: hash,
+              client: invite.client,
+              idn: idn
+            });
+            newUser[invite.roleAttr()] = true;
+
+            newUser.save(function (err, user) {
+              if (err) {
+                return release(err);
+              }
+
+              invite.accepted_by = user._id;
+              invite.save(function() {
+                registerCourse(user, function(err) {
+                  if (err) { console.log(err); }
+
+                  // If the users has been created successfully, log them in with
+                  // passport to start their session and redirect to the home route
+                  req.login(user, function(err) {
+                    if (err) { return res.redirect('/login'); }
+                    audit.record(req, 'login');
+                    return res.redirect('/');
+                  });
+                });
+              });
+            });
           });
         });
       });
+
+      // The same seat limit as registering from the account page
+      function registerCourse(user, cb) {
+        if (!invite.course) {
+          return cb();
+        }
+        CourseModel.findOne({
+          _id: invite.course,
+          client: invite.client
+        }, function(err, course) {
+          if (err || !course) {
+            return cb(err);
+          }
+          if (!course.hasSeatFor(user._id)) {
+            return cb(new Error(course.name + ' is full, so ' + user.username + ' wasn\'t registered for it.'));
+          }
+          CourseModel.update({
+            _id: course._id,
+            client: invite.client
+          }, {
+            $addToSet: { registrations: user._id }
+          }, cb);
+        });
+      }
+
+      // Give the invitation back if the account couldn't be created
+      function release(err) {
+        InviteModel.update({ _id: invite._id }, { accepted_at: null }, function() {
+          req.flash('error', err.message);
+          return res.redirect(redirect);
+        });
+      }
+    });
+  });
+});
+
+router.get('/verify/:token', function(req, res, next) {
+  verification.verify(req.params.token, function(err, user) {
+    if (err) {
+      req.flash('error', err.message || err);
+    } else {
+      req.flash('info', 'Thanks! Your email address has been verified.');
+    }
+    return res.render('verify', {
+      authenticated: req.isAuthenticated()
     });
   });
 });
 
 router.get('/auth/google', passport.authenticate('google', { scope: ['email'] }));
 
-router.get(
-  '/auth/google/callback',
-  passport.authenticate('google', { failureRedirect: '/login' }),
-  function(req, res) {
-    // Successful authentication, redirect home.
-    res.redirect('/');
-  });
+router.get('/auth/google/callback', function(req, res, next) {
+  passport.authenticate('google', function(err, user) {
+    if (err) { return next(err); }
+    if (!user) { return res.redirect('/login'); }
+    return login(req, res, next, user);
+  })(req, res, next);
+});
 
 module.exports = router;
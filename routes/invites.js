@@ -0,0 +1,50 @@
+/**
+ * @module routes/invites
+ * @description Routes to InviteController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const middleware = require('./middleware');
+const InviteController = require('../controllers/InviteController');
+
+/**
+* GET request to list pending invitations
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/invites}
+* @function
+* @name /api/invites
+*/
+router.get('/', middleware.can('invites:manage'), (req, res) => {
+  InviteController.list(req, res);
+});
+
+/**
+* POST request to invite someone by email
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/invites}
+* @function
+* @name /api/invites
+*/
+router.post('/', middleware.can('invites:manage'), (req, res) => {
+  InviteController.create(req, res);
+});
+
+/**
+* DELETE request to cancel a pending invitation
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/invites}
+* @function
+* @name /api/invites/:id
+*/
+router.delete('/:id', middleware.can('invites:manage'), (req, res) => {
+  InviteController.remove(req, res);
+});
+
+module.exports = router;
@@ -6,36 +6,64 @@ const middleware = require('./middleware');
 /*
 * GET
 */
-router.get('/', middleware.instructor, (req, res) => {
+router.get('/', middleware.can('locations:read'), (req, res) => {
   LocationController.list(req, res);
 });
 
 /*
 * GET
 */
-router.get('/:id', middleware.admin, (req, res) => {
+router.get('/:id', middleware.can('locations:write'), (req, res) => {
   LocationController.show(req, res);
 });
 
 /*
 * POST
 */
-router.post('/', middleware.admin, (req, res) => {
+router.post('/', middleware.can('locations:write'), (req, res) => {
   LocationController.create(req, res);
 });
 
 /*
 * PUT
 */
-router.put('/:id', middleware.admin, (req, res) => {
+router.put('/:id', middleware.can('locations:write'), (req, res) => {
   LocationController.update(req, res);
 });
 
 /*
 * DELETE
 */
-router.delete('/:id', middleware.admin, (req, res) => {
+router.delete('/:id', middleware.can('locations:write'), (req, res) => {
   LocationController.remove(req, res);
 });
 
+/*
+* POST
+*/
+router.post('/:id/restore', middleware.can('locations:write'), (req, res) => {
+  LocationController.restore(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/purge', middleware.can('records:purge'), (req, res) => {
+  LocationController.purge(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id/history', middleware.can('history:read'), (req, res) => {
+  LocationController.history(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/history/:version/revert', middleware.can('history:revert'), (req, res) => {
+  LocationController.revert(req, res);
+});
+
 module.exports = router;
@@ -1,3 +1,10 @@
+var ApiTokenModel = require('../models/ApiTokenModel');
+var OrganizationModel = require('../models/OrganizationModel');
+var UserSessionModel = require('../models/UserSessionModel');
+
+// How often a session's last seen time is written back
+var SESSION_TOUCH_INTERVAL = 60 * 1000;
+
 module.exports = {
   auth: function(req, res, next) {
     // if user is authenticated in the session, carry on
@@ -8,67 +15,114 @@ module.exports = {
     res.status(401).send({ error: "You are not logged in." });
   },
 
-  client: function(req, res, next) {
-    if (req.isAuthenticated() && req.user.is_client) {
+  token: function(req, res, next) {
+    var match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
       return next();
     }
 
-    res.status(403).send({ error: "Must be at least client level." });
-  },
+    ApiTokenModel.findActive(match[1], function(err, apiToken) {
+      if (err) {
+        return res.status(500).send({ error: err });
+      }
+      // Population finds archived users too, but they can't use the API
+      if (!apiToken || !apiToken.user || apiToken.user.archived_at) {
+        return res.status(401).send({ error: "Not a valid API token." });
+      }
 
-  admin: function(req, res, next) {
-    if (req.isAuthenticated() && (req.user.is_client || req.user.is_admin)) {
-      return next();
-    } else if (req.query.key) {
-      var UserModel = require('../models/UserModel');
-      console.log(req.query.key);
-      UserModel.findOne({ api_key: req.query.key }, function(err, user) {
+      // Scopes are named after the API resource, e.g. GET /api/users needs
+      // `users:read` and POST /api/users needs `users:write`
+      var resource = req.path.split('/')[1];
+      var scope = resource + ':' + (['GET', 'HEAD'].indexOf(req.method) > -1 ? 'read' : 'write');
+      if (!apiToken.allows(scope)) {
+        return res.status(403).send({ error: "API token is missing the " + scope + " scope." });
+      }
+
+      ApiTokenModel.update({ _id: apiToken._id }, { last_used_at: new Date() }, function() {});
+      apiToken.user.loadPermissions(function(err, user) {
         if (err) {
           return res.status(500).send({ error: err });
         }
-        console.log(user);
-        if (user && (user.is_admin || user.is_client)) {
-          req.user = user;
-          return next();
-        }
-        return res.status(401).send({ error: "Not a valid API key" });
-      })
-    } else {
-      return res.status(403).send({ error: "Must be at least admin level." });
-    }
+        req.user = user;
+        req.apiToken = apiToken;
+        return next();
+      });
+    });
   },
 
-  me: function(req, res, next) {
-    if (req.isAuthenticated() && (req.user.is_client || req.user.is_admin || req.params.id == req.user._id )) {
+  twoFactor: function(req, res, next) {
+    // Users whose client requires two-factor can only reach the enrollment
+    // endpoints until they have set it up. The setting is checked on every
+    // request, so turning it on reaches sessions that are already logged in.
+    // Admins viewing as someone else already got past their own login.
+    if (!req.user || req.user.two_factor_enabled || req.path.indexOf('/two-factor') === 0 ||
+      (req.session && req.session.impersonation)) {
       return next();
     }
 
-    res.status(403).send({ error: "Not authorized." });
+    OrganizationModel.findOne({ _id: req.user.client }, 'settings', function(err, organization) {
+      if (err) {
+        return res.status(500).send({ error: err });
+      }
+      if (req.user.twoFactorRequired(organization)) {
+        return res.status(403).send({ error: "Two-factor authentication must be set up first." });
+      }
+      return next();
+    });
   },
 
-  instructor: function(req, res, next) {
-    if (req.isAuthenticated() &&
-      (req.user.is_client || req.user.is_admin || req.user.is_instructor)) {
-      return next();
+  session: function(req, res, next) {
+    var now = Date.now();
+    if (!req.apiToken && req.isAuthenticated() &&
+      (!req.session.last_seen_at || now - req.session.last_seen_at > SESSION_TOUCH_INTERVAL)) {
+      req.session.last_seen_at = now;
+      UserSessionModel.touch(req, function(err) {
+        if (err) console.log(err);
+      });
     }
 
-    res.status(403).send({ error: "Must be at least instructor level." });
+    return next();
   },
 
-  student: function(req, res, next) {
-    if (req.isAuthenticated() &&
-      (req.user.is_client || req.user.is_admin || req.user.is_instructor || req.user.student)) {
-      return next();
+  impersonation: function(req, res, next) {
+    // Admins viewing as someone else can look around but can't pay, delete
+    // anything or change the account itself, like its email or password
+    var blocked = ['/charges', '/two-factor', '/tokens', '/invites'];
+    var impersonating = req.session && req.session.impersonation;
+    var account = impersonating && req.user && '/users/' + req.user._id;
+    if (impersonating && (
+      blocked.some(function(path) { return req.path.indexOf(path) === 0; }) ||
+      (req.method !== 'GET' && (req.path === account || req.path.indexOf(account + '/') === 0)) ||
+      (req.method === 'DELETE' && req.path.indexOf('/impersonation') !== 0)
+    )) {
+      return res.status(403).send({ error: "Not allowed while viewing as another user." });
     }
 
-    res.status(403).send({ error: "Must be at least student level." });
+    return next();
   },
 
-  instructorOrMe: function(req, res, next) {
-    if (req.isAuthenticated() &&
-      (req.user.is_client || req.user.is_admin || req.user.is_instructor || req.params.id == req.user._id)) {
+  /**
+  * Only let through users whose roles grant at least one of `permissions`
+  * @param {String|String[]} permissions e.g. `grades:write`
+  * @param {Object} [options]
+  * @param {Boolean} [options.me] also let users through to their own `/:id`
+  * @param {String} [options.own] also let users through when this field of
+  * the body is their own id, like paying for themselves
+  * @return {Function} middleware
+  */
+  can: function(permissions, options) {
+    permissions = [].concat(permissions);
+    options = options || {};
+    return function(req, res, next) {
+      if (req.isAuthenticated() && (
+        permissions.some(function(permission) { return req.user.can(permission); }) ||
+        (options.me && req.params.id == req.user._id) ||
+        (options.own && req.body && req.body[options.own] == req.user._id)
+      )) {
         return next();
-    }
-    res.status(403).send({ error: "Not authorized." });
+      }
+
+      res.status(403).send({ error: "Not authorized." });
+    };
   }
 };
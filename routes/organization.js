@@ -0,0 +1,63 @@
+/**
+ * @module routes/organization
+ * @description Routes to OrganizationController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const middleware = require('./middleware');
+const OrganizationController = require('../controllers/OrganizationController');
+
+/**
+* GET request for the current user's organization
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/organization}
+* @function
+* @name /api/organization
+*/
+router.get('/', middleware.can(['settings:read', 'settings:manage']), (req, res) => {
+  OrganizationController.show(req, res);
+});
+
+/**
+* PUT request to change the organization's details, branding and settings
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/organization}
+* @function
+* @name /api/organization
+*/
+router.put('/', middleware.can('settings:manage'), (req, res) => {
+  OrganizationController.update(req, res);
+});
+
+/**
+* POST request to make a user another owner of the organization
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/organization}
+* @function
+* @name /api/organization/owners
+*/
+router.post('/owners', middleware.can('settings:manage'), (req, res) => {
+  OrganizationController.addOwner(req, res);
+});
+
+/**
+* DELETE request to remove an owner, as long as another one is left
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/organization}
+* @function
+* @name /api/organization/owners/:id
+*/
+router.delete('/owners/:id', middleware.can('settings:manage'), (req, res) => {
+  OrganizationController.removeOwner(req, res);
+});
+
+module.exports = router;
@@ -17,7 +17,7 @@ const RegistrationController = require('../controllers/RegistrationController');
 * @function
 * @name /api/registrations
 */
-router.post('/', (req, res) => {
+router.post('/', middleware.can('registrations:write', { own: 'userId' }), (req, res) => {
   RegistrationController.create(req, res);
 });
 
@@ -30,7 +30,7 @@ router.post('/', (req, res) => {
 * @function
 * @name /api/registrations
 */
-router.delete('/', middleware.admin, (req, res) => {
+router.delete('/', middleware.can('registrations:write'), (req, res) => {
   RegistrationController.remove(req, res);
 });
 
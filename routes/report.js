@@ -6,14 +6,14 @@ var middleware = require('./middleware');
 /*
 * GET
 */
-router.get('/', middleware.admin, function(req, res) {
+router.get('/', middleware.can('reports:run'), function(req, res) {
   ReportController.index(req, res);
 });
 
 /*
 * GET
 */
-router.get('/:query', middleware.admin, function(req, res) {
+router.get('/:query', middleware.can('reports:run'), function(req, res) {
   ReportController.index(req, res);
 });
 
@@ -2,14 +2,9 @@ var express = require('express');
 var bcrypt = require('bcrypt');
 var router = express.Router();
 var UserModel = require('../models/UserModel');
-var nodemailer = require('nodemailer');
+var UserSessionModel = require('../models/UserSessionModel');
+var transport = require('../lib/mailer');
 var host = process.env.DOMAIN;
-var mandrillTransport = require('nodemailer-mandrill-transport');
-var transport = nodemailer.createTransport(mandrillTransport({
-  auth: {
-    apiKey: process.env.MANDRILL_API_KEY
-  }
-}));
 
 router.get('/', function(req, res, next) {
   if(req.isAuthenticated()) {
@@ -23,7 +18,7 @@ router.get('/', function(req, res, next) {
 });
 
 router.post('/', function(req, res, next) {
-  UserModel.findOne({ username: req.body.username }, function(err, user) {
+  UserModel.findOne({ username: req.body.username }).anyTenant().exec(function(err, user) {
     if(err) {
       return res.json(500, {
         message: 'Error getting user.',
@@ -37,13 +32,20 @@ router.post('/', function(req, res, next) {
       });
     }
 
-    user.reset_password = Math.random().toString(36).substring(7);
+    var token = user.generateResetToken();
     user.save(function(err, user) {
+      if (err) {
+        return res.json(500, {
+          message: 'Error creating reset link.',
+          error: err
+        });
+      }
+
       transport.sendMail({
         from: 'info@austincodingacademy.com',
         to: user.username,
         subject: 'ACA Campus Manager Password Reset',
-        html: 'Visit ' + host + '/reset/' + user.reset_password + ' to reset your password.</p>'
+        html: 'Visit ' + host + '/reset/' + token + ' to reset your password. This link expires in one hour and can only be used once.</p>'
       }, function(err, info) {
         if (err) {
           return res.json(500, {
@@ -60,18 +62,37 @@ router.post('/', function(req, res, next) {
 });
 
 router.get('/:reset_password', function(req, res, next) {
-  var reset_password = req.params.reset_password;
-  res.render('password', {csrfToken: req.csrfToken()});
+  UserModel.findByResetToken(req.params.reset_password, function(err, user) {
+    if (err || !user) {
+      req.flash('error', 'This reset link is invalid or has already been used.');
+      return res.redirect('/reset');
+    }
+
+    if (user.resetTokenExpired()) {
+      req.flash('error', 'This reset link has expired. Please request a new one.');
+      return res.redirect('/reset');
+    }
+
+    res.render('password', {csrfToken: req.csrfToken()});
+  });
 });
 
 router.put('/:reset_password', function(req, res, next) {
   var reset_password = req.params.reset_password;
-  UserModel.findOne({ reset_password: reset_password }, function(err, user) {
+  UserModel.findByResetToken(reset_password, function(err, user) {
     var saltRounds = 10;
 
-    if (!user) {
-      req.flash('error', 'Reset token expired.');
-      return res.redirect('/login');
+    if (err || !user) {
+      req.flash('error', 'This reset link is invalid or has already been used.');
+      return res.redirect('/reset');
+    }
+
+    if (user.resetTokenExpired()) {
+      user.clearResetToken();
+      return user.save(function() {
+        req.flash('error', 'This reset link has expired. Please request a new one.');
+        return res.redirect('/reset');
+      });
     }
 
     if (req.body.password.length <= 5) {
@@ -81,13 +102,19 @@ router.put('/:reset_password', function(req, res, next) {
 
     bcrypt.hash(req.body.password, saltRounds, function(err, hash) {
       user.password = hash
-      user.reset_password = '';
+      user.clearResetToken();
       user.save(function (err, user) {
         if (err) {
-          req.flash('error', error.message);
+          req.flash('error', err.message);
+          return res.redirect('/reset/' + reset_password);
         }
 
-        return res.redirect('/login');
+        // Whoever had the old password shouldn't stay logged in with it
+        UserSessionModel.revoke(req.sessionStore, { user: user._id }, function(err) {
+          if (err) console.log(err);
+          req.flash('info', 'Your password has been reset. Please log in.');
+          return res.redirect('/login');
+        });
       });
     });
   });
@@ -0,0 +1,76 @@
+/**
+ * @module routes/roles
+ * @description Routes to RoleController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const middleware = require('./middleware');
+const RoleController = require('../controllers/RoleController');
+
+/**
+* GET request to list the client's roles, built-in ones included
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/roles}
+* @function
+* @name /api/roles
+*/
+router.get('/', middleware.can(['roles:manage', 'users:roles']), (req, res) => {
+  RoleController.list(req, res);
+});
+
+/**
+* GET request to list every permission a role can grant
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/roles}
+* @function
+* @name /api/roles/permissions
+*/
+router.get('/permissions', middleware.can('roles:manage'), (req, res) => {
+  RoleController.permissions(req, res);
+});
+
+/**
+* POST request to create a custom role
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/roles}
+* @function
+* @name /api/roles
+*/
+router.post('/', middleware.can('roles:manage'), (req, res) => {
+  RoleController.create(req, res);
+});
+
+/**
+* PUT request to change a role's name or permissions
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/roles}
+* @function
+* @name /api/roles/:id
+*/
+router.put('/:id', middleware.can('roles:manage'), (req, res) => {
+  RoleController.update(req, res);
+});
+
+/**
+* DELETE request to remove a custom role from the client and its users
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/roles}
+* @function
+* @name /api/roles/:id
+*/
+router.delete('/:id', middleware.can('roles:manage'), (req, res) => {
+  RoleController.remove(req, res);
+});
+
+module.exports = router;
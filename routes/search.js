@@ -0,0 +1,27 @@
+/**
+ * @module routes/search
+ * @description Routes to SearchController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const SearchController = require('../controllers/SearchController');
+const middleware = require('./middleware');
+
+/**
+* GET request to search users, courses, terms, locations and textbooks. Each
+* type only includes what the current user could see through its own API.
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/search}
+* @function
+* @name /api/search
+*/
+router.get('/', middleware.can([
+  'users:read', 'students:read', 'courses:read', 'courses:assigned', 'terms:read', 'locations:read', 'textbooks:read'
+]), (req, res) => {
+  SearchController.search(req, res);
+});
+
+module.exports = router;
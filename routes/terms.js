@@ -6,36 +6,71 @@ var middleware = require('./middleware');
 /*
 * GET
 */
-router.get('/', middleware.auth, function(req, res) {
+router.get('/', middleware.can('terms:read'), function(req, res) {
   TermController.list(req, res);
 });
 
 /*
 * GET
 */
-router.get('/:id', middleware.admin, function(req, res) {
+router.get('/:id', middleware.can('terms:write'), function(req, res) {
   TermController.show(req, res);
 });
 
 /*
 * POST
 */
-router.post('/', middleware.admin, function(req, res) {
+router.post('/', middleware.can('terms:write'), function(req, res) {
   TermController.create(req, res);
 });
 
 /*
 * PUT
 */
-router.put('/:id', middleware.admin, function(req, res) {
+router.put('/:id', middleware.can('terms:write'), function(req, res) {
   TermController.update(req, res);
 });
 
+/*
+* POST
+*/
+router.post('/:id/rollover', middleware.can('courses:write'), function(req, res) {
+  TermController.rollover(req, res);
+});
+
 /*
 * DELETE
 */
-router.delete('/:id', middleware.admin, function(req, res) {
+router.delete('/:id', middleware.can('terms:write'), function(req, res) {
   TermController.remove(req, res);
 });
 
+/*
+* POST
+*/
+router.post('/:id/restore', middleware.can('terms:write'), function(req, res) {
+  TermController.restore(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/purge', middleware.can('records:purge'), function(req, res) {
+  TermController.purge(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id/history', middleware.can('history:read'), function(req, res) {
+  TermController.history(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/history/:version/revert', middleware.can('history:revert'), function(req, res) {
+  TermController.revert(req, res);
+});
+
 module.exports = router;
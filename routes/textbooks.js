@@ -6,36 +6,64 @@ const middleware = require('./middleware');
 /*
 * GET
 */
-router.get('/', middleware.instructor, (req, res) => {
+router.get('/', middleware.can('textbooks:read'), (req, res) => {
   TextbookController.list(req, res);
 });
 
 /*
 * GET
 */
-router.get('/:id', middleware.admin, (req, res) => {
+router.get('/:id', middleware.can('textbooks:write'), (req, res) => {
   TextbookController.show(req, res);
 });
 
 /*
 * POST
 */
-router.post('/', middleware.admin, (req, res) => {
+router.post('/', middleware.can('textbooks:write'), (req, res) => {
   TextbookController.create(req, res);
 });
 
 /*
 * PUT
 */
-router.put('/:id', middleware.admin, (req, res) => {
+router.put('/:id', middleware.can('textbooks:write'), (req, res) => {
   TextbookController.update(req, res);
 });
 
 /*
 * DELETE
 */
-router.delete('/:id', middleware.admin, (req, res) => {
+router.delete('/:id', middleware.can('textbooks:write'), (req, res) => {
   TextbookController.remove(req, res);
 });
 
+/*
+* POST
+*/
+router.post('/:id/restore', middleware.can('textbooks:write'), (req, res) => {
+  TextbookController.restore(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/purge', middleware.can('records:purge'), (req, res) => {
+  TextbookController.purge(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id/history', middleware.can('history:read'), (req, res) => {
+  TextbookController.history(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/history/:version/revert', middleware.can('history:revert'), (req, res) => {
+  TextbookController.revert(req, res);
+});
+
 module.exports = router;
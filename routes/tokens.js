@@ -0,0 +1,49 @@
+/**
+ * @module routes/tokens
+ * @description Routes to ApiTokenController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ApiTokenController = require('../controllers/ApiTokenController');
+
+/**
+* GET request to list the current user's active API tokens
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/tokens}
+* @function
+* @name /api/tokens
+*/
+router.get('/', (req, res) => {
+  ApiTokenController.list(req, res);
+});
+
+/**
+* POST request to create a named, scoped API token
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/tokens}
+* @function
+* @name /api/tokens
+*/
+router.post('/', (req, res) => {
+  ApiTokenController.create(req, res);
+});
+
+/**
+* DELETE request to revoke an API token
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/tokens}
+* @function
+* @name /api/tokens/:id
+*/
+router.delete('/:id', (req, res) => {
+  ApiTokenController.remove(req, res);
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * @module routes/two-factor
+ * @description Routes to TwoFactorController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const TwoFactorController = require('../controllers/TwoFactorController');
+
+/**
+* POST request to start enrolling, returning a QR code for an authenticator app
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/two-factor}
+* @function
+* @name /api/two-factor/setup
+*/
+router.post('/setup', (req, res) => {
+  TwoFactorController.setup(req, res);
+});
+
+/**
+* POST request to confirm enrollment with a code from the authenticator app
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/two-factor}
+* @function
+* @name /api/two-factor/enable
+*/
+router.post('/enable', (req, res) => {
+  TwoFactorController.enable(req, res);
+});
+
+/**
+* POST request to replace the current user's recovery codes
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/two-factor}
+* @function
+* @name /api/two-factor/recovery-codes
+*/
+router.post('/recovery-codes', (req, res) => {
+  TwoFactorController.recoveryCodes(req, res);
+});
+
+/**
+* POST request to turn off two-factor for the current user
+* @param {String} path a string path
+* @param {Function} [callback, ...] Optional callbacks that behave like middleware [Express.js `router.METHOD()` methods]{@link https://expressjs.com/en/api.html#router.METHOD}
+* @param {Function} callback Final callback
+* @memberof {@module routes/two-factor}
+* @function
+* @name /api/two-factor/disable
+*/
+router.post('/disable', (req, res) => {
+  TwoFactorController.disable(req, res);
+});
+
+module.exports = router;
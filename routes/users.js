@@ -1,54 +1,147 @@
 var express = require('express');
 var router = express.Router();
 var UserController = require('../controllers/UserController.js');
+var SessionController = require('../controllers/SessionController.js');
+var CalendarController = require('../controllers/CalendarController.js');
 var middleware = require('./middleware');
 
 /*
 * GET
 */
-router.get('/', middleware.admin, function(req, res) {
+router.get('/', middleware.can('users:read'), function(req, res) {
   UserController.list(req, res);
 });
 
 /*
 * GET
 */
-router.get('/:id', middleware.instructorOrMe, function(req, res) {
+router.get('/duplicates', middleware.can('users:merge'), function(req, res) {
+  UserController.duplicates(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id', middleware.can(['users:read', 'students:read'], { me: true }), function(req, res) {
   UserController.show(req, res);
 });
 
 /*
 * POST
 */
-router.post('/', middleware.admin, function(req, res) {
+router.post('/', middleware.can('users:write'), function(req, res) {
   UserController.create(req, res);
 });
 
 /*
 * PUT
 */
-router.put('/:id', middleware.instructorOrMe, function(req, res) {
+router.put('/:id', middleware.can('users:write', { me: true }), function(req, res) {
   UserController.update(req, res);
 });
 
 /*
 * DELETE
 */
-router.delete('/:id', middleware.admin, function(req, res) {
+router.delete('/:id', middleware.can('users:delete'), function(req, res) {
   UserController.remove(req, res);
 });
 
 /*
 * POST
 */
-router.post('/import', middleware.admin, function(req, res) {
+router.post('/:id/restore', middleware.can('users:delete'), function(req, res) {
+  UserController.restore(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/purge', middleware.can('records:purge'), function(req, res) {
+  UserController.purge(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id/history', middleware.can('history:read'), function(req, res) {
+  UserController.history(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/history/:version/revert', middleware.can('history:revert'), function(req, res) {
+  UserController.revert(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/unlock', middleware.can('users:write'), function(req, res) {
+  UserController.unlock(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/merge', middleware.can('users:merge'), function(req, res) {
+  UserController.merge(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/:id/verification', middleware.can('users:write', { me: true }), function(req, res) {
+  UserController.resendVerification(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id/sessions', middleware.can('users:write', { me: true }), function(req, res) {
+  SessionController.list(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/sessions', middleware.can('users:write', { me: true }), function(req, res) {
+  SessionController.removeAll(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/sessions/:session', middleware.can('users:write', { me: true }), function(req, res) {
+  SessionController.remove(req, res);
+});
+
+/*
+* GET
+*/
+router.get('/:id/calendar', middleware.can([], { me: true }), function(req, res) {
+  CalendarController.links(req, res);
+});
+
+/*
+* DELETE
+*/
+router.delete('/:id/calendar', middleware.can([], { me: true }), function(req, res) {
+  CalendarController.reset(req, res);
+});
+
+/*
+* POST
+*/
+router.post('/import', middleware.can('import:run'), function(req, res) {
   UserController.import(req, res);
 });
 
 /*
 * POST
 */
-router.post('/attendance', middleware.auth, function(req, res) {
+router.post('/attendance', middleware.can(['attendance:write', 'attendance:check_in']), function(req, res) {
   UserController.attendance(req, res);
 });
 
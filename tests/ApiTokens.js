@@ -0,0 +1,54 @@
+const http = require('http');
+const db = require('./db');
+const request = require('./request');
+
+// Calls the API the way a script would, with the token and no session
+function api(method, path, token, done) {
+  http.request({
+    host: 'localhost',
+    port: 8080,
+    method: method,
+    path: path,
+    headers: { Authorization: `Bearer ${token}` }
+  }, res => {
+    res.resume();
+    done(res.statusCode);
+  }).on('error', () => done(null)).end();
+}
+
+module.exports = {
+  'API Tokens': browser => {
+    let apiToken;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .executeAsync(request, ['post', '/api/tokens', { name: 'Term Reader', scopes: ['terms:read'] }], result => {
+      apiToken = result.value.body;
+      browser.assert.ok(apiToken.token);
+    })
+    // The token is only shown once
+    .executeAsync(request, ['get', '/api/tokens', null], result => {
+      browser.assert.ok(result.value.body.every(listed => !listed.token));
+    })
+    .perform(done => api('GET', '/api/terms', apiToken.token, status => {
+      browser.assert.equal(status, 200);
+      done();
+    }))
+    .perform(done => api('POST', '/api/terms', apiToken.token, status => {
+      browser.assert.equal(status, 403);
+      done();
+    }))
+    .perform(done => api('GET', '/api/users', apiToken.token, status => {
+      browser.assert.equal(status, 403);
+      done();
+    }))
+    .perform(() => {
+      browser.executeAsync(request, ['delete', `/api/tokens/${apiToken._id}`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      });
+    })
+    .perform(done => api('GET', '/api/terms', apiToken.token, status => {
+      browser.assert.equal(status, 401);
+      done();
+    }));
+  }
+}
@@ -0,0 +1,55 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'Archive': browser => {
+    let location;
+    let user;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.add('LocationModel', { name: 'Closing Location' }, doc => {
+        location = doc;
+        db.addUser({ first_name: 'Leaving', last_name: 'Student', username: 'leaving@client.com', is_student: true }, doc => {
+          user = doc;
+          done();
+        });
+      });
+    })
+    .perform(() => {
+      const named = (locations, name) => locations.some(location => location.name === name);
+      browser
+      .executeAsync(request, ['delete', `/api/locations/${location._id}`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['get', '/api/locations', null], result => {
+        browser.assert.ok(!named(result.value.body, 'Closing Location'));
+      })
+      .executeAsync(request, ['get', '/api/locations?archived=1', null], result => {
+        browser.assert.ok(named(result.value.body, 'Closing Location'));
+      })
+      .executeAsync(request, ['post', `/api/locations/${location._id}/restore`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['get', '/api/locations', null], result => {
+        browser.assert.ok(named(result.value.body, 'Closing Location'));
+      })
+      // Archived users drop out of sight, and only archived ones can be purged
+      .executeAsync(request, ['delete', `/api/users/${user._id}/purge`, null], result => {
+        browser.assert.equal(result.value.status, 404);
+      })
+      .executeAsync(request, ['delete', `/api/users/${user._id}`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['get', `/api/users/${user._id}`, null], result => {
+        browser.assert.equal(result.value.status, 404);
+      })
+      .executeAsync(request, ['post', `/api/users/${user._id}/restore`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['get', `/api/users/${user._id}`, null], result => {
+        browser.assert.equal(result.value.body.username, 'leaving@client.com');
+      });
+    });
+  }
+}
@@ -0,0 +1,47 @@
+const db = require('./db');
+const request = require('./request');
+
+// Entries are written after the response goes out
+const WRITE = 1000;
+
+module.exports = {
+  'Audit': browser => {
+    let deputy;
+    let role;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => db.addUser({ first_name: 'Deputy', last_name: 'Owner', username: 'deputy@client.com' }, user => {
+      deputy = user;
+      done();
+    }))
+    .executeAsync(request, ['post', '/api/roles', { name: 'Auditor', permissions: ['audit:read'] }], result => {
+      role = result.value.body;
+    })
+    .perform(() => {
+      browser
+      .executeAsync(request, ['post', '/api/organization/owners', { user: deputy._id }], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['delete', `/api/organization/owners/${deputy._id}`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['put', `/api/roles/${role._id}`, { permissions: ['audit:read', 'reports:run'] }], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .pause(WRITE)
+      .executeAsync(request, ['get', '/api/audit?action=owner.add', null], result => {
+        browser.assert.equal(result.value.body[0].target.id, String(deputy._id));
+      })
+      .executeAsync(request, ['get', '/api/audit?action=owner.remove', null], result => {
+        browser.assert.equal(result.value.body[0].target.id, String(deputy._id));
+      })
+      .executeAsync(request, ['get', '/api/audit?action=role.permissions', null], result => {
+        browser.assert.equal(result.value.body[0].target.label, 'Auditor');
+        browser.assert.deepEqual(result.value.body[0].details, {
+          before: ['audit:read'],
+          after: ['audit:read', 'reports:run']
+        });
+      });
+    });
+  }
+}
@@ -0,0 +1,107 @@
+const http = require('http');
+const moment = require('moment');
+const db = require('./db');
+const request = require('./request');
+
+// Fetches a feed the way a calendar app would, with no session
+function feed(url, done) {
+  http.get(url, res => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      body += chunk;
+    });
+    res.on('end', () => done(res.statusCode, body));
+  }).on('error', () => done(null, ''));
+}
+
+// The link with its payload changed but its signature kept
+function forged(url, changes) {
+  const body = url.match(/\/calendar\/([^.]+)\./)[1];
+  const payload = Object.assign(JSON.parse(Buffer.from(body, 'base64').toString()), changes);
+  return url.replace(body, Buffer.from(JSON.stringify(payload)).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+}
+
+module.exports = {
+  'Calendar Feeds': browser => {
+    let student;
+    let other;
+    let link;
+
+    browser
+    .perform(done => {
+      db.addUser({ first_name: 'Feed', last_name: 'Student', username: 'feed.student@client.com', is_student: true }, user => {
+        student = user;
+        db.add('TermModel', {
+          name: 'Feed Term',
+          start_date: moment.utc().subtract(1, 'week').toDate(),
+          end_date: moment.utc().add(3, 'weeks').toDate()
+        }, term => {
+          db.add('LocationModel', { name: 'Feed Location' }, location => {
+            const course = (name, registrations) => {
+              return {
+                name: name,
+                term: term._id,
+                location: location._id,
+                days: ['monday', 'wednesday'],
+                timeStart: '06:00',
+                timeEnd: '07:00',
+                registrations: registrations
+              };
+            };
+            db.add('CourseModel', course('Feed Course', [user._id]), () => {
+              db.addUser({ first_name: 'Other', last_name: 'Student', username: 'feed.other@client.com', is_student: true }, user => {
+                other = user;
+                db.add('CourseModel', course('Unregistered Feed Course', [user._id]), () => done());
+              });
+            });
+          });
+        });
+      });
+    })
+    .login('feed.student@client.com', db.PASSWORD)
+    // Students get a feed of their own classes, and no others
+    .perform(() => {
+      browser.executeAsync(request, ['get', `/api/users/${student._id}/calendar`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+        browser.assert.deepEqual(result.value.body.courses, []);
+        browser.assert.deepEqual(result.value.body.locations, []);
+        link = result.value.body.user;
+      });
+    })
+    .perform(done => feed(link, (status, body) => {
+      browser.assert.equal(status, 200);
+      browser.assert.ok(body.indexOf('BEGIN:VCALENDAR') === 0);
+      browser.assert.ok(body.indexOf('SUMMARY:Feed Course') > -1);
+      browser.assert.equal(body.indexOf('Unregistered Feed Course'), -1);
+      done();
+    }))
+    // Links can't be changed to show someone else's classes
+    .perform(done => feed(forged(link, { user: String(other._id) }), status => {
+      browser.assert.equal(status, 404);
+      done();
+    }))
+    // Nor can anyone get another user's links
+    .perform(() => {
+      browser.executeAsync(request, ['get', `/api/users/${other._id}/calendar`, null], result => {
+        browser.assert.equal(result.value.status, 403);
+      });
+    })
+    // Resetting the links stops the old ones
+    .perform(() => {
+      browser.executeAsync(request, ['delete', `/api/users/${student._id}/calendar`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+        browser.assert.notEqual(result.value.body.user, link);
+        browser.perform(done => feed(link, status => {
+          browser.assert.equal(status, 404);
+          done();
+        }));
+        browser.perform(done => feed(result.value.body.user, status => {
+          browser.assert.equal(status, 200);
+          done();
+        }));
+      });
+    });
+  }
+}
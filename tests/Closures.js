@@ -0,0 +1,107 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const db = require('./db');
+const request = require('./request');
+
+// Four years out, clear of the other tests' courses
+const START = moment.utc().add(4, 'years').startOf('isoWeek');
+const MONDAY = START.clone().add(1, 'week').format('YYYY-MM-DD');
+const NEXT_MONDAY = START.clone().add(2, 'weeks').format('YYYY-MM-DD');
+
+module.exports = {
+  'Closures': browser => {
+    let course;
+    let elsewhere;
+    let closure;
+    let foreign;
+
+    function mondays(cb) {
+      browser.executeAsync(request, ['get', `/api/courses/${course._id}`, null], result => {
+        cb(result.value.body.sessions.map(session => session.date));
+      });
+    }
+
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.add('TermModel', {
+        name: 'Closure Term',
+        start_date: START.toDate(),
+        end_date: START.clone().add(4, 'weeks').toDate()
+      }, term => {
+        db.add('LocationModel', { name: 'Closure Location' }, location => {
+          db.add('LocationModel', { name: 'Closure Elsewhere' }, other => {
+            elsewhere = other;
+            db.add('CourseModel', {
+              name: 'Closure Course',
+              term: term._id,
+              location: location._id,
+              days: ['monday'],
+              timeStart: '18:00',
+              timeEnd: '21:00',
+              grades: [{ name: 'Closure Homework', dueDate: NEXT_MONDAY }]
+            }, doc => {
+              course = doc;
+              db.addUser({ first_name: 'Closure', last_name: 'Student', username: 'closure.student@client.com', is_student: true }, () => done());
+            });
+          });
+        });
+      });
+    })
+    .perform(() => mondays(dates => browser.assert.ok(dates.indexOf(MONDAY) > -1)))
+    // A closure everywhere takes its days out of the course
+    .executeAsync(request, ['post', '/api/closures', { name: 'Closure Day', start_date: MONDAY }], result => {
+      browser.assert.equal(result.value.status, 200);
+      browser.assert.equal(result.value.body.closure.end_date, MONDAY);
+      const affected = result.value.body.affected.filter(entry => entry.course.name === 'Closure Course');
+      browser.assert.deepEqual(affected.map(entry => entry.closed), [[MONDAY]]);
+      closure = result.value.body.closure;
+    })
+    .perform(() => mondays(dates => browser.assert.equal(dates.indexOf(MONDAY), -1)))
+    // Moving it gives the day back, and says what's now due on the new one
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/closures/${closure._id}`, { start_date: NEXT_MONDAY, end_date: NEXT_MONDAY }], result => {
+        const affected = result.value.body.affected.filter(entry => entry.course.name === 'Closure Course')[0];
+        browser.assert.deepEqual(affected.closed, [NEXT_MONDAY]);
+        browser.assert.deepEqual(affected.reopened, [MONDAY]);
+        browser.assert.deepEqual(affected.due.map(grade => grade.name), ['Closure Homework']);
+      });
+    })
+    .perform(() => mondays(dates => {
+      browser.assert.ok(dates.indexOf(MONDAY) > -1);
+      browser.assert.equal(dates.indexOf(NEXT_MONDAY), -1);
+    }))
+    // Closures at another location leave the course alone
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/closures/${closure._id}`, { location: String(elsewhere._id) }], result => {
+        const affected = result.value.body.affected.filter(entry => entry.course.name === 'Closure Course')[0];
+        browser.assert.deepEqual(affected.reopened, [NEXT_MONDAY]);
+      });
+    })
+    .executeAsync(request, ['post', '/api/closures', { name: 'Backwards', start_date: NEXT_MONDAY, end_date: MONDAY }], result => {
+      browser.assert.equal(result.value.body.message, 'A closure can\'t end before it starts.');
+    })
+    // Nobody can close another organization's location
+    .perform(done => {
+      db.add('LocationModel', { name: 'Foreign Location', client: new mongoose.Types.ObjectId() }, location => {
+        foreign = location;
+        done();
+      });
+    })
+    .perform(() => {
+      browser.executeAsync(request, ['post', '/api/closures', { name: 'Foreign', start_date: MONDAY, location: String(foreign._id) }], result => {
+        browser.assert.equal(result.value.status, 404);
+      });
+    })
+    .perform(() => {
+      browser.executeAsync(request, ['delete', `/api/closures/${closure._id}`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      });
+    })
+    // Students can't change the calendar
+    .login('closure.student@client.com', db.PASSWORD)
+    .executeAsync(request, ['post', '/api/closures', { name: 'Day Off', start_date: MONDAY }], result => {
+      browser.assert.equal(result.value.status, 403);
+    });
+  }
+}
@@ -0,0 +1,95 @@
+const moment = require('moment');
+const db = require('./db');
+const request = require('./request');
+
+// Two years out, clear of the other tests' courses
+const START = moment.utc().add(2, 'years').startOf('isoWeek');
+const MONDAY = START.clone().add(1, 'week').format('YYYY-MM-DD');
+// And a year after that for copying terms
+const ROLLOVER_START = START.clone().add(1, 'year').startOf('isoWeek');
+
+module.exports = {
+  'Conflicts': browser => {
+    let tuesdays;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.add('TermModel', {
+        name: 'Conflict Term',
+        start_date: START.toDate(),
+        end_date: START.clone().add(4, 'weeks').toDate()
+      }, term => {
+        db.add('LocationModel', { name: 'Conflict Location' }, location => {
+          const course = (name, days) => {
+            return { name: name, term: term._id, location: location._id, days: days, timeStart: '18:00', timeEnd: '21:00' };
+          };
+          db.add('CourseModel', course('Monday Course', ['monday']), () => {
+            db.add('CourseModel', course('Tuesday Course', ['tuesday']), course => {
+              tuesdays = course;
+              done();
+            });
+          });
+        });
+      });
+    })
+    // An extra session on a Monday lands in the other course's room
+    .perform(() => {
+      const exceptions = [{ date: MONDAY, action: 'add' }];
+      browser
+      .executeAsync(request, ['put', `/api/courses/${tuesdays._id}`, { exceptions: exceptions }], result => {
+        browser.assert.equal(result.value.status, 409);
+        browser.assert.equal(result.value.body.message, 'This course clashes with another course.');
+      })
+      .executeAsync(request, ['put', `/api/courses/${tuesdays._id}`, {
+        exceptions: exceptions,
+        override_conflicts: true
+      }], result => {
+        browser.assert.equal(result.value.status, 200);
+      });
+    });
+  },
+
+  'Rollover Conflicts': browser => {
+    const terms = {};
+    browser
+    .perform(done => {
+      db.add('TermModel', {
+        name: 'Clashing Term',
+        start_date: ROLLOVER_START.toDate(),
+        end_date: ROLLOVER_START.clone().add(4, 'weeks').toDate()
+      }, term => {
+        terms.from = term;
+        db.add('TermModel', {
+          name: 'Clashing Copies Term',
+          start_date: ROLLOVER_START.clone().add(8, 'weeks').toDate(),
+          end_date: ROLLOVER_START.clone().add(12, 'weeks').toDate()
+        }, term => {
+          terms.to = term;
+          db.add('LocationModel', { name: 'Clashing Location' }, location => {
+            // Saved straight to the database, which doesn't look for clashes
+            const course = name => {
+              return { name: name, term: terms.from._id, location: location._id, days: ['wednesday'], timeStart: '18:00', timeEnd: '21:00' };
+            };
+            db.add('CourseModel', course('First Clashing Course'), () => {
+              db.add('CourseModel', course('Second Clashing Course'), () => done());
+            });
+          });
+        });
+      });
+    })
+    // The new term is empty, but the copies clash with each other
+    .perform(() => {
+      const rollover = `/api/terms/${terms.from._id}/rollover`;
+      browser
+      .executeAsync(request, ['post', rollover, { to: terms.to._id, preview: true }], result => {
+        browser.assert.ok(result.value.body.courses.every(entry => entry.conflicts.length));
+      })
+      .executeAsync(request, ['post', rollover, { to: terms.to._id }], result => {
+        browser.assert.equal(result.value.status, 409);
+      })
+      .executeAsync(request, ['post', rollover, { to: terms.to._id, override_conflicts: true }], result => {
+        browser.assert.deepEqual(result.value.body.counts, { created: 2 });
+      });
+    });
+  }
+}
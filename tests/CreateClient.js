@@ -1,6 +1,7 @@
 module.exports = {
   'Create Client': browser => {
     browser
+    .setValue('input[name="organization_name"]', 'Test School')
     .setValue('input[name="first_name"]', 'Test')
     .setValue('input[name="last_name"]', 'Client')
     .setValue('input[name="phone"]', '5555555555')
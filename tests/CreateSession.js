@@ -1,3 +1,5 @@
+const db = require('./db');
+
 module.exports = {
   before: browser => {
     browser
@@ -5,7 +7,7 @@ module.exports = {
     .url('http://localhost:8080/register')
     .waitForElementVisible('body', 1000);
   },
-  after: browser => {
-    browser.end();
+  after: (browser, done) => {
+    browser.end(() => db.close(done));
   }
 }
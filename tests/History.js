@@ -0,0 +1,32 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'History': browser => {
+    let student;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.addUser({ first_name: 'Renamed', last_name: 'Student', username: 'before@client.com', is_student: true }, user => {
+        student = user;
+        done();
+      });
+    })
+    .perform(() => {
+      const user = `/api/users/${student._id}`;
+      browser
+      .executeAsync(request, ['put', user, { first_name: 'Changed', username: 'after@client.com' }], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      // Reverting puts the name back but leaves the address alone
+      .executeAsync(request, ['post', `${user}/history/0/revert`, {}], result => {
+        browser.assert.equal(result.value.status, 200);
+        browser.assert.equal(result.value.body.first_name, 'Renamed');
+        browser.assert.equal(result.value.body.username, 'after@client.com');
+      })
+      .executeAsync(request, ['post', `${user}/history/0/revert`, { field: 'username' }], result => {
+        browser.assert.deepEqual(result.value, { status: 400, body: { message: 'username can\'t be reverted.' } });
+      });
+    });
+  }
+}
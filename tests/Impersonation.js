@@ -0,0 +1,41 @@
+const db = require('./db');
+const request = require('./request');
+
+const BLOCKED = { status: 403, body: { error: 'Not allowed while viewing as another user.' } };
+
+module.exports = {
+  'Impersonation': browser => {
+    let student;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.addUser({ first_name: 'Viewed', last_name: 'Student', username: 'viewed@client.com', is_student: true }, user => {
+        student = user;
+        done();
+      });
+    })
+    .perform(() => {
+      const account = `/api/users/${student._id}`;
+      browser
+      .executeAsync(request, ['post', `/api/impersonation/${student._id}`, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      // Looking is fine, but the account stays the student's own
+      .executeAsync(request, ['get', account, null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['put', account, { username: 'taken@elsewhere.com' }], result => {
+        browser.assert.deepEqual(result.value, BLOCKED);
+      })
+      .executeAsync(request, ['post', `${account}/verification`, null], result => {
+        browser.assert.deepEqual(result.value, BLOCKED);
+      })
+      .executeAsync(request, ['delete', '/api/impersonation', null], result => {
+        browser.assert.equal(result.value.status, 200);
+      })
+      .executeAsync(request, ['get', account, null], result => {
+        browser.assert.equal(result.value.body.username, 'viewed@client.com');
+      });
+    });
+  }
+}
@@ -0,0 +1,83 @@
+const db = require('./db');
+const request = require('./request');
+
+const CSV = [
+  'Email,First Name,Last Name',
+  'imported@client.com,Ida,Import',
+  'not an email,Bad,Row',
+  'imported@client.com,Ida,Again'
+].join('\n');
+
+// Runs in the browser like `request`, but sends the CSV as an uploaded file
+function upload(csv, done) {
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), 'users.csv');
+  $.ajax('/api/import/users', {
+    method: 'post',
+    data: form,
+    processData: false,
+    contentType: false,
+    complete: xhr => done({
+      status: xhr.status,
+      body: xhr.responseJSON || null
+    })
+  });
+}
+
+module.exports = {
+  'Import Users': browser => {
+    let id;
+
+    browser
+    .login('test@client.com', db.PASSWORD)
+    // Previewing saves nobody and says what each row would do
+    .executeAsync(upload, [CSV], result => {
+      browser.assert.equal(result.value.status, 200);
+      browser.assert.deepEqual(result.value.body.mapping, {
+        Email: 'username',
+        'First Name': 'first_name',
+        'Last Name': 'last_name'
+      });
+      browser.assert.deepEqual(result.value.body.rows.map(row => row.action), ['create', 'reject', 'skip']);
+      browser.assert.equal(result.value.body.rows[2].reason, 'Same email as line 2');
+      id = result.value.body._id;
+    })
+    .executeAsync(request, ['get', '/api/users?q=imported%40client.com', null], result => {
+      browser.assert.equal(result.value.body.length, 0);
+    })
+    // Without an email column every row is rejected
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/import/users/${id}`, { mapping: { 'First Name': 'first_name', 'Last Name': 'last_name' } }], result => {
+        browser.assert.deepEqual(result.value.body.counts, { create: 0, update: 0, skip: 0, reject: 3 });
+        browser.assert.equal(result.value.body.rows[0].reason, 'No column is mapped to email');
+      });
+    })
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/import/users/${id}`, { mapping: { Email: 'username', 'First Name': 'first_name', 'Last Name': 'last_name' } }], result => {
+        browser.assert.deepEqual(result.value.body.counts, { create: 1, update: 0, skip: 1, reject: 1 });
+      });
+    })
+    .perform(() => {
+      browser.executeAsync(request, ['post', `/api/import/users/${id}/commit`, {}], result => {
+        browser.assert.equal(result.value.status, 200);
+        browser.assert.equal(result.value.body.counts.created, 1);
+        browser.assert.equal(result.value.body.counts.rejected, 1);
+        browser.assert.equal(result.value.body.counts.skipped, 1);
+      });
+    })
+    .executeAsync(request, ['get', '/api/users?q=imported%40client.com', null], result => {
+      browser.assert.deepEqual(result.value.body.map(user => user.first_name), ['Ida']);
+    })
+    // The same preview can't be committed twice
+    .perform(() => {
+      browser.executeAsync(request, ['post', `/api/import/users/${id}/commit`, {}], result => {
+        browser.assert.equal(result.value.status, 400);
+      });
+    })
+    // Uploading the file again finds the user it made
+    .executeAsync(upload, [CSV.replace('Ida,Import', 'Ida,Imported')], result => {
+      browser.assert.deepEqual(result.value.body.rows.map(row => row.action), ['update', 'reject', 'skip']);
+      browser.assert.equal(result.value.body.rows[0].reason, 'Changes last name');
+    });
+  }
+}
@@ -0,0 +1,41 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'Instructors': browser => {
+    const courses = {};
+    browser
+    .perform(done => {
+      db.addUser({ first_name: 'Assigned', last_name: 'Instructor', username: 'assigned@client.com', is_instructor: true }, instructor => {
+        db.add('TermModel', { name: 'Teaching Term' }, term => {
+          db.add('CourseModel', { name: 'Taught Course', term: term._id, instructors: [instructor._id] }, course => {
+            courses.taught = course;
+            db.add('CourseModel', { name: 'Someone Else\'s Course', term: term._id }, course => {
+              courses.other = course;
+              done();
+            });
+          });
+        });
+      });
+    })
+    .login('assigned@client.com', db.PASSWORD)
+    // Instructors only see and edit the courses they teach
+    .executeAsync(request, ['get', '/api/courses', null], result => {
+      browser.assert.deepEqual(result.value.body.map(course => course.name), ['Taught Course']);
+    })
+    .perform(() => {
+      browser
+      .executeAsync(request, ['get', `/api/courses/${courses.other._id}`, null], result => {
+        browser.assert.equal(result.value.status, 404);
+      })
+      .executeAsync(request, ['put', `/api/courses/${courses.other._id}`, { videos: [] }], result => {
+        browser.assert.equal(result.value.status, 404);
+      })
+      // And only the parts of them that come with teaching
+      .executeAsync(request, ['put', `/api/courses/${courses.taught._id}`, { name: 'Renamed Course', videos: [] }], result => {
+        browser.assert.equal(result.value.status, 200);
+        browser.assert.equal(result.value.body.name, 'Taught Course');
+      });
+    });
+  }
+}
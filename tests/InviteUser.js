@@ -0,0 +1,91 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'Invite User': browser => {
+    let link;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .url('http://localhost:8080/#users')
+    .waitForElementVisible('a[data-test="invite-user"]', 5000)
+    .click('a[data-test="invite-user"]')
+    .waitForElementVisible('#invite-email', 1000)
+    .setValue('#invite-email', 'invited@client.com')
+    .click('[data-test="send-invite"]')
+    .waitForElementVisible('.modal .alert-success', 5000)
+    .assert.containsText('.modal .alert-success', 'Invitation sent to invited@client.com.')
+    .url('http://localhost:8080/logout')
+    .perform(done => db.inviteLink('invited@client.com', url => {
+      link = url;
+      done();
+    }))
+    .perform(() => browser.url(link))
+    .waitForElementVisible('#first-name', 5000)
+    .assert.value('#email', 'invited@client.com')
+    .setValue('#first-name', 'Invited')
+    .setValue('#last-name', 'Student')
+    .setValue('#phone', '5555555555')
+    .setValue('#password', db.PASSWORD)
+    .click('button[type="submit"]')
+    .waitForElementVisible('#user-dropdown', 5000)
+    // Invitations only work once
+    .url('http://localhost:8080/logout')
+    .perform(() => browser.url(link))
+    .waitForElementVisible('.alerts .alert-danger', 5000)
+    .assert.containsText('.alerts .alert-danger', 'This invitation link has already been used or was cancelled.');
+  },
+
+  'Invite To A Full Course': browser => {
+    let course;
+    let waiting;
+    let link;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.add('TermModel', { name: 'Full Term' }, term => {
+        db.addUser({ first_name: 'Early', last_name: 'Bird', username: 'earlybird@client.com', is_student: true }, user => {
+          db.add('CourseModel', { name: 'Full Course', term: term._id, seats: 1, registrations: [user._id] }, doc => {
+            course = doc;
+            db.addUser({ first_name: 'Wait', last_name: 'Listed', username: 'waitlisted@client.com', is_student: true }, user => {
+              waiting = user;
+              done();
+            });
+          });
+        });
+      });
+    })
+    .perform(() => {
+      browser
+      .executeAsync(request, ['post', '/api/registrations', { userId: waiting._id, courseId: course._id }], result => {
+        browser.assert.deepEqual(result.value, { status: 400, body: { message: 'This course is full.' } });
+      })
+      .executeAsync(request, ['post', '/api/invites', {
+        email: 'latecomer@client.com',
+        role: 'student',
+        course: course._id
+      }], result => {
+        browser.assert.equal(result.value.status, 200);
+      });
+    })
+    .url('http://localhost:8080/logout')
+    .perform(done => db.inviteLink('latecomer@client.com', url => {
+      link = url;
+      done();
+    }))
+    .perform(() => browser.url(link))
+    .waitForElementVisible('#first-name', 5000)
+    .setValue('#first-name', 'Late')
+    .setValue('#last-name', 'Comer')
+    .setValue('#phone', '5555555555')
+    .setValue('#password', db.PASSWORD)
+    .click('button[type="submit"]')
+    // The account is made, but the course has no seat for it
+    .waitForElementVisible('#user-dropdown', 5000)
+    .login('test@client.com', db.PASSWORD)
+    .perform(() => {
+      browser.executeAsync(request, ['get', `/api/courses/${course._id}`, null], result => {
+        browser.assert.equal(result.value.body.registrations.length, 1);
+      });
+    });
+  }
+}
@@ -0,0 +1,58 @@
+const db = require('./db');
+
+// Failures after the third are slowed down, so give each one time
+const WAIT = 10000;
+
+module.exports = {
+  'Lock Out': browser => {
+    browser.url('http://localhost:8080/logout');
+    for (let attempt = 0; attempt < 5; attempt++) {
+      browser
+      .waitForElementVisible('#email', WAIT)
+      .setValue('#email', 'invited@client.com')
+      .setValue('#password', 'wrongpw')
+      .click('button[type="submit"]')
+      .waitForElementVisible('.alerts .alert-danger', WAIT)
+      .assert.containsText('.alerts .alert-danger', 'Incorrect username or password.');
+    }
+    // Even the right password is turned away now
+    browser
+    .setValue('#email', 'invited@client.com')
+    .setValue('#password', 'newtestpw')
+    .click('button[type="submit"]')
+    .waitForElementVisible('.alerts .alert-danger', WAIT)
+    .assert.containsText('.alerts .alert-danger', 'Too many failed login attempts.');
+  },
+
+  'Lock Out Two-Factor': browser => {
+    browser.perform(done => db.addUser({
+      first_name: 'Two',
+      last_name: 'Factor',
+      username: 'twofactor@client.com',
+      two_factor_enabled: true,
+      two_factor_secret: 'JBSWY3DPEHPK3PXP'
+    }, () => done()));
+    // Knowing the password doesn't reset the count of wrong codes
+    for (let attempt = 0; attempt < 5; attempt++) {
+      browser
+      .url('http://localhost:8080/login')
+      .waitForElementVisible('#email', WAIT)
+      .setValue('#email', 'twofactor@client.com')
+      .setValue('#password', db.PASSWORD)
+      .click('button[type="submit"]')
+      .waitForElementVisible('#code', WAIT)
+      .setValue('#code', '000000')
+      .click('button[type="submit"]')
+      .waitForElementVisible('.alerts .alert-danger', WAIT)
+      .assert.containsText('.alerts .alert-danger', 'Invalid authentication code.');
+    }
+    browser
+    .url('http://localhost:8080/login')
+    .waitForElementVisible('#email', WAIT)
+    .setValue('#email', 'twofactor@client.com')
+    .setValue('#password', db.PASSWORD)
+    .click('button[type="submit"]')
+    .waitForElementVisible('.alerts .alert-danger', WAIT)
+    .assert.containsText('.alerts .alert-danger', 'Too many failed login attempts.');
+  }
+}
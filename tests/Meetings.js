@@ -0,0 +1,85 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const db = require('./db');
+const request = require('./request');
+
+// Five years out, clear of the other tests' courses
+const START = moment.utc().add(5, 'years').startOf('isoWeek');
+
+function date(days) {
+  return START.clone().add(days, 'days').format('YYYY-MM-DD');
+}
+
+module.exports = {
+  'Meeting Patterns': browser => {
+    let course;
+    let foreign;
+
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.add('TermModel', {
+        name: 'Meeting Term',
+        start_date: START.toDate(),
+        end_date: START.clone().add(13, 'days').toDate()
+      }, term => {
+        db.add('LocationModel', { name: 'Meeting Location' }, location => {
+          db.add('CourseModel', {
+            name: 'Meeting Course',
+            term: term._id,
+            location: location._id,
+            days: ['monday', 'saturday'],
+            timeStart: '18:00',
+            timeEnd: '21:00',
+            meeting_times: [{ day: 'saturday', timeStart: '10:00', timeEnd: '16:00' }]
+          }, doc => {
+            course = doc;
+            db.add('LocationModel', { name: 'Foreign Location', client: new mongoose.Types.ObjectId() }, location => {
+              foreign = location;
+              done();
+            });
+          });
+        });
+      });
+    })
+    // Saturdays meet at their own times
+    .perform(() => {
+      browser.executeAsync(request, ['get', `/api/courses/${course._id}`, null], result => {
+        const sessions = result.value.body.sessions;
+        browser.assert.deepEqual(sessions.map(session => session.date), [date(0), date(5), date(7), date(12)]);
+        browser.assert.deepEqual(sessions.map(session => session.timeStart), ['18:00', '10:00', '18:00', '10:00']);
+        browser.assert.deepEqual(sessions.map(session => session.timeEnd), ['21:00', '16:00', '21:00', '16:00']);
+      });
+    })
+    // Exceptions change single sessions and leave the rest alone
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/courses/${course._id}`, {
+        exceptions: [
+          { date: date(0), action: 'cancel' },
+          { date: date(2), action: 'add' },
+          { date: date(5), action: 'change', timeEnd: '12:00', note: 'Short day' },
+          { date: date(7), action: 'move', moved_to: date(8), room: 'Lab' }
+        ]
+      }], result => {
+        browser.assert.equal(result.value.status, 200);
+        const sessions = result.value.body.sessions;
+        browser.assert.deepEqual(sessions.map(session => session.date), [date(2), date(5), date(8), date(12)]);
+        browser.assert.deepEqual(sessions.map(session => session.timeEnd), ['21:00', '12:00', '21:00', '16:00']);
+        browser.assert.deepEqual(sessions.map(session => session.room), ['', '', 'Lab', '']);
+        browser.assert.deepEqual(sessions.map(session => session.note), ['', 'Short day', '', '']);
+        browser.assert.equal(sessions[0].added, true);
+        browser.assert.equal(sessions[1].changed, true);
+        browser.assert.equal(sessions[2].moved_from, date(7));
+      });
+    })
+    // Sessions can only move to the organization's own locations
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/courses/${course._id}`, {
+        exceptions: [{ date: date(7), action: 'change', location: String(foreign._id) }]
+      }], result => {
+        browser.assert.equal(result.value.status, 400);
+        browser.assert.equal(result.value.body.message, 'No such location');
+      });
+    });
+  }
+}
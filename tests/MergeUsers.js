@@ -0,0 +1,39 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'Merge Users': browser => {
+    let survivor;
+    let retired;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.addUser({ first_name: 'Merge', last_name: 'Me', username: 'merge.me@gmail.com', is_student: true }, user => {
+        survivor = user;
+        db.addUser({
+          first_name: 'Merge',
+          last_name: 'Me',
+          username: 'mergeme@gmail.com',
+          is_student: true,
+          phone: '555-0100',
+          email_verified_at: new Date()
+        }, user => {
+          retired = user;
+          done();
+        });
+      });
+    })
+    .perform(() => {
+      browser
+      .executeAsync(request, ['post', `/api/users/${survivor._id}/merge`, { duplicate: retired._id }], result => {
+        browser.assert.equal(result.value.status, 200);
+        browser.assert.equal(result.value.body.user.phone, '555-0100');
+        // Someone else's verified address doesn't verify the survivor's
+        browser.assert.equal(result.value.body.user.email_verified_at, undefined);
+      })
+      .executeAsync(request, ['get', `/api/users/${retired._id}`, null], result => {
+        browser.assert.equal(result.value.status, 404);
+      });
+    });
+  }
+}
@@ -0,0 +1,26 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'Organization': browser => {
+    browser
+    .login('test@client.com', db.PASSWORD)
+    // Registering made the school, with whoever signed up as its owner
+    .executeAsync(request, ['get', '/api/organization', null], result => {
+      browser.assert.equal(result.value.body.name, 'Test School');
+      browser.assert.deepEqual(result.value.body.owners.map(owner => owner.username), ['test@client.com']);
+    })
+    .executeAsync(request, ['put', '/api/organization', { website: 'https://school.example.com' }], result => {
+      browser.assert.equal(result.value.body.website, 'https://school.example.com');
+    })
+    // Admins can see the school's details but only owners change them
+    .perform(done => db.addUser({ first_name: 'School', last_name: 'Admin', username: 'principal@client.com', is_admin: true }, () => done()))
+    .login('principal@client.com', db.PASSWORD)
+    .executeAsync(request, ['get', '/api/organization', null], result => {
+      browser.assert.equal(result.value.body.website, 'https://school.example.com');
+    })
+    .executeAsync(request, ['put', '/api/organization', { name: 'Renamed School' }], result => {
+      browser.assert.equal(result.value.status, 403);
+    });
+  }
+}
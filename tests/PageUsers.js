@@ -0,0 +1,32 @@
+const db = require('./db');
+
+module.exports = {
+  'Page Users': browser => {
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => db.addStudents(60, done))
+    .url('http://localhost:8080/#users')
+    .waitForElementVisible('.pagination', 5000)
+    .assert.containsText('#container', '61 users')
+    .elements('css selector', 'table tbody tr', result => {
+      browser.assert.equal(result.value.length, 50);
+    })
+    // Past the first and previous page buttons
+    .click('.pagination li:nth-child(4) a')
+    .pause(1000)
+    .elements('css selector', 'table tbody tr', result => {
+      browser.assert.equal(result.value.length, 11);
+    })
+    .executeAsync(function(done) {
+      $.ajax('/api/users?page=2&per_page=40', {
+        complete: xhr => done({
+          status: xhr.status,
+          total: xhr.getResponseHeader('X-Total-Count'),
+          users: xhr.responseJSON.length
+        })
+      });
+    }, [], result => {
+      browser.assert.deepEqual(result.value, { status: 200, total: '61', users: 21 });
+    });
+  }
+}
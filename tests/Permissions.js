@@ -0,0 +1,67 @@
+const db = require('./db');
+const request = require('./request');
+
+// Manages users and their roles, without being an admin
+const REGISTRAR = ['users:read', 'users:write', 'users:roles', 'students:read', 'terms:read'];
+
+module.exports = {
+  'Permissions': browser => {
+    let registrar;
+    let admin;
+    let student;
+    browser
+    .perform(done => db.addStaff('Registrar', REGISTRAR, user => {
+      registrar = user;
+      db.addUser({ first_name: 'Test', last_name: 'Admin', username: 'boss@client.com', is_admin: true }, user => {
+        admin = user;
+        db.addUser({ first_name: 'Test', last_name: 'Student', username: 'pupil@client.com', is_student: true }, user => {
+          student = user;
+          done();
+        });
+      });
+    }))
+    .login('registrar@client.com', db.PASSWORD)
+    .url('http://localhost:8080/#users')
+    .waitForElementVisible('.pagination', 5000)
+    .assert.cssClassPresent('a[data-test="invite-user"]', 'hidden')
+    .executeAsync(request, ['get', '/api/audit', null], result => {
+      browser.assert.equal(result.value.status, 403);
+    })
+    .executeAsync(request, ['post', '/api/invites', { email: 'admin@client.com', role: 'admin' }], result => {
+      browser.assert.equal(result.value.status, 403);
+    })
+    // Handing out roles only covers the ones with no more than their own permissions
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/users/${registrar._id}`, { is_admin: true }], result => {
+        browser.assert.deepEqual(result.value, { status: 403, body: { message: 'You can\'t change who is an admin.' } });
+      });
+    })
+    .executeAsync(request, ['post', '/api/users', {
+      first_name: 'New',
+      last_name: 'Admin',
+      username: 'admin@client.com',
+      is_admin: true
+    }], result => {
+      browser.assert.deepEqual(result.value, { status: 403, body: { message: 'You can\'t make users admins.' } });
+    })
+    // Nor move the logins of people who can do more than they can
+    .executeAsync(request, ['get', '/api/users?role=owner', null], result => {
+      browser.executeAsync(request, ['put', `/api/users/${result.value.body[0]._id}`, { username: 'owner@elsewhere.com' }], result => {
+        browser.assert.deepEqual(result.value, { status: 403, body: { message: 'You can\'t change an owner\'s email address.' } });
+      });
+    })
+    .perform(() => {
+      browser
+      .executeAsync(request, ['put', `/api/users/${admin._id}`, { username: 'admin@elsewhere.com' }], result => {
+        browser.assert.deepEqual(result.value, {
+          status: 403,
+          body: { message: 'You can\'t change the email address of someone who can do more than you.' }
+        });
+      })
+      .executeAsync(request, ['put', `/api/users/${student._id}`, { username: 'student@elsewhere.com' }], result => {
+        browser.assert.equal(result.value.status, 200);
+        browser.assert.equal(result.value.body.username, 'student@elsewhere.com');
+      });
+    });
+  }
+}
@@ -0,0 +1,35 @@
+const db = require('./db');
+
+module.exports = {
+  'Reset Password': browser => {
+    let link;
+    browser
+    .url('http://localhost:8080/logout')
+    .url('http://localhost:8080/reset/not-a-reset-link')
+    .waitForElementVisible('.alerts .alert-danger', 5000)
+    .assert.containsText('.alerts .alert-danger', 'This reset link is invalid or has already been used.')
+    .setValue('#email', 'invited@client.com')
+    .click('button[type="submit"]')
+    .waitForElementVisible('.alerts .alert-success', 5000)
+    .assert.containsText('.alerts .alert-success', 'Check your email for the reset link.')
+    .perform(done => db.resetLink('invited@client.com', url => {
+      link = url;
+      done();
+    }))
+    .perform(() => browser.url(link))
+    .waitForElementVisible('#password', 5000)
+    .setValue('#password', 'newtestpw')
+    .click('button[type="submit"]')
+    .waitForElementVisible('.alerts .alert-info', 5000)
+    .assert.containsText('.alerts .alert-info', 'Your password has been reset. Please log in.')
+    .setValue('#email', 'invited@client.com')
+    .setValue('#password', 'newtestpw')
+    .click('button[type="submit"]')
+    .waitForElementVisible('#user-dropdown', 5000)
+    // Reset links only work once
+    .url('http://localhost:8080/logout')
+    .perform(() => browser.url(link))
+    .waitForElementVisible('.alerts .alert-danger', 5000)
+    .assert.containsText('.alerts .alert-danger', 'This reset link is invalid or has already been used.');
+  }
+}
@@ -0,0 +1,35 @@
+const moment = require('moment');
+const db = require('./db');
+
+// A year out, so the copies don't clash with anything
+const START = moment().add(1, 'year').startOf('isoWeek');
+const DATE = 'ddd, MMM D, YYYY';
+
+module.exports = {
+  'Rollover Term': browser => {
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .url('http://localhost:8080/#terms')
+    .waitForElementVisible('a[data-test="new-term"]', 5000)
+    .click('a[data-test="new-term"]')
+    .setValue('#name', 'Next Term')
+    .clearValue('#start-date')
+    .setValue('#start-date', [START.format(DATE), browser.Keys.TAB])
+    .clearValue('#end-date')
+    .setValue('#end-date', [START.clone().add(12, 'weeks').format(DATE), browser.Keys.TAB])
+    .click('button[type="submit"]')
+    .pause(1000)
+    .setValue('input[placeholder="Filter..."]', 'Test Term')
+    .click('a[data-test="rollover-term"]')
+    .waitForElementVisible('#to', 1000)
+    // The only other term
+    .click('#to option:nth-child(2)')
+    .click('[data-test="preview-copy"]')
+    .waitForElementVisible('[data-test="copy-courses"]', 5000)
+    .assert.containsText('[data-test="copy-courses"]', 'Copy 1 course')
+    .click('[data-test="copy-courses"]')
+    .waitForElementNotPresent('[data-test="copy-courses"]', 5000)
+    .assert.containsText('.modal .label-success', 'Copied')
+    .click('.modal-footer button');
+  }
+}
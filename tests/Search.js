@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const db = require('./db');
+const request = require('./request');
+
+function search(q) {
+  return `/api/search?q=${encodeURIComponent(q)}`;
+}
+
+function titles(groups, type) {
+  const group = groups.filter(group => group.type === type)[0];
+  return group ? group.results.map(result => result.title) : [];
+}
+
+module.exports = {
+  'Search': browser => {
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.add('TermModel', { name: 'Zephyr Term' }, () => {
+        db.add('TermModel', { name: 'Zephyr Elsewhere', client: new mongoose.Types.ObjectId() }, () => {
+          db.add('LocationModel', { name: 'Zephyr Hall' }, () => {
+            db.addUser({ first_name: 'Zelda', last_name: 'Zephyr', username: 'zelda@client.com', is_student: true }, () => done());
+          });
+        });
+      });
+    })
+    // Whole words and the start of them find everything the user may see
+    .executeAsync(request, ['get', search('zephyr'), null], result => {
+      browser.assert.deepEqual(titles(result.value.body, 'terms'), ['Zephyr Term']);
+      browser.assert.deepEqual(titles(result.value.body, 'locations'), ['Zephyr Hall']);
+      browser.assert.deepEqual(titles(result.value.body, 'users'), ['Zelda Zephyr']);
+    })
+    .executeAsync(request, ['get', search('zeph ha'), null], result => {
+      browser.assert.deepEqual(titles(result.value.body, 'locations'), ['Zephyr Hall']);
+    })
+    .executeAsync(request, ['get', search('z'), null], result => {
+      browser.assert.deepEqual(result.value.body, []);
+    })
+    // Students don't see other people
+    .login('zelda@client.com', db.PASSWORD)
+    .executeAsync(request, ['get', search('zephyr'), null], result => {
+      browser.assert.deepEqual(titles(result.value.body, 'users'), []);
+    });
+  }
+}
@@ -0,0 +1,22 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'Sessions': browser => {
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .executeAsync(request, ['get', '/api/users?role=owner', null], result => {
+      const sessions = `/api/users/${result.value.body[0]._id}/sessions`;
+      browser
+      .executeAsync(request, ['get', sessions, null], result => {
+        browser.assert.ok(result.value.body.some(session => session.current));
+      })
+      .executeAsync(request, ['delete', `${sessions}/not-a-session`, null], result => {
+        browser.assert.deepEqual(result.value, { status: 404, body: { message: 'No such session' } });
+      });
+    })
+    .executeAsync(request, ['delete', '/api/users/not-a-user/sessions/not-a-session', null], result => {
+      browser.assert.deepEqual(result.value, { status: 404, body: { message: 'No such user' } });
+    });
+  }
+}
@@ -0,0 +1,25 @@
+const db = require('./db');
+
+// Runs in the browser: add users all at once, and call back with their ids
+function addTogether(count, done) {
+  const requests = [];
+  for (let i = 0; i < count; i++) {
+    requests.push($.ajax('/api/users', {
+      method: 'post',
+      contentType: 'application/json',
+      data: JSON.stringify({ first_name: 'Same', last_name: 'Time', username: `sametime${i}@client.com` })
+    }));
+  }
+  Promise.all(requests).then(users => done(users.map(user => user.idn)), () => done(null));
+}
+
+module.exports = {
+  'Student Ids': browser => {
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .executeAsync(addTogether, [5], result => {
+      browser.assert.equal((result.value || []).length, 5);
+      browser.assert.equal(new Set(result.value).size, 5, 'Users added at the same time get different ids');
+    });
+  }
+}
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const db = require('./db');
+const request = require('./request');
+
+// Another school, whose records nobody here should reach
+const ELSEWHERE = new mongoose.Types.ObjectId();
+
+function report(query) {
+  return `/api/report/${encodeURIComponent(Buffer.from(query).toString('base64'))}`;
+}
+
+module.exports = {
+  'Tenancy': browser => {
+    const mine = {};
+    const theirs = {};
+    browser
+    .login('test@client.com', db.PASSWORD)
+    .perform(done => {
+      db.add('TermModel', { name: 'Their Term', client: ELSEWHERE }, term => {
+        theirs.term = term;
+        db.add('LocationModel', { name: 'Their Location', client: ELSEWHERE }, location => {
+          theirs.location = location;
+          db.add('TermModel', { name: 'Tenancy Term' }, term => {
+            mine.term = term;
+            db.add('LocationModel', { name: 'Tenancy Location' }, location => {
+              mine.location = location;
+              done();
+            });
+          });
+        });
+      });
+    })
+    .perform(() => {
+      const course = fields => {
+        return Object.assign({
+          name: 'Tenancy Course',
+          term: mine.term._id,
+          location: mine.location._id,
+          days: ['wednesday'],
+          timeStart: '18:00',
+          timeEnd: '21:00'
+        }, fields);
+      };
+      browser
+      .executeAsync(request, ['get', `/api/terms/${theirs.term._id}`, null], result => {
+        browser.assert.equal(result.value.status, 404);
+      })
+      .executeAsync(request, ['get', '/api/terms', null], result => {
+        browser.assert.ok(!result.value.body.some(term => term.name === 'Their Term'));
+      })
+      // Courses can't point at another school's records, which would be
+      // sent along with the course
+      .executeAsync(request, ['post', '/api/courses', course({ term: theirs.term._id })], result => {
+        browser.assert.deepEqual(result.value, { status: 400, body: { message: 'No such term' } });
+      })
+      .executeAsync(request, ['post', '/api/courses', course({ location: theirs.location._id })], result => {
+        browser.assert.deepEqual(result.value, { status: 400, body: { message: 'No such location' } });
+      })
+      .executeAsync(request, ['post', '/api/courses', course({})], result => {
+        browser.assert.equal(result.value.status, 200);
+        mine.course = result.value.body;
+      });
+    })
+    .perform(() => {
+      browser.executeAsync(request, ['put', `/api/courses/${mine.course._id}`, {
+        exceptions: [{ date: '2030-01-02', action: 'change', location: theirs.location._id }]
+      }], result => {
+        browser.assert.deepEqual(result.value, { status: 400, body: { message: 'No such location' } });
+      })
+      // Reports stay inside this school's own snapshot, and can't change it
+      .executeAsync(request, ['get', report(`ATTACH DATABASE 'tmp/${ELSEWHERE}/1-report.sqlite3' AS theirs`), null], result => {
+        browser.assert.deepEqual(result.value, { status: 400, body: { message: 'Reports can\'t attach or detach databases.' } });
+      })
+      .executeAsync(request, ['get', report('DELETE FROM users'), null], result => {
+        browser.assert.equal(result.value.status, 500);
+        browser.assert.ok(/readonly/.test(result.value.body.message));
+      });
+    });
+  }
+}
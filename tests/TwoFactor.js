@@ -0,0 +1,41 @@
+const speakeasy = require('speakeasy');
+const db = require('./db');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+module.exports = {
+  'Two-Factor': browser => {
+    let code;
+    // Past the password, the code from the authenticator app is needed too
+    const password = () => {
+      return browser
+      .url('http://localhost:8080/logout')
+      .waitForElementVisible('#email', 5000)
+      .setValue('#email', 'secured@client.com')
+      .setValue('#password', db.PASSWORD)
+      .click('button[type="submit"]')
+      .waitForElementVisible('#code', 5000);
+    };
+    browser.perform(done => db.addUser({
+      first_name: 'Secured',
+      last_name: 'Admin',
+      username: 'secured@client.com',
+      is_admin: true,
+      two_factor_enabled: true,
+      two_factor_secret: SECRET
+    }, () => done()));
+    password()
+    .perform(() => {
+      code = speakeasy.totp({ secret: SECRET, encoding: 'base32' });
+      browser.setValue('#code', code);
+    })
+    .click('button[type="submit"]')
+    .waitForElementVisible('#user-dropdown', 5000);
+    // Each code only works once
+    password()
+    .perform(() => browser.setValue('#code', code))
+    .click('button[type="submit"]')
+    .waitForElementVisible('.alerts .alert-danger', 5000)
+    .assert.containsText('.alerts .alert-danger', 'Invalid authentication code.');
+  }
+}
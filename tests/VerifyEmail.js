@@ -0,0 +1,33 @@
+const db = require('./db');
+const request = require('./request');
+
+module.exports = {
+  'Verify Email': browser => {
+    let owner;
+    let link;
+    browser
+    .login('test@client.com', db.PASSWORD)
+    // The owner signed up through the registration form, which asks them to
+    // verify their address
+    .executeAsync(request, ['get', '/api/users?role=owner', null], result => {
+      owner = result.value.body[0];
+      browser.assert.equal(owner.email_pending, true);
+    })
+    .url('http://localhost:8080/verify/not-a-token')
+    .waitForElementVisible('.alerts .alert-danger', 5000)
+    .assert.containsText('.alerts .alert-danger', 'This verification link is invalid.')
+    .perform(done => db.verifyLink('test@client.com', url => {
+      link = url;
+      done();
+    }))
+    .perform(() => browser.url(link))
+    .waitForElementVisible('.alerts .alert-info', 5000)
+    .assert.containsText('.alerts .alert-info', 'Thanks! Your email address has been verified.')
+    .perform(() => {
+      browser.executeAsync(request, ['get', `/api/users/${owner._id}`, null], result => {
+        browser.assert.equal(result.value.body.email_pending, false);
+        browser.assert.ok(result.value.body.email_verified_at);
+      });
+    });
+  }
+}
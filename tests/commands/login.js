@@ -0,0 +1,10 @@
+// Log in through the login form, as whoever was logged in before logs out
+exports.command = function(username, password) {
+  return this
+  .url('http://localhost:8080/logout')
+  .waitForElementVisible('#email', 5000)
+  .setValue('#email', username)
+  .setValue('#password', password)
+  .click('button[type="submit"]')
+  .waitForElementVisible('#user-dropdown', 5000);
+};
@@ -0,0 +1,169 @@
+/**
+ * Reaches into the test database for what the tests can't do through the
+ * browser: follow links the app would have emailed, and make more users
+ * than are worth typing in. Everything belongs to the organization the
+ * `Create Client` test registers.
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const env = require('./env');
+
+// Invitation and verification links are signed with the server's key
+process.env.SESSION_KEY = env.SESSION_KEY;
+
+const tokens = require('../lib/tokens');
+const UserModel = require('../models/UserModel');
+const InviteModel = require('../models/InviteModel');
+const RoleModel = require('../models/RoleModel');
+
+const OWNER = 'test@client.com';
+const PASSWORD = 'testpw';
+const URL = 'http://localhost:8080';
+
+mongoose.Promise = global.Promise;
+mongoose.connect(env.TEST_DB);
+
+// These are fixtures, so anything going wrong should stop the run
+function check(err) {
+  if (err) {
+    throw err;
+  }
+}
+
+function organization(cb) {
+  UserModel.findOne({ username: OWNER }).anyTenant().exec((err, owner) => {
+    check(err);
+    cb(owner.client);
+  });
+}
+
+function addUser(client, fields, cb) {
+  UserModel.nextIdn(client, (err, idn) => {
+    check(err);
+    new UserModel(Object.assign({
+      client: client,
+      idn: idn,
+      password: bcrypt.hashSync(PASSWORD, 10)
+    }, fields)).save((err, user) => {
+      check(err);
+      cb(user);
+    });
+  });
+}
+
+module.exports = {
+  PASSWORD: PASSWORD,
+
+  /**
+  * @param {String} username
+  * @param {Function} cb called with a new reset link for the user
+  */
+  resetLink: function(username, cb) {
+    UserModel.findOne({ username: username }).anyTenant().exec((err, user) => {
+      check(err);
+      const token = user.generateResetToken();
+      user.save(err => {
+        check(err);
+        cb(`${URL}/reset/${token}`);
+      });
+    });
+  },
+
+  /**
+  * @param {String} username
+  * @param {Function} cb called with a link that verifies the user's address
+  */
+  verifyLink: function(username, cb) {
+    UserModel.findOne({ username: username }).anyTenant().exec((err, user) => {
+      check(err);
+      const token = tokens.sign({ verify: user._id.toString(), email: user.username }, 60 * 60 * 1000);
+      cb(`${URL}/verify/${token}`);
+    });
+  },
+
+  /**
+  * @param {String} email
+  * @param {Function} cb called with the link in the latest invitation sent
+  * to the address
+  */
+  inviteLink: function(email, cb) {
+    InviteModel.findOne({ email: email }, null, { sort: '-createdAt' }, (err, invite) => {
+      check(err);
+      cb(`${URL}/register/${invite.token()}`);
+    });
+  },
+
+  /**
+  * Add students named `Student 1`, `Student 2` and so on
+  * @param {Number} count
+  * @param {Function} cb
+  */
+  addStudents: function(count, cb) {
+    organization(client => {
+      let added = 0;
+      (function next() {
+        if (added === count) {
+          return cb();
+        }
+        added++;
+        addUser(client, {
+          first_name: 'Student',
+          last_name: String(added),
+          username: `student${added}@client.com`,
+          is_student: true
+        }, next);
+      })();
+    });
+  },
+
+  /**
+  * Add a user to the organization, with the shared test password
+  * @param {Object} fields
+  * @param {Function} cb called with the user
+  */
+  addUser: function(fields, cb) {
+    organization(client => addUser(client, fields, cb));
+  },
+
+  /**
+  * Add a user whose only role is a new custom one
+  * @param {String} name the role's name, which the user's email address
+  * starts with
+  * @param {String[]} permissions
+  * @param {Function} cb called with the user
+  */
+  addStaff: function(name, permissions, cb) {
+    organization(client => {
+      new RoleModel({ name: name, permissions: permissions, client: client }).save((err, role) => {
+        check(err);
+        addUser(client, {
+          first_name: 'Test',
+          last_name: name,
+          username: `${name.toLowerCase()}@client.com`,
+          roles: [role._id]
+        }, cb);
+      });
+    });
+  },
+
+  /**
+  * Save a document in the organization
+  * @param {String} model e.g. `TermModel`
+  * @param {Object} fields
+  * @param {Function} cb called with the document
+  */
+  add: function(model, fields, cb) {
+    const Model = require(`../models/${model}`);
+    organization(client => {
+      new Model(Object.assign({ client: client }, fields)).save((err, doc) => {
+        check(err);
+        cb(doc);
+      });
+    });
+  },
+
+  close: function(cb) {
+    mongoose.disconnect(cb);
+  }
+};
@@ -0,0 +1,14 @@
+// What the server runs with under test. The tests share the database and
+// session key, to sign and look up the links the app would have emailed.
+module.exports = {
+  NODE_ENV: 'test',
+  PORT: 8080,
+  TEST_DB: 'mongodb://localhost/campus-manager-test',
+  // These are one-off keys, not attached to any account
+  STRIPE_SECRET_KEY: 'sk_test_lvCpZcnc4rdLb5s87pG642Yr',
+  STRIPE_PUBLISHABLE_KEY: 'pk_test_E71Myo8fhYgUb7DqSuP6MoCM',
+  REGISTRATION_ENABLED: true,
+  SESSION_KEY: 'foo',
+  OAUTH_CLIENT_ID: 'id.apps.googleusercontent.com',
+  OAUTH_CLIENT_SECRET: 'secret'
+};
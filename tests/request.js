@@ -0,0 +1,14 @@
+// Runs in the browser, so requests carry the session and CSRF token:
+// `browser.executeAsync(request, [method, url, data], result => ...)`, where
+// `result.value` is `{ status, body }`
+module.exports = function request(method, url, data, done) {
+  $.ajax(url, {
+    method: method,
+    contentType: 'application/json',
+    data: data ? JSON.stringify(data) : undefined,
+    complete: xhr => done({
+      status: xhr.status,
+      body: xhr.responseJSON || null
+    })
+  });
+};
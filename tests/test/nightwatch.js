@@ -16,6 +16,31 @@ function extend(target) {
   '../CreateLocation',
   '../CreateTextbook',
   '../CreateCourse',
+  '../PageUsers',
+  '../RolloverTerm',
+  '../Conflicts',
+  '../Tenancy',
+  '../MergeUsers',
+  '../Impersonation',
+  '../Audit',
+  '../History',
+  '../Sessions',
+  '../StudentIds',
+  '../Instructors',
+  '../Archive',
+  '../ApiTokens',
+  '../TwoFactor',
+  '../VerifyEmail',
+  '../Organization',
+  '../Search',
+  '../Import',
+  '../Closures',
+  '../Meetings',
+  '../CalendarFeeds',
+  '../InviteUser',
+  '../Permissions',
+  '../ResetPassword',
+  '../LockOut',
   // '../MakeStudent',
   // '../RegisterCourse'
 ].forEach(test => {